@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 contract OTCSwap is ReentrancyGuard, Ownable {
@@ -43,6 +44,15 @@ contract OTCSwap is ReentrancyGuard, Ownable {
         uint256 tries;             // Number of cleanup attempts
     }
 
+    // EIP-2612 permit signed by msg.sender for this contract; a zero deadline means none
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     mapping(uint256 => Order) public orders;
 
     event OrderCreated(
@@ -69,6 +79,19 @@ contract OTCSwap is ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event OrderPartiallyFilled(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed taker,
+        address sellToken,
+        uint256 sellAmountFilled,
+        address buyToken,
+        uint256 buyAmountPaid,
+        uint256 remainingSellAmount,
+        uint256 remainingBuyAmount,
+        uint256 timestamp
+    );
+
     event OrderCanceled(
         uint256 indexed orderId,
         address indexed maker,
@@ -219,6 +242,32 @@ contract OTCSwap is ReentrancyGuard, Ownable {
         address buyToken,
         uint256 buyAmount
     ) external nonReentrant returns (uint256) {
+        return _createOrder(taker, sellToken, sellAmount, buyToken, buyAmount);
+    }
+
+    // Create an order without separate approvals. When the sell token is also the
+    // fee token, sellPermit must cover both and feePermit is left empty.
+    function createOrderWithPermit(
+        address taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount,
+        PermitSignature calldata sellPermit,
+        PermitSignature calldata feePermit
+    ) external nonReentrant returns (uint256) {
+        _permit(sellToken, sellPermit);
+        _permit(feeToken, feePermit);
+        return _createOrder(taker, sellToken, sellAmount, buyToken, buyAmount);
+    }
+
+    function _createOrder(
+        address taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount
+    ) internal returns (uint256) {
         require(!isDisabled, "Contract is disabled");
         require(sellToken != address(0), "Invalid sell token");
         require(buyToken != address(0), "Invalid buy token");
@@ -289,6 +338,42 @@ contract OTCSwap is ReentrancyGuard, Ownable {
     }
 
     function fillOrder(uint256 orderId) external nonReentrant validOrder(orderId) {
+        _fillOrder(orderId, orders[orderId].sellAmount);
+    }
+
+    // Fill part of an order; the taker pays the pro-rata share of buyAmount, rounded up
+    function fillOrderPartial(uint256 orderId, uint256 sellAmountToFill) external nonReentrant validOrder(orderId) {
+        _fillOrder(orderId, sellAmountToFill);
+    }
+
+    // Fill all or part of an order, approving the buy token with a permit
+    function fillOrderWithPermit(
+        uint256 orderId,
+        uint256 sellAmountToFill,
+        PermitSignature calldata buyPermit
+    ) external nonReentrant validOrder(orderId) {
+        _permit(orders[orderId].buyToken, buyPermit);
+        _fillOrder(orderId, sellAmountToFill);
+    }
+
+    // A failed permit is ignored: it may have been front-run with the same
+    // signature, and the allowance checks still reject missing approvals
+    function _permit(address token, PermitSignature calldata permitSignature) internal {
+        if (permitSignature.deadline == 0) {
+            return;
+        }
+        try IERC20Permit(token).permit(
+            msg.sender,
+            address(this),
+            permitSignature.value,
+            permitSignature.deadline,
+            permitSignature.v,
+            permitSignature.r,
+            permitSignature.s
+        ) {} catch {}
+    }
+
+    function _fillOrder(uint256 orderId, uint256 sellAmountToFill) internal {
         Order storage order = orders[orderId];
 
         require(
@@ -300,55 +385,95 @@ contract OTCSwap is ReentrancyGuard, Ownable {
             "Not authorized to fill this order"
         );
         require(
-            IERC20(order.buyToken).balanceOf(msg.sender) >= order.buyAmount,
+            sellAmountToFill > 0 && sellAmountToFill <= order.sellAmount,
+            "Invalid fill amount"
+        );
+
+        uint256 buyAmountToPay = sellAmountToFill == order.sellAmount
+            ? order.buyAmount
+            : (sellAmountToFill * order.buyAmount + order.sellAmount - 1) / order.sellAmount;
+        uint256 remainingSellAmount = order.sellAmount - sellAmountToFill;
+        uint256 remainingBuyAmount = order.buyAmount - buyAmountToPay;
+        require(
+            remainingSellAmount == 0 || remainingBuyAmount > 0,
+            "Fill leaves no buy amount remaining"
+        );
+
+        require(
+            IERC20(order.buyToken).balanceOf(msg.sender) >= buyAmountToPay,
             "Insufficient balance for buy token"
         );
         require(
-            IERC20(order.buyToken).allowance(msg.sender, address(this)) >= order.buyAmount,
+            IERC20(order.buyToken).allowance(msg.sender, address(this)) >= buyAmountToPay,
             "Insufficient allowance for buy token"
         );
 
-        // Update order status first
-        order.status = OrderStatus.Filled;
+        // Update order state first
+        order.sellAmount = remainingSellAmount;
+        order.buyAmount = remainingBuyAmount;
+        if (remainingSellAmount == 0) {
+            order.status = OrderStatus.Filled;
+        }
 
         // First transfer: buyToken from buyer to maker (using transferFrom)
-        try this.externalTransferFrom(IERC20(order.buyToken), msg.sender, order.maker, order.buyAmount) {
+        try this.externalTransferFrom(IERC20(order.buyToken), msg.sender, order.maker, buyAmountToPay) {
             // Second transfer: sellToken from contract to buyer
-            try this.externalTransfer(IERC20(order.sellToken), msg.sender, order.sellAmount) {
-                emit OrderFilled(
-                    orderId,
-                    order.maker,
-                    msg.sender,
-                    order.sellToken,
-                    order.sellAmount,
-                    order.buyToken,
-                    order.buyAmount,
-                    block.timestamp
-                );
+            try this.externalTransfer(IERC20(order.sellToken), msg.sender, sellAmountToFill) {
+                if (remainingSellAmount == 0) {
+                    emit OrderFilled(
+                        orderId,
+                        order.maker,
+                        msg.sender,
+                        order.sellToken,
+                        sellAmountToFill,
+                        order.buyToken,
+                        buyAmountToPay,
+                        block.timestamp
+                    );
+                } else {
+                    emit OrderPartiallyFilled(
+                        orderId,
+                        order.maker,
+                        msg.sender,
+                        order.sellToken,
+                        sellAmountToFill,
+                        order.buyToken,
+                        buyAmountToPay,
+                        remainingSellAmount,
+                        remainingBuyAmount,
+                        block.timestamp
+                    );
+                }
             } catch Error(string memory reason) {
-                // Revert order status since second transfer failed
-                order.status = OrderStatus.Active;
+                // Restore order state since second transfer failed
+                _restoreFill(order, sellAmountToFill, buyAmountToPay);
                 emit TransferError(orderId, "sellToken", reason, block.timestamp);
                 revert(string(abi.encodePacked("Sell token transfer failed: ", reason)));
             } catch (bytes memory) {
-                // Revert order status since second transfer failed
-                order.status = OrderStatus.Active;
+                // Restore order state since second transfer failed
+                _restoreFill(order, sellAmountToFill, buyAmountToPay);
                 emit TransferError(orderId, "sellToken", "Unknown error", block.timestamp);
                 revert("Sell token transfer failed with unknown error");
             }
         } catch Error(string memory reason) {
-            // Revert order status since first transfer failed
-            order.status = OrderStatus.Active;
+            // Restore order state since first transfer failed
+            _restoreFill(order, sellAmountToFill, buyAmountToPay);
             emit TransferError(orderId, "buyToken", reason, block.timestamp);
             revert(string(abi.encodePacked("Buy token transfer failed: ", reason)));
         } catch (bytes memory) {
-            // Revert order status since first transfer failed
-            order.status = OrderStatus.Active;
+            // Restore order state since first transfer failed
+            _restoreFill(order, sellAmountToFill, buyAmountToPay);
             emit TransferError(orderId, "buyToken", "Unknown error", block.timestamp);
             revert("Buy token transfer failed with unknown error");
         }
     }
 
+    function _restoreFill(Order storage order, uint256 sellAmountFilled, uint256 buyAmountPaid) internal {
+        order.sellAmount += sellAmountFilled;
+        order.buyAmount += buyAmountPaid;
+        order.status = OrderStatus.Active;
+    }
+
     // Public function to enable try/catch for external transfers
     function externalTransfer(IERC20 token, address to, uint256 amount) external {
         require(msg.sender == address(this), "Only callable by the contract itself");
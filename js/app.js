@@ -1,11 +1,16 @@
 import { BaseComponent } from './components/BaseComponent.js';
 import { CreateOrder } from './components/CreateOrder.js';
-import { walletManager, WalletManager, getNetworkConfig, getAllNetworks, isDebugEnabled, getNetworkById, APP_BRAND, APP_LOGO, DEBUG_CONFIG } from './config.js';
+import { walletManager, WalletManager, getNetworkConfig, getAllNetworks, isDebugEnabled, getNetworkById, setSelectedNetwork, APP_BRAND, APP_LOGO, DEBUG_CONFIG } from './config.js';
 import { WalletUI } from './components/WalletUI.js';
 import { WebSocketService } from './services/WebSocket.js';
 import { ViewOrders } from './components/ViewOrders.js';
 import { MyOrders } from './components/MyOrders.js';
 import { TakerOrders } from './components/TakerOrders.js';
+import { OrderHistory } from './components/OrderHistory.js';
+import { PairMarket } from './components/PairMarket.js';
+import { OrderDetails } from './components/OrderDetails.js';
+import { AddressBook } from './components/AddressBook.js';
+import { Allowances } from './components/Allowances.js';
 import { Cleanup } from './components/Cleanup.js';
 import { ContractParams } from './components/ContractParams.js';
 import { PricingService } from './services/PricingService.js';
@@ -16,6 +21,9 @@ import { getToast, showError, showSuccess, showWarning, showInfo } from './compo
 import { Footer } from './components/Footer.js';
 import { Intro } from './components/Intro.js';
 import { versionService } from './services/VersionService.js';
+import { routerService } from './services/RouterService.js';
+import { transactionManager } from './services/TransactionManager.js';
+import { clearTokenCaches } from './utils/contractTokens.js';
 
 class App {
 	constructor() {
@@ -66,6 +74,8 @@ class App {
 		await this.initializeWalletManager();
 		await this.initializePricingService();
 		await this.initializeWebSocket();
+		// Resume tracking transactions still pending from earlier sessions
+		transactionManager.initialize();
 		
 		// Initialize CreateOrder first
 		this.components = {
@@ -78,6 +88,11 @@ class App {
 			'view-orders': new ViewOrders(),
 			'my-orders': new MyOrders(),
 			'taker-orders': new TakerOrders(),
+			'order-history': new OrderHistory(),
+			'pair-market': new PairMarket(),
+			'order-details': new OrderDetails(),
+			'address-book': new AddressBook(),
+			'allowances': new Allowances(),
 			'cleanup-orders': new Cleanup(),
 			'contract-params': new ContractParams(),
 			'intro': new Intro()
@@ -129,6 +144,18 @@ class App {
         const isInitiallyConnected = !!window.walletManager?.getSigner?.();
         this.currentTab = isInitiallyConnected ? 'create-order' : 'view-orders';
 
+		// A linked tab takes precedence over the default one
+		routerService.initialize();
+		const initialRoute = routerService.getRoute();
+		// An order on another network is shown by applyRoute after switching to it
+		if (initialRoute.orderId !== null && routerService.isOnSelectedNetwork(initialRoute)) {
+			this.components['order-details'].orderId = initialRoute.orderId;
+			this.currentTab = 'order-details';
+		} else if (initialRoute.tab && initialRoute.tab !== 'order-details'
+			&& this.isTabAvailable(initialRoute.tab, isInitiallyConnected)) {
+			this.currentTab = initialRoute.tab;
+		}
+
 		// Add wallet connect button handler
 		const walletConnectBtn = document.getElementById('walletConnect');
 		if (walletConnectBtn) {
@@ -178,11 +205,15 @@ class App {
 					try {
 						this.debug('Chain changed event received:', data?.chainId);
 						const network = data?.chainId ? getNetworkById(data.chainId) : null;
-						if (network?.isDefault) {
+						if (!network) {
+							const selected = getNetworkConfig();
+							this.showWarning(`Unsupported network. Please switch to ${selected.displayName || selected.name}.`);
+						} else if (window.webSocket?.chainId !== parseInt(network.chainId, 16)) {
+							// WalletManager already made this the selected network
+							await this.applyNetworkChange();
+						} else {
 							await this.reinitializeComponents(true);
 							this.showInfo(`Switched to ${network.displayName || network.name}`);
-						} else {
-							this.showWarning('Wrong Network. Please switch to the default network.');
 						}
 					} catch (error) {
 						console.error('[App] Error handling chainChanged:', error);
@@ -218,10 +249,12 @@ class App {
 		this.updateTabVisibility = (isConnected) => {
 			const tabButtons = document.querySelectorAll('.tab-button');
 			tabButtons.forEach(button => {
-				// always show intro, view-orders, cleanup-orders, contract-params
+				// always show intro, view-orders, pair-market, address-book, cleanup-orders, contract-params
 				if (
 					button.dataset.tab === 'intro' ||
 					button.dataset.tab === 'view-orders' ||
+					button.dataset.tab === 'pair-market' ||
+					button.dataset.tab === 'address-book' ||
 					button.dataset.tab === 'cleanup-orders' ||
 					button.dataset.tab === 'contract-params'
 				) {
@@ -233,7 +266,7 @@ class App {
 			
 			// If disconnected, only switch to view-orders if current tab is not visible
 			if (!isConnected) {
-				const visibleWhenDisconnected = new Set(['intro', 'view-orders', 'cleanup-orders', 'contract-params']);
+				const visibleWhenDisconnected = new Set(['intro', 'view-orders', 'pair-market', 'address-book', 'cleanup-orders', 'contract-params', 'order-details']);
 				if (!visibleWhenDisconnected.has(this.currentTab)) {
 					this.showTab('view-orders');
 				}
@@ -273,7 +306,9 @@ class App {
 		await this.initializeComponents(initialReadOnlyMode);
 		
 		// Show the initial tab based on connection state (force read-only if needed for first paint)
+		this.isApplyingRoute = true;
 		await this.showTab(this.currentTab, initialReadOnlyMode);
+		this.isApplyingRoute = false;
 		
 		// Remove loading overlay after initialization
 		if (this.loadingOverlay && this.loadingOverlay.parentElement) {
@@ -281,6 +316,117 @@ class App {
 		}
 
 		this.lastDisconnectNotification = 0;
+
+		// Restore the linked view state (filters, page or order) and follow back/forward.
+		// Use the route from page load, components may have rewritten the URL since.
+		await this.applyRoute(initialRoute);
+		routerService.subscribe((event, route) => {
+			if (event === 'routeChanged') {
+				this.applyRoute(route);
+			}
+		});
+	}
+
+	/**
+	 * @param {string} tabId
+	 * @param {boolean} isConnected
+	 * @returns {boolean} Whether the tab can be shown in this connection state
+	 */
+	isTabAvailable(tabId, isConnected) {
+		if (!this.components[tabId]) return false;
+		const alwaysAvailable = ['intro', 'view-orders', 'pair-market', 'address-book', 'cleanup-orders', 'contract-params', 'order-details'];
+		return isConnected || alwaysAvailable.includes(tabId);
+	}
+
+	/**
+	 * Show the tab, view state or order described by a route
+	 * @param {Object} route - Parsed route from routerService
+	 */
+	async applyRoute(route) {
+		this.isApplyingRoute = true;
+		try {
+			if (route.orderId !== null) {
+				if (!(await this.switchToRouteNetwork(route))) return;
+				const isShown = this.currentTab === 'order-details'
+					&& this.components['order-details'].orderId === route.orderId;
+				if (!isShown) {
+					await this.showOrder(route.orderId);
+				}
+			} else if (route.tab) {
+				const isConnected = !!window.walletManager?.isWalletConnected();
+				if (this.isTabAvailable(route.tab, isConnected) && route.tab !== 'order-details') {
+					if (route.tab !== this.currentTab) {
+						await this.showTab(route.tab);
+					}
+					await this.components[route.tab]?.applyRouteParams?.(route.params);
+				} else if (this.components[route.tab]?.applyRouteParams) {
+					// e.g. CreateOrder keeps a deal link until the wallet is connected
+					await this.components[route.tab].applyRouteParams(route.params);
+				} else {
+					this.debug('Ignoring unavailable route:', route);
+				}
+			}
+		} catch (error) {
+			this.error('Error applying route:', error);
+		} finally {
+			this.isApplyingRoute = false;
+		}
+		// Normalize the URL to what is actually shown
+		this.syncRoute({ replace: true });
+	}
+
+	/**
+	 * Point the URL at the current tab and its view state
+	 * @param {Object} [options]
+	 * @param {boolean} [options.replace=false] - Update the current history entry instead of adding one
+	 */
+	syncRoute({ replace = false } = {}) {
+		if (this.currentTab === 'order-details') {
+			const { orderId } = this.components['order-details'];
+			routerService.navigate(routerService.getOrderRoute(orderId), { replace });
+			return;
+		}
+		const params = this.components[this.currentTab]?.getRouteParams?.() || {};
+		routerService.navigate({ tab: this.currentTab, params }, { replace });
+	}
+
+	/**
+	 * Switch to the network an order link was made on before showing the order.
+	 * With a wallet the switch completes in its chainChanged event, so the
+	 * route is held until applyNetworkChange.
+	 * @param {Object} route - Parsed order route
+	 * @returns {Promise<boolean>} Whether the selected network is the link's
+	 */
+	async switchToRouteNetwork(route) {
+		if (routerService.isOnSelectedNetwork(route)) return true;
+
+		const { chain } = route.params;
+		const network = /^[1-9]\d*$/.test(chain) ? getNetworkById(chain) : null;
+		if (!network) {
+			this.showError('This order link is for a network the app does not support');
+			return false;
+		}
+		try {
+			if (walletManager.isWalletConnected()) this.pendingRoute = route;
+			await this.switchNetwork(network.chainId);
+		} catch (error) {
+			this.pendingRoute = null;
+			this.error('Network switch for order link failed:', error);
+			this.showWarning(`This order is on ${network.displayName || network.name}. Switch networks to view it.`);
+			return false;
+		}
+		if (!routerService.isOnSelectedNetwork(route)) return false;
+		this.pendingRoute = null;
+		return true;
+	}
+
+	/**
+	 * @param {number} orderId - Order to show in the details view
+	 */
+	async showOrder(orderId) {
+		const orderDetails = this.components['order-details'];
+		orderDetails.orderId = orderId;
+		await this.showTab('order-details');
 	}
 
 	initializeEventListeners() {
@@ -403,7 +549,8 @@ class App {
 			
 			// In read-only mode, initialize the tabs that should always be visible
 			if (readOnlyMode) {
-				const readOnlyTabs = ['intro', 'view-orders', 'cleanup-orders', 'contract-params'];
+				// pair-market is left to showTab: it syncs order history, which only the tab needs
+				const readOnlyTabs = ['intro', 'view-orders', 'address-book', 'cleanup-orders', 'contract-params'];
 				for (const tabId of readOnlyTabs) {
 					const component = this.components[tabId];
 					if (component && typeof component.initialize === 'function') {
@@ -497,6 +644,67 @@ class App {
 		
 	}
 
+	/**
+	 * Select a configured network. With a connected wallet the wallet is asked to
+	 * switch first and its chainChanged event applies the change; in read-only
+	 * mode the services are switched directly.
+	 * @param {string} chainId - Hex chain ID from the network config
+	 */
+	async switchNetwork(chainId) {
+		const network = getNetworkById(chainId);
+		if (!network) {
+			throw new Error(`Unsupported network: ${chainId}`);
+		}
+		if (network.chainId === getNetworkConfig().chainId &&
+			window.webSocket?.chainId === parseInt(network.chainId, 16)) {
+			return;
+		}
+
+		if (walletManager.isWalletConnected()) {
+			await walletManager.switchToNetwork(network);
+			return;
+		}
+
+		setSelectedNetwork(chainId);
+		await this.applyNetworkChange();
+	}
+
+	/**
+	 * Reinitialize services and components against the selected network
+	 */
+	async applyNetworkChange() {
+		const network = getNetworkConfig();
+		this.debug('Applying network change:', network.name);
+		const loader = this.showLoader();
+		try {
+			updateNetworkSelector();
+			window.pricingService?.resetForNetwork();
+			clearTokenCaches();
+			walletManager.resetContract();
+			await window.webSocket?.switchNetwork();
+			transactionManager.resetForNetwork();
+
+			if (walletManager.isWalletConnected()) {
+				await this.reinitializeComponents(true);
+			} else {
+				await this.showTab(this.currentTab, true);
+			}
+			this.showInfo(`Switched to ${network.displayName || network.name}`);
+
+			// An order link that asked for this network
+			if (this.pendingRoute) {
+				const route = this.pendingRoute;
+				this.pendingRoute = null;
+				await this.applyRoute(route);
+			}
+		} catch (error) {
+			this.error('Error applying network change:', error);
+			this.showError(`Failed to load ${network.displayName || network.name}`);
+		} finally {
+			this.hideLoader(loader);
+		}
+	}
+
 	showLoader(container = document.body) {
 		const loader = document.createElement('div');
 		loader.className = 'loading-overlay';
@@ -598,6 +806,10 @@ class App {
 			
 			this.currentTab = tabId;
 			this.debug('Tab switch complete:', tabId);
+
+			if (!this.isApplyingRoute) {
+				this.syncRoute();
+			}
 		} catch (error) {
 			console.error('[App] Error showing tab:', error);
 			// Ensure loading overlay is removed even if there's an error
@@ -606,6 +818,15 @@ class App {
 		}
 	}
 
+	/**
+	 * Open CreateOrder pre-filled with an existing order for cancel-and-replace
+	 * @param {Object} order - Order from the WebSocket order cache
+	 */
+	async editOrder(order) {
+		await this.showTab('create-order');
+		await this.components['create-order'].startAmendment(order);
+	}
+
 	// Add new method to reinitialize components
 	async reinitializeComponents(preserveOrders = false) {
 		if (this.isReinitializing) {
@@ -755,6 +976,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Network selector functionality
 let networkButton, networkDropdown, networkBadge;
 
+// Show the selected network on the badge and mark it in the dropdown
+const updateNetworkSelector = () => {
+	const selected = getNetworkConfig();
+	if (networkBadge) {
+		networkBadge.textContent = selected.name;
+	}
+	document.querySelectorAll('.network-option').forEach(option => {
+		option.classList.toggle('selected', option.dataset.chainId === selected.chainId);
+	});
+};
+
 // Dynamically populate network options
 const populateNetworkOptions = () => {
 	const networks = getAllNetworks();
@@ -768,6 +1000,7 @@ const populateNetworkOptions = () => {
 	// If only one network, hide dropdown functionality
 	if (networks.length <= 1) {
 		networkButton.classList.add('single-network');
+		updateNetworkSelector();
 		return;
 	}
 	
@@ -776,33 +1009,19 @@ const populateNetworkOptions = () => {
 			${network.displayName}
 		</div>
 	`).join('');
+	updateNetworkSelector();
 	
 	// Re-attach click handlers only if multiple networks
 	document.querySelectorAll('.network-option').forEach(option => {
 		option.addEventListener('click', async () => {
 			try {
-				if (networkBadge) {
-					networkBadge.textContent = option.textContent;
-				}
 				if (networkDropdown) {
 					networkDropdown.classList.add('hidden');
 				}
-				
-				if (window.walletManager && window.walletManager.isConnected()) {
-					const chainId = option.dataset.chainId;
-					await window.ethereum.request({
-						method: 'wallet_switchEthereumChain',
-						params: [{ chainId }],
-					});
-				}
+				await window.app.switchNetwork(option.dataset.chainId);
 			} catch (error) {
 				console.error('Failed to switch network:', error);
-				if (networkBadge && networkButton) {
-					const buttonBadge = networkButton.querySelector('.network-badge');
-					if (buttonBadge) {
-						networkBadge.textContent = buttonBadge.textContent;
-					}
-				}
+				updateNetworkSelector();
 				if (window.app) {
 					window.app.showError('Failed to switch network: ' + error.message);
 				} else {
@@ -819,6 +1038,15 @@ document.addEventListener('DOMContentLoaded', () => {
 	networkDropdown = document.querySelector('.network-dropdown');
 	networkBadge = document.querySelector('.network-badge');
 	populateNetworkOptions();
+
+	networkButton?.addEventListener('click', (e) => {
+		if (networkButton.classList.contains('single-network')) return;
+		e.stopPropagation();
+		networkDropdown?.classList.toggle('hidden');
+	});
+	document.addEventListener('click', () => {
+		networkDropdown?.classList.add('hidden');
+	});
 });
 
 // Function to show application parameters in a popup
@@ -0,0 +1,164 @@
+import { BaseComponent } from './BaseComponent.js';
+import { createLogger } from '../services/LogService.js';
+import { addressBookService } from '../services/AddressBookService.js';
+import { escapeHtml } from '../utils/ui.js';
+
+/**
+ * Manage the local address book: add, edit and remove contacts, and move
+ * them between browsers or desks as JSON.
+ */
+export class AddressBook extends BaseComponent {
+    constructor() {
+        super('address-book');
+        this.editingAddress = null; // Contact being edited, by address
+
+        const logger = createLogger('ADDRESS_BOOK');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+
+        this.contactsListener = () => this.renderContacts();
+    }
+
+    async initialize() {
+        this.renderLayout();
+        addressBookService.subscribe(this.contactsListener);
+        this.renderContacts();
+    }
+
+    renderLayout() {
+        this.container.innerHTML = `
+            <div class="address-book">
+                <h2>Address Book</h2>
+                <p class="address-book-intro">
+                    Labels are stored in this browser and shown in place of addresses in the order tables,
+                    the taker field and exports.
+                </p>
+                <form class="address-book-form">
+                    <input type="text" id="contactLabel" placeholder="Label, e.g. Desk A" maxlength="40" />
+                    <input type="text" id="contactAddress" placeholder="0x..." />
+                    <button type="submit" class="address-book-save">Add Contact</button>
+                    <button type="button" class="address-book-cancel hidden">Cancel</button>
+                </form>
+                <div class="address-book-actions">
+                    <button type="button" class="address-book-export">Export JSON</button>
+                    <label class="address-book-import">
+                        Import JSON
+                        <input type="file" accept="application/json,.json" hidden />
+                    </label>
+                </div>
+                <table class="orders-table address-book-table">
+                    <thead>
+                        <tr>
+                            <th>Label</th>
+                            <th>Address</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>`;
+
+        this.container.querySelector('.address-book-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSave();
+        });
+        this.container.querySelector('.address-book-cancel').addEventListener('click', () => this.stopEditing());
+        this.container.querySelector('.address-book-export').addEventListener('click', () => this.handleExport());
+        this.container.querySelector('.address-book-import input').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (file) {
+                this.handleImport(file);
+            }
+        });
+        this.container.querySelector('tbody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-address]');
+            if (!button) return;
+            if (button.classList.contains('contact-edit')) {
+                this.startEditing(button.dataset.address);
+            } else if (button.classList.contains('contact-remove')) {
+                addressBookService.removeContact(button.dataset.address);
+            }
+        });
+    }
+
+    renderContacts() {
+        const tbody = this.container.querySelector('.address-book-table tbody');
+        if (!tbody) return;
+
+        const contacts = addressBookService.getContacts();
+        tbody.innerHTML = contacts.length === 0
+            ? `<tr class="empty-message">
+                   <td colspan="3" class="no-orders-message">
+                       <div class="placeholder-text">No contacts yet</div>
+                   </td>
+               </tr>`
+            : contacts.map(contact => `
+                <tr>
+                    <td>${escapeHtml(contact.label)}</td>
+                    <td class="contact-address">${contact.address}</td>
+                    <td class="action-column">
+                        <button class="contact-edit" data-address="${contact.address}">Edit</button>
+                        <button class="contact-remove" data-address="${contact.address}">Remove</button>
+                    </td>
+                </tr>`).join('');
+    }
+
+    handleSave() {
+        const label = this.container.querySelector('#contactLabel').value;
+        const address = this.container.querySelector('#contactAddress').value.trim();
+        try {
+            addressBookService.saveContact(address, label, this.editingAddress);
+            this.showSuccess(`Saved ${label.trim()}`);
+            this.stopEditing();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    startEditing(address) {
+        const label = addressBookService.getLabel(address);
+        if (label === null) return;
+
+        this.editingAddress = address;
+        this.container.querySelector('#contactLabel').value = label;
+        this.container.querySelector('#contactAddress').value = address;
+        this.container.querySelector('.address-book-save').textContent = 'Save Contact';
+        this.container.querySelector('.address-book-cancel').classList.remove('hidden');
+        this.container.querySelector('#contactLabel').focus();
+    }
+
+    stopEditing() {
+        this.editingAddress = null;
+        this.container.querySelector('#contactLabel').value = '';
+        this.container.querySelector('#contactAddress').value = '';
+        this.container.querySelector('.address-book-save').textContent = 'Add Contact';
+        this.container.querySelector('.address-book-cancel').classList.add('hidden');
+    }
+
+    handleExport() {
+        const url = URL.createObjectURL(new Blob([addressBookService.exportJson()], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `address-book-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async handleImport(file) {
+        try {
+            const { added, updated } = addressBookService.importJson(await file.text());
+            this.showSuccess(`Imported ${added} new and ${updated} updated contacts`);
+        } catch (error) {
+            this.error('Address book import failed:', error);
+            this.showError(`Import failed: ${error.message}`);
+        }
+    }
+
+    cleanup() {
+        addressBookService.unsubscribe(this.contactsListener);
+    }
+}
@@ -0,0 +1,298 @@
+import { BaseComponent } from './BaseComponent.js';
+import { ethers } from 'ethers';
+import { walletManager } from '../config.js';
+import { erc20Abi } from '../abi/erc20.js';
+import { createLogger } from '../services/LogService.js';
+import { contractService } from '../services/ContractService.js';
+import { transactionManager } from '../services/TransactionManager.js';
+import { gasService } from '../services/GasService.js';
+import { simulateTransaction } from '../utils/simulation.js';
+import { getTokenBalanceInfo } from '../utils/contractTokens.js';
+import { formatAmount, formatUsdValue, getUsdValue, parseAmount } from '../utils/fixedPoint.js';
+import { handleTransactionError } from '../utils/ui.js';
+import {
+    APPROVAL_POLICIES,
+    getApprovalPolicy,
+    getTokenAllowances,
+    MAX_BUFFER_PERCENT,
+    setApprovalPolicy,
+    UNLIMITED_ALLOWANCE_THRESHOLD
+} from '../utils/allowances.js';
+
+/**
+ * Approvals granted to the OTC contract for every allowed token and the fee
+ * token, with the USD value the contract could move, revoke and reduce
+ * actions, and the approval policy CreateOrder and ViewOrders use per token.
+ */
+export class Allowances extends BaseComponent {
+    constructor() {
+        super('allowances');
+        this.tokens = []; // { address, symbol, decimals, allowance, balance }
+        this.isLoading = false;
+
+        const logger = createLogger('ALLOWANCES');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    async initialize(readOnlyMode = true) {
+        if (readOnlyMode) {
+            this.container.innerHTML = `
+                <div class="tab-content-wrapper">
+                    <h2>Allowances</h2>
+                    <p class="connect-prompt">Connect wallet to view your token approvals</p>
+                </div>`;
+            return;
+        }
+
+        this.renderLayout();
+        await this.loadAllowances();
+    }
+
+    renderLayout() {
+        this.container.innerHTML = `
+            <div class="allowances">
+                <h2>Allowances</h2>
+                <p class="allowances-intro">
+                    Approvals you have granted the OTC contract. Exposure is what the contract could move
+                    from your wallet now: the smaller of the allowance and your balance.
+                </p>
+                <div class="allowances-actions">
+                    <button type="button" class="allowances-refresh">Refresh</button>
+                    <span class="allowances-total"></span>
+                </div>
+                <table class="orders-table allowances-table">
+                    <thead>
+                        <tr>
+                            <th>Token</th>
+                            <th>Allowance</th>
+                            <th>Exposure</th>
+                            <th>Approval Policy</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>`;
+
+        this.container.querySelector('.allowances-refresh').addEventListener('click', () => this.loadAllowances());
+
+        const tbody = this.container.querySelector('tbody');
+        tbody.addEventListener('change', (e) => {
+            const row = e.target.closest('tr[data-token]');
+            if (row && e.target.matches('.approval-policy, .approval-buffer')) {
+                this.handlePolicyChange(row);
+            }
+        });
+        tbody.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            const row = button?.closest('tr[data-token]');
+            if (!row) return;
+            if (button.classList.contains('allowance-revoke')) {
+                this.updateAllowance(row.dataset.token, ethers.constants.Zero, button);
+            } else if (button.classList.contains('allowance-reduce')) {
+                this.handleReduce(row, button);
+            }
+        });
+    }
+
+    async loadAllowances() {
+        if (this.isLoading) return;
+        this.isLoading = true;
+        const tbody = this.container.querySelector('.allowances-table tbody');
+        tbody.innerHTML = `
+            <tr class="empty-message">
+                <td colspan="5" class="no-orders-message">
+                    <div class="placeholder-text">Loading allowances...</div>
+                </td>
+            </tr>`;
+
+        try {
+            const contract = contractService.getContract();
+            const account = walletManager.getAccount();
+            const [allowedTokens, feeToken] = await Promise.all([
+                contractService.getAllowedTokens(),
+                contract.feeToken()
+            ]);
+            const addresses = [...new Map(
+                [...allowedTokens, feeToken].map(address => [address.toLowerCase(), address])
+            ).values()];
+
+            const allowances = await getTokenAllowances(addresses, account, contract.address);
+            this.tokens = await Promise.all(addresses.map(async address => {
+                const info = await getTokenBalanceInfo(address);
+                return {
+                    address,
+                    symbol: info.symbol,
+                    decimals: info.decimals,
+                    isFeeToken: address.toLowerCase() === feeToken.toLowerCase(),
+                    allowance: allowances.get(address.toLowerCase()),
+                    balance: parseAmount(info.balance, info.decimals) ?? ethers.constants.Zero
+                };
+            }));
+            this.tokens.sort((a, b) => a.symbol.localeCompare(b.symbol));
+            this.debug('Loaded allowances:', this.tokens);
+            this.renderTokens();
+        } catch (error) {
+            this.error('Failed to load allowances:', error);
+            tbody.innerHTML = `
+                <tr class="empty-message">
+                    <td colspan="5" class="no-orders-message">
+                        <div class="placeholder-text">Failed to load allowances</div>
+                    </td>
+                </tr>`;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * @param {Object} token - Entry of this.tokens
+     * @returns {ethers.BigNumber|null} Amount the contract could move now
+     */
+    getExposure(token) {
+        if (!token.allowance) return null;
+        return token.allowance.lt(token.balance) ? token.allowance : token.balance;
+    }
+
+    /**
+     * @param {Object} token - Entry of this.tokens
+     * @returns {ethers.BigNumber|null} USD value of the exposure, if the token has a price
+     */
+    getExposureUsd(token) {
+        const exposure = this.getExposure(token);
+        const price = window.pricingService?.getPrice(token.address);
+        return exposure && price !== undefined ? getUsdValue(exposure, token.decimals, price) : null;
+    }
+
+    renderTokens() {
+        const tbody = this.container.querySelector('.allowances-table tbody');
+        if (!tbody) return;
+
+        if (this.tokens.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-message">
+                    <td colspan="5" class="no-orders-message">
+                        <div class="placeholder-text">No tokens found</div>
+                    </td>
+                </tr>`;
+            this.container.querySelector('.allowances-total').textContent = '';
+            return;
+        }
+
+        tbody.innerHTML = this.tokens.map(token => this.renderTokenRow(token)).join('');
+
+        const totalUsd = this.tokens.reduce((sum, token) => sum.add(this.getExposureUsd(token) ?? 0), ethers.constants.Zero);
+        this.container.querySelector('.allowances-total').textContent = `Total exposure: ${formatUsdValue(totalUsd)}`;
+    }
+
+    renderTokenRow(token) {
+        const { policy, bufferPercent } = getApprovalPolicy(token.address);
+        const exposure = this.getExposure(token);
+        const exposureUsd = this.getExposureUsd(token);
+
+        let allowanceText = 'Unavailable';
+        if (token.allowance?.gte(UNLIMITED_ALLOWANCE_THRESHOLD)) {
+            allowanceText = 'Unlimited';
+        } else if (token.allowance) {
+            allowanceText = formatAmount(token.allowance, token.decimals, 6);
+        }
+
+        let exposureText = 'N/A';
+        if (exposureUsd) {
+            exposureText = formatUsdValue(exposureUsd);
+        } else if (exposure) {
+            exposureText = `${formatAmount(exposure, token.decimals, 6)} ${token.symbol}`;
+        }
+
+        return `
+            <tr data-token="${token.address}">
+                <td title="${token.address}">${token.symbol}${token.isFeeToken ? ' <span class="allowance-fee-token">fee</span>' : ''}</td>
+                <td class="${token.allowance?.gte(UNLIMITED_ALLOWANCE_THRESHOLD) ? 'allowance-unlimited' : ''}">${allowanceText}</td>
+                <td>${exposureText}</td>
+                <td class="allowance-policy">
+                    <select class="approval-policy">
+                        ${Object.entries(APPROVAL_POLICIES).map(([value, label]) =>
+                            `<option value="${value}" ${value === policy ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                    <label class="approval-buffer-label ${policy === 'buffer' ? '' : 'hidden'}">
+                        +<input type="number" class="approval-buffer" min="1" max="${MAX_BUFFER_PERCENT}" step="1" value="${bufferPercent}" />%
+                    </label>
+                </td>
+                <td class="action-column">
+                    ${token.allowance?.gt(0) ? `
+                        <input type="text" class="allowance-reduce-amount" placeholder="New amount" />
+                        <button class="allowance-reduce">Reduce</button>
+                        <button class="allowance-revoke">Revoke</button>` : '-'}
+                </td>
+            </tr>`;
+    }
+
+    handlePolicyChange(row) {
+        const policy = row.querySelector('.approval-policy').value;
+        const bufferInput = row.querySelector('.approval-buffer');
+        try {
+            setApprovalPolicy(row.dataset.token, policy, Number(bufferInput.value));
+            row.querySelector('.approval-buffer-label').classList.toggle('hidden', policy !== 'buffer');
+        } catch (error) {
+            this.showError(error.message);
+            bufferInput.value = getApprovalPolicy(row.dataset.token).bufferPercent;
+        }
+    }
+
+    handleReduce(row, button) {
+        const token = this.tokens.find(t => t.address === row.dataset.token);
+        if (!token?.allowance) return;
+
+        const amount = parseAmount(row.querySelector('.allowance-reduce-amount').value, token.decimals);
+        if (!amount) {
+            this.showError(`Enter the new ${token.symbol} allowance`);
+            return;
+        }
+        if (amount.gte(token.allowance)) {
+            this.showError('The new allowance must be lower than the current one');
+            return;
+        }
+        this.updateAllowance(token.address, amount, button);
+    }
+
+    /**
+     * Replace the contract's allowance for a token
+     * @param {string} tokenAddress
+     * @param {ethers.BigNumber} amount - New allowance; zero revokes
+     * @param {HTMLButtonElement} button - Disabled while the transaction is pending
+     */
+    async updateAllowance(tokenAddress, amount, button) {
+        const token = this.tokens.find(t => t.address === tokenAddress);
+        button.disabled = true;
+        try {
+            const signer = walletManager.getSigner();
+            if (!signer) {
+                throw new Error('Wallet not connected');
+            }
+            const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, signer);
+            const spender = contractService.getContract().address;
+
+            await simulateTransaction(tokenContract, 'approve', [spender, amount]);
+            const feeOverrides = await gasService.getFeeOverrides();
+            this.showInfo('Please confirm the approval in your wallet...');
+            const tx = await transactionManager.send(
+                () => tokenContract.approve(spender, amount, feeOverrides),
+                { type: 'approve', description: `${amount.isZero() ? 'Revoke' : 'Reduce'} ${token.symbol} allowance` }
+            );
+            await transactionManager.wait(tx.hash);
+
+            this.showSuccess(amount.isZero()
+                ? `${token.symbol} allowance revoked`
+                : `${token.symbol} allowance reduced to ${formatAmount(amount, token.decimals, 6)}`);
+            await this.loadAllowances();
+        } catch (error) {
+            this.debug('Allowance update error:', error);
+            handleTransactionError(error, this, 'allowance update');
+        } finally {
+            button.disabled = false;
+        }
+    }
+}
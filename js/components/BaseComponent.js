@@ -2,6 +2,8 @@ import { walletManager } from '../config.js';
 import { ethers } from 'ethers';
 import { erc20Abi } from '../abi/erc20.js';
 import { createLogger } from '../services/LogService.js';
+import { gasService } from '../services/GasService.js';
+import { gasFeeDialog } from './GasFeeDialog.js';
 
 export class BaseComponent {
     constructor(containerId) {
@@ -115,6 +117,39 @@ export class BaseComponent {
         }
     }
 
+    /**
+     * Estimate gas and let the user pick fees before the wallet prompt
+     * @param {Function} estimateGas - Returns the gas estimate of the transaction
+     * @param {Object} options
+     * @param {string} options.description - What the user is signing
+     * @param {number} [options.bufferPercent] - Gas limit headroom over the estimate
+     * @param {number} [options.txCount=1] - Transactions that will reuse the fees
+     * @returns {Promise<Object|null>} gasLimit and fee overrides, or null if the user declined
+     * @throws {Error} If gas estimation fails, e.g. because the call would revert
+     */
+    async confirmGasFees(estimateGas, { description, bufferPercent, txCount = 1 }) {
+        const gasUsed = await estimateGas();
+        const gasLimit = gasService.withGasBuffer(gasUsed, bufferPercent);
+        const fees = await gasFeeDialog.open({ gasUsed, gasLimit, description, txCount });
+        return fees ? { gasLimit, ...fees } : null;
+    }
+
+    /**
+     * Action fixing a ContractError, offered as a button on its error toast.
+     * Components that can approve tokens override this and fall back here.
+     * @param {ContractError} error - Error with details.fix
+     * @returns {Function|null} Async action, or null if this component can't fix it
+     */
+    getContractErrorFix(error) {
+        if (error.details.fix?.action === 'refreshOrders' && window.webSocket) {
+            return async () => {
+                await window.webSocket.syncAllOrders();
+                await window.app?.refreshActiveComponent();
+            };
+        }
+        return null;
+    }
+
     // Add this method to BaseComponent.js
     async getTokenDetails(tokenAddresses) {
         try {
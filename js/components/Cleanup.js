@@ -2,6 +2,8 @@ import { ethers } from 'ethers';
 import { BaseComponent } from './BaseComponent.js';
 import { createLogger } from '../services/LogService.js';
 import { handleTransactionError, isUserRejection } from '../utils/ui.js';
+import { transactionManager } from '../services/TransactionManager.js';
+import { simulateTransaction } from '../utils/simulation.js';
 
 export class Cleanup extends BaseComponent {
     constructor(containerId) {
@@ -417,62 +419,57 @@ export class Cleanup extends BaseComponent {
                 .add(ethers.BigNumber.from('25000'));             // Buffer for contract state changes
 
             // Try multiple gas estimation attempts with fallback
-            let gasEstimate;
-            try {
-                // Try actual contract estimation first
-                gasEstimate = await contractWithSigner.estimateGas.cleanupExpiredOrders();
-                this.debug('Initial gas estimation:', gasEstimate.toString());
-            } catch (estimateError) {
-                this.warn('Primary gas estimation failed:', estimateError);
+            const estimateCleanupGas = async () => {
+                try {
+                    // Try actual contract estimation first
+                    const gasEstimate = await contractWithSigner.estimateGas.cleanupExpiredOrders();
+                    this.debug('Initial gas estimation:', gasEstimate.toString());
+                    return gasEstimate;
+                } catch (estimateError) {
+                    this.warn('Primary gas estimation failed:', estimateError);
+                }
                 try {
                     // Fallback: Try estimation with higher gas limit
-                    gasEstimate = await contractWithSigner.estimateGas.cleanupExpiredOrders({
+                    const gasEstimate = await contractWithSigner.estimateGas.cleanupExpiredOrders({
                         gasLimit: baseGasEstimate.mul(2) // Double the base estimate
                     });
                     this.debug('Fallback gas estimation succeeded:', gasEstimate.toString());
+                    return gasEstimate;
                 } catch (fallbackError) {
                     this.warn('Fallback gas estimation failed:', fallbackError);
                     // Use calculated estimate as last resort
-                    gasEstimate = baseGasEstimate;
-                    this.debug('Using base gas estimate:', gasEstimate.toString());
+                    this.debug('Using base gas estimate:', baseGasEstimate.toString());
+                    return baseGasEstimate;
                 }
-            }
-
-            // Add 30% buffer for safety (increased from 20% due to retry mechanism)
-            const gasLimit = gasEstimate.mul(130).div(100);
-
-            const feeData = await contract.provider.getFeeData();
-            if (!feeData?.gasPrice) {
-                throw new Error('Unable to get current gas prices');
-            }
-
-            const txOptions = {
-                gasLimit,
-                gasPrice: feeData.gasPrice,
-                type: 0  // Legacy transaction
             };
 
-            this.debug('Transaction options:', {
-                gasLimit: gasLimit.toString(),
-                gasPrice: feeData.gasPrice.toString(),
-                estimatedCost: ethers.utils.formatEther(gasLimit.mul(feeData.gasPrice)) + ' ETH'
+            await simulateTransaction(contractWithSigner, 'cleanupExpiredOrders');
+
+            // 30% gas buffer for safety (increased from 20% due to retry mechanism)
+            const txOptions = await this.confirmGasFees(estimateCleanupGas, {
+                description: 'Clean up expired orders',
+                bufferPercent: 30
             });
+            if (!txOptions) {
+                this.showInfo('Cleanup canceled');
+                return;
+            }
+            this.debug('Transaction options:', txOptions);
 
             // Execute cleanup transaction
             console.log('[Cleanup] Sending transaction with options:', txOptions);
-            const tx = await contractWithSigner.cleanupExpiredOrders(txOptions);
+            const tx = await transactionManager.send(
+                () => contractWithSigner.cleanupExpiredOrders(txOptions),
+                { type: 'cleanup', description: 'Clean up expired orders' }
+            );
             console.log('[Cleanup] Transaction sent:', tx.hash);
 
-            const receipt = await tx.wait();
+            const receipt = await transactionManager.wait(tx.hash);
             console.log('[Cleanup] Transaction confirmed:', receipt);
 
-            if (receipt.status === 1) {
-                // Enhanced event parsing with detailed feedback
-                const result = await this.parseCleanupEvents(receipt, signer);
-                await this.handleCleanupResult(result);
-                return;
-            }
-            throw new Error('Transaction failed during execution');
+            // Enhanced event parsing with detailed feedback
+            const result = await this.parseCleanupEvents(receipt, signer, contract);
+            await this.handleCleanupResult(result);
 
         } catch (error) {
             // Use utility function for consistent error handling
@@ -487,8 +484,22 @@ export class Cleanup extends BaseComponent {
     // TODO: if things get changed in ABI, this will need to be updated 
     // TODO: create constants for event names and use them here
     // New method to parse cleanup events with detailed analysis
-    async parseCleanupEvents(receipt, signer) {
-        const events = receipt.events || [];
+    async parseCleanupEvents(receipt, signer, contract) {
+        // transactionManager.wait resolves with a plain receipt, so decode the
+        // contract's logs here; token transfer logs are skipped
+        const contractAddress = contract.address.toLowerCase();
+        const events = (receipt.logs || [])
+            .filter(log => log.address.toLowerCase() === contractAddress)
+            .map(log => {
+                try {
+                    const parsed = contract.interface.parseLog(log);
+                    return { event: parsed.name, args: parsed.args };
+                } catch (error) {
+                    this.debug('Skipping unknown cleanup log:', log);
+                    return null;
+                }
+            })
+            .filter(Boolean);
         const userAddress = await signer.getAddress();
         
         // Parse all relevant events
@@ -680,8 +691,22 @@ export class Cleanup extends BaseComponent {
             this.disableContractButton.disabled = true;
             this.disableContractButton.textContent = 'Disabling...';
 
-            const tx = await contractWithSigner.disableContract();
-            await tx.wait();
+            await simulateTransaction(contractWithSigner, 'disableContract');
+            const txOptions = await this.confirmGasFees(
+                () => contractWithSigner.estimateGas.disableContract(),
+                { description: 'Disable contract' }
+            );
+            if (!txOptions) {
+                this.disableContractButton.disabled = false;
+                this.disableContractButton.textContent = 'Disable Contract';
+                return;
+            }
+
+            const tx = await transactionManager.send(
+                () => contractWithSigner.disableContract(txOptions),
+                { type: 'disableContract', description: 'Disable contract' }
+            );
+            await transactionManager.wait(tx.hash);
 
             this.showSuccess('Contract successfully disabled');
             this.disableContractButton.textContent = 'Contract Disabled';
@@ -742,8 +767,18 @@ export class Cleanup extends BaseComponent {
             this.updateFeeConfigButton.disabled = true;
             this.updateFeeConfigButton.textContent = 'Updating...';
 
-            const tx = await contractWithSigner.updateFeeConfig(feeToken, feeAmount);
-            await tx.wait();
+            await simulateTransaction(contractWithSigner, 'updateFeeConfig', [feeToken, feeAmount]);
+            const txOptions = await this.confirmGasFees(
+                () => contractWithSigner.estimateGas.updateFeeConfig(feeToken, feeAmount),
+                { description: 'Update fee config' }
+            );
+            if (!txOptions) return;
+
+            const tx = await transactionManager.send(
+                () => contractWithSigner.updateFeeConfig(feeToken, feeAmount, txOptions),
+                { type: 'updateFeeConfig', description: 'Update fee config' }
+            );
+            await transactionManager.wait(tx.hash);
 
             // Clear the form
             document.getElementById('fee-token').value = '';
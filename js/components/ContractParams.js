@@ -67,7 +67,7 @@ export class ContractParams extends BaseComponent {
                 Object.entries(paramMethods).map(async ([key, method]) => {
                     try {
                         params[key] = await window.webSocket.queueRequest(
-                            async () => contract[method]()
+                            async (provider) => contract.connect(provider)[method]()
                         );
                         this.debug(`Fetched ${key}:`, params[key]);
                     } catch (e) {
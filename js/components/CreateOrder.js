@@ -1,7 +1,7 @@
 import { BaseComponent } from './BaseComponent.js';
 import { ethers } from 'ethers';
-import { getNetworkConfig, walletManager } from '../config.js';
-import { setVisibility } from '../utils/ui.js';
+import { getNetworkById, getNetworkConfig, ORDER_CONSTANTS, walletManager } from '../config.js';
+import { copyToClipboard, escapeHtml, renderLookalikeWarning, setVisibility } from '../utils/ui.js';
 import { erc20Abi } from '../abi/erc20.js';
 import { getContractAllowedTokens, getAllWalletTokens, clearTokenCaches } from '../utils/contractTokens.js';
 import { contractService } from '../services/ContractService.js';
@@ -9,7 +9,52 @@ import { createLogger } from '../services/LogService.js';
 import { validateSellBalance } from '../utils/balanceValidation.js';
 import { tokenIconService } from '../services/TokenIconService.js';
 import { generateTokenIconHTML, getFallbackIconData } from '../utils/tokenIcons.js';
-import { handleTransactionError } from '../utils/ui.js';
+import { handleTransactionError, isUserRejection } from '../utils/ui.js';
+import {
+    clearPendingAmendment,
+    loadPendingAmendment,
+    recordAmendment,
+    savePendingAmendment
+} from '../utils/orderAmendments.js';
+import {
+    buildLadder,
+    clearPendingLadder,
+    getLadderSellTotal,
+    LADDER_MAX_TRANCHES,
+    loadPendingLadder,
+    savePendingLadder
+} from '../utils/orderLadders.js';
+import { getDealUrl, isDealLink, parseDealParams } from '../utils/dealLinks.js';
+import { getQrCodeDataUrl } from '../utils/qrCode.js';
+import { routerService } from '../services/RouterService.js';
+import { addressBookService } from '../services/AddressBookService.js';
+import { contractSupportsPermit, EMPTY_PERMIT, getPermitDomain, signPermit } from '../utils/permit.js';
+import { getApprovalAmount } from '../utils/allowances.js';
+import { transactionManager, TX_STATUS } from '../services/TransactionManager.js';
+import { gasService } from '../services/GasService.js';
+import { simulateTransaction } from '../utils/simulation.js';
+import { ContractError } from '../errors/ContractErrors.js';
+import {
+    convertAmount,
+    formatAmount,
+    formatFixed,
+    getAmountForUsdValue,
+    getDealRatio,
+    getUsdValue,
+    isPositiveAmount,
+    parseAmount,
+    toNumber,
+    USD_DECIMALS
+} from '../utils/fixedPoint.js';
+
+// Ways to enter an order. Outside 'amounts' the buy amount is derived from the
+// sell amount and the value entered for the mode.
+const PRICE_ENTRY_MODES = {
+    amounts: 'Amounts',
+    price: 'Unit price',
+    premium: 'vs Market',
+    usd: 'USD value'
+};
 
 export class CreateOrder extends BaseComponent {
     // Liberdus token address constant
@@ -31,12 +76,23 @@ export class CreateOrder extends BaseComponent {
         this.tokenSelectorListeners = {};  // Store listeners to prevent duplicates
         this.boundWindowClickHandler = null;
         this.amountInputListeners = {};
+        this.amendment = null; // Order being edited through cancel-and-replace
+        this.priceEntryMode = 'amounts';
+        this.isApplyingPriceEntry = false;
+        this.ladderEnabled = false;
+        this.ladder = null; // Ladder being submitted, with per-order status
+        this.pendingDeal = null; // Deal link params waiting for the form to load
         
         // Initialize logger
         const logger = createLogger('CREATE_ORDER');
         this.debug = logger.debug.bind(logger);
         this.error = logger.error.bind(logger);
         this.warn = logger.warn.bind(logger);
+
+        addressBookService.subscribe(() => {
+            this.populateTakerSuggestions();
+            this.updateTakerHint();
+        });
     }
 
     // Add debounce as a class method
@@ -208,6 +264,14 @@ export class CreateOrder extends BaseComponent {
             
             // Initialize amount input listeners
             this.initializeAmountInputs();
+            this.initializePriceEntry();
+            this.initializeLadder();
+            this.initializeDealLinks();
+            this.initializeTakerAutocomplete();
+
+            await this.restorePendingAmendment();
+            await this.restorePendingLadder();
+            await this.applyPendingDeal();
             
             this.initialized = true;
             this.debug('Initialization complete');
@@ -321,7 +385,7 @@ export class CreateOrder extends BaseComponent {
         }
         
         // Disable input fields
-        ['partner', 'sellToken', 'sellAmount', 'buyToken', 'buyAmount'].forEach(id => {
+        ['partner', 'sellToken', 'sellAmount', 'buyToken', 'buyAmount', 'priceEntryInput'].forEach(id => {
             const element = document.getElementById(id);
             if (element) element.disabled = true;
         });
@@ -343,7 +407,7 @@ export class CreateOrder extends BaseComponent {
         }
         
         // Enable input fields
-        ['partner', 'sellToken', 'sellAmount', 'buyToken', 'buyAmount'].forEach(id => {
+        ['partner', 'sellToken', 'sellAmount', 'buyToken', 'buyAmount', 'priceEntryInput'].forEach(id => {
             const element = document.getElementById(id);
             if (element) element.disabled = false;
         });
@@ -483,6 +547,10 @@ export class CreateOrder extends BaseComponent {
 
     async handleCreateOrder(event) {
         event.preventDefault();
+
+        if (this.ladderEnabled) {
+            return this.handleCreateLadder();
+        }
         
         if (this.isSubmitting) {
             this.debug('Already processing a transaction');
@@ -517,84 +585,35 @@ export class CreateOrder extends BaseComponent {
             // Get form values
             let taker = document.getElementById('takerAddress')?.value.trim() || '';
             
-            // Validate sell token
-            if (!this.sellToken || !this.sellToken.address) {
-                this.debug('Invalid sell token:', this.sellToken);
-                this.showError('Please select a valid token to sell');
+            if (!(await this.validateOrderTokens())) {
                 return;
             }
 
-            // Validate buy token
-            if (!this.buyToken || !this.buyToken.address) {
-                this.debug('Invalid buy token:', this.buyToken);
-                this.showError('Please select a valid token to buy');
-                return;
-            }
+            const sellAmount = document.getElementById('sellAmount')?.value.trim();
+            const buyAmount = document.getElementById('buyAmount')?.value.trim();
 
-            // Check if the same token is selected for both buy and sell
-            if (this.sellToken.address.toLowerCase() === this.buyToken.address.toLowerCase()) {
-                this.showError(`Cannot create an order with the same token (${this.sellToken.symbol}) for both buy and sell. Please select different tokens.`);
+            // Validate inputs
+            const sellTokenDecimals = await this.getTokenDecimals(this.sellToken.address);
+            const buyTokenDecimals = await this.getTokenDecimals(this.buyToken.address);
+            const sellAmountWei = parseAmount(sellAmount, sellTokenDecimals);
+            const buyAmountWei = parseAmount(buyAmount, buyTokenDecimals);
+            if (!sellAmountWei?.gt(0)) {
+                this.showError(`Please enter a valid sell amount (up to ${sellTokenDecimals} decimals)`);
                 return;
             }
-
-            // Validate that one of the tokens must be Liberdus (LIB) - controlled by debug flag
-            if (window.DEBUG_CONFIG?.LIBERDUS_VALIDATION) {
-                const sellTokenIsLiberdus = this.isLiberdusToken(this.sellToken.address);
-                const buyTokenIsLiberdus = this.isLiberdusToken(this.buyToken.address);
-                
-                if (!sellTokenIsLiberdus && !buyTokenIsLiberdus) {
-                    this.debug('Liberdus validation failed');
-                    this.showError('One of the tokens must be Liberdus (LIB). Please select Liberdus as either the buy or sell token.');
-                    return;
-                }
+            if (!buyAmountWei?.gt(0)) {
+                this.showError(`Please enter a valid buy amount (up to ${buyTokenDecimals} decimals)`);
+                return;
             }
 
-            // Validate that both tokens are allowed in the contract
-            try {
-                const [sellTokenAllowed, buyTokenAllowed] = await Promise.all([
-                    contractService.isTokenAllowed(this.sellToken.address),
-                    contractService.isTokenAllowed(this.buyToken.address)
-                ]);
-
-                if (!sellTokenAllowed) {
-                    this.showError(`Sell token ${this.sellToken.symbol} is not allowed for trading. Please select an allowed token.`);
-                    return;
-                }
-
-                if (!buyTokenAllowed) {
-                    this.showError(`Buy token ${this.buyToken.symbol} is not allowed for trading. Please select an allowed token.`);
+            // Editing an order: cancel it first so its sell tokens are back in the wallet
+            if (this.amendment?.step === 'cancel') {
+                const canceled = await this.cancelAmendedOrder(signer);
+                if (!canceled) {
                     return;
                 }
-
-                this.debug('Token validation passed - both tokens are allowed');
-            } catch (validationError) {
-                this.debug('Token validation error:', validationError);
-                this.showError('Unable to validate tokens. Please try again.');
-                return;
-            }
-
-            // Validate addresses
-            if (!ethers.utils.isAddress(this.sellToken.address)) {
-                this.debug('Invalid sell token address:', this.sellToken.address);
-                this.showError('Invalid sell token address');
-                return;
-            }
-            if (!ethers.utils.isAddress(this.buyToken.address)) {
-                this.debug('Invalid buy token address:', this.buyToken.address);
-                this.showError('Invalid buy token address');
-                return;
-            }
-
-            const sellAmount = document.getElementById('sellAmount')?.value.trim();
-            const buyAmount = document.getElementById('buyAmount')?.value.trim();
-
-            // Validate inputs
-            if (!sellAmount || isNaN(sellAmount) || parseFloat(sellAmount) <= 0) {
-                this.showError('Please enter a valid sell amount');
-                return;
             }
-            if (!buyAmount || isNaN(buyAmount) || parseFloat(buyAmount) <= 0) {
-                this.showError('Please enter a valid buy amount');
+            if (this.amendment?.step === 'create' && !(await this.checkReplacementNeeded())) {
                 return;
             }
 
@@ -632,12 +651,6 @@ export class CreateOrder extends BaseComponent {
                 throw new Error('Invalid taker address format');
             }
 
-            // Convert amounts to wei
-            const sellTokenDecimals = await this.getTokenDecimals(this.sellToken.address);
-            const buyTokenDecimals = await this.getTokenDecimals(this.buyToken.address);
-            const sellAmountWei = ethers.utils.parseUnits(sellAmount, sellTokenDecimals);
-            const buyAmountWei = ethers.utils.parseUnits(buyAmount, buyTokenDecimals);
-
             // Debug logs to check amounts and allowance
             this.debug('Sell amount in wei:', sellAmountWei.toString());
             this.debug('Buy amount in wei:', buyAmountWei.toString());
@@ -645,31 +658,48 @@ export class CreateOrder extends BaseComponent {
             // Check and approve tokens with retry mechanism
             let retryCount = 0;
             const maxRetries = 2;
+            let createdReceipt = null;
 
             while (retryCount <= maxRetries) {
                 try {
-                    // Check and approve tokens
-                    const sellTokenApproved = await this.checkAndApproveToken(this.sellToken.address, sellAmountWei);
-                    if (!sellTokenApproved) {
-                        return;
-                    }
-
-                    const feeTokenApproved = await this.checkAndApproveToken(this.feeToken.address, this.feeToken.amount);
-                    if (!feeTokenApproved) {
+                    // Sign permits where the tokens support them, approve the rest
+                    const permits = await this.authorizeOrderTokens(sellAmountWei);
+                    if (!permits) {
                         return;
                     }
 
                     // Add small delay after approvals
                     await new Promise(resolve => setTimeout(resolve, 1000));
 
-                    // Create order
-                    this.showInfo('Creating order...');
-                    const tx = await this.contract.createOrder(
+                    const orderArgs = [
                         taker,
                         this.sellToken.address,
                         sellAmountWei,
                         this.buyToken.address,
                         buyAmountWei
+                    ];
+                    if (permits.signed) {
+                        orderArgs.push(permits.sellPermit, permits.feePermit);
+                    }
+                    const createMethod = permits.signed ? 'createOrderWithPermit' : 'createOrder';
+                    await simulateTransaction(this.contract, createMethod, orderArgs, {
+                        sellToken: this.sellToken.address,
+                        sellAmount: sellAmountWei
+                    });
+                    const txOptions = await this.confirmGasFees(
+                        () => this.contract.estimateGas[createMethod](...orderArgs),
+                        { description: 'Create order' }
+                    );
+                    if (!txOptions) {
+                        this.showWarning('Order creation declined');
+                        return;
+                    }
+
+                    // Create order
+                    this.showInfo('Creating order...');
+                    const tx = await transactionManager.send(
+                        () => this.contract[createMethod](...orderArgs, txOptions),
+                        { type: 'createOrder', description: 'Create order' }
                     ).catch(error => {
                         if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
                             this.showWarning('Order creation declined');
@@ -680,22 +710,19 @@ export class CreateOrder extends BaseComponent {
 
                     if (!tx) return; // User rejected the transaction
 
+                    if (this.amendment) {
+                        // Lets a resubmit find this replacement if it confirms late
+                        this.amendment = { ...this.amendment, createTxHash: tx.hash };
+                        savePendingAmendment(this.amendment);
+                    }
+
                     this.showInfo('Waiting for confirmation...');
                     
-                    // Add timeout handling for tx.wait()
-                    const waitPromise = tx.wait();
-                    const timeoutPromise = new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Transaction timeout - please check your wallet')), 30000)
-                    );
-                    
-                    const receipt = await Promise.race([waitPromise, timeoutPromise]);
-                    
-                    // Verify transaction was actually successful
-                    if (!receipt || receipt.status === 0) {
-                        throw new Error('Transaction failed on-chain');
-                    }
+                    // Follows speed-ups; rejects if the transaction reverts, is canceled or dropped
+                    const receipt = await transactionManager.wait(tx.hash);
                     
                     this.debug('Transaction confirmed successfully:', receipt);
+                    createdReceipt = receipt;
                     
                     // After success: clear cached balances and refresh any open token modals
                     try {
@@ -717,12 +744,6 @@ export class CreateOrder extends BaseComponent {
                     retryCount++;
                     this.debug(`Create order attempt ${retryCount} failed:`, error);
 
-                    // Handle timeout specifically
-                    if (error.message?.includes('Transaction timeout')) {
-                        this.showError('Transaction timed out. Please check your wallet and try again.');
-                        return; // Don't retry timeouts, let user try manually
-                    }
-
                     // Handle on-chain failures
                     if (error.message?.includes('Transaction failed on-chain')) {
                         this.showError('Transaction failed on-chain. Please check your balance and try again.');
@@ -740,7 +761,23 @@ export class CreateOrder extends BaseComponent {
                 }
             }
 
-            this.showSuccess('Order created successfully!');
+            const newOrderId = this.getCreatedOrderId(createdReceipt);
+            if (newOrderId !== null) {
+                this.renderCreatedOrderShare(newOrderId, taker);
+            }
+
+            if (this.amendment) {
+                const { oldOrderId } = this.amendment;
+                if (newOrderId !== null) {
+                    recordAmendment(oldOrderId, newOrderId);
+                }
+                this.endAmendment();
+                this.showSuccess(newOrderId !== null
+                    ? `Order #${oldOrderId} replaced by order #${newOrderId}`
+                    : `Order #${oldOrderId} replaced successfully!`);
+            } else {
+                this.showSuccess('Order created successfully!');
+            }
             // this.resetForm();  // Commented out - not resetting form
             
             // Reload orders if needed
@@ -751,11 +788,312 @@ export class CreateOrder extends BaseComponent {
             this.debug('Create order error:', error);
             // Use utility function for consistent error handling
             handleTransactionError(error, this, 'order creation');
+            if (this.amendment?.step === 'create') {
+                this.showWarning(`Order #${this.amendment.oldOrderId} is canceled and its tokens are back in your wallet. Submit again to create the replacement.`);
+            }
         } finally {
             this.isSubmitting = false;
             createOrderBtn.disabled = false;
             createOrderBtn.classList.remove('disabled');
+            this.renderAmendmentBanner();
+        }
+    }
+
+    /**
+     * Checks shared by single orders and ladders: both tokens selected, different,
+     * allowed by the contract and (when enabled) one of them Liberdus
+     * @returns {Promise<boolean>} Whether the tokens are valid; errors are shown to the user
+     */
+    async validateOrderTokens() {
+        // Validate sell token
+        if (!this.sellToken || !this.sellToken.address) {
+            this.debug('Invalid sell token:', this.sellToken);
+            this.showError('Please select a valid token to sell');
+            return false;
+        }
+
+        // Validate buy token
+        if (!this.buyToken || !this.buyToken.address) {
+            this.debug('Invalid buy token:', this.buyToken);
+            this.showError('Please select a valid token to buy');
+            return false;
+        }
+
+        // Check if the same token is selected for both buy and sell
+        if (this.sellToken.address.toLowerCase() === this.buyToken.address.toLowerCase()) {
+            this.showError(`Cannot create an order with the same token (${this.sellToken.symbol}) for both buy and sell. Please select different tokens.`);
+            return false;
+        }
+
+        // Validate that one of the tokens must be Liberdus (LIB) - controlled by debug flag
+        if (window.DEBUG_CONFIG?.LIBERDUS_VALIDATION) {
+            const sellTokenIsLiberdus = this.isLiberdusToken(this.sellToken.address);
+            const buyTokenIsLiberdus = this.isLiberdusToken(this.buyToken.address);
+            
+            if (!sellTokenIsLiberdus && !buyTokenIsLiberdus) {
+                this.debug('Liberdus validation failed');
+                this.showError('One of the tokens must be Liberdus (LIB). Please select Liberdus as either the buy or sell token.');
+                return false;
+            }
+        }
+
+        // Validate that both tokens are allowed in the contract
+        try {
+            const [sellTokenAllowed, buyTokenAllowed] = await Promise.all([
+                contractService.isTokenAllowed(this.sellToken.address),
+                contractService.isTokenAllowed(this.buyToken.address)
+            ]);
+
+            if (!sellTokenAllowed) {
+                this.showError(`Sell token ${this.sellToken.symbol} is not allowed for trading. Please select an allowed token.`);
+                return false;
+            }
+
+            if (!buyTokenAllowed) {
+                this.showError(`Buy token ${this.buyToken.symbol} is not allowed for trading. Please select an allowed token.`);
+                return false;
+            }
+
+            this.debug('Token validation passed - both tokens are allowed');
+        } catch (validationError) {
+            this.debug('Token validation error:', validationError);
+            this.showError('Unable to validate tokens. Please try again.');
+            return false;
+        }
+
+        // Validate addresses
+        if (!ethers.utils.isAddress(this.sellToken.address)) {
+            this.debug('Invalid sell token address:', this.sellToken.address);
+            this.showError('Invalid sell token address');
+            return false;
+        }
+        if (!ethers.utils.isAddress(this.buyToken.address)) {
+            this.debug('Invalid buy token address:', this.buyToken.address);
+            this.showError('Invalid buy token address');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Start editing an open order. The form is pre-filled with the order and
+     * submitting it cancels the order, then creates the replacement.
+     * @param {Object} order - Order from the WebSocket order cache
+     */
+    async startAmendment(order) {
+        const sellTokenInfo = await window.webSocket.getTokenInfo(order.sellToken);
+        const buyTokenInfo = await window.webSocket.getTokenInfo(order.buyToken);
+
+        this.amendment = {
+            oldOrderId: order.id,
+            step: 'cancel',
+            sellToken: order.sellToken,
+            sellAmount: ethers.utils.formatUnits(order.sellAmount, sellTokenInfo.decimals),
+            buyToken: order.buyToken,
+            buyAmount: ethers.utils.formatUnits(order.buyAmount, buyTokenInfo.decimals),
+            taker: order.taker
+        };
+        this.debug('Starting amendment of order', order.id);
+
+        this.setLadderEnabled(false);
+        await this.prefillOrderForm(this.amendment);
+        this.renderAmendmentBanner();
+    }
+
+    // Pick up an amendment whose replacement order was never created
+    async restorePendingAmendment() {
+        if (this.amendment) return;
+        const pending = loadPendingAmendment();
+        if (!pending) return;
+
+        this.debug('Restoring pending amendment of order', pending.oldOrderId);
+        this.amendment = pending;
+        await this.prefillOrderForm(pending);
+        this.renderAmendmentBanner();
+    }
+
+    async prefillOrderForm({ sellToken, sellAmount, buyToken, buyAmount, taker }) {
+        const findToken = async (address) => {
+            const walletToken = (this.allowedTokens || []).find(token =>
+                token.address.toLowerCase() === address.toLowerCase()
+            );
+            return walletToken || window.webSocket.getTokenInfo(address);
+        };
+
+        // Prefilled amounts are exact, so don't derive the buy amount from them
+        this.setPriceEntryMode('amounts');
+        if (sellToken) {
+            await this.handleTokenSelect('sell', await findToken(sellToken));
+        }
+        if (buyToken) {
+            await this.handleTokenSelect('buy', await findToken(buyToken));
+        }
+
+        // handleTokenSelect replaces the amount inputs, so fill them afterwards
+        ['sell', 'buy'].forEach(type => {
+            const input = document.getElementById(`${type}Amount`);
+            if (input) {
+                input.value = type === 'sell' ? sellAmount : buyAmount;
+                this.updateTokenAmounts(type);
+            }
+        });
+
+        const takerInput = document.getElementById('takerAddress');
+        const isPublic = !taker || taker === ethers.constants.AddressZero;
+        if (takerInput) {
+            takerInput.value = isPublic ? '' : taker;
+        }
+        if (!isPublic) {
+            document.querySelector('.taker-toggle')?.classList.add('active');
+            document.querySelector('.taker-input-content')?.classList.remove('hidden');
+        }
+        this.updateTakerHint();
+    }
+
+    renderAmendmentBanner() {
+        const banner = document.getElementById('amendmentBanner');
+        const createOrderBtn = document.getElementById('createOrderBtn');
+        if (!banner) return;
+
+        if (!this.amendment) {
+            banner.classList.add('hidden');
+            banner.innerHTML = '';
+            if (createOrderBtn) createOrderBtn.textContent = 'Create Order';
+            return;
+        }
+
+        const { oldOrderId, step } = this.amendment;
+        banner.innerHTML = step === 'cancel'
+            ? `<span>Editing order #${oldOrderId}. Submitting cancels it and creates a replacement.</span>
+               <button class="amendment-discard">Stop editing</button>`
+            : `<span>Order #${oldOrderId} was canceled but its replacement was not created.
+               Submit again to create it.</span>
+               <button class="amendment-discard">Discard replacement</button>`;
+        banner.classList.remove('hidden');
+        banner.querySelector('.amendment-discard').addEventListener('click', () => this.endAmendment());
+
+        if (createOrderBtn) {
+            createOrderBtn.textContent = step === 'cancel'
+                ? `Cancel & Replace Order #${oldOrderId}`
+                : 'Create Replacement Order';
+        }
+    }
+
+    endAmendment() {
+        this.amendment = null;
+        clearPendingAmendment();
+        this.renderAmendmentBanner();
+    }
+
+    /**
+     * First step of cancel-and-replace. Once the cancel is confirmed the
+     * amendment is persisted so a failed create can be retried.
+     * @returns {Promise<boolean>} Whether the order was canceled
+     */
+    async cancelAmendedOrder(signer) {
+        const { oldOrderId } = this.amendment;
+        try {
+            const contractWithSigner = this.contract.connect(signer);
+            await simulateTransaction(contractWithSigner, 'cancelOrder', [oldOrderId]);
+            const txOptions = await this.confirmGasFees(
+                () => contractWithSigner.estimateGas.cancelOrder(oldOrderId),
+                { description: `Cancel order #${oldOrderId}` }
+            );
+            if (!txOptions) return false;
+            this.showInfo(`Canceling order #${oldOrderId}...`);
+            const tx = await transactionManager.send(
+                () => contractWithSigner.cancelOrder(oldOrderId, txOptions),
+                { type: 'cancelOrder', description: `Cancel order #${oldOrderId}`, orderId: oldOrderId }
+            );
+            await transactionManager.wait(tx.hash);
+
+            // Keep the form values with the pending step so a reload can recover
+            this.amendment = {
+                ...this.amendment,
+                step: 'create',
+                cancelTxHash: tx.hash,
+                sellAmount: document.getElementById('sellAmount')?.value.trim(),
+                buyAmount: document.getElementById('buyAmount')?.value.trim(),
+                sellToken: this.sellToken.address,
+                buyToken: this.buyToken.address,
+                taker: document.getElementById('takerAddress')?.value.trim() || ethers.constants.AddressZero
+            };
+            savePendingAmendment(this.amendment);
+            this.renderAmendmentBanner();
+            this.showInfo(`Order #${oldOrderId} canceled, creating replacement...`);
+            return true;
+        } catch (error) {
+            this.debug('Amendment cancel error:', error);
+            handleTransactionError(error, this, 'order cancellation');
+            return false;
+        }
+    }
+
+    /**
+     * Second step of cancel-and-replace, run before each create attempt. The
+     * saved amendment can be stale: an earlier replacement may have confirmed
+     * after the app gave up waiting, or the old order may no longer be
+     * canceled on chain. Ends or resets the amendment in those cases.
+     * @returns {Promise<boolean>} Whether the replacement should be created
+     */
+    async checkReplacementNeeded() {
+        const { oldOrderId, createTxHash } = this.amendment;
+
+        const record = createTxHash ? transactionManager.getTransaction(createTxHash) : null;
+        if (record?.status === TX_STATUS.PENDING) {
+            this.showWarning(`The replacement for order #${oldOrderId} is still pending. Check your transactions before submitting again.`);
+            return false;
+        }
+        const mined = record && transactionManager.getGroup(record).find(tx => tx.status === TX_STATUS.CONFIRMED);
+        if (mined) {
+            const receipt = await this.contract.provider.getTransactionReceipt(mined.hash);
+            const newOrderId = this.getCreatedOrderId(receipt);
+            if (newOrderId !== null) {
+                recordAmendment(oldOrderId, newOrderId);
+                this.endAmendment();
+                this.showWarning(`Order #${oldOrderId} was already replaced by order #${newOrderId}`);
+                return false;
+            }
+        }
+
+        const oldOrder = await this.contract.orders(oldOrderId);
+        if (oldOrder.maker === ethers.constants.AddressZero) {
+            // Cleaned-up orders are deleted, which reads back as an empty Active order
+            this.endAmendment();
+            this.showWarning(`Order #${oldOrderId} was cleaned up, so it was not replaced. Submit again to create a new order.`);
+            return false;
+        }
+        const status = ORDER_CONSTANTS.STATUS_MAP[oldOrder.status];
+        if (status === 'Active') {
+            // The cancel did not stick; start over from the cancel step
+            clearPendingAmendment();
+            this.amendment = { ...this.amendment, step: 'cancel', createTxHash: null };
+            this.renderAmendmentBanner();
+            this.showWarning(`Order #${oldOrderId} is still active. Submit again to cancel it before replacing it.`);
+            return false;
+        }
+        if (status !== 'Canceled') {
+            this.endAmendment();
+            this.showWarning(`Order #${oldOrderId} was ${status.toLowerCase()} before it was canceled, so it was not replaced. Submit again to create a new order.`);
+            return false;
+        }
+        return true;
+    }
+
+    // Order ID from the OrderCreated event in a createOrder receipt
+    getCreatedOrderId(receipt) {
+        for (const log of receipt?.logs || []) {
+            try {
+                const parsed = this.contract.interface.parseLog(log);
+                if (parsed.name === 'OrderCreated') {
+                    return parsed.args.orderId.toNumber();
+                }
+            } catch (error) {
+                // Token transfer logs are not part of the contract ABI
+            }
         }
+        return null;
     }
 
     async checkAllowance(tokenAddress, owner, amount) {
@@ -773,7 +1111,32 @@ export class CreateOrder extends BaseComponent {
         }
     }
 
+    /**
+     * Approve the sell or fee token when simulation shows the allowance is short
+     * @param {ContractError} error - Error from simulateTransaction
+     * @returns {Function|null}
+     */
+    getContractErrorFix(error) {
+        const { sellToken, sellAmount, orderCount = 1 } = error.details;
+        switch (error.details.fix?.action) {
+            case 'approveFeeToken': {
+                if (!this.feeToken) return null;
+                const feeTotal = ethers.BigNumber.from(this.feeToken.amount).mul(orderCount);
+                return () => this.checkAndApproveToken(this.feeToken.address, feeTotal, { sellAmount, orderCount });
+            }
+            case 'approveSellToken':
+                if (!sellToken || !sellAmount) return null;
+                return () => this.checkAndApproveToken(sellToken, sellAmount, { sellAmount, orderCount });
+            default:
+                return super.getContractErrorFix(error);
+        }
+    }
+
     getReadableError(error) {
+        if (error instanceof ContractError) {
+            return error.message;
+        }
+
         // Add more specific error cases
         switch (error.code) {
             case 'ACTION_REJECTED':
@@ -1098,7 +1461,7 @@ export class CreateOrder extends BaseComponent {
 
                         // Get USD price and calculate USD value
                         const usdPrice = window.pricingService?.getPrice(token.address);
-                        const usdValue = usdPrice !== undefined ? Number(token.balance) * usdPrice : 0;
+                        const usdValue = usdPrice !== undefined ? this.getBalanceUsdValue(token, usdPrice) : 0;
                         const formattedUsdValue = usdPrice !== undefined ? usdValue.toLocaleString(undefined, {
                             style: 'currency',
                             currency: 'USD',
@@ -1198,7 +1561,7 @@ export class CreateOrder extends BaseComponent {
                                         useGrouping: true
                                     });
                                     const usdPrice = window.pricingService?.getPrice(token.address);
-                                    const usdValue = usdPrice !== undefined ? balance * usdPrice : 0;
+                                    const usdValue = usdPrice !== undefined ? this.getBalanceUsdValue(token, usdPrice) : 0;
                                     const formattedUsdValue = usdPrice !== undefined ? usdValue.toLocaleString(undefined, {
                                         style: 'currency',
                                         currency: 'USD',
@@ -1326,7 +1689,7 @@ export class CreateOrder extends BaseComponent {
             
             // Get USD price and calculate USD value
             const usdPrice = window.pricingService?.getPrice(token.address);
-            const usdValue = usdPrice !== undefined ? balance * usdPrice : 0;
+            const usdValue = usdPrice !== undefined ? this.getBalanceUsdValue(token, usdPrice) : 0;
             const formattedUsdValue = usdPrice !== undefined ? usdValue.toLocaleString(undefined, {
                 style: 'currency',
                 currency: 'USD',
@@ -1454,7 +1817,7 @@ export class CreateOrder extends BaseComponent {
             
             // Get USD price and calculate USD value
             const usdPrice = window.pricingService?.getPrice(token.address);
-            const usdValue = usdPrice !== undefined ? balance * usdPrice : 0;
+            const usdValue = usdPrice !== undefined ? this.getBalanceUsdValue(token, usdPrice) : 0;
             const formattedUsdValue = usdPrice !== undefined ? usdValue.toLocaleString(undefined, {
                 style: 'currency',
                 currency: 'USD',
@@ -1653,6 +2016,18 @@ export class CreateOrder extends BaseComponent {
         }
     }
 
+    /**
+     * USD value of a token's wallet balance, computed in fixed point
+     * @param {Object} token - Token with a decimal balance string and decimals
+     * @param {number} usdPrice - USD price of one whole token
+     * @returns {number}
+     */
+    getBalanceUsdValue(token, usdPrice) {
+        const decimals = token.decimals ?? 18;
+        const balance = parseAmount(token.balance || '0', decimals);
+        return balance ? toNumber(getUsdValue(balance, decimals, usdPrice), USD_DECIMALS) : 0;
+    }
+
     async getTokenDecimals(tokenAddress) {
         try {
             // Check if token is in cache
@@ -1689,7 +2064,111 @@ export class CreateOrder extends BaseComponent {
         }
     }
 
-    async checkAndApproveToken(tokenAddress, amount) {
+    /**
+     * Let the contract pull the sell amount and the creation fee. Tokens with an
+     * EIP-2612 permit are authorized by signature and submitted with the order;
+     * other tokens, or contracts without the permit entry points, get approvals.
+     * @param {ethers.BigNumber} sellAmountWei - Sell amount in base units
+     * @returns {Promise<{signed: boolean, sellPermit: Object, feePermit: Object}|null>}
+     *     Permits for createOrderWithPermit, or null if an approval failed
+     * @throws {Error} If the user declines a permit signature
+     */
+    async authorizeOrderTokens(sellAmountWei) {
+        const permits = { signed: false, sellPermit: EMPTY_PERMIT, feePermit: EMPTY_PERMIT };
+        const sameToken = this.sellToken.address.toLowerCase() === this.feeToken.address.toLowerCase();
+        const feeAmount = ethers.BigNumber.from(this.feeToken.amount);
+
+        // When the fee is paid in the sell token one permit covers both
+        const tokens = [
+            {
+                key: 'sellPermit',
+                address: this.sellToken.address,
+                amount: sellAmountWei,
+                permitAmount: sameToken ? sellAmountWei.add(feeAmount) : sellAmountWei
+            },
+            {
+                key: 'feePermit',
+                address: this.feeToken.address,
+                amount: feeAmount,
+                permitAmount: sameToken ? null : feeAmount
+            }
+        ];
+
+        const signer = walletManager.getSigner();
+        const usePermits = signer?.provider
+            ? await contractSupportsPermit(signer.provider, this.contract.address)
+            : false;
+
+        for (const token of tokens) {
+            // A signed sell permit already covers a fee paid in the same token
+            if (sameToken && token.key === 'feePermit' && permits.sellPermit !== EMPTY_PERMIT) {
+                continue;
+            }
+            if (usePermits && token.permitAmount) {
+                const permit = await this.getTokenPermit(signer, token.address, token.permitAmount);
+                if (permit) {
+                    permits[token.key] = permit;
+                    permits.signed = true;
+                    continue;
+                }
+            }
+            if (!(await this.checkAndApproveToken(token.address, token.amount))) {
+                return null;
+            }
+        }
+        return permits;
+    }
+
+    /**
+     * @param {ethers.Signer} signer - Token owner
+     * @param {string} tokenAddress
+     * @param {ethers.BigNumber} amount - Allowance the order needs
+     * @returns {Promise<Object|null>} Signed permit, or null if the allowance
+     *     already suffices or the token has no permit
+     */
+    async getTokenPermit(signer, tokenAddress, amount) {
+        const owner = await signer.getAddress();
+        const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, signer.provider);
+        const allowance = await tokenContract.allowance(owner, this.contract.address);
+        if (allowance.gte(amount)) {
+            return null;
+        }
+
+        const domain = await getPermitDomain(tokenAddress, owner, signer.provider);
+        if (!domain) {
+            return null;
+        }
+
+        this.showInfo(`Please sign the ${domain.name} permit in your wallet...`);
+        try {
+            return await signPermit({
+                signer,
+                domain,
+                spender: this.contract.address,
+                value: getApprovalAmount(tokenAddress, amount)
+            });
+        } catch (error) {
+            if (isUserRejection(error)) {
+                throw error;
+            }
+            // Some wallets can't sign typed data; approve instead
+            this.warn(`Permit signing failed for ${tokenAddress}, falling back to approval:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Make sure the contract may spend `amount` of a token, approving it if not.
+     * When the fee token is also the sell token a single approval covers the
+     * sell amount plus one fee per order.
+     * @param {string} tokenAddress - Token to check
+     * @param {ethers.BigNumber|string} amount - Amount needed in base units
+     * @param {Object} [options]
+     * @param {ethers.BigNumber} [options.sellAmount] - Total sell amount, when it isn't the form's (ladders)
+     * @param {number} [options.orderCount=1] - Orders whose fees the approval covers
+     * @returns {Promise<boolean>} Whether the allowance is sufficient
+     */
+    async checkAndApproveToken(tokenAddress, amount, { sellAmount = null, orderCount = 1 } = {}) {
         try {
             this.debug(`Checking allowance for token: ${tokenAddress}`);
             
@@ -1706,12 +2185,12 @@ export class CreateOrder extends BaseComponent {
             if (tokenAddress.toLowerCase() === this.feeToken?.address?.toLowerCase() &&
                 tokenAddress.toLowerCase() === this.sellToken?.address?.toLowerCase()) {
                 const sellAmountStr = document.getElementById('sellAmount')?.value;
-                if (sellAmountStr) {
+                if (sellAmount || sellAmountStr) {
                     const tokenDecimals = await this.getTokenDecimals(tokenAddress);
-                    const sellAmountWei = ethers.utils.parseUnits(sellAmountStr, tokenDecimals);
-                    const feeAmountWei = ethers.BigNumber.from(this.feeToken.amount);
+                    const sellAmountWei = sellAmount ?? parseAmount(sellAmountStr, tokenDecimals) ?? ethers.BigNumber.from(0);
+                    const feeAmountWei = ethers.BigNumber.from(this.feeToken.amount).mul(orderCount);
                     requiredAmount = sellAmountWei.add(feeAmountWei);
-                    this.debug(`Combined amount for approval (sell + fee): ${requiredAmount.toString()}`);
+                    this.debug(`Combined amount for approval (sell + ${orderCount} fee(s)): ${requiredAmount.toString()}`);
                 }
             }
 
@@ -1733,15 +2212,22 @@ export class CreateOrder extends BaseComponent {
             this.debug(`Current allowance: ${currentAllowance.toString()}`);
             this.debug(`Required amount: ${requiredAmount.toString()}`);
 
-            // If allowance is insufficient, approve only what's needed
+            // If allowance is insufficient, approve what the token's approval policy allows
             if (currentAllowance.lt(requiredAmount)) {
                 const additionalAmount = requiredAmount.sub(currentAllowance);
                 
                 this.showInfo(`Requesting additional token approval (${ethers.utils.formatUnits(additionalAmount, await this.getTokenDecimals(tokenAddress))} more needed)...`);
-                const approveTx = await tokenContract.approve(this.contract.address, requiredAmount);
+                const approveArgs = [this.contract.address, getApprovalAmount(tokenAddress, requiredAmount)];
+                await simulateTransaction(tokenContract, 'approve', approveArgs);
+                // Approvals use the saved fee preference without a dialog
+                const feeOverrides = await gasService.getFeeOverrides();
+                const approveTx = await transactionManager.send(
+                    () => tokenContract.approve(...approveArgs, feeOverrides),
+                    { type: 'approve', description: 'Token approval' }
+                );
                 this.showInfo('Please confirm the approval in your wallet...');
                 
-                await approveTx.wait();
+                await transactionManager.wait(approveTx.hash);
                 this.showSuccess('Token approved successfully');
 
                 const newAllowance = await tokenContract.allowance(currentAddress, this.contract.address);
@@ -1894,7 +2380,7 @@ export class CreateOrder extends BaseComponent {
             }
             // Handle zero balance case
             const balance = parseFloat(token.balance) || 0;
-            const balanceUSD = (balance > 0 && usdPrice !== undefined) ? (balance * usdPrice).toFixed(2) : (usdPrice !== undefined ? '0.00' : 'N/A');
+            const balanceUSD = (balance > 0 && usdPrice !== undefined) ? this.getBalanceUsdValue(token, usdPrice).toFixed(2) : (usdPrice !== undefined ? '0.00' : 'N/A');
             const formattedBalance = balance.toLocaleString(undefined, {
                 minimumFractionDigits: 2,
                 maximumFractionDigits: 4,
@@ -1909,6 +2395,8 @@ export class CreateOrder extends BaseComponent {
                 balance: token.balance || '0',
                 usdPrice: usdPrice
             };
+            // The open manual price form names the previous token
+            document.getElementById('manualPricePanel')?.classList.add('hidden');
 
             // Generate background color for fallback icon
             const colors = [
@@ -2047,9 +2535,9 @@ export class CreateOrder extends BaseComponent {
             const hasTokens = this.sellToken && this.buyToken;
             const sellAmount = document.getElementById('sellAmount')?.value;
             const buyAmount = document.getElementById('buyAmount')?.value;
-            const hasAmounts = sellAmount && buyAmount && 
-                             Number(sellAmount) > 0 && 
-                             Number(buyAmount) > 0;
+            const hasAmounts = hasTokens &&
+                             isPositiveAmount(sellAmount, this.sellToken.decimals ?? 18) &&
+                             isPositiveAmount(buyAmount, this.buyToken.decimals ?? 18);
 
             // Enable button only if we have both tokens and valid amounts
             createButton.disabled = !(hasTokens && hasAmounts);
@@ -2085,6 +2573,15 @@ export class CreateOrder extends BaseComponent {
 
     updateTokenAmounts(type) {
         try {
+            // Keep a derived buy amount in step with the sell amount and selected tokens
+            if (!this.isApplyingPriceEntry) {
+                if (this.ladderEnabled) {
+                    this.renderLadderPreview();
+                } else {
+                    this.applyPriceEntry();
+                }
+            }
+
             const amount = document.getElementById(`${type}Amount`)?.value || '0';
             const token = this[`${type}Token`];
             
@@ -2100,13 +2597,16 @@ export class CreateOrder extends BaseComponent {
             }
             
             if (token && amount) {
-                const usdValue = token.usdPrice !== undefined ? Number(amount) * token.usdPrice : 0;
+                const decimals = token.decimals ?? 18;
+                const parsedAmount = parseAmount(amount, decimals);
                 // Ensure USD display element exists (in template) and update it
                 if (!usdDisplay) {
                     usdDisplay = document.getElementById(`${type}AmountUSD`);
                 }
                 if (usdDisplay) {
-                    usdDisplay.textContent = token.usdPrice !== undefined ? `$${usdValue.toFixed(2)}` : 'N/A';
+                    usdDisplay.textContent = token.usdPrice !== undefined && parsedAmount
+                        ? `$${formatFixed(getUsdValue(parsedAmount, decimals, token.usdPrice), USD_DECIMALS, 2)}`
+                        : 'N/A';
                     setVisibility(usdDisplay, true);
                 }
             }
@@ -2164,7 +2664,7 @@ export class CreateOrder extends BaseComponent {
         modalContent.innerHTML = tokens.map(token => {
             const usdPrice = window.pricingService?.getPrice(token.address);
             const balance = parseFloat(token.balance) || 0;
-            const balanceUSD = (balance > 0 && usdPrice !== undefined) ? (balance * usdPrice).toFixed(2) : (usdPrice !== undefined ? '0.00' : 'N/A');
+            const balanceUSD = (balance > 0 && usdPrice !== undefined) ? this.getBalanceUsdValue(token, usdPrice).toFixed(2) : (usdPrice !== undefined ? '0.00' : 'N/A');
             
             return `
                 <div class="token-item" data-address="${token.address}">
@@ -2212,46 +2712,1062 @@ export class CreateOrder extends BaseComponent {
         this.initializeBalanceClickHandlers();
     }
 
+    initializePriceEntry() {
+        document.querySelectorAll('#priceEntry .price-mode-button').forEach(button => {
+            button.onclick = () => this.setPriceEntryMode(button.dataset.mode);
+        });
+        const input = document.getElementById('priceEntryInput');
+        if (input) {
+            input.oninput = () => this.applyPriceEntry();
+        }
+        const manualPriceToggle = document.getElementById('manualPriceToggle');
+        if (manualPriceToggle) {
+            manualPriceToggle.onclick = () => this.toggleManualPricePanel();
+        }
+        this.setPriceEntryMode(this.priceEntryMode);
+    }
+
     /**
-     * Initialize click handlers for balance auto-fill functionality
+     * Show or hide USD price overrides for the selected tokens, for tokens
+     * the price sources get wrong or don't know. A manual price joins the
+     * other sources rather than replacing them.
      */
-    initializeBalanceClickHandlers() {
-        ['sell', 'buy'].forEach(type => {
-            const balanceBtn = document.getElementById(`${type}TokenBalanceBtn`);
-            if (balanceBtn) {
-                // Remove existing listeners using clone technique to prevent duplicates
-                const newBalanceBtn = balanceBtn.cloneNode(true);
-                balanceBtn.parentNode.replaceChild(newBalanceBtn, balanceBtn);
-                
-                // Add click handler for auto-fill functionality
-                newBalanceBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    this.handleBalanceClick(type);
-                });
-
-                // Add keyboard support for accessibility
-                newBalanceBtn.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault();
-                        e.stopPropagation();
-                        this.handleBalanceClick(type);
-                    }
-                });
+    toggleManualPricePanel() {
+        const panel = document.getElementById('manualPricePanel');
+        if (!panel) return;
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
 
-                this.debug(`Initialized balance click handler for ${type} token`);
-            }
-        });
+        const tokens = [this.sellToken, this.buyToken].filter(token => token?.address);
+        if (tokens.length === 0) {
+            this.showWarning('Select a token to set its price');
+            return;
+        }
+        panel.innerHTML = `
+            ${tokens.map(token => `
+                <label class="manual-price-row">
+                    <span>${escapeHtml(token.symbol)} in USD</span>
+                    <input type="text" class="price-entry-input" inputmode="decimal" data-token="${token.address}"
+                           value="${window.pricingService?.getManualPrice(token.address) ?? ''}" placeholder="From price sources" />
+                </label>`).join('')}
+            <button type="button" class="manual-price-toggle manual-price-save">Save prices</button>`;
+        panel.querySelector('.manual-price-save').onclick = () => this.saveManualPrices(panel);
+        panel.classList.remove('hidden');
     }
 
     /**
-     * Handle balance click to auto-fill amount input
-     * @param {string} type - 'sell' or 'buy'
+     * Store the panel's prices; an empty field removes the token's manual price
+     * @param {HTMLElement} panel - Manual price panel
      */
-    handleBalanceClick(type) {
+    async saveManualPrices(panel) {
+        const pricingService = window.pricingService;
+        if (!pricingService) return;
+
+        const entries = Array.from(panel.querySelectorAll('input[data-token]')).map(input => ({
+            token: input.dataset.token,
+            price: input.value.trim() ? Number(input.value.trim()) : null
+        }));
+        if (entries.some(({ price }) => price !== null && !(price > 0))) {
+            this.showError('Enter prices above zero, or leave a field empty to use the price sources');
+            return;
+        }
+
         try {
-            const token = this[`${type}Token`];
-            if (!token) {
+            entries.forEach(({ token, price }) => {
+                if (price === null) {
+                    pricingService.clearManualPrice(token);
+                } else {
+                    pricingService.setManualPrice(token, price);
+                }
+            });
+            await pricingService.fetchPricesForTokens(entries.map(({ token }) => token));
+        } catch (error) {
+            this.debug('Manual price error:', error);
+            this.showError(`Failed to update prices: ${error.message}`);
+            return;
+        }
+
+        panel.classList.add('hidden');
+        ['sell', 'buy'].forEach(type => {
+            const token = this[`${type}Token`];
+            if (token) {
+                token.usdPrice = pricingService.getPrice(token.address);
+                this.updateTokenAmounts(type);
+            }
+        });
+        this.showSuccess('Prices updated');
+    }
+
+    /**
+     * Switch how the order is entered. The mode's input is prefilled from the
+     * current amounts so switching modes doesn't change the order.
+     * @param {string} mode - Key of PRICE_ENTRY_MODES
+     */
+    setPriceEntryMode(mode) {
+        const previousMode = this.priceEntryMode;
+        this.priceEntryMode = mode;
+
+        document.querySelectorAll('#priceEntry .price-mode-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        document.getElementById('priceEntryInputRow')?.classList.toggle('hidden', mode === 'amounts');
+
+        const input = document.getElementById('priceEntryInput');
+        if (input && mode !== 'amounts' && (mode !== previousMode || !input.value)) {
+            input.value = this.getCurrentPriceEntryValue(mode) ?? '';
+        }
+
+        this.updateBuyAmountEditable();
+        this.applyPriceEntry();
+    }
+
+    // The buy amount is computed for ladders and in every price entry mode but 'amounts'
+    updateBuyAmountEditable() {
+        const buyInput = document.getElementById('buyAmount');
+        if (buyInput) {
+            const computed = this.ladderEnabled || this.priceEntryMode !== 'amounts';
+            buyInput.readOnly = computed;
+            buyInput.classList.toggle('computed-amount', computed);
+        }
+    }
+
+    /**
+     * Write a computed buy amount into the form
+     * @param {ethers.BigNumber|null} buyAmount - Amount in base units, or null to clear it
+     */
+    setComputedBuyAmount(buyAmount) {
+        const buyInput = document.getElementById('buyAmount');
+        if (!buyInput) return;
+        buyInput.value = buyAmount ? formatAmount(buyAmount, this.buyToken.decimals ?? 18) : '';
+        this.isApplyingPriceEntry = true;
+        try {
+            this.updateTokenAmounts('buy');
+        } finally {
+            this.isApplyingPriceEntry = false;
+        }
+    }
+
+    getMarketPrice(token) {
+        const price = token ? window.pricingService?.getPrice(token.address) : undefined;
+        return price > 0 ? price : undefined;
+    }
+
+    /**
+     * Amounts currently in the form, in base units
+     * @returns {{sellAmount: ethers.BigNumber, buyAmount: ethers.BigNumber}|null}
+     */
+    getFormAmounts() {
+        if (!this.sellToken || !this.buyToken) return null;
+        const sellAmount = parseAmount(document.getElementById('sellAmount')?.value, this.sellToken.decimals ?? 18);
+        const buyAmount = parseAmount(document.getElementById('buyAmount')?.value, this.buyToken.decimals ?? 18);
+        if (!sellAmount?.gt(0) || !buyAmount?.gt(0)) return null;
+        return { sellAmount, buyAmount };
+    }
+
+    getFormDealRatio(amounts) {
+        const sellPrice = this.getMarketPrice(this.sellToken);
+        const buyPrice = this.getMarketPrice(this.buyToken);
+        if (!amounts || !sellPrice || !buyPrice) return null;
+        return getDealRatio({
+            sellAmount: amounts.sellAmount,
+            sellDecimals: this.sellToken.decimals ?? 18,
+            sellPrice,
+            buyAmount: amounts.buyAmount,
+            buyDecimals: this.buyToken.decimals ?? 18,
+            buyPrice
+        });
+    }
+
+    /**
+     * Value of a price entry mode that reproduces the amounts in the form
+     * @param {string} mode - Key of PRICE_ENTRY_MODES
+     * @returns {string|null}
+     */
+    getCurrentPriceEntryValue(mode) {
+        const amounts = this.getFormAmounts();
+        if (!amounts) return null;
+        const sellDecimals = this.sellToken.decimals ?? 18;
+        const buyDecimals = this.buyToken.decimals ?? 18;
+
+        switch (mode) {
+            case 'price': {
+                // Buy per sell in whole tokens, as a USD_DECIMALS fixed-point value
+                const price = amounts.buyAmount
+                    .mul(ethers.BigNumber.from(10).pow(sellDecimals + USD_DECIMALS))
+                    .div(amounts.sellAmount.mul(ethers.BigNumber.from(10).pow(buyDecimals)));
+                return formatAmount(price, USD_DECIMALS, 12);
+            }
+            case 'premium': {
+                const dealRatio = this.getFormDealRatio(amounts);
+                return dealRatio !== null ? ((dealRatio - 1) * 100).toFixed(2) : null;
+            }
+            case 'usd': {
+                const buyPrice = this.getMarketPrice(this.buyToken);
+                return buyPrice
+                    ? formatFixed(getUsdValue(amounts.buyAmount, buyDecimals, buyPrice), USD_DECIMALS, 2)
+                    : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Buy amount implied by the sell amount and the active price entry mode
+     * @returns {ethers.BigNumber|null} Amount in base units, or null if it can't be computed
+     */
+    getPriceEntryBuyAmount() {
+        const value = document.getElementById('priceEntryInput')?.value.trim();
+        if (!this.sellToken || !this.buyToken || !value) return null;
+
+        const sellDecimals = this.sellToken.decimals ?? 18;
+        const buyDecimals = this.buyToken.decimals ?? 18;
+        const sellAmount = parseAmount(document.getElementById('sellAmount')?.value, sellDecimals);
+        const buyPrice = this.getMarketPrice(this.buyToken);
+
+        switch (this.priceEntryMode) {
+            case 'price': {
+                const price = parseAmount(value, USD_DECIMALS);
+                return sellAmount && price ? convertAmount(sellAmount, sellDecimals, price, buyDecimals) : null;
+            }
+            case 'premium': {
+                const premium = Number(value);
+                const sellPrice = this.getMarketPrice(this.sellToken);
+                if (!sellAmount || !sellPrice || !buyPrice || !Number.isFinite(premium) || premium <= -100) {
+                    return null;
+                }
+                // Apply the premium in basis points to keep the value fixed-point
+                const buyValue = getUsdValue(sellAmount, sellDecimals, sellPrice)
+                    .mul(10000 + Math.round(premium * 100))
+                    .div(10000);
+                return getAmountForUsdValue(buyValue, buyDecimals, buyPrice);
+            }
+            case 'usd': {
+                const usdValue = parseAmount(value, USD_DECIMALS);
+                return usdValue && buyPrice ? getAmountForUsdValue(usdValue, buyDecimals, buyPrice) : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    applyPriceEntry() {
+        this.updatePriceEntryLabel();
+
+        if (this.priceEntryMode !== 'amounts') {
+            this.setComputedBuyAmount(this.getPriceEntryBuyAmount());
+        }
+
+        this.renderPriceEntrySummary();
+    }
+
+    updatePriceEntryLabel() {
+        const label = document.getElementById('priceEntryLabel');
+        if (!label) return;
+        const sellSymbol = this.sellToken?.symbol || 'sell token';
+        const buySymbol = this.buyToken?.symbol || 'buy token';
+        const labels = {
+            price: `${buySymbol} per ${sellSymbol}`,
+            premium: 'Premium vs market rate (%), negative for a discount',
+            usd: `USD value of ${buySymbol} to receive`
+        };
+        label.textContent = labels[this.priceEntryMode] || '';
+    }
+
+    /**
+     * Show the order's unit price, how it compares to the market and the deal
+     * value takers will see for it in View Orders
+     */
+    renderPriceEntrySummary() {
+        const summary = document.getElementById('priceEntrySummary');
+        if (!summary) return;
+
+        const amounts = this.getFormAmounts();
+        if (!amounts) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const { sellToken, buyToken } = this;
+        const format = (value) => Number(value).toLocaleString(undefined, { maximumSignificantDigits: 6 });
+        const unitPrice = toNumber(amounts.buyAmount, buyToken.decimals ?? 18) /
+            toNumber(amounts.sellAmount, sellToken.decimals ?? 18);
+        const rows = [`<div>Price: 1 ${sellToken.symbol} = ${format(unitPrice)} ${buyToken.symbol}</div>`];
+
+        const dealRatio = this.getFormDealRatio(amounts);
+        if (dealRatio) {
+            const sellPrice = this.getMarketPrice(sellToken);
+            const buyPrice = this.getMarketPrice(buyToken);
+            const premium = (dealRatio - 1) * 100;
+            const confidence = window.pricingService?.getLowestConfidence([sellToken.address, buyToken.address]);
+            const lowConfidence = confidence !== 'high' && confidence !== 'medium';
+
+            rows.push(
+                `<div>Market: 1 ${sellToken.symbol} = ${format(sellPrice / buyPrice)} ${buyToken.symbol}
+                    (${premium >= 0 ? '+' : ''}${premium.toFixed(2)}%)</div>`,
+                // View Orders lists deals from the taker's side, the inverse of the maker's ratio
+                `<div class="${lowConfidence ? 'price-estimate' : ''}"
+                      title="${lowConfidence ? 'Based on low-confidence prices' : `Price confidence: ${confidence}`}">
+                    Deal shown to takers: ${(1 / dealRatio).toFixed(6)}</div>`
+            );
+        } else {
+            rows.push('<div class="price-estimate">Market prices unavailable, deal can\'t be computed</div>');
+        }
+        summary.innerHTML = rows.join('');
+    }
+
+    // Suggest address book contacts for the taker field
+    initializeTakerAutocomplete() {
+        const input = document.getElementById('takerAddress');
+        if (input) {
+            input.oninput = () => this.updateTakerHint();
+        }
+        this.populateTakerSuggestions();
+        this.updateTakerHint();
+    }
+
+    populateTakerSuggestions() {
+        const datalist = document.getElementById('takerAddressBook');
+        if (!datalist) return;
+        datalist.innerHTML = addressBookService.getContacts().map(contact =>
+            `<option value="${contact.address}" label="${escapeHtml(contact.label)}"></option>`
+        ).join('');
+    }
+
+    // Name the taker, or warn when the address is one character off from a contact
+    updateTakerHint() {
+        const input = document.getElementById('takerAddress');
+        const hint = document.getElementById('takerAddressHint');
+        if (!input || !hint) return;
+
+        const address = input.value.trim();
+        const label = ethers.utils.isAddress(address) ? addressBookService.getLabel(address) : null;
+        const lookalike = addressBookService.findLookalike(address);
+        input.classList.toggle('address-lookalike', !!lookalike);
+        if (label) {
+            hint.className = 'taker-address-hint';
+            hint.textContent = `Contact: ${label}`;
+        } else if (lookalike) {
+            hint.className = 'taker-address-hint warning';
+            hint.innerHTML = `${renderLookalikeWarning(address)} Not in your address book, but one character off from
+                <strong>${escapeHtml(lookalike.label)}</strong>. Check the address before creating the order.`;
+        } else {
+            hint.className = 'taker-address-hint';
+            hint.textContent = '';
+        }
+    }
+
+    initializeDealLinks() {
+        const button = document.getElementById('copyDealLinkBtn');
+        if (button) {
+            button.onclick = () => this.handleCopyDealLink();
+        }
+    }
+
+    /**
+     * Share the form's terms, so the counterparty doesn't have to retype them
+     */
+    async handleCopyDealLink() {
+        const taker = document.getElementById('takerAddress')?.value.trim();
+        if (!this.sellToken?.address || !this.buyToken?.address) {
+            this.showError('Select both tokens before sharing the deal');
+            return;
+        }
+        if (!this.getFormAmounts()) {
+            this.showError('Enter both amounts before sharing the deal');
+            return;
+        }
+        if (taker && !ethers.utils.isAddress(taker)) {
+            this.showError('Invalid taker address format');
+            return;
+        }
+
+        const url = getDealUrl({
+            sellToken: this.sellToken.address,
+            sellAmount: document.getElementById('sellAmount').value.trim(),
+            buyToken: this.buyToken.address,
+            buyAmount: document.getElementById('buyAmount').value.trim(),
+            taker
+        });
+        if (await copyToClipboard(url)) {
+            this.showSuccess('Deal link copied');
+        } else {
+            this.showError('Could not copy the deal link');
+        }
+    }
+
+    /**
+     * Take deal terms from the URL. They are applied once the form has loaded
+     * its tokens, which needs a connected wallet.
+     * @param {Object} params - Route params of the create-order tab
+     */
+    async applyRouteParams(params = {}) {
+        if (!isDealLink(params)) return;
+        this.pendingDeal = params;
+
+        if (!walletManager.isWalletConnected()) {
+            this.showInfo('Connect your wallet to open the shared deal');
+            return;
+        }
+        if (this.hasLoadedData) {
+            await this.applyPendingDeal();
+        }
+    }
+
+    async applyPendingDeal() {
+        if (!this.pendingDeal) return;
+        const params = this.pendingDeal;
+        this.pendingDeal = null;
+
+        if (this.amendment || this.ladder) {
+            this.showWarning('Finish the order in progress before opening a shared deal');
+            return;
+        }
+
+        const { deal, problems, wrongChain } = parseDealParams(params);
+        if (wrongChain) {
+            await this.switchToDealNetwork(params, deal.chainId);
+            return;
+        }
+        this.debug('Applying deal link:', deal);
+        this.setLadderEnabled(false);
+        try {
+            await this.prefillOrderForm({
+                sellToken: deal.sellToken || this.sellToken?.address,
+                sellAmount: deal.sellAmount || '',
+                buyToken: deal.buyToken || this.buyToken?.address,
+                buyAmount: deal.buyAmount || '',
+                taker: deal.taker
+            });
+        } catch (error) {
+            this.error('Failed to prefill deal:', error);
+            problems.push('Some of the deal terms could not be loaded');
+        }
+
+        await this.renderDealBanner(deal, problems);
+    }
+
+    /**
+     * Ask the wallet to switch to the network a deal link was made on. The
+     * deal stays pending and is prefilled when the form reloads on that network.
+     * @param {Object} params - Route params of the deal link
+     * @param {number} chainId - Decimal chain ID from the link
+     */
+    async switchToDealNetwork(params, chainId) {
+        const network = getNetworkById(String(chainId));
+        if (!network) {
+            this.showError(`This deal was made on chain ${chainId}, which this app does not support`);
+            return;
+        }
+
+        const networkName = network.displayName || network.name;
+        this.debug('Deal link is for another network:', networkName);
+        this.pendingDeal = params;
+        this.showInfo(`This deal was made on ${networkName}. Switch networks in your wallet to open it.`);
+        try {
+            await window.app.switchNetwork(network.chainId);
+        } catch (error) {
+            this.debug('Network switch for deal link failed:', error);
+            this.pendingDeal = null;
+            this.showError(`Switch to ${networkName} to open this deal`);
+        }
+    }
+
+    /**
+     * Show where the deal came from and flag terms that can't be used as-is
+     * @param {Object} deal - Parsed deal terms
+     * @param {Array<string>} problems - Issues found while reading the link
+     */
+    async renderDealBanner(deal, problems) {
+        const banner = document.getElementById('dealLinkBanner');
+        if (!banner) return;
+
+        const mismatches = [...problems];
+        const flag = (elementId, isMismatch) => {
+            document.getElementById(elementId)?.classList.toggle('deal-mismatch', isMismatch);
+        };
+
+        // Only tokens on the contract's allowed list can be traded
+        for (const [type, address] of [['sell', deal.sellToken], ['buy', deal.buyToken]]) {
+            let allowed = true;
+            if (address) {
+                try {
+                    allowed = await contractService.isTokenAllowed(address);
+                } catch (error) {
+                    this.debug('Could not check deal token:', error);
+                }
+            }
+            const symbol = type === 'sell' ? this.sellToken?.symbol : this.buyToken?.symbol;
+            if (!address) {
+                mismatches.push(`The link has no ${type} token`);
+            } else if (!allowed) {
+                mismatches.push(`${symbol || address} (${type} token) is not on the allowed tokens list`);
+            }
+            flag(`${type}TokenSelector`, !address || !allowed);
+            if (!deal[`${type}Amount`]) {
+                mismatches.push(`The link has no ${type} amount`);
+            }
+            flag(`${type}Amount`, !deal[`${type}Amount`]);
+        }
+        flag('takerAddress', problems.some(problem => problem.includes('taker')));
+
+        banner.innerHTML = `
+            <div>
+                <span>Prefilled from a shared deal. Check the terms before creating the order.</span>
+                ${mismatches.length > 0 ? `
+                    <ul class="deal-link-problems">
+                        ${mismatches.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+                    </ul>` : ''}
+            </div>
+            <button class="amendment-discard">Dismiss</button>`;
+        banner.classList.remove('hidden');
+        banner.querySelector('.amendment-discard').addEventListener('click', () => this.clearDealBanner());
+    }
+
+    clearDealBanner() {
+        const banner = document.getElementById('dealLinkBanner');
+        if (banner) {
+            banner.classList.add('hidden');
+            banner.innerHTML = '';
+        }
+        document.querySelectorAll('#create-order .deal-mismatch').forEach(element => {
+            element.classList.remove('deal-mismatch');
+        });
+    }
+
+    /**
+     * Link and QR code to a new order, for the taker to open and fill it
+     * @param {number} orderId - Created order
+     * @param {string} taker - Taker address, zero for public orders
+     */
+    async renderCreatedOrderShare(orderId, taker) {
+        const panel = document.getElementById('createdOrderShare');
+        if (!panel) return;
+
+        const url = routerService.getOrderUrl(orderId);
+        const isPrivate = taker && taker !== ethers.constants.AddressZero;
+        panel.innerHTML = `
+            <div class="created-order-share-text">
+                <strong>Order #${orderId} created</strong>
+                <span>${isPrivate
+                    ? 'Send this link to the taker. It opens the order ready to fill.'
+                    : 'Share this link to let others open the order.'}</span>
+                <div class="created-order-link">
+                    <input type="text" readonly value="${url}" />
+                    <button type="button" class="copy-order-link">Copy</button>
+                </div>
+            </div>
+            <div class="created-order-qr"></div>
+            <button type="button" class="amendment-discard">Close</button>`;
+        panel.classList.remove('hidden');
+        this.clearDealBanner();
+
+        panel.querySelector('.copy-order-link').addEventListener('click', async () => {
+            if (await copyToClipboard(url)) {
+                this.showSuccess('Order link copied');
+            }
+        });
+        panel.querySelector('.amendment-discard').addEventListener('click', () => {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+        });
+
+        const qrCode = await getQrCodeDataUrl(url);
+        const qrContainer = panel.querySelector('.created-order-qr');
+        if (qrCode && qrContainer) {
+            qrContainer.innerHTML = `<img src="${qrCode}" alt="QR code for order #${orderId}" width="160" height="160" />`;
+        }
+    }
+
+    initializeLadder() {
+        const checkbox = document.getElementById('ladderEnabled');
+        if (checkbox) {
+            checkbox.onchange = () => this.setLadderEnabled(checkbox.checked);
+        }
+        ['ladderTranches', 'ladderStartPrice', 'ladderEndPrice', 'ladderShape'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.oninput = () => this.renderLadderPreview();
+            }
+        });
+    }
+
+    setLadderEnabled(enabled) {
+        if (enabled && this.amendment) {
+            this.showWarning(`Finish editing order #${this.amendment.oldOrderId} before creating a ladder`);
+            enabled = false;
+        }
+
+        const startInput = document.getElementById('ladderStartPrice');
+        if (enabled && startInput && !startInput.value) {
+            startInput.value = this.getCurrentPriceEntryValue('price') ?? '';
+        }
+
+        this.ladderEnabled = enabled;
+        const checkbox = document.getElementById('ladderEnabled');
+        if (checkbox) {
+            checkbox.checked = enabled;
+        }
+        document.getElementById('ladderContent')?.classList.toggle('hidden', !enabled);
+        // Ladders set their own prices
+        document.getElementById('priceEntry')?.classList.toggle('hidden', enabled);
+
+        if (enabled) {
+            this.setPriceEntryMode('amounts');
+            this.renderLadderPreview();
+        } else {
+            this.updateBuyAmountEditable();
+            // Restores the create button's label
+            this.renderAmendmentBanner();
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} Tranches for the ladder described by the form
+     * @throws {Error} If the form doesn't describe a valid ladder
+     */
+    buildLadderFromForm() {
+        if (!this.sellToken || !this.buyToken) {
+            throw new Error('Select the tokens to sell and buy');
+        }
+        const sellDecimals = this.sellToken.decimals ?? 18;
+        const totalSellAmount = parseAmount(document.getElementById('sellAmount')?.value, sellDecimals);
+        if (!totalSellAmount?.gt(0)) {
+            throw new Error('Enter the total amount to sell');
+        }
+
+        return buildLadder({
+            totalSellAmount,
+            tranches: Number(document.getElementById('ladderTranches')?.value),
+            startPrice: parseAmount(document.getElementById('ladderStartPrice')?.value, USD_DECIMALS),
+            endPrice: parseAmount(document.getElementById('ladderEndPrice')?.value, USD_DECIMALS),
+            shape: document.getElementById('ladderShape')?.value,
+            sellDecimals,
+            buyDecimals: this.buyToken.decimals ?? 18
+        });
+    }
+
+    /**
+     * Preview the ladder's orders. A ladder that is being submitted is shown
+     * as stored, with each order's status, until it completes or is discarded.
+     */
+    renderLadderPreview() {
+        const preview = document.getElementById('ladderPreview');
+        if (!preview || !this.ladderEnabled) return;
+
+        const sellToken = this.ladder?.sellToken || this.sellToken;
+        const buyToken = this.ladder?.buyToken || this.buyToken;
+        const pricePair = sellToken && buyToken ? `${buyToken.symbol} per ${sellToken.symbol}` : '';
+        document.getElementById('ladderStartLabel').textContent = `Start price ${pricePair ? `(${pricePair})` : ''}`;
+        document.getElementById('ladderEndLabel').textContent = `End price ${pricePair ? `(${pricePair})` : ''}`;
+        ['ladderTranches', 'ladderStartPrice', 'ladderEndPrice', 'ladderShape'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = !!this.ladder;
+        });
+
+        let tranches;
+        if (this.ladder) {
+            tranches = this.ladder.tranches;
+        } else {
+            try {
+                tranches = this.buildLadderFromForm();
+            } catch (error) {
+                preview.innerHTML = `<div class="ladder-message">${error.message}</div>`;
+                this.setComputedBuyAmount(null);
+                return;
+            }
+        }
+
+        const sellDecimals = sellToken.decimals ?? 18;
+        const buyDecimals = buyToken.decimals ?? 18;
+        const sellPrice = this.getMarketPrice(sellToken);
+        const buyPrice = this.getMarketPrice(buyToken);
+        const format = (value) => Number(value).toLocaleString(undefined, { maximumSignificantDigits: 6 });
+        const statusText = (tranche) => {
+            switch (tranche.status) {
+                case 'submitting': return 'Submitting...';
+                case 'created': return tranche.orderId !== null ? `Created #${tranche.orderId}` : 'Created';
+                case 'failed': return `Failed: ${tranche.error}`;
+                default: return 'Pending';
+            }
+        };
+
+        const rows = tranches.map((tranche, i) => {
+            const dealRatio = sellPrice && buyPrice ? getDealRatio({
+                sellAmount: tranche.sellAmount,
+                sellDecimals,
+                sellPrice,
+                buyAmount: tranche.buyAmount,
+                buyDecimals,
+                buyPrice
+            }) : null;
+            return `
+                <tr class="${tranche.status ? `ladder-${tranche.status}` : ''}">
+                    <td>${i + 1}</td>
+                    <td>${formatAmount(tranche.sellAmount, sellDecimals, 6)}</td>
+                    <td>${formatAmount(tranche.buyAmount, buyDecimals, 6)}</td>
+                    <td>${format(toNumber(tranche.price, USD_DECIMALS))}</td>
+                    <td>${dealRatio ? (1 / dealRatio).toFixed(6) : 'N/A'}</td>
+                    ${this.ladder ? `<td>${statusText(tranche)}</td>` : ''}
+                </tr>`;
+        }).join('');
+
+        const totalBuyAmount = tranches.reduce((sum, tranche) => sum.add(tranche.buyAmount), ethers.BigNumber.from(0));
+        const fees = this.feeToken
+            ? `${tranches.length} × ${ethers.utils.formatUnits(this.feeToken.amount, this.feeToken.decimals)} ${this.feeToken.symbol}`
+            : `${tranches.length} order fees`;
+
+        preview.innerHTML = `
+            <table class="ladder-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Sell ${sellToken.symbol}</th>
+                        <th>Buy ${buyToken.symbol}</th>
+                        <th>Price</th>
+                        <th title="Deal as shown to takers in View Orders">Deal</th>
+                        ${this.ladder ? '<th>Status</th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="ladder-message">
+                Total: ${formatAmount(getLadderSellTotal(tranches), sellDecimals, 6)} ${sellToken.symbol}
+                for ${formatAmount(totalBuyAmount, buyDecimals, 6)} ${buyToken.symbol}, plus ${fees}
+            </div>
+            ${this.ladder && !this.isSubmitting ? `
+                <div class="ladder-message">
+                    Orders not yet created will be submitted when you resume.
+                    <button type="button" class="amendment-discard ladder-discard">Discard remaining</button>
+                </div>` : ''}`;
+        preview.querySelector('.ladder-discard')?.addEventListener('click', () => this.discardLadder());
+
+        if (!this.ladder || sellToken.address.toLowerCase() === this.sellToken?.address.toLowerCase()) {
+            this.setComputedBuyAmount(totalBuyAmount);
+        }
+
+        const createOrderBtn = document.getElementById('createOrderBtn');
+        if (createOrderBtn && !this.isSubmitting) {
+            const remaining = tranches.filter(tranche => tranche.status !== 'created').length;
+            createOrderBtn.textContent = this.ladder
+                ? `Resume Ladder (${remaining} of ${tranches.length} orders left)`
+                : `Create ${tranches.length} Orders`;
+        }
+    }
+
+    discardLadder() {
+        this.debug('Discarding ladder');
+        this.ladder = null;
+        clearPendingLadder();
+        this.renderLadderPreview();
+    }
+
+    // Pick up a ladder whose orders were not all created
+    async restorePendingLadder() {
+        if (this.ladder || this.amendment) return;
+        const pending = loadPendingLadder();
+        if (!pending) return;
+
+        this.debug('Restoring pending ladder of', pending.tranches.length, 'orders');
+        // An order that was in flight when the page closed is checked by its txHash on resume
+        pending.tranches.forEach(tranche => {
+            if (tranche.status === 'submitting') {
+                tranche.status = 'failed';
+                tranche.error = 'Interrupted';
+            }
+        });
+        await this.prefillOrderForm({
+            sellToken: pending.sellToken.address,
+            sellAmount: ethers.utils.formatUnits(getLadderSellTotal(pending.tranches), pending.sellToken.decimals),
+            buyToken: pending.buyToken.address,
+            buyAmount: '',
+            taker: pending.taker
+        });
+        this.ladder = pending;
+        this.setLadderEnabled(true);
+    }
+
+    /**
+     * Create the ladder's orders one at a time. Approvals for all remaining
+     * orders are requested up front; the first failure pauses the ladder so it
+     * can be resumed without recreating the orders that went through.
+     */
+    async handleCreateLadder() {
+        if (this.isSubmitting) {
+            this.debug('Already processing a transaction');
+            return;
+        }
+        if (this.amendment) {
+            this.showError(`Finish editing order #${this.amendment.oldOrderId} before creating a ladder`);
+            return;
+        }
+
+        const createOrderBtn = document.getElementById('createOrderBtn');
+        try {
+            this.isSubmitting = true;
+            createOrderBtn.disabled = true;
+            createOrderBtn.classList.add('disabled');
+
+            const signer = walletManager.getSigner();
+            if (!signer) {
+                throw new Error('No signer available - wallet may be disconnected');
+            }
+            const networkConfig = getNetworkConfig();
+            this.contract = new ethers.Contract(
+                networkConfig.contractAddress,
+                networkConfig.contractABI,
+                signer
+            );
+
+            if (!(await this.validateOrderTokens())) {
+                return;
+            }
+
+            const maker = await signer.getAddress();
+            let ladder = this.ladder;
+            if (ladder && ladder.maker?.toLowerCase() !== maker.toLowerCase()) {
+                this.showError('This ladder was started from another account. Switch back to that account to resume it, or discard it.');
+                return;
+            }
+            if (!ladder) {
+                let tranches;
+                try {
+                    tranches = this.buildLadderFromForm();
+                } catch (error) {
+                    this.showError(error.message);
+                    return;
+                }
+
+                const taker = document.getElementById('takerAddress')?.value.trim() || ethers.constants.AddressZero;
+                if (!ethers.utils.isAddress(taker)) {
+                    throw new Error('Invalid taker address format');
+                }
+
+                const pickToken = ({ address, symbol, decimals }) => ({ address, symbol, decimals: decimals ?? 18 });
+                ladder = {
+                    maker,
+                    sellToken: pickToken(this.sellToken),
+                    buyToken: pickToken(this.buyToken),
+                    taker,
+                    tranches: tranches.map(tranche => ({
+                        sellAmount: tranche.sellAmount.toString(),
+                        buyAmount: tranche.buyAmount.toString(),
+                        price: tranche.price.toString(),
+                        status: 'pending',
+                        orderId: null,
+                        txHash: null,
+                        error: null
+                    }))
+                };
+            }
+
+            const { sellToken, tranches } = ladder;
+            const remaining = tranches.filter(tranche => tranche.status !== 'created');
+            const remainingSellAmount = getLadderSellTotal(remaining);
+
+            const balanceValidation = await validateSellBalance(
+                sellToken.address,
+                ethers.utils.formatUnits(remainingSellAmount, sellToken.decimals),
+                sellToken.decimals
+            );
+            if (!balanceValidation.hasSufficientBalance) {
+                this.showError(`Insufficient ${balanceValidation.symbol} balance for this ladder.\n\n` +
+                    `Required: ${Number(balanceValidation.formattedRequired).toLocaleString()} ${balanceValidation.symbol}\n` +
+                    `Available: ${Number(balanceValidation.formattedBalance).toLocaleString()} ${balanceValidation.symbol}`);
+                return;
+            }
+
+            // One approval per token for every order left in the ladder
+            const approvalOptions = { sellAmount: remainingSellAmount, orderCount: remaining.length };
+            if (!(await this.checkAndApproveToken(sellToken.address, remainingSellAmount, approvalOptions))) {
+                return;
+            }
+            const feeTotal = ethers.BigNumber.from(this.feeToken.amount).mul(remaining.length);
+            if (!(await this.checkAndApproveToken(this.feeToken.address, feeTotal, approvalOptions))) {
+                return;
+            }
+
+            // One fee choice for the whole run; each order gets its own gas limit
+            const firstOrderArgs = [
+                ladder.taker,
+                sellToken.address,
+                remaining[0].sellAmount,
+                ladder.buyToken.address,
+                remaining[0].buyAmount
+            ];
+            await simulateTransaction(this.contract, 'createOrder', firstOrderArgs, {
+                sellToken: sellToken.address,
+                sellAmount: remainingSellAmount,
+                orderCount: remaining.length
+            });
+            const ladderGas = await this.confirmGasFees(
+                () => this.contract.estimateGas.createOrder(...firstOrderArgs),
+                { description: 'Create ladder orders', txCount: remaining.length }
+            );
+            if (!ladderGas) {
+                this.showWarning('Ladder creation declined');
+                return;
+            }
+
+            this.ladder = ladder;
+            savePendingLadder(ladder);
+            for (const [i, tranche] of tranches.entries()) {
+                if (tranche.status === 'created') continue;
+
+                tranche.status = 'submitting';
+                tranche.error = null;
+                this.renderLadderPreview();
+                this.showInfo(`Creating order ${i + 1} of ${tranches.length}...`);
+
+                try {
+                    const receipt = await this.submitLadderOrder(tranche, ladderGas);
+                    if (!receipt) {
+                        tranche.status = 'failed';
+                        tranche.error = 'Declined in wallet';
+                        break;
+                    }
+                    tranche.status = 'created';
+                    tranche.orderId = this.getCreatedOrderId(receipt);
+                } catch (error) {
+                    this.debug(`Ladder order ${i + 1} failed:`, error);
+                    tranche.status = 'failed';
+                    tranche.error = this.getReadableError(error);
+                    break;
+                } finally {
+                    savePendingLadder(this.ladder);
+                    this.renderLadderPreview();
+                }
+            }
+
+            const created = tranches.filter(tranche => tranche.status === 'created');
+            if (created.length === tranches.length) {
+                const orderIds = created.map(tranche => tranche.orderId).filter(id => id !== null);
+                clearPendingLadder();
+                this.ladder = null;
+                this.showSuccess(orderIds.length
+                    ? `Ladder created: orders ${orderIds.map(id => `#${id}`).join(', ')}`
+                    : `Ladder of ${created.length} orders created successfully!`);
+            } else {
+                this.showWarning(`Ladder paused after ${created.length} of ${tranches.length} orders. Resume to create the rest.`);
+            }
+
+            if (created.length > 0) {
+                try {
+                    clearTokenCaches();
+                    this.refreshOpenTokenModals();
+                } catch (e) {
+                    this.debug('Post-order cache clear/refresh failed:', e);
+                }
+                if (window.webSocket) {
+                    await window.webSocket.syncAllOrders(this.contract);
+                }
+                if (window.app?.loadOrders) {
+                    window.app.loadOrders();
+                }
+            }
+        } catch (error) {
+            this.debug('Create ladder error:', error);
+            handleTransactionError(error, this, 'ladder creation');
+        } finally {
+            this.isSubmitting = false;
+            createOrderBtn.disabled = false;
+            createOrderBtn.classList.remove('disabled');
+            this.renderLadderPreview();
+        }
+    }
+
+    /**
+     * Create one order of the ladder. A transaction sent on an earlier attempt
+     * is checked first, so an order is not created twice on resume.
+     * @param {Object} tranche - Ladder tranche; its txHash is recorded once sent
+     * @param {Object} fees - Fee overrides confirmed for the ladder; the gas limit is estimated per order
+     * @returns {Promise<Object|null>} Receipt, or null if declined in the wallet
+     */
+    async submitLadderOrder(tranche, fees) {
+        if (tranche.txHash) {
+            // Still tracked: wait for it, or for its speed-up
+            if (transactionManager.getTransaction(tranche.txHash)?.status === TX_STATUS.PENDING) {
+                return transactionManager.wait(tranche.txHash);
+            }
+            const provider = this.contract.provider;
+            const previous = await provider.getTransactionReceipt(tranche.txHash);
+            if (previous?.status === 1) {
+                this.debug('Ladder order already mined:', tranche.txHash);
+                return previous;
+            }
+            // Sent but no longer tracked, e.g. from another browser: track it
+            // instead of creating the order again
+            const pending = previous ? null : await provider.getTransaction(tranche.txHash);
+            if (pending) {
+                this.debug('Ladder order still pending:', tranche.txHash);
+                transactionManager.track(pending, { type: 'createOrder', description: 'Create ladder order' });
+                return transactionManager.wait(tranche.txHash);
+            }
+        }
+
+        const { sellToken, buyToken, taker } = this.ladder;
+        const orderArgs = [taker, sellToken.address, tranche.sellAmount, buyToken.address, tranche.buyAmount];
+        await simulateTransaction(this.contract, 'createOrder', orderArgs);
+        const gasLimit = gasService.withGasBuffer(await this.contract.estimateGas.createOrder(...orderArgs));
+        const tx = await transactionManager.send(
+            () => this.contract.createOrder(...orderArgs, { ...fees, gasLimit }),
+            { type: 'createOrder', description: 'Create ladder order' }
+        ).catch(error => {
+            if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+                return null;
+            }
+            throw error;
+        });
+        if (!tx) return null;
+
+        tranche.txHash = tx.hash;
+        savePendingLadder(this.ladder);
+
+        return transactionManager.wait(tx.hash);
+    }
+
+    /**
+     * Initialize click handlers for balance auto-fill functionality
+     */
+    initializeBalanceClickHandlers() {
+        ['sell', 'buy'].forEach(type => {
+            const balanceBtn = document.getElementById(`${type}TokenBalanceBtn`);
+            if (balanceBtn) {
+                // Remove existing listeners using clone technique to prevent duplicates
+                const newBalanceBtn = balanceBtn.cloneNode(true);
+                balanceBtn.parentNode.replaceChild(newBalanceBtn, balanceBtn);
+                
+                // Add click handler for auto-fill functionality
+                newBalanceBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.handleBalanceClick(type);
+                });
+
+                // Add keyboard support for accessibility
+                newBalanceBtn.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.handleBalanceClick(type);
+                    }
+                });
+
+                this.debug(`Initialized balance click handler for ${type} token`);
+            }
+        });
+    }
+
+    /**
+     * Handle balance click to auto-fill amount input
+     * @param {string} type - 'sell' or 'buy'
+     */
+    handleBalanceClick(type) {
+        try {
+            const token = this[`${type}Token`];
+            if (!token) {
                 this.debug(`No ${type} token selected`);
                 return;
             }
@@ -2343,6 +3859,54 @@ export class CreateOrder extends BaseComponent {
                         </div>
                     </div>
 
+                    <!-- Price-based entry -->
+                    <div id="priceEntry" class="price-entry-container">
+                        <div class="price-entry-modes">
+                            ${Object.entries(PRICE_ENTRY_MODES).map(([mode, label]) => `
+                                <button type="button" class="price-mode-button ${mode === 'amounts' ? 'active' : ''}" data-mode="${mode}">${label}</button>
+                            `).join('')}
+                        </div>
+                        <div id="priceEntryInputRow" class="price-entry-input-row hidden">
+                            <label for="priceEntryInput" id="priceEntryLabel"></label>
+                            <input type="text" id="priceEntryInput" class="price-entry-input" inputmode="decimal" placeholder="0.0" />
+                        </div>
+                        <div id="priceEntrySummary" class="price-entry-summary"></div>
+                        <button type="button" id="manualPriceToggle" class="manual-price-toggle">Set USD prices</button>
+                        <div id="manualPricePanel" class="manual-price-panel hidden"></div>
+                    </div>
+
+                    <!-- Ladder: the sell amount split into several orders at stepped prices -->
+                    <div id="ladderContainer" class="ladder-container">
+                        <label class="ladder-toggle">
+                            <input type="checkbox" id="ladderEnabled" />
+                            <span>Create as a ladder of orders at stepped prices</span>
+                        </label>
+                        <div id="ladderContent" class="ladder-content hidden">
+                            <div class="ladder-fields">
+                                <label>
+                                    Tranches
+                                    <input type="number" id="ladderTranches" min="2" max="${LADDER_MAX_TRANCHES}" value="5" />
+                                </label>
+                                <label>
+                                    <span id="ladderStartLabel">Start price</span>
+                                    <input type="text" id="ladderStartPrice" inputmode="decimal" placeholder="0.0" />
+                                </label>
+                                <label>
+                                    <span id="ladderEndLabel">End price</span>
+                                    <input type="text" id="ladderEndPrice" inputmode="decimal" placeholder="0.0" />
+                                </label>
+                                <label>
+                                    Distribution
+                                    <select id="ladderShape">
+                                        <option value="linear">Linear</option>
+                                        <option value="geometric">Geometric</option>
+                                    </select>
+                                </label>
+                            </div>
+                            <div id="ladderPreview" class="ladder-preview"></div>
+                        </div>
+                    </div>
+
                     <!-- Optional taker address input -->
                     <div class="taker-input-container">
                         <button class="taker-toggle">
@@ -2366,7 +3930,9 @@ export class CreateOrder extends BaseComponent {
                             </svg>
                         </button>
                         <div class="taker-input-content hidden">
-                            <input type="text" id="takerAddress" class="taker-address-input" placeholder="0x..." />
+                            <input type="text" id="takerAddress" class="taker-address-input" placeholder="0x..." list="takerAddressBook" autocomplete="off" />
+                            <datalist id="takerAddressBook"></datalist>
+                            <div id="takerAddressHint" class="taker-address-hint"></div>
                         </div>
                     </div>
 
@@ -2391,11 +3957,24 @@ export class CreateOrder extends BaseComponent {
                         </div>
                     </div>
 
+                    <!-- Cancel-and-replace notice -->
+                    <div id="amendmentBanner" class="amendment-banner hidden"></div>
+
+                    <!-- Terms prefilled from a deal link -->
+                    <div id="dealLinkBanner" class="deal-link-banner hidden"></div>
+
                     <!-- Create order button -->
                     <button class="action-button" id="createOrderBtn" disabled>
                         Connect Wallet to Create Order
                     </button>
 
+                    <button type="button" class="deal-link-button" id="copyDealLinkBtn">
+                        Copy deal link for these terms
+                    </button>
+
+                    <!-- Link to the order just created -->
+                    <div id="createdOrderShare" class="created-order-share hidden"></div>
+
                     <!-- Status messages -->
                     <div id="status" class="status"></div>
                 </div>
@@ -1,3 +1,5 @@
+import { providerPool } from '../services/ProviderPool.js';
+
 export class DebugPanel {
     constructor() {
         this.panel = document.querySelector('.debug-panel');
@@ -5,6 +7,7 @@ export class DebugPanel {
         this.applyBtn = document.getElementById('applyDebug');
         this.checkboxes = document.querySelectorAll('.debug-option input[type="checkbox"]');
         this.closeBtn = document.getElementById('closeDebug');
+        this.providerPoolState = document.getElementById('providerPoolState');
         
         this.init();
     }
@@ -28,6 +31,13 @@ export class DebugPanel {
         // Add close button handler
         this.closeBtn.addEventListener('click', () => this.togglePanel());
         
+        // Keep the RPC endpoint table current while the panel is open
+        providerPool.subscribe((event) => {
+            if (event === 'poolUpdated' && this.panel.style.display !== 'none') {
+                this.renderProviderPool();
+            }
+        });
+        
         // Add escape key handler
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.panel.style.display !== 'none') {
@@ -71,5 +81,49 @@ export class DebugPanel {
 
     togglePanel() {
         this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+        if (this.panel.style.display !== 'none') {
+            this.renderProviderPool();
+        }
+    }
+
+    renderProviderPool() {
+        if (!this.providerPoolState) return;
+
+        const endpoints = providerPool.getState();
+        if (endpoints.length === 0) {
+            this.providerPoolState.textContent = 'No RPC requests made yet';
+            return;
+        }
+
+        const rows = endpoints.map(endpoint => {
+            const host = endpoint.url.replace(/^https?:\/\//, '');
+            const reopensIn = endpoint.openUntil
+                ? ` (${Math.max(0, Math.ceil((endpoint.openUntil - Date.now()) / 1000))}s)`
+                : '';
+            return `
+                <tr title="${endpoint.lastError ? `Last error: ${endpoint.lastError}` : endpoint.url}">
+                    <td class="endpoint-url">${host}</td>
+                    <td class="circuit-${endpoint.circuit}">${endpoint.circuit}${reopensIn}</td>
+                    <td>${endpoint.latencyMs ?? '-'}ms</td>
+                    <td>${Math.round(endpoint.errorRate * 100)}%</td>
+                    <td>${endpoint.blockLag}</td>
+                    <td>${endpoint.score}</td>
+                </tr>`;
+        }).join('');
+
+        this.providerPoolState.innerHTML = `
+            <table class="provider-pool-table">
+                <thead>
+                    <tr>
+                        <th>Endpoint</th>
+                        <th>Circuit</th>
+                        <th>Latency</th>
+                        <th>Errors</th>
+                        <th>Lag</th>
+                        <th>Score</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
     }
 } 
\ No newline at end of file
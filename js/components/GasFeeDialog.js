@@ -0,0 +1,230 @@
+import { getNetworkConfig } from '../config.js';
+import { createLogger } from '../services/LogService.js';
+import { gasService, GAS_PRESETS } from '../services/GasService.js';
+import { formatAmount, formatUsdValue, parseAmount } from '../utils/fixedPoint.js';
+
+const GWEI_DECIMALS = 9;
+
+const formatGwei = (value) => formatAmount(value, GWEI_DECIMALS, 2);
+
+/**
+ * Modal shown before signing: fee presets from recent blocks or custom fees,
+ * with the expected and maximum cost in the native token and USD. The
+ * choice is saved as the default for later transactions.
+ */
+export class GasFeeDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this.request = null; // { gasUsed, gasLimit, description, txCount, feeData }
+
+        const logger = createLogger('GAS');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    /**
+     * @param {Object} params
+     * @param {ethers.BigNumber} params.gasUsed - Gas estimate of one transaction
+     * @param {ethers.BigNumber} params.gasLimit - Gas limit that will be sent
+     * @param {string} params.description - What the user is signing
+     * @param {number} [params.txCount=1] - Transactions sent with the same fees
+     * @returns {Promise<Object|null>} Fee fields, or null if the user backs out
+     */
+    async open({ gasUsed, gasLimit, description, txCount = 1 }) {
+        const feeData = await gasService.getFeePresets();
+        // A dialog left open by a previous flow counts as declined
+        this.close(null);
+
+        this.request = { gasUsed, gasLimit, description, txCount, feeData };
+        this.render();
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.modal?.remove();
+        this.modal = null;
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve?.(result);
+    }
+
+    render() {
+        const { description, txCount, feeData } = this.request;
+        const preference = gasService.getPreference();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'token-modal gas-fee-modal';
+        this.modal.innerHTML = `
+            <div class="token-modal-content gas-fee-content">
+                <div class="token-modal-header">
+                    <h3>Network Fee</h3>
+                    <button class="token-modal-close">&times;</button>
+                </div>
+                <p class="gas-fee-description">${description}${txCount > 1 ? ` (${txCount} transactions)` : ''}</p>
+                <div class="gas-fee-options">
+                    ${Object.entries(GAS_PRESETS).map(([name, preset]) => `
+                        <label class="gas-fee-option">
+                            <input type="radio" name="gasFeePreset" value="${name}" ${preference.preset === name ? 'checked' : ''} />
+                            <span class="gas-fee-label">${preset.label}</span>
+                            <span class="gas-fee-rate">${this.formatRate(feeData.presets[name])}</span>
+                            <span class="gas-fee-cost">${this.formatCost(feeData.presets[name]).expected}</span>
+                        </label>`).join('')}
+                    <label class="gas-fee-option">
+                        <input type="radio" name="gasFeePreset" value="custom" ${preference.preset === 'custom' ? 'checked' : ''} />
+                        <span class="gas-fee-label">Custom</span>
+                        <span class="gas-fee-rate"></span>
+                        <span class="gas-fee-cost gas-fee-custom-cost"></span>
+                    </label>
+                    <div class="gas-fee-custom ${preference.preset === 'custom' ? '' : 'hidden'}">
+                        ${feeData.eip1559 ? `
+                            <label>Max fee (gwei)
+                                <input type="text" class="gas-fee-input" data-field="maxFeePerGas"
+                                       value="${preference.maxFeePerGas ?? formatGwei(feeData.presets.normal.maxFeePerGas)}" />
+                            </label>
+                            <label>Priority fee (gwei)
+                                <input type="text" class="gas-fee-input" data-field="maxPriorityFeePerGas"
+                                       value="${preference.maxPriorityFeePerGas ?? formatGwei(feeData.presets.normal.maxPriorityFeePerGas)}" />
+                            </label>` : `
+                            <label>Gas price (gwei)
+                                <input type="text" class="gas-fee-input" data-field="gasPrice"
+                                       value="${preference.gasPrice ?? formatGwei(feeData.presets.normal.gasPrice)}" />
+                            </label>`}
+                    </div>
+                </div>
+                <div class="gas-fee-summary"></div>
+                <div class="gas-fee-error"></div>
+                <div class="gas-fee-actions">
+                    <button type="button" class="gas-fee-cancel">Cancel</button>
+                    <button type="button" class="gas-fee-confirm">Confirm</button>
+                </div>
+            </div>`;
+
+        this.modal.querySelector('.token-modal-close').addEventListener('click', () => this.close(null));
+        this.modal.querySelector('.gas-fee-cancel').addEventListener('click', () => this.close(null));
+        this.modal.querySelector('.gas-fee-confirm').addEventListener('click', () => this.handleConfirm());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close(null);
+        });
+        this.modal.querySelector('.gas-fee-options').addEventListener('change', () => this.updateSummary());
+        this.modal.querySelectorAll('.gas-fee-input').forEach(input => {
+            input.addEventListener('input', () => this.updateSummary());
+        });
+
+        document.body.appendChild(this.modal);
+        this.modal.style.display = 'block';
+        this.updateSummary();
+    }
+
+    /**
+     * @returns {string} Selected preset name or 'custom'
+     */
+    getSelectedPreset() {
+        return this.modal.querySelector('input[name="gasFeePreset"]:checked')?.value || 'normal';
+    }
+
+    /**
+     * Fee fields typed into the custom inputs
+     * @returns {{fees: Object|null, values: Object, error: string|null}} values keeps the gwei text for the preference
+     */
+    readCustomFees() {
+        const values = {};
+        const fees = {};
+        for (const input of this.modal.querySelectorAll('.gas-fee-input')) {
+            const amount = parseAmount(input.value, GWEI_DECIMALS);
+            if (!amount?.gt(0)) {
+                return { fees: null, values, error: 'Enter fees above zero, in gwei' };
+            }
+            values[input.dataset.field] = input.value.trim();
+            fees[input.dataset.field] = amount;
+        }
+        if (fees.maxPriorityFeePerGas?.gt(fees.maxFeePerGas)) {
+            return { fees: null, values, error: 'Priority fee cannot exceed the max fee' };
+        }
+        return { fees, values, error: null };
+    }
+
+    /**
+     * @returns {{fees: Object|null, error: string|null}} Fee fields of the current selection
+     */
+    getSelectedFees() {
+        const preset = this.getSelectedPreset();
+        if (preset !== 'custom') {
+            return { fees: this.request.feeData.presets[preset], error: null };
+        }
+        const { fees, error } = this.readCustomFees();
+        return { fees, error };
+    }
+
+    formatRate(fees) {
+        return fees.gasPrice
+            ? `${formatGwei(fees.gasPrice)} gwei`
+            : `${formatGwei(fees.maxPriorityFeePerGas)} tip, ${formatGwei(fees.maxFeePerGas)} max gwei`;
+    }
+
+    /**
+     * @param {Object} fees - Fee fields
+     * @returns {{expected: string, max: string}} Costs of all transactions in the native token, with USD where priced
+     */
+    formatCost(fees) {
+        const { gasUsed, gasLimit, txCount, feeData } = this.request;
+        const { nativeCurrency } = getNetworkConfig();
+        const cost = gasService.estimateCost(gasUsed, gasLimit, fees, feeData.baseFee);
+
+        const format = (amount) => {
+            const total = amount.mul(txCount);
+            const usd = gasService.getNativeUsdValue(total);
+            const text = `${formatAmount(total, nativeCurrency.decimals, 6)} ${nativeCurrency.symbol}`;
+            return usd ? `${text} (${formatUsdValue(usd)})` : text;
+        };
+        return { expected: `~${format(cost.expected)}`, max: format(cost.max) };
+    }
+
+    updateSummary() {
+        const isCustom = this.getSelectedPreset() === 'custom';
+        this.modal.querySelector('.gas-fee-custom').classList.toggle('hidden', !isCustom);
+
+        const { fees, error } = this.getSelectedFees();
+        const customCost = this.modal.querySelector('.gas-fee-custom-cost');
+        customCost.textContent = isCustom && fees ? this.formatCost(fees).expected : '';
+
+        const summary = this.modal.querySelector('.gas-fee-summary');
+        if (fees) {
+            const cost = this.formatCost(fees);
+            summary.innerHTML = `
+                <div><span>Estimated cost</span><span>${cost.expected}</span></div>
+                <div><span>Max cost</span><span>${cost.max}</span></div>`;
+        } else {
+            summary.innerHTML = '';
+        }
+        this.modal.querySelector('.gas-fee-error').textContent = isCustom && error ? error : '';
+        this.modal.querySelector('.gas-fee-confirm').disabled = !fees;
+    }
+
+    handleConfirm() {
+        const preset = this.getSelectedPreset();
+        const { fees } = this.getSelectedFees();
+        if (!fees) return;
+
+        const preference = { preset, maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: null };
+        if (preset === 'custom') {
+            Object.assign(preference, this.readCustomFees().values);
+        } else {
+            // Keep previous custom values so switching back restores them
+            const previous = gasService.getPreference();
+            Object.assign(preference, {
+                maxFeePerGas: previous.maxFeePerGas,
+                maxPriorityFeePerGas: previous.maxPriorityFeePerGas,
+                gasPrice: previous.gasPrice
+            });
+        }
+        gasService.setPreference(preference);
+        this.debug('Gas fees confirmed:', { preset, fees });
+        this.close(fees);
+    }
+}
+
+export const gasFeeDialog = new GasFeeDialog();
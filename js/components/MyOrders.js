@@ -2,6 +2,10 @@ import { ViewOrders } from './ViewOrders.js';
 import { createLogger } from '../services/LogService.js';
 import { ethers } from 'ethers';
 import { handleTransactionError, processOrderAddress, generateStatusCellHTML, setupClickToCopy } from '../utils/ui.js';
+import { getAmendmentLinks } from '../utils/orderAmendments.js';
+import { formatUsdValue, getUsdValue } from '../utils/fixedPoint.js';
+import { transactionManager } from '../services/TransactionManager.js';
+import { simulateTransaction } from '../utils/simulation.js';
 
 export class MyOrders extends ViewOrders {
     constructor() {
@@ -143,6 +147,9 @@ export class MyOrders extends ViewOrders {
                 );
             }
 
+            // Keep the full filtered set for export
+            this.exportableOrders = ordersToDisplay;
+
             // Apply pagination
             const pageSize = parseInt(this.container.querySelector('#page-size-select')?.value || '50');
             if (pageSize !== -1) {  // -1 means show all
@@ -320,6 +327,7 @@ export class MyOrders extends ViewOrders {
                 </table>
                 ${bottomControls}
             </div>`;
+        this.setupOrderRowNavigation(this.container.querySelector('.orders-table'));
 
         // Setup advanced filters toggle
         const advancedFiltersToggle = this.container.querySelector('.advanced-filters-toggle');
@@ -408,6 +416,8 @@ export class MyOrders extends ViewOrders {
             });
         });
 
+        this.setupExportControls(this.container.querySelector('.filter-controls'));
+
         this.setupEventListeners();
     }
 
@@ -569,13 +579,10 @@ export class MyOrders extends ViewOrders {
                 return `$${price.toFixed(4)}`;
             };
 
-            // Calculate total values (price × amount)
-            const calculateTotalValue = (price, amount) => {
-                if (!price || !amount) return 'N/A';
-                const total = price * parseFloat(amount);
-                if (total >= 100) return `$${total.toFixed(0)}`;
-                if (total >= 1) return `$${total.toFixed(2)}`;
-                return `$${total.toFixed(4)}`;
+            // Calculate total values (price × amount) from base units
+            const calculateTotalValue = (price, amount, decimals) => {
+                if (!price || !amount || decimals == null) return 'N/A';
+                return formatUsdValue(getUsdValue(amount, decimals, price));
             };
 
             // Determine prices with fallback to current pricing service map
@@ -602,14 +609,14 @@ export class MyOrders extends ViewOrders {
             const userAddress = window.walletManager.getAccount()?.toLowerCase();
             const { counterpartyAddress, isZeroAddr, formattedAddress } = processOrderAddress(order, userAddress);
             tr.innerHTML = `
-                <td>${order.id}</td>
+                <td><a class="order-link" href="#/order/${order.id}">${order.id}</a>${this.renderAmendmentLinks(order.id)}</td>
                 <td>
                     <div class="token-info">
                         <div class="token-icon"><div class="loading-spinner"></div></div>
                         <div class="token-details">
                             <div class="token-symbol-row">
                                 <span class="token-symbol">${sellTokenInfo.symbol}</span>
-                                <span class="token-price ${sellPriceClass}">${calculateTotalValue(resolvedSellPrice, safeFormattedSellAmount)}</span>
+                                <span class="token-price ${sellPriceClass}">${calculateTotalValue(resolvedSellPrice, order.sellAmount, sellTokenInfo?.decimals)}</span>
                             </div>
                             <span class="token-amount">${safeFormattedSellAmount}</span>
                         </div>
@@ -621,13 +628,13 @@ export class MyOrders extends ViewOrders {
                         <div class="token-details">
                             <div class="token-symbol-row">
                                 <span class="token-symbol">${buyTokenInfo.symbol}</span>
-                                <span class="token-price ${buyPriceClass}">${calculateTotalValue(resolvedBuyPrice, safeFormattedBuyAmount)}</span>
+                                <span class="token-price ${buyPriceClass}">${calculateTotalValue(resolvedBuyPrice, order.buyAmount, buyTokenInfo?.decimals)}</span>
                             </div>
                             <span class="token-amount">${safeFormattedBuyAmount}</span>
                         </div>
                     </div>
                 </td>
-                <td>${deal !== undefined ? (deal || 0).toFixed(6) : 'N/A'}</td>
+                ${this.renderDealCell(order, deal)}
                 <td>${expiryText}</td>
                 <td class="order-status">
                     ${generateStatusCellHTML(orderStatus, counterpartyAddress, isZeroAddr, formattedAddress)}
@@ -662,20 +669,23 @@ export class MyOrders extends ViewOrders {
                         const signer = this.provider.getSigner();
                         const contractWithSigner = contract.connect(signer);
                         
-                        // Add gas buffer
-                        const gasEstimate = await contractWithSigner.estimateGas.cancelOrder(order.id);
-                        const gasLimit = gasEstimate.mul(120).div(100); // Add 20% buffer
+                        await simulateTransaction(contractWithSigner, 'cancelOrder', [order.id]);
+                        const txOptions = await this.confirmGasFees(
+                            () => contractWithSigner.estimateGas.cancelOrder(order.id),
+                            { description: `Cancel order #${order.id}` }
+                        );
+                        if (!txOptions) return;
                         
                         cancelButton.textContent = 'Approving...';
                         
-                        const tx = await contractWithSigner.cancelOrder(order.id, { gasLimit });
+                        const tx = await transactionManager.send(
+                            () => contractWithSigner.cancelOrder(order.id, txOptions),
+                            { type: 'cancelOrder', description: `Cancel order #${order.id}`, orderId: order.id }
+                        );
                         
                         cancelButton.textContent = 'Confirming...';
                         
-                        const receipt = await tx.wait();
-                        if (receipt.status === 0) {
-                            throw new Error('Transaction reverted by contract');
-                        }
+                        await transactionManager.wait(tx.hash);
 
                         // Show success notification
                         this.showSuccess(`Order ${order.id} cancelled successfully!`);
@@ -702,6 +712,7 @@ export class MyOrders extends ViewOrders {
                 });
                 
                 actionCell.appendChild(cancelButton);
+                actionCell.appendChild(this.createEditButton(order));
             } else {
                 actionCell.textContent = '-';
             }
@@ -770,6 +781,29 @@ export class MyOrders extends ViewOrders {
         controls.forEach(updateControls);
     }
 
+    // Edit opens CreateOrder pre-filled for cancel-and-replace
+    createEditButton(order) {
+        const editButton = document.createElement('button');
+        editButton.className = 'edit-order-btn';
+        editButton.textContent = 'Edit';
+        editButton.title = 'Cancel this order and create an edited replacement';
+        editButton.addEventListener('click', () => {
+            window.app?.editOrder(order).catch(error => {
+                this.error('Error opening order editor:', error);
+                this.showError('Failed to open order editor');
+            });
+        });
+        return editButton;
+    }
+
+    renderAmendmentLinks(orderId) {
+        const { replaces, replacedBy } = getAmendmentLinks(orderId);
+        return [
+            replaces !== null ? `<div class="amendment-link">replaces #${replaces}</div>` : '',
+            replacedBy !== null ? `<div class="amendment-link">replaced by #${replacedBy}</div>` : ''
+        ].join('');
+    }
+
     startExpiryTimer(row) {
         // Clear any existing timer
         const existingTimer = this.expiryTimers?.get(row.dataset.orderId);
@@ -828,16 +862,24 @@ export class MyOrders extends ViewOrders {
                             const signer = this.provider.getSigner();
                             const contractWithSigner = contract.connect(signer);
                             
-                            const gasEstimate = await contractWithSigner.estimateGas.cancelOrder(order.id);
-                            const gasLimit = gasEstimate.mul(120).div(100); // Add 20% buffer
+                            await simulateTransaction(contractWithSigner, 'cancelOrder', [order.id]);
+                            const txOptions = await this.confirmGasFees(
+                                () => contractWithSigner.estimateGas.cancelOrder(order.id),
+                                { description: `Cancel order #${order.id}` }
+                            );
+                            if (!txOptions) {
+                                cancelButton.disabled = false;
+                                cancelButton.textContent = 'Cancel';
+                                return;
+                            }
                             
-                            const tx = await contractWithSigner.cancelOrder(order.id, { gasLimit });
+                            const tx = await transactionManager.send(
+                                () => contractWithSigner.cancelOrder(order.id, txOptions),
+                                { type: 'cancelOrder', description: `Cancel order #${order.id}`, orderId: order.id }
+                            );
                             this.showError(`Cancelling order ${order.id}... Transaction sent`);
                             
-                            const receipt = await tx.wait();
-                            if (receipt.status === 0) {
-                                throw new Error('Transaction reverted by contract');
-                            }
+                            await transactionManager.wait(tx.hash);
 
                             this.showSuccess(`Order ${order.id} cancelled successfully!`);
                             actionCell.textContent = '-';
@@ -852,6 +894,7 @@ export class MyOrders extends ViewOrders {
                     
                     actionCell.innerHTML = '';
                     actionCell.appendChild(cancelButton);
+                    actionCell.appendChild(this.createEditButton(order));
                 }
             } else if (order.maker?.toLowerCase() === currentAccount) {
                 actionCell.innerHTML = '<span class="your-order">Mine</span>';
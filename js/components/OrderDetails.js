@@ -0,0 +1,309 @@
+import { BaseComponent } from './BaseComponent.js';
+import { ethers } from 'ethers';
+import { getNetworkConfig, walletManager } from '../config.js';
+import { createLogger } from '../services/LogService.js';
+import { orderHistoryService } from '../services/OrderHistoryService.js';
+import { escapeHtml, formatAddress, isZeroAddress, renderLookalikeWarning } from '../utils/ui.js';
+
+// Timeline labels for indexed order events
+const EVENT_LABELS = {
+    OrderCreated: 'Created',
+    OrderFilled: 'Filled',
+    OrderPartiallyFilled: 'Partially filled',
+    OrderCanceled: 'Canceled',
+    OrderCleanedUp: 'Cleaned up',
+    RetryOrder: 'Retried',
+    TransferError: 'Transfer failed',
+    CleanupError: 'Cleanup failed'
+};
+
+/**
+ * Single order view, opened from an order row or a #/order/<id> link.
+ * Shows the on-chain order struct and a timeline of the order's events,
+ * including the IDs it was listed under before and after retries.
+ */
+export class OrderDetails extends BaseComponent {
+    constructor() {
+        super('order-details');
+        this.orderId = null;
+
+        const logger = createLogger('ORDER_DETAILS');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+
+        // Linked orders may not be in the cache until the order sync completes
+        this.ordersListener = () => {
+            this.renderOrder().catch(error => this.error('Error rendering order details:', error));
+        };
+        this.historyListener = (event) => {
+            if (event === 'historyUpdated') {
+                this.renderOrder().catch(error => this.error('Error rendering order details:', error));
+            }
+        };
+    }
+
+    async initialize() {
+        if (this.orderId === null) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.renderMessage(`Loading order #${this.orderId}...`);
+        await window.webSocket?.waitForInitialization();
+
+        try {
+            // Cleaned up orders are only known from the persisted event index
+            await orderHistoryService.initialize();
+        } catch (error) {
+            this.warn('Order history not available:', error);
+        }
+
+        window.webSocket?.subscribe('orderSyncComplete', this.ordersListener);
+        window.webSocket?.subscribe('ordersUpdated', this.ordersListener);
+        orderHistoryService.subscribe(this.historyListener);
+        await this.renderOrder();
+
+        orderHistoryService.sync().catch(error => {
+            this.error('History sync failed:', error);
+        });
+    }
+
+    renderMessage(message) {
+        this.container.innerHTML = `
+            <div class="order-details">
+                <a class="order-details-back" href="#/view-orders">← Back to orders</a>
+                <h2>Order #${this.orderId}</h2>
+                <p class="placeholder-text">${message}</p>
+            </div>`;
+    }
+
+    getExplorerUrl(type, value) {
+        const { explorer } = getNetworkConfig();
+        if (!explorer) return null;
+        return type === 'address'
+            ? `${explorer}/address/${ethers.utils.getAddress(value)}`
+            : `${explorer}/tx/${value}`;
+    }
+
+    renderAddress(address) {
+        const url = this.getExplorerUrl('address', address);
+        const text = `${formatAddress(address)}${renderLookalikeWarning(address)}`;
+        return url
+            ? `<a href="${url}" target="_blank" rel="noopener noreferrer" title="${address}">${text}</a>`
+            : `<span title="${address}">${text}</span>`;
+    }
+
+    renderTxHash(txHash) {
+        const url = this.getExplorerUrl('tx', txHash);
+        const text = `${txHash.slice(0, 10)}...${txHash.slice(-6)}`;
+        return url
+            ? `<a href="${url}" target="_blank" rel="noopener noreferrer" title="${txHash}">${text}</a>`
+            : `<span title="${txHash}">${text}</span>`;
+    }
+
+    async formatTokenAmount(tokenAddress, amount) {
+        const tokenInfo = await window.webSocket.getTokenInfo(tokenAddress);
+        return `${ethers.utils.formatUnits(amount, tokenInfo.decimals)} ${tokenInfo.symbol}`;
+    }
+
+    formatTime(timestamp) {
+        return timestamp ? new Date(timestamp * 1000).toLocaleString() : 'N/A';
+    }
+
+    async renderOrder() {
+        const order = window.webSocket?.orderCache.get(this.orderId);
+        const record = orderHistoryService.getOrderRecord(this.orderId);
+
+        if (!order && !record?.maker) {
+            const syncing = window.webSocket?.lastSyncedBlock === null || orderHistoryService.lastScannedBlock === null;
+            this.renderMessage(syncing
+                ? `Loading order #${this.orderId}...`
+                : `Order #${this.orderId} was not found.`);
+            return;
+        }
+
+        const fields = order ? await this.getOrderFields(order) : await this.getRecordFields(record);
+        const timeline = await this.renderTimeline();
+
+        this.container.innerHTML = `
+            <div class="order-details">
+                <a class="order-details-back" href="#/view-orders">← Back to orders</a>
+                <h2>Order #${this.orderId}</h2>
+                ${order ? '' : `
+                    <p class="order-details-note">
+                        This order is no longer stored in the contract. Details are rebuilt from its event logs.
+                    </p>`}
+                ${order ? this.renderActions(order) : ''}
+                <dl class="order-details-fields">
+                    ${fields.map(([label, value]) => `
+                        <div class="order-details-field">
+                            <dt>${label}</dt>
+                            <dd>${value}</dd>
+                        </div>`).join('')}
+                </dl>
+                <h3>Timeline</h3>
+                ${timeline}
+            </div>`;
+
+        // Filling shares the checks and approvals of the orders table
+        this.container.querySelector('.fill-button')?.addEventListener('click', async (e) => {
+            e.target.disabled = true;
+            try {
+                await window.app?.components['view-orders']?.fillOrder(order.id);
+            } finally {
+                e.target.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Fill button for takers arriving from a shared order link
+     * @param {Object} order - Order from the WebSocket cache
+     * @returns {string} Actions HTML
+     */
+    renderActions(order) {
+        if (window.webSocket.getOrderStatus(order) !== 'Active') return '';
+
+        const account = walletManager.getAccount();
+        if (!account) {
+            return `<p class="order-details-actions">Connect your wallet to fill this order.</p>`;
+        }
+        if (!window.webSocket.canFillOrder(order, account)) return '';
+        return `
+            <div class="order-details-actions">
+                <button class="fill-button" data-order-id="${order.id}">Fill Order</button>
+            </div>`;
+    }
+
+    /**
+     * @param {Object} order - Order from the WebSocket cache, as read from orders()
+     * @returns {Promise<Array<[string, string]>>} Label and HTML value pairs
+     */
+    async getOrderFields(order) {
+        const deal = order.dealMetrics?.deal > 0 ? 1 / order.dealMetrics.deal : null; // taker's view, as in View Orders
+        return [
+            ['Status', window.webSocket.getOrderStatus(order)],
+            ['Maker', this.renderAddress(order.maker)],
+            ['Taker', isZeroAddress(order.taker) ? 'Open to anyone' : this.renderAddress(order.taker)],
+            ['Sell token', this.renderAddress(order.sellToken)],
+            ['Sell amount', await this.formatTokenAmount(order.sellToken, order.sellAmount)],
+            ['Buy token', this.renderAddress(order.buyToken)],
+            ['Buy amount', await this.formatTokenAmount(order.buyToken, order.buyAmount)],
+            ['Deal', deal !== null ? deal.toFixed(6) : 'N/A'],
+            ['Created', this.formatTime(order.timings?.createdAt ?? order.timestamp)],
+            ['Expires', this.formatTime(order.timings?.expiresAt)],
+            ['Fee token', this.renderAddress(order.feeToken)],
+            ['Creation fee', await this.formatTokenAmount(order.feeToken, order.orderCreationFee)],
+            ['Tries', String(order.tries ?? 0)]
+        ];
+    }
+
+    /**
+     * @param {Object} record - Order history record
+     * @returns {Promise<Array<[string, string]>>} Label and HTML value pairs
+     */
+    async getRecordFields(record) {
+        const fields = [
+            ['Status', record.status || 'Unknown'],
+            ['Maker', this.renderAddress(record.maker)],
+            ['Taker', !record.taker || isZeroAddress(record.taker) ? 'Open to anyone' : this.renderAddress(record.taker)]
+        ];
+        if (record.sellToken && record.sellAmount) {
+            fields.push(
+                ['Sell token', this.renderAddress(record.sellToken)],
+                ['Sell amount', await this.formatTokenAmount(record.sellToken, record.sellAmount)]
+            );
+        }
+        if (record.buyToken && record.buyAmount) {
+            fields.push(
+                ['Buy token', this.renderAddress(record.buyToken)],
+                ['Buy amount', await this.formatTokenAmount(record.buyToken, record.buyAmount)]
+            );
+        }
+        fields.push(['Created', this.formatTime(record.createdAt)]);
+        if (record.feeToken) {
+            fields.push(
+                ['Fee token', this.renderAddress(record.feeToken)],
+                ['Creation fee', await this.formatTokenAmount(record.feeToken, record.orderCreationFee)]
+            );
+        }
+        fields.push(['Tries', String(record.tries ?? 0)]);
+        return fields;
+    }
+
+    /**
+     * Events for every ID in the order's retry lineage, oldest first
+     * @returns {Promise<string>} Timeline HTML
+     */
+    async renderTimeline() {
+        const lineage = orderHistoryService.getOrderLineage(this.orderId);
+        const entries = lineage.flatMap(orderId => {
+            const record = orderHistoryService.getOrderRecord(orderId);
+            return (record?.events || [])
+                // The matching RetryOrder entry on the earlier ID covers the re-listing
+                .filter(entry => entry.type !== 'RetryCreated')
+                .map(entry => ({ ...entry, orderId, record }));
+        }).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        if (entries.length === 0) {
+            return `<p class="placeholder-text">${orderHistoryService.lastScannedBlock === null
+                ? 'Loading order events...'
+                : 'No events found for this order.'}</p>`;
+        }
+
+        const lineageHtml = lineage.length > 1
+            ? `<p class="order-details-lineage">Listed as ${lineage.map(orderId => orderId === this.orderId
+                ? `<strong>#${orderId}</strong>`
+                : `<a class="order-link" href="#/order/${orderId}">#${orderId}</a>`).join(' → ')}</p>`
+            : '';
+
+        const rows = await Promise.all(entries.map(async entry => `
+            <li class="timeline-entry ${entry.type === 'TransferError' || entry.type === 'CleanupError' ? 'error' : ''}">
+                <span class="timeline-time">${this.formatTime(entry.timestamp)}</span>
+                <span class="timeline-event">
+                    ${lineage.length > 1 ? `<span class="timeline-order">#${entry.orderId}</span>` : ''}
+                    ${EVENT_LABELS[entry.type] || entry.type}
+                    <span class="timeline-detail">${await this.describeEvent(entry)}</span>
+                </span>
+                <span class="timeline-tx">${this.renderTxHash(entry.txHash)}</span>
+            </li>`));
+
+        return `
+            ${lineageHtml}
+            <ol class="order-timeline">${rows.join('')}</ol>`;
+    }
+
+    /**
+     * @param {Object} entry - Timeline entry with its history record
+     * @returns {Promise<string>} Extra detail for the event, if any
+     */
+    async describeEvent(entry) {
+        switch (entry.type) {
+            case 'OrderFilled':
+            case 'OrderPartiallyFilled': {
+                const fill = entry.record.fills?.find(f => f.txHash === entry.txHash);
+                if (!fill) return '';
+                const sold = await this.formatTokenAmount(entry.record.sellToken, fill.sellAmount);
+                const paid = await this.formatTokenAmount(entry.record.buyToken, fill.buyAmount);
+                return `${sold} for ${paid} by ${this.renderAddress(fill.taker)}`;
+            }
+            case 'RetryOrder':
+                return `as <a class="order-link" href="#/order/${entry.newOrderId}">#${entry.newOrderId}</a>` +
+                    (entry.tries !== undefined ? ` (try ${entry.tries})` : '');
+            // Reasons come from token reverts, so they are untrusted
+            case 'TransferError':
+                return `${entry.tokenType ? `${escapeHtml(entry.tokenType)}: ` : ''}${entry.reason ? escapeHtml(entry.reason) : 'unknown reason'}`;
+            case 'CleanupError':
+                return entry.reason ? escapeHtml(entry.reason) : 'unknown reason';
+            default:
+                return '';
+        }
+    }
+
+    cleanup() {
+        window.webSocket?.unsubscribe('orderSyncComplete', this.ordersListener);
+        window.webSocket?.unsubscribe('ordersUpdated', this.ordersListener);
+        orderHistoryService.unsubscribe(this.historyListener);
+    }
+}
@@ -0,0 +1,367 @@
+import { ViewOrders } from './ViewOrders.js';
+import { ethers } from 'ethers';
+import { getNetworkConfig, walletManager } from '../config.js';
+import { createLogger } from '../services/LogService.js';
+import { orderHistoryService } from '../services/OrderHistoryService.js';
+import { formatAddress, isZeroAddress, renderLookalikeWarning, setupClickToCopy } from '../utils/ui.js';
+
+export class OrderHistory extends ViewOrders {
+    constructor() {
+        super('order-history');
+
+        // Initialize logger
+        const logger = createLogger('ORDER_HISTORY');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+
+        this.historyListener = (event, data) => {
+            if (event === 'historySyncProgress') {
+                this.updateSyncStatus(`Indexing history... ${Math.round((data.scanned / data.total) * 100)}%`);
+            } else if (event === 'historyUpdated') {
+                this.updateSyncStatus('');
+                this.refreshOrdersView().catch(error => {
+                    this.error('Error refreshing history after update:', error);
+                });
+            }
+        };
+    }
+
+    async initialize(readOnlyMode = true) {
+        if (readOnlyMode) {
+            this._tableSetup = false;
+            this.container.innerHTML = `
+                <div class="tab-content-wrapper">
+                    <h2>History</h2>
+                    <p class="connect-prompt">Connect wallet to view your order history</p>
+                </div>`;
+            return;
+        }
+
+        if (!this._tableSetup) {
+            await this.setupTable();
+            await this.setupWebSocket();
+        }
+        orderHistoryService.subscribe(this.historyListener);
+
+        // Show what is already indexed, then extend the index from the chain
+        await this.refreshOrdersView();
+        orderHistoryService.sync().catch(error => {
+            this.error('History sync failed:', error);
+            this.updateSyncStatus('Failed to load history');
+            this.showError('Failed to load order history');
+        });
+    }
+
+    updateSyncStatus(text) {
+        const status = this.container.querySelector('.history-sync-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    async setupTable() {
+        if (this._tableSetup) {
+            this.debug('Table already setup, skipping...');
+            return;
+        }
+        this._tableSetup = true;
+
+        this.container.innerHTML = '';
+        const tableContainer = this.createElement('div', 'table-container');
+
+        const filterControls = this.createElement('div', 'filter-controls');
+        filterControls.innerHTML = `
+            <div class="filter-row">
+                <div class="filters-group">
+                    <button class="advanced-filters-toggle">
+                        <svg class="filter-icon" viewBox="0 0 24 24" width="16" height="16">
+                            <path fill="currentColor" d="M14,12V19.88C14.04,20.18 13.94,20.5 13.71,20.71C13.32,21.1 12.69,21.1 12.3,20.71L10.29,18.7C10.06,18.47 9.960,18.16 10,17.87V12H9.97L4.21,4.62C3.87,4.19 3.95,3.56 4.38,3.22C4.57,3.08 4.78,3 5,3V3H19V3C19.22,3 19.43,3.08 19.62,3.22C20.05,3.56 20.13,4.19 19.790,4.62L14.03,12H14Z"/>
+                        </svg>
+                        Filters
+                        <svg class="chevron-icon" viewBox="0 0 24 24" width="16" height="16">
+                            <path fill="currentColor" d="M7.41,8.58L12,13.17L16.59,8.58L18,10L12,16L6,10L7.41,8.58Z"/>
+                        </svg>
+                    </button>
+                    <span class="history-sync-status"></span>
+                </div>
+
+                <div class="pagination-controls">
+                    <select id="page-size-select" class="page-size-select">
+                        <option value="10">10 per page</option>
+                        <option value="25" selected>25 per page</option>
+                        <option value="50">50 per page</option>
+                        <option value="100">100 per page</option>
+                        <option value="-1">View all</option>
+                    </select>
+
+                    <div class="pagination-buttons">
+                        <button class="pagination-button prev-page" title="Previous page">←</button>
+                        <span class="page-info">Page 1 of 1</span>
+                        <button class="pagination-button next-page" title="Next page">→</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const tokens = Array.from(window.webSocket.tokenCache.values())
+            .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+        const advancedFilters = this.createElement('div', 'advanced-filters');
+        advancedFilters.style.display = 'none';
+        advancedFilters.innerHTML = `
+            <div class="filter-row">
+                <div class="token-filters">
+                    <select id="history-token-filter" class="token-filter">
+                        <option value="">All Tokens</option>
+                        ${tokens.map(token =>
+                            `<option value="${token.address}">${token.symbol}</option>`
+                        ).join('')}
+                    </select>
+                    <select id="history-role-filter" class="token-filter">
+                        <option value="">Maker &amp; Taker</option>
+                        <option value="Maker">As Maker</option>
+                        <option value="Taker">As Taker</option>
+                    </select>
+                    <select id="history-status-filter" class="token-filter">
+                        <option value="">All Statuses</option>
+                        <option value="Filled">Filled</option>
+                        <option value="Partially Filled">Partially Filled</option>
+                        <option value="Canceled">Canceled</option>
+                        <option value="Expired">Expired</option>
+                        <option value="Retried">Retried</option>
+                        <option value="Active">Active</option>
+                    </select>
+                    <select id="order-sort" class="order-sort">
+                        <option value="newest">Newest First</option>
+                        <option value="oldest">Oldest First</option>
+                        <option value="usd-value">Highest Value First</option>
+                    </select>
+                </div>
+            </div>
+        `;
+        filterControls.appendChild(advancedFilters);
+
+        const advancedFiltersToggle = filterControls.querySelector('.advanced-filters-toggle');
+        advancedFiltersToggle.addEventListener('click', () => {
+            const isExpanded = advancedFilters.style.display !== 'none';
+            advancedFilters.style.display = isExpanded ? 'none' : 'block';
+            advancedFiltersToggle.classList.toggle('expanded', !isExpanded);
+        });
+
+        advancedFilters.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => this.refreshOrdersView());
+        });
+
+        tableContainer.appendChild(filterControls);
+
+        const table = this.createElement('table', 'orders-table history-table');
+        const thead = this.createElement('thead');
+        thead.innerHTML = `
+            <tr>
+                <th>ID</th>
+                <th>Date</th>
+                <th>Role</th>
+                <th>Sent</th>
+                <th>Received</th>
+                <th>Counterparty</th>
+                <th>
+                    Value
+                    <span class="info-icon" title="USD value of the sell side at the time of the fill (or creation).
+Grey values use today's price because no historical price was available.">ⓘ</span>
+                </th>
+                <th>Status</th>
+                <th>Tx</th>
+            </tr>`;
+        table.appendChild(thead);
+        table.appendChild(this.createElement('tbody'));
+        tableContainer.appendChild(table);
+        this.setupOrderRowNavigation(table);
+
+        const bottomControls = this.createElement('div', 'filter-controls bottom-controls');
+        bottomControls.innerHTML = `
+            <div class="filter-row">
+                <div class="refresh-container"></div>
+                <div class="pagination-controls">
+                    <div class="pagination-buttons">
+                        <button class="pagination-button prev-page" title="Previous page">←</button>
+                        <span class="page-info">Page 1 of 1</span>
+                        <button class="pagination-button next-page" title="Next page">→</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        tableContainer.appendChild(bottomControls);
+
+        filterControls.querySelector('#page-size-select').addEventListener('change', () => {
+            this.currentPage = 1;
+            this.refreshOrdersView();
+        });
+
+        tableContainer.querySelectorAll('.filter-controls').forEach(controls => {
+            controls.querySelector('.prev-page').addEventListener('click', () => {
+                if (this.currentPage > 1) {
+                    this.currentPage--;
+                    this.refreshOrdersView();
+                }
+            });
+            controls.querySelector('.next-page').addEventListener('click', () => {
+                const pageSize = parseInt(this.container.querySelector('#page-size-select').value);
+                const totalPages = Math.ceil(this.totalOrders / pageSize);
+                if (this.currentPage < totalPages) {
+                    this.currentPage++;
+                    this.refreshOrdersView();
+                }
+            });
+        });
+
+        this.container.appendChild(tableContainer);
+    }
+
+    async refreshOrdersView() {
+        if (this.isLoading) return;
+        const tbody = this.container.querySelector('tbody');
+        if (!tbody) return;
+        this.isLoading = true;
+
+        try {
+            const account = walletManager.getAccount();
+            let rows = orderHistoryService.getAccountHistory(account);
+
+            const tokenFilter = this.container.querySelector('#history-token-filter')?.value?.toLowerCase();
+            const roleFilter = this.container.querySelector('#history-role-filter')?.value;
+            const statusFilter = this.container.querySelector('#history-status-filter')?.value;
+            const orderSort = this.container.querySelector('#order-sort')?.value;
+
+            // Reset to page 1 when filters change
+            const filterKey = `${tokenFilter}|${roleFilter}|${statusFilter}`;
+            if (this._lastFilterKey !== filterKey) {
+                this.currentPage = 1;
+                this._lastFilterKey = filterKey;
+            }
+
+            rows = rows.filter(row => {
+                if (tokenFilter &&
+                    row.sentToken.toLowerCase() !== tokenFilter &&
+                    row.receivedToken.toLowerCase() !== tokenFilter) return false;
+                if (roleFilter && row.role !== roleFilter) return false;
+                if (statusFilter && row.status !== statusFilter) return false;
+                return true;
+            });
+
+            this.totalOrders = rows.length;
+
+            if (orderSort === 'usd-value') {
+                for (const row of rows) {
+                    row.usd = await orderHistoryService.getUsdValue(row.record);
+                }
+                rows.sort((a, b) => (b.usd?.value ?? -1) - (a.usd?.value ?? -1));
+            } else if (orderSort === 'oldest') {
+                rows.sort((a, b) => a.timestamp - b.timestamp || a.orderId - b.orderId);
+            } else {
+                rows.sort((a, b) => b.timestamp - a.timestamp || b.orderId - a.orderId);
+            }
+
+            const pageSize = parseInt(this.container.querySelector('#page-size-select')?.value || '25');
+            const startIndex = (this.currentPage - 1) * pageSize;
+            const paginatedRows = pageSize === -1 ? rows : rows.slice(startIndex, startIndex + pageSize);
+
+            tbody.innerHTML = '';
+            for (const row of paginatedRows) {
+                const tr = await this.createOrderRow(row);
+                if (tr) {
+                    tbody.appendChild(tr);
+                }
+            }
+
+            if (paginatedRows.length === 0) {
+                tbody.innerHTML = `
+                    <tr class="empty-message">
+                        <td colspan="9" class="no-orders-message">
+                            <div class="placeholder-text">
+                                ${orderHistoryService.lastScannedBlock === null ?
+                                    'Loading order history...' :
+                                    'No orders found in your history'}
+                            </div>
+                        </td>
+                    </tr>`;
+            }
+
+            this.updatePaginationControls(this.totalOrders);
+        } catch (error) {
+            this.debug('Error refreshing history:', error);
+            this.showError('Failed to refresh order history');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async createOrderRow(row) {
+        try {
+            const tr = document.createElement('tr');
+            tr.dataset.orderId = row.orderId.toString();
+
+            const sentTokenInfo = await window.webSocket.getTokenInfo(row.sentToken);
+            const receivedTokenInfo = await window.webSocket.getTokenInfo(row.receivedToken);
+            const sentAmount = ethers.utils.formatUnits(row.sentAmount, sentTokenInfo.decimals);
+            const receivedAmount = ethers.utils.formatUnits(row.receivedAmount, receivedTokenInfo.decimals);
+
+            const usd = row.usd !== undefined ? row.usd : await orderHistoryService.getUsdValue(row.record);
+            const formatUsd = (value) => {
+                if (value >= 100) return `$${value.toFixed(0)}`;
+                if (value >= 1) return `$${value.toFixed(2)}`;
+                return `$${value.toFixed(4)}`;
+            };
+
+            const statusText = row.status === 'Retried' && row.record.retriedTo !== undefined
+                ? `Retried → #${row.record.retriedTo}`
+                : row.status;
+
+            const hasCounterparty = row.counterparty && !isZeroAddress(row.counterparty);
+            const explorer = getNetworkConfig()?.explorer;
+
+            tr.innerHTML = `
+                <td><a class="order-link" href="#/order/${row.orderId}">${row.orderId}</a></td>
+                <td>${this.formatTimestamp(row.timestamp)}</td>
+                <td>${row.role}</td>
+                <td>
+                    <div class="token-details">
+                        <span class="token-symbol">${sentTokenInfo.symbol}</span>
+                        <span class="token-amount">${sentAmount}</span>
+                    </div>
+                </td>
+                <td>
+                    <div class="token-details">
+                        <span class="token-symbol">${receivedTokenInfo.symbol}</span>
+                        <span class="token-amount">${receivedAmount}</span>
+                    </div>
+                </td>
+                <td>
+                    ${hasCounterparty ? `
+                        <span class="counterparty-address clickable"
+                              data-tooltip="Click to copy: ${row.counterparty}"
+                              data-address="${row.counterparty}">
+                            ${formatAddress(row.counterparty)}${renderLookalikeWarning(row.counterparty)}
+                        </span>` : 'Open to anyone'}
+                </td>
+                <td class="${usd?.estimated ? 'price-estimate' : ''}">${usd ? formatUsd(usd.value) : 'N/A'}</td>
+                <td class="order-status">${statusText}</td>
+                <td>
+                    ${row.txHash && explorer ? `
+                        <a href="${explorer}/tx/${row.txHash}" target="_blank" rel="noopener noreferrer"
+                           title="${row.txHash}">${row.txHash.slice(0, 8)}...</a>` : ''}
+                </td>`;
+
+            setupClickToCopy(tr.querySelector('.counterparty-address'));
+            return tr;
+        } catch (error) {
+            this.error('Error creating history row:', error);
+            return null;
+        }
+    }
+
+    cleanup() {
+        orderHistoryService.unsubscribe(this.historyListener);
+        super.cleanup();
+    }
+}
@@ -0,0 +1,364 @@
+import { BaseComponent } from './BaseComponent.js';
+import { createLogger } from '../services/LogService.js';
+import { orderHistoryService } from '../services/OrderHistoryService.js';
+import { buildDepthLevels, buildTradeSeries } from '../utils/orderBook.js';
+
+// Selectable chart ranges in seconds; null shows every trade
+const RANGES = {
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '30d': 30 * 24 * 60 * 60,
+    '90d': 90 * 24 * 60 * 60,
+    'all': null
+};
+
+// SVG layout, in viewBox units
+const CHART_WIDTH = 800;
+const PRICE_HEIGHT = 240;
+const VOLUME_HEIGHT = 70;
+const PANE_GAP = 16;
+const MARGIN = { top: 12, right: 110, bottom: 24, left: 70 };
+const VOLUME_BUCKETS = 40;
+const MAX_LEVELS_PER_SIDE = 5; // Best active order levels drawn per side
+
+/**
+ * Executed OTC prices for a token pair, reconstructed from fill events in the
+ * order history index, with active order levels and the market price overlaid.
+ */
+export class PairMarket extends BaseComponent {
+    constructor() {
+        super('pair-market');
+
+        const logger = createLogger('PAIR_MARKET');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+
+        this.range = '30d';
+        this.baseToken = null;
+        this.quoteToken = null;
+
+        const refresh = () => {
+            this.renderChart().catch(error => this.error('Error rendering pair market:', error));
+        };
+        this.historyListener = (event, data) => {
+            if (event === 'historySyncProgress') {
+                this.updateSyncStatus(`Indexing trades... ${Math.round((data.scanned / data.total) * 100)}%`);
+            } else if (event === 'historyUpdated') {
+                this.updateSyncStatus('');
+                refresh();
+            }
+        };
+        this.ordersListener = refresh;
+        this.pricingListener = (event) => {
+            if (event === 'refreshComplete') refresh();
+        };
+    }
+
+    async initialize() {
+        await window.webSocket?.waitForInitialization();
+        if (!window.webSocket?.contract) {
+            this.container.innerHTML = `
+                <div class="tab-content-wrapper">
+                    <h2>Market</h2>
+                    <p class="connect-prompt">Market data is not available yet</p>
+                </div>`;
+            return;
+        }
+
+        try {
+            // Loads the persisted index so the chart can show what is known before syncing
+            await orderHistoryService.initialize();
+        } catch (error) {
+            this.warn('Order history not available:', error);
+        }
+
+        this.renderLayout();
+        orderHistoryService.subscribe(this.historyListener);
+        window.webSocket.subscribe('ordersUpdated', this.ordersListener);
+        window.pricingService?.subscribe(this.pricingListener);
+
+        await this.renderChart();
+        orderHistoryService.sync().catch(error => {
+            this.error('History sync failed:', error);
+            this.updateSyncStatus('Failed to load trades');
+        });
+    }
+
+    updateSyncStatus(text) {
+        const status = this.container.querySelector('.history-sync-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    /**
+     * Pair with the most recorded fills, so the tab opens on something useful
+     * @param {Array<Object>} tokens - Known tokens
+     * @returns {[string, string]|null} Base and quote token addresses
+     */
+    getDefaultPair(tokens) {
+        const known = new Set(tokens.map(token => token.address.toLowerCase()));
+        const counts = new Map();
+        for (const record of orderHistoryService.records.values()) {
+            const sellToken = record.sellToken?.toLowerCase();
+            const buyToken = record.buyToken?.toLowerCase();
+            if (!known.has(sellToken) || !known.has(buyToken) || !record.fills?.length) continue;
+            const key = `${sellToken}:${buyToken}`;
+            counts.set(key, (counts.get(key) || 0) + record.fills.length);
+        }
+
+        const [best] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+        if (best) return best[0].split(':');
+        return tokens.length >= 2 ? [tokens[0].address, tokens[1].address] : null;
+    }
+
+    renderLayout() {
+        const tokens = Array.from(window.webSocket.tokenCache.values())
+            .sort((a, b) => a.symbol.localeCompare(b.symbol));
+        const known = new Set(tokens.map(token => token.address.toLowerCase()));
+        if (!known.has(this.baseToken?.toLowerCase()) || !known.has(this.quoteToken?.toLowerCase())) {
+            [this.baseToken, this.quoteToken] = this.getDefaultPair(tokens) || [null, null];
+        }
+
+        const tokenOptions = (selected) => tokens.map(token => `
+            <option value="${token.address}" ${token.address.toLowerCase() === selected?.toLowerCase() ? 'selected' : ''}>
+                ${token.symbol}
+            </option>`).join('');
+
+        this.container.innerHTML = `
+            <div class="pair-market">
+                <div class="pair-market-controls">
+                    <div class="pair-market-pair">
+                        <select class="token-filter pair-market-base" title="Base token">${tokenOptions(this.baseToken)}</select>
+                        <button class="pair-market-swap" title="Swap base and quote">⇄</button>
+                        <select class="token-filter pair-market-quote" title="Quote token">${tokenOptions(this.quoteToken)}</select>
+                    </div>
+                    <div class="pair-market-ranges">
+                        ${Object.keys(RANGES).map(range => `
+                            <button class="pair-market-range ${range === this.range ? 'active' : ''}" data-range="${range}">
+                                ${range === 'all' ? 'All' : range}
+                            </button>`).join('')}
+                    </div>
+                    <span class="history-sync-status"></span>
+                </div>
+                <div class="pair-market-stats"></div>
+                <div class="pair-market-chart"></div>
+                <div class="pair-market-legend">
+                    <span class="legend-item legend-buy">Taker bought</span>
+                    <span class="legend-item legend-sell">Taker sold</span>
+                    <span class="legend-item legend-ask">Active asks</span>
+                    <span class="legend-item legend-bid">Active bids</span>
+                    <span class="legend-item legend-market">Market price</span>
+                </div>
+            </div>`;
+
+        const baseSelect = this.container.querySelector('.pair-market-base');
+        const quoteSelect = this.container.querySelector('.pair-market-quote');
+        const onPairChange = () => {
+            this.baseToken = baseSelect.value;
+            this.quoteToken = quoteSelect.value;
+            this.renderChart().catch(error => this.error('Error rendering pair market:', error));
+        };
+        baseSelect.addEventListener('change', onPairChange);
+        quoteSelect.addEventListener('change', onPairChange);
+
+        this.container.querySelector('.pair-market-swap').addEventListener('click', () => {
+            [baseSelect.value, quoteSelect.value] = [quoteSelect.value, baseSelect.value];
+            onPairChange();
+        });
+
+        this.container.querySelectorAll('.pair-market-range').forEach(button => {
+            button.addEventListener('click', () => {
+                this.range = button.dataset.range;
+                this.container.querySelectorAll('.pair-market-range').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                this.renderChart().catch(error => this.error('Error rendering pair market:', error));
+            });
+        });
+    }
+
+    /**
+     * Market price of the base token in quote token units from PricingService
+     * @returns {{price: number, estimated: boolean}|null}
+     */
+    getMarketPrice(baseToken, quoteToken) {
+        const pricingService = window.pricingService;
+        const basePrice = pricingService?.getPrice(baseToken);
+        const quotePrice = pricingService?.getPrice(quoteToken);
+        if (!(basePrice > 0) || !(quotePrice > 0)) return null;
+        return {
+            price: basePrice / quotePrice,
+            estimated: pricingService.isPriceEstimated(baseToken) || pricingService.isPriceEstimated(quoteToken)
+        };
+    }
+
+    async renderChart() {
+        const chart = this.container.querySelector('.pair-market-chart');
+        const stats = this.container.querySelector('.pair-market-stats');
+        if (!chart || !stats) return;
+
+        const { baseToken, quoteToken } = this;
+        if (!baseToken || !quoteToken || baseToken.toLowerCase() === quoteToken.toLowerCase()) {
+            stats.innerHTML = '';
+            chart.innerHTML = '<div class="placeholder-text">Select two different tokens</div>';
+            return;
+        }
+
+        const [baseInfo, quoteInfo] = await Promise.all([
+            window.webSocket.getTokenInfo(baseToken),
+            window.webSocket.getTokenInfo(quoteToken)
+        ]);
+        const pair = {
+            baseToken,
+            quoteToken,
+            baseDecimals: baseInfo.decimals,
+            quoteDecimals: quoteInfo.decimals
+        };
+
+        const to = Math.floor(Date.now() / 1000);
+        const allPoints = buildTradeSeries(orderHistoryService.getPairTrades(baseToken, quoteToken), pair);
+        const span = RANGES[this.range];
+        const from = span ? to - span : (allPoints[0]?.timestamp ?? to - RANGES['30d']);
+        const points = allPoints.filter(point => point.timestamp >= from);
+
+        const activeOrders = Array.from(window.webSocket.orderCache.values())
+            .filter(order => window.webSocket.getOrderStatus(order) === 'Active');
+        const { asks, bids } = buildDepthLevels(activeOrders, pair);
+        const levels = [
+            ...asks.slice(0, MAX_LEVELS_PER_SIDE).map(level => ({ ...level, side: 'ask' })),
+            ...bids.slice(0, MAX_LEVELS_PER_SIDE).map(level => ({ ...level, side: 'bid' }))
+        ];
+        const marketPrice = this.getMarketPrice(baseToken, quoteToken);
+
+        stats.innerHTML = this.renderStats(points, marketPrice, baseInfo, quoteInfo);
+
+        if (points.length === 0 && levels.length === 0 && !marketPrice) {
+            chart.innerHTML = `
+                <div class="placeholder-text">
+                    ${orderHistoryService.lastScannedBlock === null ? 'Loading trades...' : 'No trades or orders for this pair in the selected range'}
+                </div>`;
+            return;
+        }
+
+        chart.innerHTML = this.renderSvg({ points, levels, marketPrice, from, to, baseInfo, quoteInfo });
+    }
+
+    renderStats(points, marketPrice, baseInfo, quoteInfo) {
+        const last = points[points.length - 1];
+        const first = points[0];
+        const baseVolume = points.reduce((sum, point) => sum + point.baseAmount, 0);
+        const quoteVolume = points.reduce((sum, point) => sum + point.quoteAmount, 0);
+        const change = last && first.price > 0 ? (last.price / first.price - 1) * 100 : null;
+        const premium = last && marketPrice ? (last.price / marketPrice.price - 1) * 100 : null;
+        const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+        const stat = (label, value, className = '') => `
+            <div class="pair-market-stat">
+                <span class="stat-label">${label}</span>
+                <span class="stat-value ${className}">${value}</span>
+            </div>`;
+
+        return [
+            stat(`Last price (${quoteInfo.symbol} per ${baseInfo.symbol})`, last ? this.formatNumber(last.price) : 'N/A'),
+            stat('Change', change !== null ? formatPercent(change) : 'N/A'),
+            stat('Trades', points.length),
+            stat(`Volume (${baseInfo.symbol})`, this.formatNumber(baseVolume)),
+            stat(`Volume (${quoteInfo.symbol})`, this.formatNumber(quoteVolume)),
+            stat('Market price', marketPrice ? this.formatNumber(marketPrice.price) : 'N/A',
+                marketPrice?.estimated ? 'price-estimate' : ''),
+            stat('Last vs market', premium !== null ? formatPercent(premium) : 'N/A')
+        ].join('');
+    }
+
+    renderSvg({ points, levels, marketPrice, from, to, baseInfo, quoteInfo }) {
+        const prices = [
+            ...points.map(point => point.price),
+            ...levels.map(level => level.price),
+            marketPrice?.price
+        ].filter(price => price > 0);
+        let min = Math.min(...prices);
+        let max = Math.max(...prices);
+        if (min === max) {
+            min *= 0.9;
+            max *= 1.1;
+        }
+        const padding = (max - min) * 0.08;
+        min = Math.max(0, min - padding);
+        max += padding;
+
+        const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+        const volumeTop = MARGIN.top + PRICE_HEIGHT + PANE_GAP;
+        const height = volumeTop + VOLUME_HEIGHT + MARGIN.bottom;
+        const x = (timestamp) => MARGIN.left + ((timestamp - from) / Math.max(to - from, 1)) * plotWidth;
+        const y = (price) => MARGIN.top + (1 - (price - min) / (max - min)) * PRICE_HEIGHT;
+        const right = MARGIN.left + plotWidth;
+
+        const yTicks = Array.from({ length: 5 }, (_, i) => min + ((max - min) * i) / 4);
+        const xTicks = [from, from + (to - from) / 2, to];
+
+        // Quote token volume per time bucket
+        const bucketSize = Math.max(to - from, 1) / VOLUME_BUCKETS;
+        const buckets = new Array(VOLUME_BUCKETS).fill(0);
+        points.forEach(point => {
+            const index = Math.min(VOLUME_BUCKETS - 1, Math.floor((point.timestamp - from) / bucketSize));
+            buckets[index] += point.quoteAmount;
+        });
+        const maxVolume = Math.max(...buckets);
+        const barWidth = plotWidth / VOLUME_BUCKETS;
+
+        const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString();
+
+        return `
+            <svg class="pair-market-svg" viewBox="0 0 ${CHART_WIDTH} ${height}" preserveAspectRatio="xMidYMid meet">
+                ${yTicks.map(price => `
+                    <line class="grid-line" x1="${MARGIN.left}" x2="${right}" y1="${y(price)}" y2="${y(price)}"></line>
+                    <text class="axis-label" x="${MARGIN.left - 6}" y="${y(price) + 4}" text-anchor="end">${this.formatNumber(price)}</text>`).join('')}
+                ${xTicks.map((timestamp, i) => `
+                    <text class="axis-label" x="${x(timestamp)}" y="${height - 6}"
+                          text-anchor="${i === 0 ? 'start' : i === xTicks.length - 1 ? 'end' : 'middle'}">${formatDate(timestamp)}</text>`).join('')}
+
+                ${levels.map(level => `
+                    <line class="order-level ${level.side}" x1="${MARGIN.left}" x2="${right}" y1="${y(level.price)}" y2="${y(level.price)}">
+                        <title>${level.side === 'ask' ? 'Ask' : 'Bid'} ${this.formatNumber(level.price)}: ${this.formatNumber(level.baseAmount)} ${baseInfo.symbol} in ${level.orderCount} order(s)</title>
+                    </line>
+                    <text class="level-label ${level.side}" x="${right + 4}" y="${y(level.price) + 4}">
+                        ${level.side === 'ask' ? 'Ask' : 'Bid'} ${this.formatNumber(level.price)}
+                    </text>`).join('')}
+
+                ${marketPrice ? `
+                    <line class="market-price-line" x1="${MARGIN.left}" x2="${right}" y1="${y(marketPrice.price)}" y2="${y(marketPrice.price)}"></line>
+                    <text class="level-label market" x="${right + 4}" y="${y(marketPrice.price) + 4}">
+                        Market ${this.formatNumber(marketPrice.price)}
+                    </text>` : ''}
+
+                ${points.length > 1 ? `
+                    <polyline class="trade-line" points="${points.map(point => `${x(point.timestamp)},${y(point.price)}`).join(' ')}"></polyline>` : ''}
+                ${points.map(point => `
+                    <circle class="trade-point ${point.side}" cx="${x(point.timestamp)}" cy="${y(point.price)}" r="3.5">
+                        <title>${new Date(point.timestamp * 1000).toLocaleString()} · #${point.orderId}
+${this.formatNumber(point.baseAmount)} ${baseInfo.symbol} @ ${this.formatNumber(point.price)} ${quoteInfo.symbol}</title>
+                    </circle>`).join('')}
+
+                <line class="axis-line" x1="${MARGIN.left}" x2="${right}" y1="${volumeTop + VOLUME_HEIGHT}" y2="${volumeTop + VOLUME_HEIGHT}"></line>
+                ${buckets.map((volume, i) => volume > 0 ? `
+                    <rect class="volume-bar" x="${MARGIN.left + i * barWidth + 1}" width="${Math.max(barWidth - 2, 1)}"
+                          y="${volumeTop + VOLUME_HEIGHT - (volume / maxVolume) * VOLUME_HEIGHT}"
+                          height="${(volume / maxVolume) * VOLUME_HEIGHT}">
+                        <title>${this.formatNumber(volume)} ${quoteInfo.symbol}</title>
+                    </rect>` : '').join('')}
+                <text class="axis-label" x="${MARGIN.left - 6}" y="${volumeTop + 10}" text-anchor="end">Vol ${quoteInfo.symbol}</text>
+            </svg>`;
+    }
+
+    formatNumber(value) {
+        return Number(value).toLocaleString(undefined, { maximumSignificantDigits: 6 });
+    }
+
+    cleanup() {
+        orderHistoryService.unsubscribe(this.historyListener);
+        window.webSocket?.unsubscribe('ordersUpdated', this.ordersListener);
+        window.pricingService?.unsubscribe(this.pricingListener);
+    }
+}
@@ -2,6 +2,7 @@ import { ViewOrders } from './ViewOrders.js';
 import { createLogger } from '../services/LogService.js';
 import { ethers } from 'ethers';
 import { processOrderAddress, generateStatusCellHTML, setupClickToCopy } from '../utils/ui.js';
+import { formatUsdValue, getUsdValue } from '../utils/fixedPoint.js';
 
 export class TakerOrders extends ViewOrders {
     constructor() {
@@ -106,6 +107,9 @@ export class TakerOrders extends ViewOrders {
                 });
             }
 
+            // Keep the full filtered set for export
+            this.exportableOrders = ordersToDisplay;
+
             // Apply pagination
             const startIndex = (this.currentPage - 1) * pageSize;
             const endIndex = pageSize === -1 ? ordersToDisplay.length : startIndex + pageSize;
@@ -131,6 +135,8 @@ export class TakerOrders extends ViewOrders {
 
             // Update pagination controls
             this.updatePaginationControls(ordersToDisplay.length);
+            await this.renderDepthView();
+            this.updateBatchFillControls();
 
             if (ordersToDisplay.length === 0) {
                 this.debug('No orders to display');
@@ -280,13 +286,10 @@ export class TakerOrders extends ViewOrders {
                 return `$${price.toFixed(4)}`;
             };
 
-            // Calculate total values (price × amount)
-            const calculateTotalValue = (price, amount) => {
-                if (!price || !amount) return 'N/A';
-                const total = price * parseFloat(amount);
-                if (total >= 100) return `$${total.toFixed(0)}`;
-                if (total >= 1) return `$${total.toFixed(2)}`;
-                return `$${total.toFixed(4)}`;
+            // Calculate total values (price × amount) from base units
+            const calculateTotalValue = (price, amount, decimals) => {
+                if (!price || !amount || decimals == null) return 'N/A';
+                return formatUsdValue(getUsdValue(amount, decimals, price));
             };
 
             // Determine prices with fallback to current pricing service map
@@ -312,7 +315,7 @@ export class TakerOrders extends ViewOrders {
             const { counterpartyAddress, isZeroAddr, formattedAddress } = processOrderAddress(order, userAddress);
 
             tr.innerHTML = `
-                <td>${order.id}</td>
+                <td><a class="order-link" href="#/order/${order.id}">${order.id}</a></td>
                 <td>
                     <div class="token-info">
                         <div class="token-icon">
@@ -321,7 +324,7 @@ export class TakerOrders extends ViewOrders {
                         <div class="token-details">
                             <div class="token-symbol-row">
                                 <span class="token-symbol">${sellTokenInfo.symbol}</span>
-                                <span class="token-price ${sellPriceClass}">${calculateTotalValue(resolvedSellPrice, safeFormattedSellAmount)}</span>
+                                <span class="token-price ${sellPriceClass}">${calculateTotalValue(resolvedSellPrice, order.sellAmount, sellTokenInfo?.decimals)}</span>
                             </div>
                             <span class="token-amount">${safeFormattedSellAmount}</span>
                         </div>
@@ -335,13 +338,13 @@ export class TakerOrders extends ViewOrders {
                         <div class="token-details">
                             <div class="token-symbol-row">
                                 <span class="token-symbol">${buyTokenInfo.symbol}</span>
-                                <span class="token-price ${buyPriceClass}">${calculateTotalValue(resolvedBuyPrice, safeFormattedBuyAmount)}</span>
+                                <span class="token-price ${buyPriceClass}">${calculateTotalValue(resolvedBuyPrice, order.buyAmount, buyTokenInfo?.decimals)}</span>
                             </div>
                             <span class="token-amount">${safeFormattedBuyAmount}</span>
                         </div>
                     </div>
                 </td>
-                <td>${deal !== undefined ? (deal || 0).toFixed(6) : 'N/A'}</td>
+                ${this.renderDealCell(order, deal)}
                 <td>${expiryText}</td>
                 <td class="order-status">
                     ${generateStatusCellHTML(orderStatus, counterpartyAddress, isZeroAddr, formattedAddress)}
@@ -1,4 +1,6 @@
 import { createLogger } from '../services/LogService.js';
+import { transactionManager } from '../services/TransactionManager.js';
+import { isUserRejection } from '../utils/ui.js';
 
 export class Toast {
     constructor() {
@@ -12,6 +14,7 @@ export class Toast {
         this.isProcessing = false;
         this.maxToasts = 3; // Maximum number of toasts visible at once
         this.container = null;
+        this.transactionToasts = new Map(); // sender:nonce -> pending transaction toast
         
         this.debug('Toast component initialized');
         this.initialize();
@@ -20,9 +23,126 @@ export class Toast {
     initialize() {
         // Create toast container if it doesn't exist
         this.createToastContainer();
+        transactionManager.subscribe((event, record) => this.handleTransactionEvent(event, record));
         this.debug('Toast container ready');
     }
 
+    /**
+     * Keep a toast with speed-up and cancel actions open while a transaction is
+     * pending. Outcomes are left to the component that sent the transaction,
+     * unless nothing is waiting on it, e.g. after a page reload.
+     * @param {string} event - TransactionManager event
+     * @param {Object} record - Transaction record
+     */
+    handleTransactionEvent(event, record) {
+        const key = `${record.from}:${record.nonce}`;
+        if (event === 'txSubmitted') {
+            this.showTransactionToast(key, record);
+            return;
+        }
+
+        const pendingToast = this.transactionToasts.get(key);
+        if (pendingToast) {
+            this.transactionToasts.delete(key);
+            this.removeToast(pendingToast);
+        }
+        if (transactionManager.hasWaiter(record)) return;
+
+        switch (event) {
+            case 'txConfirmed':
+                this.showToast(`${record.description} confirmed`, 'success');
+                break;
+            case 'txFailed':
+                this.showToast(`${record.description} failed on-chain`, 'error', 0, true);
+                break;
+            case 'txDropped':
+                this.showToast(`${record.description} was dropped before it was mined`, 'warning', 0, true);
+                break;
+            case 'txReplaced':
+            case 'txCanceled':
+                // Replacements the app sent report their own outcome
+                if (!record.replacedBy) {
+                    this.showToast(`${record.description} was replaced by another transaction`, 'warning', 0, true);
+                }
+                break;
+        }
+    }
+
+    /**
+     * @param {string} key - Sender and nonce shared by a transaction and its replacements
+     * @param {Object} record - Pending transaction record
+     */
+    showTransactionToast(key, record) {
+        const previous = this.transactionToasts.get(key);
+        if (previous) {
+            this.removeToast(previous);
+        }
+
+        const toast = this.createToastElement(`${record.description}: waiting for confirmation`, 'info');
+        if (record.type !== 'cancel') {
+            const actions = document.createElement('div');
+            actions.className = 'toast-actions';
+            [['Speed up', 'speedUp'], ['Cancel', 'cancel']].forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast-action';
+                button.textContent = label;
+                button.addEventListener('click', async () => {
+                    actions.querySelectorAll('button').forEach(b => { b.disabled = true; });
+                    try {
+                        await transactionManager[action](record.hash);
+                    } catch (error) {
+                        actions.querySelectorAll('button').forEach(b => { b.disabled = false; });
+                        if (!isUserRejection(error)) {
+                            this.error(`Transaction ${action} failed:`, error);
+                            this.showToast(error.message, 'error');
+                        }
+                    }
+                });
+                actions.appendChild(button);
+            });
+            toast.querySelector('.toast-body').appendChild(actions);
+        }
+
+        this.transactionToasts.set(key, toast);
+        this.addToastToQueue(toast, 0);
+    }
+
+    /**
+     * Add a button to a toast, e.g. a fix suggested for a failed transaction.
+     * The toast closes once the action completes.
+     * @param {HTMLElement} toast - Toast element from showToast
+     * @param {string} label - Button text
+     * @param {Function} onClick - Async action
+     */
+    addAction(toast, label, onClick) {
+        let actions = toast.querySelector('.toast-actions');
+        if (!actions) {
+            actions = document.createElement('div');
+            actions.className = 'toast-actions';
+            toast.querySelector('.toast-body').appendChild(actions);
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await onClick();
+                this.removeToast(toast);
+            } catch (error) {
+                button.disabled = false;
+                if (!isUserRejection(error)) {
+                    this.error(`Toast action "${label}" failed:`, error);
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+        actions.appendChild(button);
+    }
+
     createToastContainer() {
         // Create a fixed position container for toasts
         const toastContainer = document.createElement('div');
@@ -7,7 +7,18 @@ import { walletManager } from '../config.js';
 import { createLogger } from '../services/LogService.js';
 import { tokenIconService } from '../services/TokenIconService.js';
 import { generateTokenIconHTML } from '../utils/tokenIcons.js';
-import { handleTransactionError } from '../utils/ui.js';
+import { formatAddress, handleTransactionError, isUserRejection, renderLookalikeWarning } from '../utils/ui.js';
+import { downloadOrders } from '../utils/orderExport.js';
+import { buildDepthLevels, exceedsConfirmedPlan, getProRataBuyAmount, planBestExecution, validatePartialFill } from '../utils/orderBook.js';
+import { formatUsdValue, getUsdValue, parseAmount } from '../utils/fixedPoint.js';
+import { routerService } from '../services/RouterService.js';
+import { addressBookService } from '../services/AddressBookService.js';
+import { contractSupportsPermit, getPermitDomain, signPermit } from '../utils/permit.js';
+import { getApprovalAmount } from '../utils/allowances.js';
+import { transactionManager } from '../services/TransactionManager.js';
+import { gasService } from '../services/GasService.js';
+import { simulateTransaction } from '../utils/simulation.js';
+import { contractSupportsPartialFill } from '../utils/contractFeatures.js';
 
 export class ViewOrders extends BaseComponent {
     constructor(containerId = 'view-orders') {
@@ -21,6 +32,11 @@ export class ViewOrders extends BaseComponent {
         this.expiryTimers = new Map();
         this.tokenList = [];
         this.currentAccount = null;
+        this.selectedOrders = new Set(); // order ids picked for batch fill
+        this.partialFillSupported = false; // set by supportsPartialFill
+        // Only the main orders tab keeps its filters in the URL
+        this.routable = containerId === 'view-orders';
+        this.routedPage = null; // linked page, held until the order sync completes
         
         // Initialize logger
         const logger = createLogger('VIEW_ORDERS');
@@ -267,7 +283,7 @@ export class ViewOrders extends BaseComponent {
         });
 
         // Add other event subscriptions similarly
-        ['OrderCreated', 'OrderFilled', 'OrderCanceled'].forEach(event => {
+        ['OrderCreated', 'OrderFilled', 'OrderPartiallyFilled', 'OrderCanceled'].forEach(event => {
             addSubscription(event, async (orderData) => {
                 this.debug(`${event} event received:`, orderData);
                 await this.refreshOrdersView();
@@ -280,6 +296,8 @@ export class ViewOrders extends BaseComponent {
         this.isLoading = true;
         
         try {
+            await this.supportsPartialFill();
+
             // Get all orders first
             let ordersToDisplay = Array.from(window.webSocket.orderCache.values());
             
@@ -294,6 +312,15 @@ export class ViewOrders extends BaseComponent {
                 this._lastFilters?.buyToken !== buyTokenFilter ||
                 this._lastFilters?.showOnlyActive !== showOnlyActive) {
                 this.currentPage = 1;
+                this.routedPage = null;
+            }
+
+            // A linked page may not exist yet while orders are still syncing
+            if (this.routedPage !== null) {
+                this.currentPage = this.routedPage;
+                if (window.webSocket.lastSyncedBlock !== null) {
+                    this.routedPage = null;
+                }
             }
 
             // Store current filter state
@@ -338,6 +365,9 @@ export class ViewOrders extends BaseComponent {
                 });
             }
 
+            // Keep the full filtered set for export
+            this.exportableOrders = ordersToDisplay;
+
             // Apply pagination
             const pageSizeSelect = this.container.querySelector('#page-size-select');
             const pageSize = pageSizeSelect ? parseInt(pageSizeSelect.value) : 25; // Default to 25 if element doesn't exist
@@ -379,6 +409,13 @@ export class ViewOrders extends BaseComponent {
             // Update pagination controls
             this.updatePaginationControls(this.totalOrders);
 
+            await this.renderDepthView();
+            this.updateBatchFillControls();
+
+            if (this.routable) {
+                routerService.updateParams(this.container.id, this.getRouteParams());
+            }
+
         } catch (error) {
             this.debug('Error refreshing orders:', error);
             this.showError('Failed to refresh orders view');
@@ -387,6 +424,98 @@ export class ViewOrders extends BaseComponent {
         }
     }
 
+    /**
+     * Open the order details view when a row is clicked outside its controls
+     * @param {HTMLTableElement} table - Orders table with rows keyed by data-order-id
+     */
+    setupOrderRowNavigation(table) {
+        table.addEventListener('click', (e) => {
+            if (e.target.closest('a, button, input, select, label, textarea')) return;
+            const row = e.target.closest('tr[data-order-id]');
+            if (!row || !table.tBodies[0]?.contains(row)) return;
+            window.location.hash = routerService.build({ orderId: Number(row.dataset.orderId) });
+        });
+    }
+
+    /**
+     * @returns {Object} Filters, sort and page for the URL; defaults are left out
+     */
+    getRouteParams() {
+        if (!this.routable) return {};
+
+        const params = {};
+        const sellToken = this.container.querySelector('#sell-token-filter')?.value;
+        const buyToken = this.container.querySelector('#buy-token-filter')?.value;
+        const orderSort = this.container.querySelector('#order-sort')?.value;
+        const pageSize = this.container.querySelector('#page-size-select')?.value;
+        const showOnlyActive = this.container.querySelector('#fillable-orders-toggle')?.checked;
+        const page = this.routedPage ?? this.currentPage;
+
+        if (sellToken) params.sell = sellToken;
+        if (buyToken) params.buy = buyToken;
+        if (orderSort && orderSort !== 'newest') params.sort = orderSort;
+        if (pageSize && pageSize !== '25') params.size = pageSize;
+        if (showOnlyActive === false) params.all = '1';
+        if (page > 1) params.page = String(page);
+        return params;
+    }
+
+    /**
+     * Restore filters, sort and page from a linked or navigated-to URL.
+     * Missing params reset to their defaults.
+     * @param {Object} params - Route params from getRouteParams
+     */
+    async applyRouteParams(params = {}) {
+        if (!this.routable || !this.initialized) return;
+
+        const setSelect = (selector, value, defaultValue) => {
+            const select = this.container.querySelector(selector);
+            if (!select) return;
+            const options = Array.from(select.options).map(option => option.value);
+            let selected = value || defaultValue;
+            if (!options.includes(selected)) {
+                // Linked tokens may not be in the token list yet
+                if (ethers.utils.isAddress(selected)) {
+                    select.add(new Option(this.formatAddress(selected), selected));
+                } else {
+                    selected = defaultValue;
+                }
+            }
+            select.value = selected;
+        };
+
+        setSelect('#sell-token-filter', params.sell, '');
+        setSelect('#buy-token-filter', params.buy, '');
+        setSelect('#order-sort', params.sort, 'newest');
+        setSelect('#page-size-select', params.size, '25');
+
+        const toggle = this.container.querySelector('#fillable-orders-toggle');
+        if (toggle) toggle.checked = params.all !== '1';
+
+        // Reveal linked filters, they are collapsed by default
+        if (params.sell || params.buy || params.sort) {
+            const advancedFilters = this.container.querySelector('.advanced-filters');
+            if (advancedFilters) advancedFilters.style.display = 'block';
+            this.container.querySelector('.advanced-filters-toggle')?.classList.add('expanded');
+        }
+
+        // Match the filter state so the refresh keeps the linked page
+        this._lastFilters = {
+            sellToken: this.container.querySelector('#sell-token-filter')?.value,
+            buyToken: this.container.querySelector('#buy-token-filter')?.value,
+            showOnlyActive: toggle?.checked
+        };
+        const page = parseInt(params.page);
+        this.currentPage = page > 1 ? page : 1;
+        this.routedPage = page > 1 ? page : null;
+
+        if (this.isLoading) {
+            this.debouncedRefresh();
+        } else {
+            await this.refreshOrdersView();
+        }
+    }
+
     showReadOnlyMessage() {
         this.container.innerHTML = `
             <div class="tab-content-wrapper">
@@ -524,6 +653,7 @@ export class ViewOrders extends BaseComponent {
         table.appendChild(thead);
         table.appendChild(this.createElement('tbody'));
         tableContainer.appendChild(table);
+        this.setupOrderRowNavigation(table);
         
         // Bottom controls with refresh button
         const bottomControls = this.createElement('div', 'filter-controls bottom-controls');
@@ -595,6 +725,7 @@ export class ViewOrders extends BaseComponent {
         
         topSelect.addEventListener('change', () => {
             this.currentPage = 1;
+            this.routedPage = null;
             this.refreshOrdersView();
         });
 
@@ -612,6 +743,7 @@ export class ViewOrders extends BaseComponent {
                 console.log('Previous clicked, current page:', this.currentPage);
                 if (this.currentPage > 1) {
                     this.currentPage--;
+                    this.routedPage = null;
                     this.updatePageInfo(pageInfo);
                     this.refreshOrdersView();
                 }
@@ -623,6 +755,7 @@ export class ViewOrders extends BaseComponent {
                 const totalPages = Math.ceil(this.totalOrders / pageSize);
                 if (this.currentPage < totalPages) {
                     this.currentPage++;
+                    this.routedPage = null;
                     this.updatePageInfo(pageInfo);
                     this.refreshOrdersView();
                 }
@@ -640,13 +773,643 @@ export class ViewOrders extends BaseComponent {
         const controls = tableContainer.querySelectorAll('.filter-controls');
         controls.forEach(setupPaginationListeners);
 
+        this.setupExportControls(filterControls);
+        this.setupDepthView(filterControls);
+        this.setupBatchFillControls(filterControls);
+        this.setupQuickTrade(filterControls);
+
         this.container.appendChild(tableContainer);
     }
 
+    /**
+     * Add the depth toggle and an initially hidden depth panel below the filters
+     * @param {HTMLElement} controls - Top filter controls element
+     */
+    setupDepthView(controls) {
+        const filtersGroup = controls?.querySelector('.filters-group');
+        if (!filtersGroup) return;
+
+        const depthToggle = this.createElement('button', 'depth-view-toggle');
+        depthToggle.textContent = 'Depth';
+        depthToggle.title = 'Show active orders for the selected pair grouped by price';
+
+        const depthView = this.createElement('div', 'depth-view');
+        depthView.style.display = 'none';
+
+        depthToggle.addEventListener('click', () => {
+            const isVisible = depthView.style.display !== 'none';
+            depthView.style.display = isVisible ? 'none' : 'block';
+            depthToggle.classList.toggle('active', !isVisible);
+            this.renderDepthView().catch(error => this.error('Error rendering depth view:', error));
+        });
+
+        filtersGroup.appendChild(depthToggle);
+        controls.after(depthView);
+    }
+
+    /**
+     * Add the "Fill selected" button and the batch progress panel
+     * @param {HTMLElement} controls - Top filter controls element
+     */
+    setupBatchFillControls(controls) {
+        const filtersGroup = controls?.querySelector('.filters-group');
+        if (!filtersGroup) return;
+
+        const batchButton = this.createElement('button', 'batch-fill-button');
+        batchButton.textContent = 'Fill selected';
+        batchButton.disabled = true;
+        batchButton.addEventListener('click', () => this.fillSelectedOrders());
+
+        const batchStatus = this.createElement('div', 'batch-fill-status');
+        batchStatus.style.display = 'none';
+
+        filtersGroup.appendChild(batchButton);
+        controls.after(batchStatus);
+    }
+
+    // Drop selections that can no longer be filled and sync the button label
+    updateBatchFillControls() {
+        const currentAccount = walletManager.getAccount();
+        this.selectedOrders.forEach(orderId => {
+            const order = window.webSocket.orderCache.get(orderId);
+            if (!order || !window.webSocket.canFillOrder(order, currentAccount)) {
+                this.selectedOrders.delete(orderId);
+            }
+        });
+
+        const batchButton = this.container.querySelector('.batch-fill-button');
+        if (!batchButton || this.isBatchFilling) return;
+        batchButton.disabled = this.selectedOrders.size === 0;
+        batchButton.textContent = this.selectedOrders.size > 0
+            ? `Fill selected (${this.selectedOrders.size})`
+            : 'Fill selected';
+    }
+
+    /**
+     * Fill every selected order in full, one transaction at a time, with the
+     * result of each shown in the batch panel
+     */
+    async fillSelectedOrders() {
+        if (this.isBatchFilling || this.selectedOrders.size === 0) return;
+
+        const batchButton = this.container.querySelector('.batch-fill-button');
+        const batchStatus = this.container.querySelector('.batch-fill-status');
+        this.isBatchFilling = true;
+        if (batchButton) {
+            batchButton.disabled = true;
+            batchButton.textContent = 'Filling...';
+        }
+
+        try {
+            const context = await this.getFillContext();
+            const results = new Map();
+            const currentOrders = await this.loadFillableOrders(Array.from(this.selectedOrders), results, context);
+            const fills = currentOrders.map(order => ({ order, sellAmountToFill: order.sellAmount }));
+            await this.executeFills(fills, results, batchStatus, context);
+        } catch (error) {
+            this.debug('Batch fill error details:', error);
+            handleTransactionError(error, this, 'batch fill');
+        } finally {
+            this.isBatchFilling = false;
+            this.updateBatchFillControls();
+        }
+    }
+
+    /**
+     * Resolve the signer-connected contract for a multi-order fill
+     * @returns {Promise<Object>} { contract, contractWithSigner, signer, currentAccount }
+     */
+    async getFillContext() {
+        if (!this.provider) {
+            throw new Error('MetaMask is not installed. Please install MetaMask to take orders.');
+        }
+        if (!walletManager.getAccount()) {
+            throw new Error('Please sign in to fill orders');
+        }
+
+        const contract = await this.getContract();
+        if (!contract) {
+            throw new Error('Contract not available');
+        }
+        const signer = this.provider.getSigner();
+        return {
+            contract,
+            contractWithSigner: contract.connect(signer),
+            signer,
+            currentAccount: await signer.getAddress()
+        };
+    }
+
+    /**
+     * Re-read orders on chain so amounts reflect earlier partial fills. Orders
+     * that are no longer active are marked as skipped in results.
+     * @param {Array<number>} orderIds - Orders to check
+     * @param {Map<number, Object>} results - Per-order results, updated in place
+     * @param {Object} context - From getFillContext
+     * @returns {Promise<Array<Object>>} Fillable orders with on-chain amounts
+     */
+    async loadFillableOrders(orderIds, results, { contract, contractWithSigner }) {
+        const now = Math.floor(Date.now() / 1000);
+        const orderExpiry = await contract.ORDER_EXPIRY();
+        const fillable = [];
+
+        for (const orderId of orderIds) {
+            const currentOrder = await contractWithSigner.orders(orderId);
+            if (currentOrder.status !== 0) {
+                results.set(orderId, { state: 'skipped', message: `order is ${this.getOrderStatusText(currentOrder.status)}` });
+            } else if (now >= currentOrder.timestamp.toNumber() + orderExpiry.toNumber()) {
+                results.set(orderId, { state: 'skipped', message: 'order has expired' });
+            } else {
+                results.set(orderId, { state: 'pending' });
+                fillable.push({
+                    id: orderId,
+                    maker: currentOrder.maker,
+                    sellToken: currentOrder.sellToken,
+                    sellAmount: currentOrder.sellAmount,
+                    buyToken: currentOrder.buyToken,
+                    buyAmount: currentOrder.buyAmount
+                });
+            }
+        }
+        return fillable;
+    }
+
+    /**
+     * Check balances and approve once per buy token for the combined amount,
+     * then submit each fill sequentially. A rejected signature cancels the
+     * remaining fills; any other failure is recorded and the batch continues.
+     * @param {Array<{order: Object, sellAmountToFill: ethers.BigNumber}>} fills - Orders with on-chain amounts
+     * @param {Map<number, Object>} results - Per-order results, updated in place
+     * @param {HTMLElement} statusElement - Panel that shows progress
+     * @param {Object} context - From getFillContext
+     * @returns {Promise<number>} Number of orders filled
+     */
+    async executeFills(fills, results, statusElement, { contract, contractWithSigner, signer, currentAccount }) {
+        this.renderFillResults(statusElement, results);
+        if (fills.length === 0) {
+            this.showWarning('None of the orders can be filled');
+            return 0;
+        }
+
+        // Total buy amount needed per token across all fills
+        const totals = new Map();
+        fills.forEach(fill => {
+            fill.buyAmountToPay = getProRataBuyAmount(fill.order, fill.sellAmountToFill);
+            const token = fill.order.buyToken.toLowerCase();
+            totals.set(token, (totals.get(token) || ethers.BigNumber.from(0)).add(fill.buyAmountToPay));
+        });
+
+        for (const [tokenAddress, total] of totals) {
+            const token = new ethers.Contract(tokenAddress, erc20Abi, signer);
+            const tokenInfo = await window.webSocket.getTokenInfo(tokenAddress);
+            const balance = await token.balanceOf(currentAccount);
+            if (balance.lt(total)) {
+                throw new Error(
+                    `Insufficient ${tokenInfo.symbol} balance for the selected orders.\n` +
+                    `Required: ${Number(ethers.utils.formatUnits(total, tokenInfo.decimals)).toLocaleString()} ${tokenInfo.symbol}\n` +
+                    `Available: ${Number(ethers.utils.formatUnits(balance, tokenInfo.decimals)).toLocaleString()} ${tokenInfo.symbol}`
+                );
+            }
+
+            const allowance = await token.allowance(currentAccount, contract.address);
+            this.debug('Batch allowance check:', {
+                token: tokenAddress,
+                current: allowance.toString(),
+                required: total.toString()
+            });
+            if (allowance.lt(total)) {
+                await this.approveBuyToken(token, contract.address, total, tokenInfo.symbol);
+            }
+        }
+
+        const getFillCall = ({ order, sellAmountToFill }) => (sellAmountToFill.lt(order.sellAmount)
+            ? { fillMethod: 'fillOrderPartial', fillArgs: [order.id, sellAmountToFill] }
+            : { fillMethod: 'fillOrder', fillArgs: [order.id] });
+
+        // One fee choice for the batch, previewed with the first fill that estimates
+        const batchGas = await this.confirmGasFees(async () => {
+            let lastError;
+            for (const fill of fills) {
+                const { fillMethod, fillArgs } = getFillCall(fill);
+                try {
+                    return await contractWithSigner.estimateGas[fillMethod](...fillArgs);
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            throw lastError;
+        }, { description: 'Fill orders', txCount: fills.length });
+        if (!batchGas) {
+            fills.forEach(({ order }) => results.set(order.id, { state: 'skipped', message: 'cancelled' }));
+            this.renderFillResults(statusElement, results, 'Batch fill declined');
+            return 0;
+        }
+
+        let filled = 0;
+        for (let i = 0; i < fills.length; i++) {
+            const { order, sellAmountToFill } = fills[i];
+            const isPartialFill = sellAmountToFill.lt(order.sellAmount);
+            const { fillMethod, fillArgs } = getFillCall(fills[i]);
+            results.set(order.id, { state: 'filling', message: `${i + 1} of ${fills.length}` });
+            this.renderFillResults(statusElement, results);
+
+            try {
+                await simulateTransaction(contractWithSigner, fillMethod, fillArgs, {
+                    buyToken: order.buyToken,
+                    buyAmount: fills[i].buyAmountToPay
+                });
+                const gasLimit = gasService.withGasBuffer(await contractWithSigner.estimateGas[fillMethod](...fillArgs));
+                const tx = await transactionManager.send(
+                    () => contractWithSigner[fillMethod](...fillArgs, { ...batchGas, gasLimit }),
+                    { type: 'fillOrder', description: `Fill order #${order.id}`, orderId: order.id }
+                );
+                const receipt = await transactionManager.wait(tx.hash);
+
+                const cachedOrder = window.webSocket.orderCache.get(order.id);
+                if (cachedOrder && !isPartialFill) {
+                    cachedOrder.status = 'Filled';
+                }
+                results.set(order.id, { state: isPartialFill ? 'partially filled' : 'filled', message: receipt.transactionHash.slice(0, 10) });
+                filled++;
+            } catch (error) {
+                this.debug(`Fill of order ${order.id} failed:`, error);
+                if (isUserRejection(error)) {
+                    fills.slice(i).forEach(({ order: skipped }) => {
+                        results.set(skipped.id, { state: 'skipped', message: 'cancelled' });
+                    });
+                    break;
+                }
+                results.set(order.id, { state: 'failed', message: this.getReadableError(error) });
+            }
+        }
+
+        const summary = `${filled} of ${results.size} orders filled`;
+        this.renderFillResults(statusElement, results, summary);
+        if (filled === results.size) {
+            this.showSuccess(summary);
+        } else {
+            this.showWarning(summary);
+        }
+        await this.refreshOrdersView();
+        return filled;
+    }
+
+    renderFillResults(statusElement, results, summary = '') {
+        if (!statusElement) return;
+        statusElement.style.display = 'block';
+        statusElement.innerHTML = `
+            <ul class="batch-fill-results">
+                ${Array.from(results.entries()).map(([orderId, result]) => `
+                    <li class="batch-fill-result ${result.state.replace(' ', '-')}">
+                        Order ${orderId}: ${result.state}${result.message ? ` - ${result.message}` : ''}
+                    </li>`).join('')}
+            </ul>
+            ${summary ? `<div class="batch-fill-summary">${summary}</div>` : ''}`;
+    }
+
+    /**
+     * Add the Quick Buy/Sell toggle and panel. The panel routes a target amount
+     * across the cheapest fillable orders for a pair.
+     * @param {HTMLElement} controls - Top filter controls element
+     */
+    setupQuickTrade(controls) {
+        const filtersGroup = controls?.querySelector('.filters-group');
+        if (!filtersGroup) return;
+
+        const tokens = Array.from(window.webSocket.tokenCache.values())
+            .sort((a, b) => a.symbol.localeCompare(b.symbol));
+        const tokenOptions = tokens.map(token =>
+            `<option value="${token.address}">${token.symbol}</option>`
+        ).join('');
+
+        const quickToggle = this.createElement('button', 'quick-trade-toggle');
+        quickToggle.textContent = 'Quick Buy/Sell';
+
+        const panel = this.createElement('div', 'quick-trade');
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div class="quick-trade-form">
+                <select class="quick-trade-side">
+                    <option value="buy">Buy</option>
+                    <option value="sell">Sell</option>
+                </select>
+                <input type="number" class="quick-trade-amount" min="0" step="any" placeholder="Amount">
+                <select class="quick-trade-token">${tokenOptions}</select>
+                <span class="quick-trade-counter-label">with</span>
+                <select class="quick-trade-counter">${tokenOptions}</select>
+                <button class="quick-trade-preview">Find best price</button>
+            </div>
+            <div class="quick-trade-plan"></div>
+            <div class="batch-fill-status quick-trade-status" style="display: none"></div>`;
+
+        quickToggle.addEventListener('click', () => {
+            const isVisible = panel.style.display !== 'none';
+            panel.style.display = isVisible ? 'none' : 'block';
+            quickToggle.classList.toggle('active', !isVisible);
+        });
+        panel.querySelector('.quick-trade-side').addEventListener('change', (event) => {
+            panel.querySelector('.quick-trade-counter-label').textContent = event.target.value === 'buy' ? 'with' : 'for';
+            panel.querySelector('.quick-trade-plan').innerHTML = '';
+        });
+        panel.querySelector('.quick-trade-preview').addEventListener('click', () => {
+            this.previewQuickTrade().catch(error => {
+                this.error('Error planning quick trade:', error);
+                this.showError('Failed to find orders for this trade');
+            });
+        });
+
+        filtersGroup.appendChild(quickToggle);
+        controls.after(panel);
+    }
+
+    /**
+     * Read the Quick Buy/Sell form into a routing request. Buying takes orders
+     * that sell the token, selling takes orders that buy it.
+     * @returns {Promise<Object|null>} Request, or null after warning the user
+     */
+    async getQuickTradeRequest() {
+        const panel = this.container.querySelector('.quick-trade');
+        const side = panel.querySelector('.quick-trade-side').value;
+        const token = panel.querySelector('.quick-trade-token').value;
+        const counterToken = panel.querySelector('.quick-trade-counter').value;
+        const amountText = panel.querySelector('.quick-trade-amount').value;
+
+        if (!token || !counterToken || token.toLowerCase() === counterToken.toLowerCase()) {
+            this.showWarning('Choose two different tokens');
+            return null;
+        }
+
+        const tokenInfo = await window.webSocket.getTokenInfo(token);
+        const amount = parseAmount(amountText || '0', tokenInfo.decimals);
+        if (!amount) {
+            this.showWarning(`Invalid amount (max ${tokenInfo.decimals} decimals)`);
+            return null;
+        }
+        if (amount.lte(0)) {
+            this.showWarning('Enter an amount greater than zero');
+            return null;
+        }
+
+        return {
+            side,
+            amount,
+            // The taker receives the orders' sell token and pays their buy token
+            receiveToken: side === 'buy' ? token : counterToken,
+            payToken: side === 'buy' ? counterToken : token,
+            targetSide: side === 'buy' ? 'receive' : 'pay'
+        };
+    }
+
+    // Fillable orders where the taker receives receiveToken and pays payToken
+    getQuickTradeCandidates({ receiveToken, payToken }) {
+        const currentAccount = walletManager.getAccount();
+        return Array.from(window.webSocket.orderCache.values()).filter(order =>
+            order.sellToken.toLowerCase() === receiveToken.toLowerCase() &&
+            order.buyToken.toLowerCase() === payToken.toLowerCase() &&
+            window.webSocket.canFillOrder(order, currentAccount)
+        );
+    }
+
+    async previewQuickTrade() {
+        const request = await this.getQuickTradeRequest();
+        if (!request) return;
+
+        const plan = planBestExecution(this.getQuickTradeCandidates(request), request.amount, request.targetSide, {
+            allowPartial: await this.supportsPartialFill()
+        });
+        await this.renderQuickTradePlan(request, plan);
+    }
+
+    /**
+     * Show a route with its totals and the button that executes it
+     * @param {Object} request - From getQuickTradeRequest
+     * @param {Object} plan - From planBestExecution
+     * @param {string} [notice] - Shown above the summary, e.g. why the route changed
+     */
+    async renderQuickTradePlan(request, plan, notice = '') {
+        const planElement = this.container.querySelector('.quick-trade-plan');
+        if (!planElement) return;
+        if (plan.fills.length === 0) {
+            planElement.innerHTML = '<div class="placeholder-text">No fillable orders for this pair</div>';
+            return;
+        }
+
+        const receiveInfo = await window.webSocket.getTokenInfo(request.receiveToken);
+        const payInfo = await window.webSocket.getTokenInfo(request.payToken);
+        const format = (amount, info) => Number(ethers.utils.formatUnits(amount, info.decimals))
+            .toLocaleString(undefined, { maximumSignificantDigits: 8 });
+
+        // Average price and reference are both quoted as pay token per receive token
+        const totalReceived = Number(ethers.utils.formatUnits(plan.totalSellAmount, receiveInfo.decimals));
+        const totalPaid = Number(ethers.utils.formatUnits(plan.totalBuyAmount, payInfo.decimals));
+        const averagePrice = totalPaid / totalReceived;
+        const receiveUsd = window.pricingService?.getPrice(request.receiveToken);
+        const payUsd = window.pricingService?.getPrice(request.payToken);
+        const referencePrice = receiveUsd > 0 && payUsd > 0 ? receiveUsd / payUsd : null;
+        const slippage = referencePrice ? (averagePrice / referencePrice - 1) * 100 : null;
+
+        // Show prices as counter token per traded token
+        const isBuy = request.side === 'buy';
+        const tradedSymbol = isBuy ? receiveInfo.symbol : payInfo.symbol;
+        const counterSymbol = isBuy ? payInfo.symbol : receiveInfo.symbol;
+        const displayPrice = (price) => (isBuy ? price : 1 / price)
+            .toLocaleString(undefined, { maximumSignificantDigits: 6 });
+
+        planElement.innerHTML = `
+            <table class="depth-table quick-trade-fills">
+                <thead>
+                    <tr>
+                        <th>Order</th>
+                        <th>Receive (${receiveInfo.symbol})</th>
+                        <th>Pay (${payInfo.symbol})</th>
+                        <th>Price (${counterSymbol}/${tradedSymbol})</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${plan.fills.map(fill => `
+                        <tr>
+                            <td>${fill.order.id}${fill.partial ? ' (partial)' : ''}</td>
+                            <td>${format(fill.sellAmountToFill, receiveInfo)}</td>
+                            <td>${format(fill.buyAmountToPay, payInfo)}</td>
+                            <td>${displayPrice(Number(ethers.utils.formatUnits(fill.buyAmountToPay, payInfo.decimals)) /
+                                Number(ethers.utils.formatUnits(fill.sellAmountToFill, receiveInfo.decimals)))}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            <div class="quick-trade-summary">
+                ${notice ? `<span class="quick-trade-warning">${notice}</span>` : ''}
+                <span>Receive ${format(plan.totalSellAmount, receiveInfo)} ${receiveInfo.symbol} for ${format(plan.totalBuyAmount, payInfo)} ${payInfo.symbol}</span>
+                <span>Average price ${displayPrice(averagePrice)} ${counterSymbol}/${tradedSymbol}</span>
+                <span>Reference ${referencePrice ? `${displayPrice(referencePrice)} ${counterSymbol}/${tradedSymbol}` : 'N/A'}</span>
+                <span class="${slippage > 0 ? 'quick-trade-warning' : ''}">Slippage ${slippage !== null ? `${slippage.toFixed(2)}%` : 'N/A'}</span>
+                ${plan.complete ? '' : '<span class="quick-trade-warning">Not enough liquidity to reach the full amount</span>'}
+            </div>
+            <button class="fill-button quick-trade-execute">Fill ${plan.fills.length} order${plan.fills.length === 1 ? '' : 's'}</button>`;
+
+        planElement.querySelector('.quick-trade-execute').addEventListener('click', () => this.executeQuickTrade(request, plan));
+    }
+
+    /**
+     * Execute a routed trade. The route is re-planned from on-chain amounts so
+     * fills that landed since the preview are accounted for; if that makes it
+     * cost more than the route the user confirmed, the new route is shown
+     * instead of sent.
+     * @param {Object} request - From getQuickTradeRequest
+     * @param {Object} confirmedPlan - Route shown when the user clicked fill
+     */
+    async executeQuickTrade(request, confirmedPlan) {
+        if (this.isBatchFilling) return;
+
+        const executeButton = this.container.querySelector('.quick-trade-execute');
+        const statusElement = this.container.querySelector('.quick-trade-status');
+        this.isBatchFilling = true;
+        if (executeButton) {
+            executeButton.disabled = true;
+            executeButton.textContent = 'Filling...';
+        }
+
+        try {
+            const context = await this.getFillContext();
+            const results = new Map();
+            const candidateIds = this.getQuickTradeCandidates(request).map(order => order.id);
+            const currentOrders = await this.loadFillableOrders(candidateIds, results, context);
+            const plan = planBestExecution(currentOrders, request.amount, request.targetSide, {
+                allowPartial: await this.supportsPartialFill()
+            });
+            if (exceedsConfirmedPlan(plan, confirmedPlan)) {
+                this.debug('Quick trade route got worse, asking again:', { plan, confirmedPlan });
+                await this.renderQuickTradePlan(request, plan,
+                    'Orders changed since the preview and this route costs more. Check it before filling.');
+                return;
+            }
+
+            // Only report on the orders the route uses
+            const routeResults = new Map(plan.fills.map(fill => [fill.order.id, results.get(fill.order.id)]));
+            await this.executeFills(plan.fills, routeResults, statusElement, context);
+            this.container.querySelector('.quick-trade-plan').innerHTML = '';
+        } catch (error) {
+            this.debug('Quick trade error details:', error);
+            handleTransactionError(error, this, 'quick trade');
+            if (executeButton) {
+                executeButton.disabled = false;
+                executeButton.textContent = 'Retry';
+            }
+        } finally {
+            this.isBatchFilling = false;
+            this.updateBatchFillControls();
+        }
+    }
+
+    /**
+     * Render the order book for the pair selected in the token filters. The
+     * Buy filter picks the base token and the Sell filter the quote token.
+     */
+    async renderDepthView() {
+        const depthView = this.container.querySelector('.depth-view');
+        if (!depthView || depthView.style.display === 'none') return;
+
+        const baseToken = this.container.querySelector('#sell-token-filter')?.value;
+        const quoteToken = this.container.querySelector('#buy-token-filter')?.value;
+        if (!baseToken || !quoteToken || baseToken.toLowerCase() === quoteToken.toLowerCase()) {
+            depthView.innerHTML = `
+                <div class="placeholder-text">Select a Buy and a Sell token in Filters to see depth for that pair</div>`;
+            return;
+        }
+
+        const baseInfo = await window.webSocket.getTokenInfo(baseToken);
+        const quoteInfo = await window.webSocket.getTokenInfo(quoteToken);
+        const activeOrders = Array.from(window.webSocket.orderCache.values())
+            .filter(order => window.webSocket.getOrderStatus(order) === 'Active');
+        const { asks, bids } = buildDepthLevels(activeOrders, {
+            baseToken,
+            quoteToken,
+            baseDecimals: baseInfo.decimals,
+            quoteDecimals: quoteInfo.decimals
+        });
+
+        const formatNumber = (value) => Number(value).toLocaleString(undefined, { maximumSignificantDigits: 6 });
+        const renderSide = (title, levels) => `
+            <div class="depth-side">
+                <h4>${title}</h4>
+                <table class="depth-table">
+                    <thead>
+                        <tr>
+                            <th>Price (${quoteInfo.symbol})</th>
+                            <th>${baseInfo.symbol}</th>
+                            <th>${quoteInfo.symbol}</th>
+                            <th>Total ${baseInfo.symbol}</th>
+                            <th>Orders</th>
+                            <th>Avg Deal</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${levels.length === 0
+                            ? '<tr><td colspan="6" class="no-orders-message">No orders</td></tr>'
+                            : levels.map(level => `
+                                <tr>
+                                    <td>${formatNumber(level.price)}</td>
+                                    <td>${formatNumber(level.baseAmount)}</td>
+                                    <td>${formatNumber(level.quoteAmount)}</td>
+                                    <td>${formatNumber(level.cumulativeBase)}</td>
+                                    <td>${level.orderCount}</td>
+                                    <td>${level.averageDeal !== null ? level.averageDeal.toFixed(6) : 'N/A'}</td>
+                                </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+
+        depthView.innerHTML = `
+            <div class="depth-sides">
+                ${renderSide(`Selling ${baseInfo.symbol} (you buy)`, asks)}
+                ${renderSide(`Buying ${baseInfo.symbol} (you sell)`, bids)}
+            </div>`;
+    }
+
+    /**
+     * Add CSV/JSON export buttons next to the filters toggle
+     * @param {HTMLElement} controls - Top filter controls element
+     */
+    setupExportControls(controls) {
+        const filtersGroup = controls?.querySelector('.filters-group');
+        if (!filtersGroup) return;
+
+        const exportControls = this.createElement('div', 'export-controls');
+        exportControls.innerHTML = `
+            <button class="export-button" data-format="csv" title="Download the filtered orders as CSV">Export CSV</button>
+            <button class="export-button" data-format="json" title="Download the filtered orders as JSON">Export JSON</button>
+        `;
+        exportControls.querySelectorAll('.export-button').forEach(button => {
+            button.addEventListener('click', () => this.exportOrders(button.dataset.format));
+        });
+        filtersGroup.appendChild(exportControls);
+    }
+
+    async exportOrders(format) {
+        const orders = this.exportableOrders || [];
+        if (orders.length === 0) {
+            this.showWarning('No orders to export');
+            return;
+        }
+
+        try {
+            await downloadOrders(orders, format, this.container.id || 'orders');
+        } catch (error) {
+            this.error('Error exporting orders:', error);
+            this.showError('Failed to export orders');
+        }
+    }
+
     formatAddress(address) {
         return `${address.slice(0, 6)}...${address.slice(-4)}`;
     }
 
+    // Makers are only named when they are in the address book, or look like someone who is
+    renderMakerLabel(order) {
+        const warning = renderLookalikeWarning(order.maker);
+        if (!addressBookService.getLabel(order.maker) && !warning) return '';
+        return `<div class="address-label" title="Maker: ${order.maker}">${formatAddress(order.maker)}${warning}</div>`;
+    }
+
     formatTimestamp(timestamp) {
         const date = new Date(Number(timestamp) * 1000);
         return date.toLocaleDateString('en-US', {
@@ -684,7 +1447,13 @@ export class ViewOrders extends BaseComponent {
         }
     }
 
-    async fillOrder(orderId) {
+    /**
+     * Fill an order, or part of it when sellAmountToFill is less than the
+     * remaining sell amount
+     * @param {number} orderId - Order ID
+     * @param {ethers.BigNumber|null} sellAmountToFill - Sell token amount to take, in base units
+     */
+    async fillOrder(orderId, sellAmountToFill = null) {
         const button = this.container.querySelector(`button[data-order-id="${orderId}"]`);
         
         try {
@@ -746,6 +1515,21 @@ export class ViewOrders extends BaseComponent {
                 throw new Error('Order has expired');
             }
 
+            // Size the fill from the on-chain order, which earlier partial fills may have shrunk
+            const isPartialFill = sellAmountToFill !== null &&
+                ethers.BigNumber.from(sellAmountToFill).lt(currentOrder.sellAmount);
+            const fillSellAmount = isPartialFill ? ethers.BigNumber.from(sellAmountToFill) : currentOrder.sellAmount;
+            const fillBuyAmount = getProRataBuyAmount(currentOrder, fillSellAmount);
+            if (isPartialFill && !(await this.supportsPartialFill())) {
+                throw new Error('This contract only fills whole orders');
+            }
+            if (isPartialFill) {
+                const invalidReason = validatePartialFill(currentOrder, fillSellAmount);
+                if (invalidReason) {
+                    throw new Error(invalidReason);
+                }
+            }
+
             // Get token contracts
             const buyToken = new ethers.Contract(
                 order.buyToken,
@@ -769,12 +1553,12 @@ export class ViewOrders extends BaseComponent {
             const buyTokenBalance = await buyToken.balanceOf(currentAccount);
             this.debug('Buy token balance:', {
                 balance: buyTokenBalance.toString(),
-                required: order.buyAmount.toString()
+                required: fillBuyAmount.toString()
             });
 
-            if (buyTokenBalance.lt(order.buyAmount)) {
+            if (buyTokenBalance.lt(fillBuyAmount)) {
                 const formattedBalance = ethers.utils.formatUnits(buyTokenBalance, buyTokenDecimals);
-                const formattedRequired = ethers.utils.formatUnits(order.buyAmount, buyTokenDecimals);
+                const formattedRequired = ethers.utils.formatUnits(fillBuyAmount, buyTokenDecimals);
                 
                 throw new Error(
                     `Insufficient ${buyTokenSymbol} balance.\n` +
@@ -787,31 +1571,31 @@ export class ViewOrders extends BaseComponent {
             const buyTokenAllowance = await buyToken.allowance(currentAccount, contract.address);
             this.debug('Buy token allowance:', {
                 current: buyTokenAllowance.toString(),
-                required: order.buyAmount.toString()
+                required: fillBuyAmount.toString()
             });
 
-            if (buyTokenAllowance.lt(order.buyAmount)) {
+            // Tokens with an EIP-2612 permit are approved by signature in the fill itself
+            let buyPermit = null;
+            if (buyTokenAllowance.lt(fillBuyAmount)) {
+                buyPermit = await this.getBuyTokenPermit(signer, contract.address, order.buyToken, fillBuyAmount);
+            }
+            if (!buyPermit && buyTokenAllowance.lt(fillBuyAmount)) {
                 this.debug('Requesting buy token approval');
-                const approveTx = await buyToken.approve(
-                    contract.address, 
-                    order.buyAmount  // Use exact order amount instead of MaxUint256
-                );
-                await approveTx.wait();
-                this.showSuccess(`${buyTokenSymbol} approval granted`);
+                await this.approveBuyToken(buyToken, contract.address, fillBuyAmount, buyTokenSymbol);
             }
 
             // Verify contract has enough sell tokens
             const contractSellBalance = await sellToken.balanceOf(contract.address);
             this.debug('Contract sell token balance:', {
                 balance: contractSellBalance.toString(),
-                required: order.sellAmount.toString()
+                required: fillSellAmount.toString()
             });
 
-            if (contractSellBalance.lt(order.sellAmount)) {
+            if (contractSellBalance.lt(fillSellAmount)) {
                 const sellTokenSymbol = await sellToken.symbol();
                 const sellTokenDecimals = await sellToken.decimals();
                 const formattedBalance = ethers.utils.formatUnits(contractSellBalance, sellTokenDecimals);
-                const formattedRequired = ethers.utils.formatUnits(order.sellAmount, sellTokenDecimals);
+                const formattedRequired = ethers.utils.formatUnits(fillSellAmount, sellTokenDecimals);
                 
                 throw new Error(
                     `Contract has insufficient ${sellTokenSymbol} balance.\n` +
@@ -820,26 +1604,47 @@ export class ViewOrders extends BaseComponent {
                 );
             }
 
-            // Add gas buffer and execute transaction
-            const gasEstimate = await contractWithSigner.estimateGas.fillOrder(orderId);
-            this.debug('Gas estimate:', gasEstimate.toString());
-            
-            const gasLimit = gasEstimate.mul(120).div(100); // Add 20% buffer
-            const tx = await contractWithSigner.fillOrder(orderId, { gasLimit });
+            let fillMethod = isPartialFill ? 'fillOrderPartial' : 'fillOrder';
+            let fillArgs = isPartialFill ? [orderId, fillSellAmount] : [orderId];
+            if (buyPermit) {
+                fillMethod = 'fillOrderWithPermit';
+                fillArgs = [orderId, fillSellAmount, buyPermit];
+            }
+            await simulateTransaction(contractWithSigner, fillMethod, fillArgs, {
+                buyToken: order.buyToken,
+                buyAmount: fillBuyAmount
+            });
+            const txOptions = await this.confirmGasFees(
+                () => contractWithSigner.estimateGas[fillMethod](...fillArgs),
+                { description: `Fill order #${orderId}` }
+            );
+            if (!txOptions) {
+                this.showWarning('Fill declined');
+                return;
+            }
+            this.debug('Transaction options:', txOptions);
+
+            const tx = await transactionManager.send(
+                () => contractWithSigner[fillMethod](...fillArgs, txOptions),
+                { type: 'fillOrder', description: `Fill order #${orderId}`, orderId }
+            );
             this.debug('Transaction sent:', tx.hash);
             
-            const receipt = await tx.wait();
+            const receipt = await transactionManager.wait(tx.hash);
             this.debug('Transaction receipt:', receipt);
 
-            if (receipt.status === 0) {
-                throw new Error('Transaction reverted by contract');
+            if (isPartialFill) {
+                // Remaining amounts arrive with the OrderPartiallyFilled event
+                const sellTokenInfo = await window.webSocket.getTokenInfo(order.sellToken);
+                this.showSuccess(
+                    `Filled ${ethers.utils.formatUnits(fillSellAmount, sellTokenInfo.decimals)} ${sellTokenInfo.symbol} of order ${orderId}`
+                );
+            } else {
+                order.status = 'Filled';
+                this.showSuccess(`Order ${orderId} filled successfully!`);
             }
-
-            order.status = 'Filled';
             await this.refreshOrdersView();
 
-            this.showSuccess(`Order ${orderId} filled successfully!`);
-
         } catch (error) {
             this.debug('Fill order error details:', error);
             
@@ -854,7 +1659,110 @@ export class ViewOrders extends BaseComponent {
         }
     }
 
+    /**
+     * Approve the contract to take fill payments, under the token's approval policy
+     * @param {ethers.Contract} token - Buy token connected to the taker's signer
+     * @param {string} spender - OTC contract
+     * @param {ethers.BigNumber} amount - Buy amount the fills pay
+     * @param {string} symbol - Token symbol for messages
+     */
+    async approveBuyToken(token, spender, amount, symbol) {
+        const approveArgs = [spender, getApprovalAmount(token.address, amount)];
+        await simulateTransaction(token, 'approve', approveArgs);
+        const feeOverrides = await gasService.getFeeOverrides();
+        const approveTx = await transactionManager.send(
+            () => token.approve(...approveArgs, feeOverrides),
+            { type: 'approve', description: `Approve ${symbol}` }
+        );
+        await transactionManager.wait(approveTx.hash);
+        this.showSuccess(`${symbol} approval granted`);
+    }
+
+    /**
+     * Approve the buy token when simulation shows the allowance is short
+     * @param {ContractError} error - Error from simulateTransaction
+     * @returns {Function|null}
+     */
+    getContractErrorFix(error) {
+        const { buyToken, buyAmount } = error.details;
+        if (error.details.fix?.action !== 'approveBuyToken' || !buyToken || !buyAmount) {
+            return super.getContractErrorFix(error);
+        }
+        return async () => {
+            const contract = await this.getContract();
+            if (!contract) {
+                throw new Error('Contract not available');
+            }
+            const token = new ethers.Contract(buyToken, erc20Abi, this.provider.getSigner());
+            const { symbol } = await window.webSocket.getTokenInfo(buyToken);
+            await this.approveBuyToken(token, contract.address, buyAmount, symbol);
+        };
+    }
+
+    /**
+     * Sign a permit for the buy token, if the token and the contract support one
+     * @param {ethers.Signer} signer - Taker
+     * @param {string} contractAddress - OTC contract
+     * @param {string} tokenAddress - Buy token
+     * @param {ethers.BigNumber} amount - Buy amount the fill pays
+     * @returns {Promise<Object|null>} Permit for fillOrderWithPermit, or null to approve instead
+     * @throws {Error} If the user declines the signature
+     */
+    async getBuyTokenPermit(signer, contractAddress, tokenAddress, amount) {
+        if (!(await contractSupportsPermit(signer.provider, contractAddress))) {
+            return null;
+        }
+        const domain = await getPermitDomain(tokenAddress, await signer.getAddress(), signer.provider);
+        if (!domain) {
+            return null;
+        }
+
+        this.showInfo(`Please sign the ${domain.name} permit in your wallet...`);
+        try {
+            return await signPermit({
+                signer,
+                domain,
+                spender: contractAddress,
+                value: getApprovalAmount(tokenAddress, amount)
+            });
+        } catch (error) {
+            if (isUserRejection(error)) {
+                throw error;
+            }
+            this.warn(`Permit signing failed for ${tokenAddress}, falling back to approval:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Deal column cell. Deals based on low-confidence prices are greyed out and
+     * the tooltip lists the sources behind each token's price.
+     * @param {Object} order - Order with dealMetrics
+     * @param {number|undefined} deal - Deal value as shown in this view
+     * @returns {string} Cell HTML
+     */
+    renderDealCell(order, deal) {
+        if (deal === undefined) return '<td>N/A</td>';
+
+        const { priceConfidence, lowConfidence } = order.dealMetrics || {};
+        if (!lowConfidence) {
+            return `<td title="Price confidence: ${priceConfidence}">${(deal || 0).toFixed(6)}</td>`;
+        }
+
+        const describe = (token) => {
+            const info = window.pricingService?.getPriceInfo(token);
+            return info ? `${info.sources.join(', ')} (${info.confidence})` : 'default';
+        };
+        const symbol = (token) => window.webSocket?.tokenCache.get(token.toLowerCase())?.symbol || token;
+        const title = `Low-confidence prices. ${symbol(order.sellToken)}: ${describe(order.sellToken)}; ` +
+            `${symbol(order.buyToken)}: ${describe(order.buyToken)}`;
+        return `<td class="price-estimate low-confidence-deal" title="${title}">${(deal || 0).toFixed(6)}</td>`;
+    }
+
     getReadableError(error) {
+        if (error instanceof ContractError) {
+            return error.message;
+        }
         if (error.message?.includes('insufficient allowance')) {
             return 'Insufficient token allowance';
         }
@@ -949,13 +1857,10 @@ export class ViewOrders extends BaseComponent {
                 return `$${price.toFixed(4)}`;
             };
 
-            // Calculate total values (price × amount)
-            const calculateTotalValue = (price, amount) => {
-                if (!price || !amount) return 'N/A';
-                const total = price * parseFloat(amount);
-                if (total >= 100) return `$${total.toFixed(0)}`;
-                if (total >= 1) return `$${total.toFixed(2)}`;
-                return `$${total.toFixed(4)}`;
+            // Calculate total values (price × amount) from base units
+            const calculateTotalValue = (price, amount, decimals) => {
+                if (!price || !amount || decimals == null) return 'N/A';
+                return formatUsdValue(getUsdValue(amount, decimals, price));
             };
 
             // Determine prices with fallback to current pricing service map
@@ -977,7 +1882,7 @@ export class ViewOrders extends BaseComponent {
                 : '';
 
             tr.innerHTML = `
-                <td>${order.id}</td>
+                <td><a class="order-link" href="#/order/${order.id}">${order.id}</a>${this.renderMakerLabel(order)}</td>
                 <td>
                     <div class="token-info">
                         <div class="token-icon">
@@ -986,7 +1891,7 @@ export class ViewOrders extends BaseComponent {
                         <div class="token-details">
                             <div class="token-symbol-row">
                                 <span class="token-symbol">${sellTokenInfo.symbol}</span>
-                                <span class="token-price ${sellPriceClass}">${calculateTotalValue(resolvedSellPrice, safeFormattedSellAmount)}</span>
+                                <span class="token-price ${sellPriceClass}">${calculateTotalValue(resolvedSellPrice, order.sellAmount, sellTokenInfo?.decimals)}</span>
                             </div>
                             <span class="token-amount">${safeFormattedSellAmount}</span>
                         </div>
@@ -1000,13 +1905,13 @@ export class ViewOrders extends BaseComponent {
                         <div class="token-details">
                             <div class="token-symbol-row">
                                 <span class="token-symbol">${buyTokenInfo.symbol}</span>
-                                <span class="token-price ${buyPriceClass}">${calculateTotalValue(resolvedBuyPrice, safeFormattedBuyAmount)}</span>
+                                <span class="token-price ${buyPriceClass}">${calculateTotalValue(resolvedBuyPrice, order.buyAmount, buyTokenInfo?.decimals)}</span>
                             </div>
                             <span class="token-amount">${safeFormattedBuyAmount}</span>
                         </div>
                     </div>
                 </td>
-                <td>${deal !== undefined ? (deal || 0).toFixed(6) : 'N/A'}</td>
+                ${this.renderDealCell(order, deal)}
                 <td>${expiryText}</td>
                 <td class="order-status">${orderStatus}</td>
                 <td class="action-column"></td>`;
@@ -1119,11 +2024,24 @@ export class ViewOrders extends BaseComponent {
             if (isUserOrder) {
                 actionCell.innerHTML = '<span class="mine-label">Mine</span>';
             } else if (!isUserOrder && window.webSocket.canFillOrder(order, currentAccount)) {
-                actionCell.innerHTML = `<button class="fill-button" data-order-id="${order.id}">Fill</button>`;
+                actionCell.innerHTML = `
+                    <input type="checkbox" class="order-select" title="Select for batch fill" ${this.selectedOrders.has(order.id) ? 'checked' : ''}>
+                    <button class="fill-button" data-order-id="${order.id}">Fill</button>
+                    ${this.partialFillSupported ? '<button class="partial-fill-button" title="Fill part of this order">Partial</button>' : ''}`;
+                actionCell.querySelector('.order-select')?.addEventListener('change', (event) => {
+                    if (event.target.checked) {
+                        this.selectedOrders.add(order.id);
+                    } else {
+                        this.selectedOrders.delete(order.id);
+                    }
+                    this.updateBatchFillControls();
+                });
                 const fillButton = actionCell.querySelector('.fill-button');
                 if (fillButton) {
                     fillButton.addEventListener('click', () => this.fillOrder(order.id));
                 }
+                actionCell.querySelector('.partial-fill-button')
+                    ?.addEventListener('click', () => this.togglePartialFill(row));
             } else {
                 actionCell.innerHTML = '';
             }
@@ -1135,6 +2053,89 @@ export class ViewOrders extends BaseComponent {
         this.expiryTimers.set(row.dataset.orderId, timerId);
     }
 
+    /**
+     * Show or hide the partial fill form under an order row. The preview uses
+     * the same pro-rata rounding as the contract.
+     * @param {HTMLTableRowElement} row - Order row
+     */
+    async togglePartialFill(row) {
+        const existing = row.nextElementSibling;
+        if (existing?.classList.contains('partial-fill-row')) {
+            existing.remove();
+            return;
+        }
+
+        const order = window.webSocket.orderCache.get(Number(row.dataset.orderId));
+        if (!order) return;
+
+        const sellTokenInfo = await window.webSocket.getTokenInfo(order.sellToken);
+        const buyTokenInfo = await window.webSocket.getTokenInfo(order.buyToken);
+        const maxAmount = ethers.utils.formatUnits(order.sellAmount, sellTokenInfo.decimals);
+
+        const panelRow = this.createElement('tr', 'partial-fill-row');
+        panelRow.innerHTML = `
+            <td colspan="${row.children.length}">
+                <div class="partial-fill-panel">
+                    <label>
+                        ${sellTokenInfo.symbol} to buy
+                        <input type="number" class="partial-fill-amount" min="0" max="${maxAmount}" step="any" placeholder="Up to ${maxAmount}">
+                    </label>
+                    <button class="partial-fill-max">Max</button>
+                    <span class="partial-fill-preview"></span>
+                    <button class="fill-button partial-fill-submit" disabled>Fill Partial</button>
+                </div>
+            </td>`;
+
+        const input = panelRow.querySelector('.partial-fill-amount');
+        const preview = panelRow.querySelector('.partial-fill-preview');
+        const submit = panelRow.querySelector('.partial-fill-submit');
+        let fillAmount = null;
+
+        const updatePreview = () => {
+            fillAmount = null;
+            submit.disabled = true;
+            if (!input.value) {
+                preview.textContent = '';
+                return;
+            }
+
+            const amount = parseAmount(input.value, sellTokenInfo.decimals);
+            if (!amount) {
+                preview.textContent = `Invalid amount (max ${sellTokenInfo.decimals} decimals)`;
+                return;
+            }
+            const invalidReason = validatePartialFill(order, amount);
+            if (invalidReason) {
+                preview.textContent = invalidReason;
+                return;
+            }
+
+            const payAmount = getProRataBuyAmount(order, amount);
+            const share = amount.mul(10000).div(order.sellAmount).toNumber() / 100;
+            preview.textContent =
+                `You pay ${ethers.utils.formatUnits(payAmount, buyTokenInfo.decimals)} ${buyTokenInfo.symbol}, ` +
+                `receive ${ethers.utils.formatUnits(amount, sellTokenInfo.decimals)} ${sellTokenInfo.symbol} ` +
+                `(${share}% of order)`;
+            fillAmount = amount;
+            submit.disabled = false;
+        };
+
+        input.addEventListener('input', updatePreview);
+        panelRow.querySelector('.partial-fill-max').addEventListener('click', () => {
+            input.value = maxAmount;
+            updatePreview();
+        });
+        submit.addEventListener('click', async () => {
+            if (!fillAmount) return;
+            submit.disabled = true;
+            await this.fillOrder(order.id, fillAmount);
+            panelRow.remove();
+        });
+
+        row.after(panelRow);
+        input.focus();
+    }
+
     getExplorerUrl(address) {
         const networkConfig = getNetworkConfig();
         if (!networkConfig?.explorer) {
@@ -1154,6 +2155,22 @@ export class ViewOrders extends BaseComponent {
         return statusMap[status] || `Unknown (${status})`;
     }
 
+    /**
+     * Whether the deployed contract takes partial fills. Older deployments
+     * only fill whole orders, so partial fill forms and routes are left out.
+     * @returns {Promise<boolean>}
+     */
+    async supportsPartialFill() {
+        try {
+            const contract = await this.getContract();
+            this.partialFillSupported = await contractSupportsPartialFill(contract.provider, contract.address);
+        } catch (error) {
+            this.debug('Could not check partial fill support:', error);
+            this.partialFillSupported = false;
+        }
+        return this.partialFillSupported;
+    }
+
     async getContract() {
         if (!window.webSocket?.contract) {
             throw new Error('WebSocket contract not initialized');
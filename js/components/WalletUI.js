@@ -255,7 +255,7 @@ export class WalletUI extends BaseComponent {
 
             const network = getNetworkById(chainId);
             
-            if (network?.isDefault) {
+            if (network && network.chainId === getNetworkConfig().chainId) {
                 networkBadge.textContent = network.name;
                 networkBadge.classList.remove('wrong-network');
                 networkBadge.classList.add('connected');
@@ -1,6 +1,7 @@
 import { abi as CONTRACT_ABI } from './abi/OTCSwap.js';
 import { ethers } from 'ethers';
 import { createLogger } from './services/LogService.js';
+import { providerPool } from './services/ProviderPool.js';
 
 export const APP_BRAND = 'LiberdusOTC';
 export const APP_LOGO = 'assets/1.png';
@@ -30,7 +31,57 @@ const networkConfig = {
     wsUrl: "wss://polygon-amoy-bor-rpc.publicnode.com",
     fallbackWsUrls: [
         "wss://polygon-amoy.public.blastapi.io"
-    ]
+    ],
+    // First block to scan for order history; null = detect from contract code
+    deploymentBlock: null,
+    // On-chain pools for the price oracle:
+    // { token, pool, type: 'v2' | 'v3', quoteToken } prices token in quoteToken
+    pricePools: [],
+    // Estimated USD prices for tokens without a DEX market, keyed by lowercase address:
+    // { usd } fixes the price, { fromFills: N } uses the median of the last N fills.
+    // Add override: true to use the reference price even when live sources have one.
+    referencePrices: {},
+    // Wrapped native token, priced to show gas costs in USD; null = native cost only
+    wrappedNativeToken: null,
+    // Polygon validators drop transactions tipping less than this
+    minPriorityFeeGwei: 25
+},
+"137": {
+    name: "Polygon",
+    displayName: "Polygon Mainnet",
+    isDefault: false,
+    contractAddress: "0x2F786290BAe87D1e8c01A97e6529030bbCF9f147", // New contract with allowed tokens 08/15/25
+    /* "0x34396a792510d6fb8ec0f70b68b8739456af06c6",  */// old 08/14/25
+    /* "0x8F37e9b4980340b9DE777Baa4B9c5B2fc1BDc837", */ // old 08/13/25
+    contractABI: CONTRACT_ABI,
+    explorer: "https://polygonscan.com",
+    rpcUrl: "https://polygon-rpc.com",
+    fallbackRpcUrls: [
+        "https://rpc-mainnet.matic.network",
+        "https://polygon-bor.publicnode.com",
+        "https://polygon.api.onfinality.io/public"
+    ],
+    chainId: "0x89",
+    nativeCurrency: {
+        name: "MATIC",
+        symbol: "MATIC",
+        decimals: 18
+    },
+    // Multicall2 contract (Uniswap) deployed on Polygon mainnet
+    multicallAddress: "0x275617327c958bD06b5D6b871E7f491D76113dd8",
+    wsUrl: "wss://polygon.gateway.tenderly.co",
+    fallbackWsUrls: [
+        "wss://polygon-bor.publicnode.com",
+        "wss://polygon-bor-rpc.publicnode.com",
+        "wss://polygon.api.onfinality.io/public-ws"
+    ],
+    deploymentBlock: null,
+    pricePools: [],
+    referencePrices: {
+        "0x693ed886545970f0a3adf8c59af5ccdb6ddf0a76": { fromFills: 10 } // Liberdus
+    },
+    wrappedNativeToken: "0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270", // WPOL
+    minPriorityFeeGwei: 25
 },
 };
 
@@ -62,38 +113,6 @@ const networkConfig = {
     ]
 }, */
 
-// "137": {
-//     name: "Polygon",
-//     displayName: "Polygon Mainnet",
-//     isDefault: false,
-//     contractAddress: "0x2F786290BAe87D1e8c01A97e6529030bbCF9f147", // New contract with allowed tokens 08/15/25
-//     /* "0x34396a792510d6fb8ec0f70b68b8739456af06c6",  */// old 08/14/25
-//     /* "0x8F37e9b4980340b9DE777Baa4B9c5B2fc1BDc837", */ // old 08/13/25
-//     contractABI: CONTRACT_ABI,
-//     explorer: "https://polygonscan.com",
-//     rpcUrl: "https://polygon-rpc.com",
-//     fallbackRpcUrls: [
-//         "https://rpc-mainnet.matic.network",
-//         "https://polygon-bor.publicnode.com",
-//         "https://polygon.api.onfinality.io/public"
-//     ],
-//     chainId: "0x89",
-//     nativeCurrency: {
-//         name: "MATIC",
-//         symbol: "MATIC",
-//         decimals: 18
-//     },
-//     // Multicall2 contract (Uniswap) deployed on Polygon mainnet
-//     multicallAddress: "0x275617327c958bD06b5D6b871E7f491D76113dd8",
-//     wsUrl: "wss://polygon.gateway.tenderly.co",
-//     fallbackWsUrls: [
-//         "wss://polygon-bor.publicnode.com",
-//         "wss://polygon-bor-rpc.publicnode.com",
-//         "wss://polygon.api.onfinality.io/public-ws"
-//     ]
-// },
-
-
 export const DEBUG_CONFIG = {
     APP: false,
     WEBSOCKET: true, // Enable to debug status calculation
@@ -111,6 +130,21 @@ export const DEBUG_CONFIG = {
     TOAST: false, // Enable toast debugging for testing
     PRICING_DEFAULT_TO_ONE: false, // Default missing prices to 1 for testing, false for production
     LIBERDUS_VALIDATION: true, // Enable frontend Liberdus token validation
+    ORDER_CACHE: false, // Persistent IndexedDB order cache
+    ORDER_HISTORY: false, // Order history event index and History tab
+    PAIR_MARKET: false, // Market tab price chart
+    ORDER_DETAILS: false, // Single order view
+    ROUTER: false, // URL hash routing and deep links
+    ADDRESS_BOOK: false, // Local counterparty labels
+    PERMIT: false, // EIP-2612 permit detection and signing
+    CONTRACT_FEATURES: false, // Entry points found on the deployed contract
+    ALLOWANCES: false, // Token approvals panel and approval policies
+    TRANSACTIONS: false, // Submitted transaction tracking, speed-up and cancel
+    GAS: false, // Fee presets and gas cost previews
+    SIMULATION: false, // Pre-flight callStatic simulation of transactions
+    PROVIDER_POOL: false, // RPC endpoint health and failover
+    ORDER_LADDERS: false, // Pending ladder tranches saved between sessions
+    QR_CODE: false, // QR codes for order and deal links
     // Add more specific flags as needed
 };
 
@@ -121,6 +155,49 @@ export const ORDER_CONSTANTS = {
     DEFAULT_GRACE_PERIOD_SECS: 7 * 24 * 60 * 60 // 7 days
 };
 
+// Persistent order cache (IndexedDB) configuration
+export const ORDER_CACHE_CONFIG = {
+    DB_NAME: 'otc-order-cache',
+    SCHEMA_VERSION: 2, // Bump when the stored order or history shape changes to invalidate old snapshots
+    LOG_CHUNK_SIZE: 2000, // Max blocks per queryFilter call when replaying missed events
+    MAX_INCREMENTAL_BLOCKS: 200000, // Fall back to a full resync when the snapshot is older than this
+    PERSIST_DEBOUNCE_MS: 2000 // Delay before writing the snapshot after live event updates
+};
+
+// Order history (event log index) configuration
+export const ORDER_HISTORY_CONFIG = {
+    // Used when a network has no deploymentBlock and the RPC cannot serve historical getCode
+    FALLBACK_LOOKBACK_BLOCKS: 500000,
+    SAVE_EVERY_CHUNKS: 25, // Persist scan progress periodically during long initial scans
+    SYNC_DEBOUNCE_MS: 3000 // Delay before rescanning logs after live order events
+};
+
+// Read-only RPC provider pool configuration
+export const PROVIDER_POOL_CONFIG = {
+    HEALTH_CHECK_INTERVAL_MS: 30000,
+    REQUEST_TIMEOUT_MS: 10000,
+    MAX_ATTEMPTS: 3, // Endpoints tried per request before giving up
+    FAILURE_THRESHOLD: 3, // Consecutive failures that open an endpoint's circuit
+    COOLDOWN_MS: 30000, // Initial time an open circuit rejects traffic
+    MAX_COOLDOWN_MS: 5 * 60 * 1000, // Cool-down doubles after each failed probe up to this
+    MAX_BLOCK_LAG: 5, // Endpoints further behind are only used if nothing else is available
+    DEFAULT_LATENCY_MS: 500, // Assumed latency for endpoints not yet measured
+    ERROR_PENALTY_MS: 2000, // Score penalty at a 100% error rate
+    LAG_PENALTY_MS: 200, // Score penalty per block behind the best endpoint
+    EWMA_ALPHA: 0.3 // Weight of the newest sample in latency and error rate averages
+};
+
+// Price oracle configuration
+export const PRICE_ORACLE_CONFIG = {
+    // Sources are queried in this order; on-chain pools convert to USD with
+    // quote token prices from the sources before them
+    SOURCES: ['dexscreener', 'coingecko', 'onchain', 'reference', 'manual'],
+    OUTLIER_THRESHOLD: 0.25, // Quotes further than this fraction from the median are dropped
+    BATCH_SIZE: 30, // Max token addresses per HTTP price request
+    REFERENCE_FILL_LOOKBACK_BLOCKS: 20000, // How far back to look for fills when deriving reference prices
+    REFERENCE_FILL_MAX_AGE_MS: 15 * 60 * 1000 // Rescan for new fills at most this often
+};
+
 // Token Icon Service Configuration
 export const TOKEN_ICON_CONFIG = {
     // CoinGecko API configuration
@@ -201,6 +278,33 @@ export const getNetworkById = (chainId) => {
     return networkConfig[decimalChainId];
 };
 
+// localStorage key for the network picked in the network selector
+const SELECTED_NETWORK_STORAGE_KEY = 'selected_network';
+
+/**
+ * Get the network the app is operating on: the user's persisted selection if it
+ * is still configured, otherwise the default network
+ * @returns {Object} Network configuration
+ */
+export const getSelectedNetwork = () => {
+    const storedChainId = localStorage.getItem(SELECTED_NETWORK_STORAGE_KEY);
+    return (storedChainId && networkConfig[storedChainId]) || getDefaultNetwork();
+};
+
+/**
+ * Persist the selected network
+ * @param {string|number} chainId - Chain ID (hex or decimal)
+ * @returns {Object} The selected network configuration
+ */
+export const setSelectedNetwork = (chainId) => {
+    const network = getNetworkById(String(chainId));
+    if (!network) {
+        throw new Error(`Network configuration not found for chain ID: ${chainId}`);
+    }
+    localStorage.setItem(SELECTED_NETWORK_STORAGE_KEY, parseInt(network.chainId, 16).toString());
+    return network;
+};
+
 export const getNetworkConfig = (chainId = null) => {
     if (chainId) {
         const network = getNetworkById(chainId);
@@ -209,7 +313,7 @@ export const getNetworkConfig = (chainId = null) => {
         }
         return network;
     }
-    return getDefaultNetwork();
+    return getSelectedNetwork();
 };
 
 export class WalletManager {
@@ -232,8 +336,8 @@ export class WalletManager {
         this.provider = null;
         this.signer = null;
         this.contract = null;
-        this.contractAddress = getDefaultNetwork().contractAddress;
-        this.contractABI = getDefaultNetwork().contractABI;
+        this.contractAddress = getNetworkConfig().contractAddress;
+        this.contractABI = getNetworkConfig().contractABI;
         this.isInitialized = false;
         this.contractInitialized = false;
         
@@ -284,7 +388,7 @@ export class WalletManager {
                     this.account = accounts[0];
                     const chainId = await window.ethereum.request({ method: 'eth_chainId' });
                     this.chainId = chainId;
-                    // Enforce default network behavior on reload (same as connect flow)
+                    // Enforce selected network behavior on reload (same as connect flow)
                     this.handleChainChanged(chainId);
                     this.isConnected = true;
                     // Initialize signer and contract for the session
@@ -385,12 +489,14 @@ export class WalletManager {
             const decimalChainId = parseInt(chainId, 16).toString();
             this.debug('Decimal Chain ID:', decimalChainId);
             
-            if (decimalChainId !== "80002") { //TODO: need to not hardcode this
-                await this.switchToDefaultNetwork();
+            const selectedNetwork = getNetworkConfig();
+            if (decimalChainId !== parseInt(selectedNetwork.chainId, 16).toString()) {
+                await this.switchToNetwork(selectedNetwork);
+                this.resetContract();
             }
 
             this.account = accounts[0];
-            this.chainId = chainId;
+            this.chainId = selectedNetwork.chainId;
             this.isConnected = true;
 
             // Clear user disconnect preference when they manually connect
@@ -418,7 +524,14 @@ export class WalletManager {
     }
 
     async switchToDefaultNetwork() {
-        const targetNetwork = getDefaultNetwork();
+        return this.switchToNetwork(getDefaultNetwork());
+    }
+
+    /**
+     * Ask the wallet to switch to a configured network, adding it first if unknown
+     * @param {Object} targetNetwork - Network configuration
+     */
+    async switchToNetwork(targetNetwork) {
         try {
             await window.ethereum.request({
                 method: 'wallet_switchEthereumChain',
@@ -467,14 +580,42 @@ export class WalletManager {
 
     handleChainChanged(chainId) {
         this.chainId = chainId;
+
+        // Follow the wallet onto any configured network; ask it back to the
+        // selected network otherwise
+        const network = getNetworkById(chainId);
+        if (network) {
+            if (network.chainId !== getNetworkConfig().chainId) {
+                setSelectedNetwork(chainId);
+            }
+            this.resetContract();
+        }
+
         this.notifyListeners('chainChanged', { chainId });
         if (this.onChainChange) {
             this.onChainChange(chainId);
         }
-        
-        const network = getNetworkById(chainId);
-        if (!network?.isDefault) {
-            this.switchToDefaultNetwork();
+
+        if (!network) {
+            this.switchToNetwork(getNetworkConfig()).catch(error => {
+                this.debug('Switch to selected network rejected:', error);
+            });
+        }
+    }
+
+    /**
+     * Drop the signer-bound contract so it is rebuilt for the selected network
+     */
+    resetContract() {
+        const networkCfg = getNetworkConfig();
+        this.contractAddress = networkCfg.contractAddress;
+        this.contractABI = networkCfg.contractABI;
+        this.contract = null;
+        this.contractInitialized = false;
+        if (this.provider) {
+            // ethers Web3Provider is bound to the chain it first detected
+            this.provider = new ethers.providers.Web3Provider(window.ethereum);
+            this.signer = this.account ? this.provider.getSigner() : null;
         }
     }
 
@@ -560,31 +701,12 @@ export class WalletManager {
 
     async initializeProvider() {
         try {
-            const config = getNetworkConfig();
-            let provider;
-            let error;
-
-            // Try main RPC URL first
-            try {
-                provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
-                await provider.getNetwork();
-                return provider;
-            } catch (e) {
-                error = e;
+            // Healthiest endpoint from the shared pool; a failing one is circuit-broken there
+            const provider = providerPool.getProvider();
+            if (!provider) {
+                throw new Error('No healthy RPC endpoint available');
             }
-
-            // Try fallback URLs
-            for (const rpcUrl of config.fallbackRpcUrls) {
-                try {
-                    provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-                    await provider.getNetwork();
-                    return provider;
-                } catch (e) {
-                    error = e;
-                }
-            }
-
-            throw error;
+            return provider;
         } catch (error) {
             console.error('[WalletManager] Error initializing provider:', error);
             throw error;
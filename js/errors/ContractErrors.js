@@ -1,3 +1,5 @@
+import { ethers } from 'ethers';
+
 export class ContractError extends Error {
     constructor(message, code, details = {}) {
         super(message);
@@ -7,10 +9,13 @@ export class ContractError extends Error {
     }
 }
 
+// fix names an action the component that sent the call can offer, see
+// BaseComponent.getContractErrorFix
 export const CONTRACT_ERRORS = {
     INVALID_ORDER: {
         code: 'INVALID_ORDER',
-        message: 'This order no longer exists'
+        message: 'This order no longer exists',
+        fix: { action: 'refreshOrders', label: 'Refresh orders' }
     },
     INSUFFICIENT_ALLOWANCE: {
         code: 'INSUFFICIENT_ALLOWANCE',
@@ -22,6 +27,204 @@ export const CONTRACT_ERRORS = {
     },
     EXPIRED_ORDER: {
         code: 'EXPIRED_ORDER',
-        message: 'This order has expired'
+        message: 'This order has expired',
+        fix: { action: 'refreshOrders', label: 'Refresh orders' }
+    },
+    ORDER_NOT_ACTIVE: {
+        code: 'ORDER_NOT_ACTIVE',
+        message: 'This order was already filled or canceled',
+        fix: { action: 'refreshOrders', label: 'Refresh orders' }
+    },
+    GRACE_PERIOD_EXPIRED: {
+        code: 'GRACE_PERIOD_EXPIRED',
+        message: 'The grace period for this order has ended. Cleanup will return the tokens to the maker.'
+    },
+    CONTRACT_DISABLED: {
+        code: 'CONTRACT_DISABLED',
+        message: 'The contract is disabled and no longer accepts new orders'
+    },
+    TOKEN_NOT_ALLOWED: {
+        code: 'TOKEN_NOT_ALLOWED',
+        message: 'One of the tokens is not allowed by the contract. Pick a token from the allowed list.'
+    },
+    INVALID_ORDER_PARAMS: {
+        code: 'INVALID_ORDER_PARAMS',
+        message: 'Check the tokens and amounts: both tokens must differ and both amounts must be above zero'
+    },
+    INVALID_FILL_AMOUNT: {
+        code: 'INVALID_FILL_AMOUNT',
+        message: 'This fill amount is not valid for the order. Fill more of the order, or all of it.'
+    },
+    INSUFFICIENT_BALANCE: {
+        code: 'INSUFFICIENT_BALANCE',
+        message: 'Your token balance is too low for this transaction'
+    },
+    INSUFFICIENT_SELL_BALANCE: {
+        code: 'INSUFFICIENT_SELL_BALANCE',
+        message: 'Your sell token balance is too low for this order'
+    },
+    INSUFFICIENT_BUY_BALANCE: {
+        code: 'INSUFFICIENT_BUY_BALANCE',
+        message: 'Your balance of the token this order asks for is too low'
+    },
+    INSUFFICIENT_FEE_BALANCE: {
+        code: 'INSUFFICIENT_FEE_BALANCE',
+        message: 'Your fee token balance is too low to pay the order creation fee'
+    },
+    INSUFFICIENT_SELL_ALLOWANCE: {
+        code: 'INSUFFICIENT_SELL_ALLOWANCE',
+        message: 'The contract is not approved to take the sell amount',
+        fix: { action: 'approveSellToken', label: 'Approve sell token' }
+    },
+    INSUFFICIENT_BUY_ALLOWANCE: {
+        code: 'INSUFFICIENT_BUY_ALLOWANCE',
+        message: 'The contract is not approved to take the payment for this fill',
+        fix: { action: 'approveBuyToken', label: 'Approve token' }
+    },
+    INSUFFICIENT_FEE_ALLOWANCE: {
+        code: 'INSUFFICIENT_FEE_ALLOWANCE',
+        message: 'The contract is not approved to take the order creation fee',
+        fix: { action: 'approveFeeToken', label: 'Approve fee token' }
+    },
+    TOKEN_TRANSFER_FAILED: {
+        code: 'TOKEN_TRANSFER_FAILED',
+        message: 'A token transfer failed. The token may be paused or restrict transfers.'
+    },
+    NO_ORDERS_TO_CLEAN: {
+        code: 'NO_ORDERS_TO_CLEAN',
+        message: 'There are no orders to clean up'
+    },
+    ALREADY_DISABLED: {
+        code: 'ALREADY_DISABLED',
+        message: 'The contract is already disabled'
+    },
+    INVALID_FEE_CONFIG: {
+        code: 'INVALID_FEE_CONFIG',
+        message: 'Enter a fee token address and a fee amount above zero'
+    },
+    CONTRACT_REVERT: {
+        code: 'CONTRACT_REVERT',
+        message: 'The transaction would fail'
+    }
+};
+
+// Revert strings from OTCSwap.sol; entries ending in ': ' match as prefixes
+const REVERT_REASONS = [
+    ['Order does not exist', CONTRACT_ERRORS.INVALID_ORDER],
+    ['Order is not active', CONTRACT_ERRORS.ORDER_NOT_ACTIVE],
+    ['Order has expired', CONTRACT_ERRORS.EXPIRED_ORDER],
+    ['Grace period has expired', CONTRACT_ERRORS.GRACE_PERIOD_EXPIRED],
+    ['Not authorized to fill this order', CONTRACT_ERRORS.UNAUTHORIZED],
+    ['Only maker can cancel order', CONTRACT_ERRORS.UNAUTHORIZED],
+    ['Contract is disabled', CONTRACT_ERRORS.CONTRACT_DISABLED],
+    ['Contract already disabled', CONTRACT_ERRORS.ALREADY_DISABLED],
+    ['Sell token not allowed', CONTRACT_ERRORS.TOKEN_NOT_ALLOWED],
+    ['Buy token not allowed', CONTRACT_ERRORS.TOKEN_NOT_ALLOWED],
+    ['Invalid sell token', CONTRACT_ERRORS.INVALID_ORDER_PARAMS],
+    ['Invalid buy token', CONTRACT_ERRORS.INVALID_ORDER_PARAMS],
+    ['Invalid sell amount', CONTRACT_ERRORS.INVALID_ORDER_PARAMS],
+    ['Invalid buy amount', CONTRACT_ERRORS.INVALID_ORDER_PARAMS],
+    ['Cannot swap same token', CONTRACT_ERRORS.INVALID_ORDER_PARAMS],
+    ['Invalid fill amount', CONTRACT_ERRORS.INVALID_FILL_AMOUNT],
+    ['Fill leaves no buy amount remaining', CONTRACT_ERRORS.INVALID_FILL_AMOUNT],
+    ['Insufficient balance for sell token', CONTRACT_ERRORS.INSUFFICIENT_SELL_BALANCE],
+    ['Insufficient balance for buy token', CONTRACT_ERRORS.INSUFFICIENT_BUY_BALANCE],
+    ['Insufficient balance for fee', CONTRACT_ERRORS.INSUFFICIENT_FEE_BALANCE],
+    ['Insufficient allowance for sell token', CONTRACT_ERRORS.INSUFFICIENT_SELL_ALLOWANCE],
+    ['Insufficient allowance for buy token', CONTRACT_ERRORS.INSUFFICIENT_BUY_ALLOWANCE],
+    ['Insufficient allowance for fee', CONTRACT_ERRORS.INSUFFICIENT_FEE_ALLOWANCE],
+    ['Sell token transfer failed: ', CONTRACT_ERRORS.TOKEN_TRANSFER_FAILED],
+    ['Sell token transfer failed with unknown error', CONTRACT_ERRORS.TOKEN_TRANSFER_FAILED],
+    ['Buy token transfer failed: ', CONTRACT_ERRORS.TOKEN_TRANSFER_FAILED],
+    ['Buy token transfer failed with unknown error', CONTRACT_ERRORS.TOKEN_TRANSFER_FAILED],
+    ['Token transfer failed', CONTRACT_ERRORS.TOKEN_TRANSFER_FAILED],
+    ['No orders to clean up', CONTRACT_ERRORS.NO_ORDERS_TO_CLEAN],
+    ['Invalid fee token', CONTRACT_ERRORS.INVALID_FEE_CONFIG],
+    ['Invalid fee amount', CONTRACT_ERRORS.INVALID_FEE_CONFIG],
+    // OpenZeppelin v5 custom errors, decoded to their names
+    ['OwnableUnauthorizedAccount', CONTRACT_ERRORS.UNAUTHORIZED],
+    ['SafeERC20FailedOperation', CONTRACT_ERRORS.TOKEN_TRANSFER_FAILED],
+    ['ERC20InsufficientBalance', CONTRACT_ERRORS.INSUFFICIENT_BALANCE],
+    ['ERC20InsufficientAllowance', CONTRACT_ERRORS.INSUFFICIENT_ALLOWANCE]
+];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const CUSTOM_ERRORS = new ethers.utils.Interface([
+    'error OwnableUnauthorizedAccount(address account)',
+    'error ReentrancyGuardReentrantCall()',
+    'error SafeERC20FailedOperation(address token)',
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+]);
+
+/**
+ * Revert data of a failed call; wallets and providers nest it at different depths
+ * @param {Error} error - Error from ethers or the wallet
+ * @returns {string|undefined} Hex revert data starting with a selector
+ */
+export const findRevertData = (error) => [
+    error?.data,
+    error?.data?.data,
+    error?.error?.data,
+    error?.error?.data?.data,
+    error?.error?.error?.data,
+    error?.error?.error?.data?.data
+].find(data => typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data));
+
+/**
+ * Revert reason of a failed call or estimate
+ * @param {Error} error - Error from ethers or the wallet
+ * @returns {string|null} Revert string or custom error name, null if the error carries none
+ */
+export function decodeRevertReason(error) {
+    const data = findRevertData(error);
+    if (data) {
+        const selector = data.slice(0, 10).toLowerCase();
+        try {
+            if (selector === ERROR_STRING_SELECTOR) {
+                return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+            }
+            if (selector === PANIC_SELECTOR) {
+                const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0];
+                return `Panic(${code.toHexString()})`;
+            }
+            return CUSTOM_ERRORS.parseError(data).name;
+        } catch (decodeError) {
+            // Unknown selector; fall through to the messages
+        }
     }
-}; 
\ No newline at end of file
+
+    // ethers sets reason on many errors; only call exceptions carry the revert string
+    if (error?.code === 'CALL_EXCEPTION' && error.reason && !error.reason.startsWith('missing revert data')) {
+        return error.reason.replace(/^execution reverted:\s*/, '');
+    }
+    const messages = [error?.error?.data?.message, error?.error?.message, error?.message];
+    for (const message of messages) {
+        const match = typeof message === 'string'
+            && /(?:reverted with reason string '|execution reverted: )([^'"]+)/.exec(message);
+        if (match) return match[1].trim();
+    }
+    return null;
+}
+
+/**
+ * Map a failed call to a ContractError
+ * @param {Error} error - Error from ethers or the wallet
+ * @param {Object} [details] - Call context kept on the error, e.g. tokens and amounts for fixes
+ * @returns {ContractError|null} null if the error carries no revert reason
+ */
+export function toContractError(error, details = {}) {
+    if (error instanceof ContractError) return error;
+
+    const reason = decodeRevertReason(error);
+    if (!reason) return null;
+
+    const known = REVERT_REASONS.find(([pattern]) =>
+        reason === pattern || (pattern.endsWith(': ') && reason.startsWith(pattern))
+    )?.[1];
+    const entry = known || CONTRACT_ERRORS.CONTRACT_REVERT;
+    const message = known ? entry.message : `${entry.message}: ${reason}`;
+    return new ContractError(message, entry.code, { ...details, reason, fix: entry.fix || null });
+}
@@ -0,0 +1,202 @@
+import { ethers } from 'ethers';
+import { createLogger } from './LogService.js';
+
+// localStorage key; contacts are shared across networks
+const ADDRESS_BOOK_STORAGE_KEY = 'address_book';
+const EXPORT_VERSION = 1;
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Local labels for counterparty addresses. Labels are shown in place of
+ * truncated addresses, and addresses that differ from a contact by a single
+ * character are flagged as possible look-alikes.
+ */
+export class AddressBookService {
+    constructor() {
+        this.contacts = new Map(); // lowercase address -> { address, label }
+        this.subscribers = new Set();
+        this.loaded = false;
+
+        const logger = createLogger('ADDRESS_BOOK');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    subscribe(callback) {
+        this.subscribers.add(callback);
+    }
+
+    unsubscribe(callback) {
+        this.subscribers.delete(callback);
+    }
+
+    notifySubscribers(event, data) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                this.debug('Error in address book subscriber:', error);
+            }
+        });
+    }
+
+    // Read lazily so formatting helpers can use the book before app init
+    ensureLoaded() {
+        if (this.loaded) return;
+        this.loaded = true;
+        try {
+            const stored = JSON.parse(localStorage.getItem(ADDRESS_BOOK_STORAGE_KEY)) || [];
+            stored.forEach(contact => {
+                if (ethers.utils.isAddress(contact.address) && contact.label) {
+                    this.contacts.set(contact.address.toLowerCase(), contact);
+                }
+            });
+        } catch (error) {
+            this.warn(`Discarding unreadable ${ADDRESS_BOOK_STORAGE_KEY}:`, error);
+        }
+    }
+
+    persist() {
+        localStorage.setItem(ADDRESS_BOOK_STORAGE_KEY, JSON.stringify(Array.from(this.contacts.values())));
+        this.notifySubscribers('contactsUpdated', this.getContacts());
+    }
+
+    /**
+     * @returns {Array<{address: string, label: string}>} Contacts sorted by label
+     */
+    getContacts() {
+        this.ensureLoaded();
+        return Array.from(this.contacts.values()).sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * @param {string} address
+     * @returns {string|null} Saved label for the address
+     */
+    getLabel(address) {
+        if (!address) return null;
+        this.ensureLoaded();
+        return this.contacts.get(address.toLowerCase())?.label ?? null;
+    }
+
+    /**
+     * Validate and normalize a contact
+     * @returns {{address: string, label: string}}
+     * @throws {Error} If the address or label is invalid
+     */
+    normalizeContact(address, label) {
+        if (!ethers.utils.isAddress(address || '')) {
+            throw new Error(`Invalid address: ${address}`);
+        }
+        const trimmed = String(label ?? '').trim();
+        if (!trimmed) {
+            throw new Error('Enter a label for the address');
+        }
+        if (trimmed.length > MAX_LABEL_LENGTH) {
+            throw new Error(`Labels can be at most ${MAX_LABEL_LENGTH} characters`);
+        }
+        return { address: ethers.utils.getAddress(address), label: trimmed };
+    }
+
+    /**
+     * Add or update a contact
+     * @param {string} address - Contact address
+     * @param {string} label - Display label
+     * @param {string} [previousAddress] - Address being edited, when it changed
+     * @throws {Error} If the address or label is invalid
+     */
+    saveContact(address, label, previousAddress = null) {
+        this.ensureLoaded();
+        const contact = this.normalizeContact(address, label);
+        if (previousAddress && previousAddress.toLowerCase() !== contact.address.toLowerCase()) {
+            this.contacts.delete(previousAddress.toLowerCase());
+        }
+        this.contacts.set(contact.address.toLowerCase(), contact);
+        this.debug('Saved contact:', contact);
+        this.persist();
+    }
+
+    removeContact(address) {
+        this.ensureLoaded();
+        if (this.contacts.delete(address.toLowerCase())) {
+            this.debug('Removed contact:', address);
+            this.persist();
+        }
+    }
+
+    /**
+     * Find the contact an unknown address differs from by exactly one character,
+     * a common sign of address poisoning
+     * @param {string} address
+     * @returns {{address: string, label: string}|null} Contact the address resembles
+     */
+    findLookalike(address) {
+        if (!address || !ethers.utils.isAddress(address)) return null;
+        this.ensureLoaded();
+        const lower = address.toLowerCase();
+        if (this.contacts.has(lower)) return null;
+
+        for (const [contactAddress, contact] of this.contacts) {
+            let differences = 0;
+            for (let i = 0; i < lower.length && differences < 2; i++) {
+                if (lower[i] !== contactAddress[i]) differences++;
+            }
+            if (differences === 1) return contact;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string} Contacts as JSON, for backup or sharing with other desks
+     */
+    exportJson() {
+        return JSON.stringify({ version: EXPORT_VERSION, contacts: this.getContacts() }, null, 2);
+    }
+
+    /**
+     * Merge contacts from an export. Labels of existing addresses are replaced.
+     * Accepts an export file or a plain array of { address, label }.
+     * @param {string} json - Exported address book
+     * @returns {{added: number, updated: number}}
+     * @throws {Error} If the file is not an address book or has invalid entries
+     */
+    importJson(json) {
+        this.ensureLoaded();
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        const entries = Array.isArray(data) ? data : data?.contacts;
+        if (!Array.isArray(entries)) {
+            throw new Error('The file does not contain an address book');
+        }
+
+        // Validate everything before changing the book
+        const contacts = entries.map((entry, i) => {
+            try {
+                return this.normalizeContact(entry?.address, entry?.label);
+            } catch (error) {
+                throw new Error(`Entry ${i + 1}: ${error.message}`);
+            }
+        });
+
+        let added = 0;
+        let updated = 0;
+        contacts.forEach(contact => {
+            if (this.contacts.has(contact.address.toLowerCase())) {
+                updated++;
+            } else {
+                added++;
+            }
+            this.contacts.set(contact.address.toLowerCase(), contact);
+        });
+        this.debug('Imported contacts:', { added, updated });
+        this.persist();
+        return { added, updated };
+    }
+}
+
+export const addressBookService = new AddressBookService();
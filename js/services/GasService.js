@@ -0,0 +1,176 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig } from '../config.js';
+import { createLogger } from './LogService.js';
+import { providerPool } from './ProviderPool.js';
+import { getUsdValue } from '../utils/fixedPoint.js';
+
+// localStorage key; the last chosen preset or custom fees, shared across networks
+const GAS_PREFERENCE_STORAGE_KEY = 'gas_fee_preference';
+
+// Blocks of priority fees the presets are drawn from
+const FEE_HISTORY_BLOCKS = 20;
+const PRESETS_CACHE_MS = 10 * 1000;
+// maxFeePerGas covers the base fee doubling, about six full blocks in a row
+const BASE_FEE_MULTIPLIER = 2;
+
+export const GAS_LIMIT_BUFFER_PERCENT = 20;
+
+// Presets take this percentile of recent priority fees; networks without
+// EIP-1559 scale the node's gas price instead
+export const GAS_PRESETS = {
+    slow: { label: 'Slow', percentile: 25, gasPricePercent: 90 },
+    normal: { label: 'Normal', percentile: 50, gasPricePercent: 100 },
+    fast: { label: 'Fast', percentile: 75, gasPricePercent: 125 }
+};
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Fee presets from eth_feeHistory, the user's fee preference and cost
+ * estimates in the native token and USD.
+ */
+export class GasService {
+    constructor() {
+        this.cachedPresets = null; // { chainId, at, value }
+
+        const logger = createLogger('GAS');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    /**
+     * @returns {{preset: string, maxFeePerGas: string|null, maxPriorityFeePerGas: string|null, gasPrice: string|null}}
+     *     Preset name or 'custom' with fees in gwei
+     */
+    getPreference() {
+        const defaults = { preset: 'normal', maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: null };
+        try {
+            const stored = JSON.parse(localStorage.getItem(GAS_PREFERENCE_STORAGE_KEY));
+            return stored && (GAS_PRESETS[stored.preset] || stored.preset === 'custom')
+                ? { ...defaults, ...stored }
+                : defaults;
+        } catch (error) {
+            this.warn(`Discarding unreadable ${GAS_PREFERENCE_STORAGE_KEY}:`, error);
+            return defaults;
+        }
+    }
+
+    setPreference(preference) {
+        localStorage.setItem(GAS_PREFERENCE_STORAGE_KEY, JSON.stringify(preference));
+    }
+
+    /**
+     * Fee fields for each preset, from recent blocks
+     * @returns {Promise<{eip1559: boolean, baseFee: ethers.BigNumber|null, presets: Object}>}
+     *     presets maps each GAS_PRESETS key to transaction fee fields
+     */
+    async getFeePresets() {
+        const { chainId, minPriorityFeeGwei } = getNetworkConfig();
+        if (this.cachedPresets?.chainId === chainId && Date.now() - this.cachedPresets.at < PRESETS_CACHE_MS) {
+            return this.cachedPresets.value;
+        }
+
+        let value;
+        try {
+            const percentiles = Object.values(GAS_PRESETS).map(preset => preset.percentile);
+            const history = await providerPool.execute(provider => provider.send('eth_feeHistory', [
+                ethers.utils.hexValue(FEE_HISTORY_BLOCKS),
+                'latest',
+                percentiles
+            ]));
+            if (!history?.baseFeePerGas?.length || !history.reward?.length) {
+                throw new Error('Network does not report EIP-1559 fees');
+            }
+
+            // The last entry is the next block's base fee
+            const baseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            const minPriorityFee = ethers.utils.parseUnits(String(minPriorityFeeGwei ?? 0), 'gwei');
+            const presets = {};
+            Object.keys(GAS_PRESETS).forEach((name, i) => {
+                const tip = median(history.reward.map(rewards => ethers.BigNumber.from(rewards[i])));
+                const maxPriorityFeePerGas = tip.lt(minPriorityFee) ? minPriorityFee : tip;
+                presets[name] = {
+                    maxPriorityFeePerGas,
+                    maxFeePerGas: baseFee.mul(BASE_FEE_MULTIPLIER).add(maxPriorityFeePerGas)
+                };
+            });
+            value = { eip1559: true, baseFee, presets };
+        } catch (error) {
+            this.debug('Fee history unavailable, using gas price:', error);
+            const gasPrice = await providerPool.execute(provider => provider.getGasPrice());
+            const presets = {};
+            Object.entries(GAS_PRESETS).forEach(([name, preset]) => {
+                presets[name] = { gasPrice: gasPrice.mul(preset.gasPricePercent).div(100) };
+            });
+            value = { eip1559: false, baseFee: null, presets };
+        }
+
+        this.debug('Fee presets:', value);
+        this.cachedPresets = { chainId, at: Date.now(), value };
+        return value;
+    }
+
+    /**
+     * @param {Object} [preference] - Defaults to the saved preference
+     * @returns {Promise<Object>} Fee fields for a transaction
+     */
+    async getFeeOverrides(preference = this.getPreference()) {
+        const { eip1559, presets } = await this.getFeePresets();
+        if (preference.preset !== 'custom') {
+            return presets[preference.preset] || presets.normal;
+        }
+        // Custom fees saved on a network of the other kind fall back to normal
+        if (eip1559 && preference.maxFeePerGas && preference.maxPriorityFeePerGas) {
+            return {
+                maxFeePerGas: ethers.utils.parseUnits(preference.maxFeePerGas, 'gwei'),
+                maxPriorityFeePerGas: ethers.utils.parseUnits(preference.maxPriorityFeePerGas, 'gwei')
+            };
+        }
+        if (!eip1559 && preference.gasPrice) {
+            return { gasPrice: ethers.utils.parseUnits(preference.gasPrice, 'gwei') };
+        }
+        return presets.normal;
+    }
+
+    /**
+     * @param {ethers.BigNumber} estimate - Gas estimate
+     * @param {number} [percent=GAS_LIMIT_BUFFER_PERCENT] - Headroom for state changes before mining
+     * @returns {ethers.BigNumber} Gas limit
+     */
+    withGasBuffer(estimate, percent = GAS_LIMIT_BUFFER_PERCENT) {
+        return ethers.BigNumber.from(estimate).mul(100 + percent).div(100);
+    }
+
+    /**
+     * Cost of a transaction in the native token
+     * @param {ethers.BigNumber} gasUsed - Expected gas, without buffer
+     * @param {ethers.BigNumber} gasLimit - Gas limit sent with the transaction
+     * @param {Object} fees - Fee fields
+     * @param {ethers.BigNumber|null} baseFee - Next block's base fee, for EIP-1559 fees
+     * @returns {{expected: ethers.BigNumber, max: ethers.BigNumber}} Costs in wei
+     */
+    estimateCost(gasUsed, gasLimit, fees, baseFee) {
+        if (fees.gasPrice) {
+            return { expected: gasUsed.mul(fees.gasPrice), max: gasLimit.mul(fees.gasPrice) };
+        }
+        const effective = baseFee.add(fees.maxPriorityFeePerGas);
+        const price = effective.lt(fees.maxFeePerGas) ? effective : fees.maxFeePerGas;
+        return { expected: gasUsed.mul(price), max: gasLimit.mul(fees.maxFeePerGas) };
+    }
+
+    /**
+     * @param {ethers.BigNumber} amount - Native token amount in wei
+     * @returns {ethers.BigNumber|null} USD value, if the wrapped native token has a price
+     */
+    getNativeUsdValue(amount) {
+        const { wrappedNativeToken, nativeCurrency } = getNetworkConfig();
+        const price = wrappedNativeToken ? window.pricingService?.getPrice(wrappedNativeToken) : undefined;
+        return price !== undefined ? getUsdValue(amount, nativeCurrency.decimals, price) : null;
+    }
+}
+
+export const gasService = new GasService();
@@ -1,6 +1,6 @@
 import { ethers } from 'ethers';
 import { getNetworkConfig } from '../config.js';
-import { contractService } from './ContractService.js';
+import { providerPool } from './ProviderPool.js';
 import { createLogger } from './LogService.js';
 
 // Logger (behind DEBUG_CONFIG via LogService)
@@ -14,27 +14,18 @@ const MULTICALL2_ABI = [
 ];
 
 /**
- * Get a Multicall2 contract instance for the current network
- * Returns null if provider or multicall address is not available
+ * Get the Multicall2 address for the current network, or null if not configured
  */
-function getMulticallContract() {
+function getMulticallAddress() {
 	try {
 		const networkCfg = getNetworkConfig();
-		const multicallAddress = networkCfg.multicallAddress;
-		if (!multicallAddress) {
+		if (!networkCfg.multicallAddress) {
 			debug('No multicallAddress configured for current network');
 			return null;
 		}
-
-		const provider = contractService.getProvider();
-		if (!provider) {
-			debug('No provider available for Multicall');
-			return null;
-		}
-
-		return new ethers.Contract(multicallAddress, MULTICALL2_ABI, provider);
+		return networkCfg.multicallAddress;
 	} catch (e) {
-		error('Failed to create Multicall contract:', e);
+		error('Failed to read multicall address:', e);
 		return null;
 	}
 }
@@ -47,15 +38,18 @@ function getMulticallContract() {
  */
 export async function tryAggregate(calls, options = {}) {
 	const requireSuccess = options.requireSuccess === true;
-	const mc = getMulticallContract();
-	if (!mc) return null; // Signal to fallback
+	const multicallAddress = getMulticallAddress();
+	if (!multicallAddress) return null; // Signal to fallback
 
 	if (!Array.isArray(calls) || calls.length === 0) {
 		return [];
 	}
 
 	try {
-		return await mc.tryAggregate(requireSuccess, calls);
+		// Routed to the healthiest RPC endpoint, failing over on endpoint errors
+		return await providerPool.execute(provider =>
+			new ethers.Contract(multicallAddress, MULTICALL2_ABI, provider).tryAggregate(requireSuccess, calls)
+		);
 	} catch (e) {
 		debug('Multicall tryAggregate failed, will fallback to per-call path:', e?.message || e);
 		return null;
@@ -68,7 +62,7 @@ export async function tryAggregate(calls, options = {}) {
 export function isMulticallAvailable() {
 	try {
 		const networkCfg = getNetworkConfig();
-		return !!(networkCfg.multicallAddress && contractService.getProvider());
+		return !!(networkCfg.multicallAddress && providerPool.getProvider());
 	} catch {
 		return false;
 	}
@@ -0,0 +1,269 @@
+import { ethers } from 'ethers';
+import { ORDER_CACHE_CONFIG } from '../config.js';
+import { createLogger } from './LogService.js';
+
+// Initialize logger
+const logger = createLogger('ORDER_CACHE');
+const debug = logger.debug.bind(logger);
+const error = logger.error.bind(logger);
+const warn = logger.warn.bind(logger);
+
+const DB_VERSION = 2;
+const STORE_NAME = 'snapshots';
+const HISTORY_STORE_NAME = 'history';
+
+// Order fields that hold BigNumbers and must be stored as decimal strings
+const BIG_NUMBER_FIELDS = ['sellAmount', 'buyAmount', 'orderCreationFee', 'filledSellAmount', 'filledBuyAmount'];
+
+/**
+ * IndexedDB-backed snapshot store for the WebSocketService order cache and the
+ * OrderHistoryService event index. One entry of each is kept per chain + contract
+ * address, so switching either never resumes from another deployment's data.
+ */
+export class OrderCacheStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is usable in this browser context
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Build the snapshot key for a chain + contract pair
+     * @param {number|string} chainId - Chain ID (decimal or hex)
+     * @param {string} contractAddress - OTCSwap contract address
+     * @returns {string} Snapshot key
+     */
+    getKey(chainId, contractAddress) {
+        return `${Number(chainId)}:${contractAddress.toLowerCase()}`;
+    }
+
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(ORDER_CACHE_CONFIG.DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const name of [STORE_NAME, HISTORY_STORE_NAME]) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'key' });
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        }).catch(err => {
+            // Allow a later call to retry opening
+            this.dbPromise = null;
+            throw err;
+        });
+
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation, storeName = STORE_NAME) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Load the snapshot for a chain + contract pair
+     * @param {number|string} chainId - Chain ID
+     * @param {string} contractAddress - OTCSwap contract address
+     * @returns {Promise<Object|null>} Snapshot with deserialized orders and tokens, or null
+     */
+    async load(chainId, contractAddress) {
+        if (!this.isAvailable()) {
+            debug('IndexedDB not available, skipping snapshot load');
+            return null;
+        }
+
+        const key = this.getKey(chainId, contractAddress);
+        try {
+            const record = await this.runTransaction('readonly', store => store.get(key));
+            if (!record) {
+                debug('No snapshot found for', key);
+                return null;
+            }
+
+            if (record.schemaVersion !== ORDER_CACHE_CONFIG.SCHEMA_VERSION) {
+                debug('Snapshot schema mismatch, invalidating:', {
+                    key,
+                    stored: record.schemaVersion,
+                    expected: ORDER_CACHE_CONFIG.SCHEMA_VERSION
+                });
+                await this.clear(chainId, contractAddress);
+                return null;
+            }
+
+            debug('Loaded snapshot:', {
+                key,
+                orders: record.orders.length,
+                tokens: record.tokens.length,
+                lastSyncedBlock: record.lastSyncedBlock
+            });
+
+            return {
+                lastSyncedBlock: record.lastSyncedBlock,
+                nextOrderId: record.nextOrderId,
+                savedAt: record.savedAt,
+                orders: record.orders.map(order => this.deserializeOrder(order)),
+                tokens: record.tokens
+            };
+        } catch (err) {
+            warn('Failed to load order snapshot:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Persist the snapshot for a chain + contract pair
+     * @param {number|string} chainId - Chain ID
+     * @param {string} contractAddress - OTCSwap contract address
+     * @param {Object} snapshot - { orders, tokens, lastSyncedBlock, nextOrderId }
+     * @returns {Promise<boolean>} True if saved
+     */
+    async save(chainId, contractAddress, { orders, tokens, lastSyncedBlock, nextOrderId }) {
+        if (!this.isAvailable()) return false;
+
+        const record = {
+            key: this.getKey(chainId, contractAddress),
+            schemaVersion: ORDER_CACHE_CONFIG.SCHEMA_VERSION,
+            chainId: Number(chainId),
+            contractAddress: contractAddress.toLowerCase(),
+            lastSyncedBlock,
+            nextOrderId,
+            savedAt: Date.now(),
+            orders: orders.map(order => this.serializeOrder(order)),
+            tokens
+        };
+
+        try {
+            await this.runTransaction('readwrite', store => store.put(record));
+            debug('Saved snapshot:', {
+                key: record.key,
+                orders: record.orders.length,
+                lastSyncedBlock
+            });
+            return true;
+        } catch (err) {
+            warn('Failed to save order snapshot:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Remove the snapshot for a chain + contract pair
+     * @param {number|string} chainId - Chain ID
+     * @param {string} contractAddress - OTCSwap contract address
+     */
+    async clear(chainId, contractAddress) {
+        if (!this.isAvailable()) return;
+        try {
+            await this.runTransaction('readwrite', store => store.delete(this.getKey(chainId, contractAddress)));
+            debug('Cleared snapshot for', this.getKey(chainId, contractAddress));
+        } catch (err) {
+            error('Failed to clear order snapshot:', err);
+        }
+    }
+
+    /**
+     * Load the order history index for a chain + contract pair
+     * @param {number|string} chainId - Chain ID
+     * @param {string} contractAddress - OTCSwap contract address
+     * @returns {Promise<Object|null>} { deploymentBlock, lastScannedBlock, records } or null
+     */
+    async loadHistory(chainId, contractAddress) {
+        if (!this.isAvailable()) return null;
+
+        const key = this.getKey(chainId, contractAddress);
+        try {
+            const record = await this.runTransaction('readonly', store => store.get(key), HISTORY_STORE_NAME);
+            if (!record) return null;
+
+            if (record.schemaVersion !== ORDER_CACHE_CONFIG.SCHEMA_VERSION) {
+                debug('History schema mismatch, invalidating:', key);
+                await this.runTransaction('readwrite', store => store.delete(key), HISTORY_STORE_NAME);
+                return null;
+            }
+
+            debug('Loaded history index:', {
+                key,
+                records: record.records.length,
+                lastScannedBlock: record.lastScannedBlock
+            });
+            return {
+                deploymentBlock: record.deploymentBlock,
+                lastScannedBlock: record.lastScannedBlock,
+                records: record.records
+            };
+        } catch (err) {
+            warn('Failed to load history index:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Persist the order history index for a chain + contract pair.
+     * Records must already be plain data (amounts as strings).
+     * @param {number|string} chainId - Chain ID
+     * @param {string} contractAddress - OTCSwap contract address
+     * @param {Object} history - { deploymentBlock, lastScannedBlock, records }
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveHistory(chainId, contractAddress, { deploymentBlock, lastScannedBlock, records }) {
+        if (!this.isAvailable()) return false;
+
+        try {
+            await this.runTransaction('readwrite', store => store.put({
+                key: this.getKey(chainId, contractAddress),
+                schemaVersion: ORDER_CACHE_CONFIG.SCHEMA_VERSION,
+                deploymentBlock,
+                lastScannedBlock,
+                savedAt: Date.now(),
+                records
+            }), HISTORY_STORE_NAME);
+            return true;
+        } catch (err) {
+            warn('Failed to save history index:', err);
+            return false;
+        }
+    }
+
+    serializeOrder(order) {
+        const serialized = { ...order };
+        for (const field of BIG_NUMBER_FIELDS) {
+            if (serialized[field] != null) {
+                serialized[field] = ethers.BigNumber.from(serialized[field]).toString();
+            }
+        }
+        // Deal metrics depend on live prices and are recalculated after load
+        delete serialized.dealMetrics;
+        return serialized;
+    }
+
+    deserializeOrder(order) {
+        const deserialized = { ...order };
+        for (const field of BIG_NUMBER_FIELDS) {
+            if (deserialized[field] != null) {
+                deserialized[field] = ethers.BigNumber.from(deserialized[field]);
+            }
+        }
+        return deserialized;
+    }
+}
+
+export const orderCacheStore = new OrderCacheStore();
@@ -0,0 +1,581 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig, ORDER_CACHE_CONFIG, ORDER_HISTORY_CONFIG, TOKEN_ICON_CONFIG } from '../config.js';
+import { createLogger } from './LogService.js';
+import { orderCacheStore } from './OrderCacheStore.js';
+import { getUsdValue, toNumber, USD_DECIMALS } from '../utils/fixedPoint.js';
+
+// Failed token transfers and cleanups; recorded on the order but they don't change its status
+const ERROR_EVENTS = ['TransferError', 'CleanupError'];
+
+// Events that make up an order's lifecycle
+const HISTORY_EVENTS = [
+    'OrderCreated',
+    'OrderFilled',
+    'OrderPartiallyFilled',
+    'OrderCanceled',
+    'OrderCleanedUp',
+    'RetryOrder',
+    ...ERROR_EVENTS
+];
+
+/**
+ * Builds a lifetime archive of every order from OTCSwap event logs.
+ * The contract deletes orders on cleanup, so the logs are the only source
+ * for completed trades. The index is persisted and extended incrementally.
+ */
+export class OrderHistoryService {
+    constructor() {
+        this.records = new Map(); // orderId -> history record
+        this.deploymentBlock = null;
+        this.lastScannedBlock = null;
+        this.contractAddress = null;
+        this.chainId = null;
+        this.syncPromise = null;
+        this.syncTimeout = null;
+        this.subscribers = new Set();
+        this.priceHistory = new Map(); // token address -> Promise<Array<[ms, price]>|null>
+        this.liveEventsSubscribed = false;
+
+        const logger = createLogger('ORDER_HISTORY');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    subscribe(callback) {
+        this.subscribers.add(callback);
+    }
+
+    unsubscribe(callback) {
+        this.subscribers.delete(callback);
+    }
+
+    notifySubscribers(event, data) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                this.debug('Error in history subscriber:', error);
+            }
+        });
+    }
+
+    /**
+     * Load the persisted index for the current contract (once per contract)
+     * and hook live order events to trigger incremental rescans.
+     */
+    async initialize() {
+        await window.webSocket?.waitForInitialization();
+        const contract = window.webSocket?.contract;
+        if (!contract) {
+            throw new Error('Contract not initialized');
+        }
+
+        const chainId = parseInt(getNetworkConfig().chainId, 16);
+        if (this.contractAddress === contract.address.toLowerCase() && this.chainId === chainId) {
+            return;
+        }
+
+        this.contractAddress = contract.address.toLowerCase();
+        this.chainId = chainId;
+        this.records.clear();
+        this.deploymentBlock = null;
+        this.lastScannedBlock = null;
+
+        const stored = await orderCacheStore.loadHistory(chainId, this.contractAddress);
+        if (stored) {
+            stored.records.forEach(record => this.records.set(record.orderId, record));
+            this.deploymentBlock = stored.deploymentBlock;
+            this.lastScannedBlock = stored.lastScannedBlock;
+        }
+
+        if (!this.liveEventsSubscribed) {
+            HISTORY_EVENTS.forEach(eventName => {
+                window.webSocket.subscribe(eventName, () => this.scheduleSync());
+            });
+            this.liveEventsSubscribed = true;
+        }
+    }
+
+    scheduleSync() {
+        clearTimeout(this.syncTimeout);
+        this.syncTimeout = setTimeout(() => {
+            this.sync().catch(error => this.error('Scheduled history sync failed:', error));
+        }, ORDER_HISTORY_CONFIG.SYNC_DEBOUNCE_MS);
+    }
+
+    /**
+     * Scan logs from the last scanned block (or deployment) up to the current block.
+     * Concurrent callers share the same scan.
+     * @returns {Promise<void>}
+     */
+    sync() {
+        if (!this.syncPromise) {
+            this.syncPromise = this.runSync().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    }
+
+    async runSync() {
+        await this.initialize();
+
+        const webSocket = window.webSocket;
+        const contract = webSocket.contract;
+        const currentBlock = await webSocket.queueRequest(provider => provider.getBlockNumber());
+
+        if (this.deploymentBlock === null) {
+            this.deploymentBlock = await this.findDeploymentBlock(currentBlock);
+        }
+
+        const fromBlock = this.lastScannedBlock !== null ? this.lastScannedBlock + 1 : this.deploymentBlock;
+        if (fromBlock > currentBlock) {
+            return;
+        }
+
+        const iface = contract.interface;
+        const filter = {
+            address: contract.address,
+            topics: [HISTORY_EVENTS.map(eventName => iface.getEventTopic(eventName))]
+        };
+
+        this.debug(`Scanning history logs from block ${fromBlock} to ${currentBlock}`);
+        const chunkSize = ORDER_CACHE_CONFIG.LOG_CHUNK_SIZE;
+        const totalBlocks = currentBlock - fromBlock + 1;
+        let chunkCount = 0;
+        let eventCount = 0;
+
+        for (let start = fromBlock; start <= currentBlock; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, currentBlock);
+            const events = await webSocket.queueRequest(provider => contract.connect(provider).queryFilter(filter, start, end));
+            events.forEach(event => this.applyEvent(event));
+            eventCount += events.length;
+            this.lastScannedBlock = end;
+            chunkCount++;
+
+            this.notifySubscribers('historySyncProgress', {
+                scanned: end - fromBlock + 1,
+                total: totalBlocks
+            });
+
+            if (chunkCount % ORDER_HISTORY_CONFIG.SAVE_EVERY_CHUNKS === 0) {
+                await this.persist();
+            }
+        }
+
+        await this.persist();
+        this.debug(`History scan complete: ${eventCount} events, ${this.records.size} orders indexed`);
+        this.notifySubscribers('historyUpdated', { orders: this.records.size });
+    }
+
+    /**
+     * Find the first block to scan. Uses the network's deploymentBlock when configured,
+     * otherwise binary-searches for the first block with contract code.
+     * @param {number} currentBlock - Latest block number
+     * @returns {Promise<number>} Block number to start scanning from
+     */
+    async findDeploymentBlock(currentBlock) {
+        const configured = getNetworkConfig().deploymentBlock;
+        if (Number.isInteger(configured)) {
+            return configured;
+        }
+
+        const webSocket = window.webSocket;
+        try {
+            let low = 0;
+            let high = currentBlock;
+            while (low < high) {
+                const mid = Math.floor((low + high) / 2);
+                const code = await webSocket.queueRequest(provider => provider.getCode(this.contractAddress, mid));
+                if (code && code !== '0x') {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+            this.debug('Detected contract deployment block:', low);
+            return low;
+        } catch (error) {
+            // Pruned nodes cannot serve historical state
+            const fallback = Math.max(currentBlock - ORDER_HISTORY_CONFIG.FALLBACK_LOOKBACK_BLOCKS, 0);
+            this.warn(`Could not detect deployment block, scanning from block ${fallback}:`, error);
+            return fallback;
+        }
+    }
+
+    getOrCreateRecord(orderId) {
+        if (!this.records.has(orderId)) {
+            this.records.set(orderId, { orderId, status: null, events: [] });
+        }
+        return this.records.get(orderId);
+    }
+
+    /**
+     * Apply one lifecycle event to the index. Events already recorded
+     * (same txHash + logIndex) are ignored.
+     * @param {Object} event - ethers Event from queryFilter
+     */
+    applyEvent(event) {
+        const args = event.args;
+        const orderId = (args.orderId ?? args.oldOrderId).toNumber();
+        const record = this.getOrCreateRecord(orderId);
+
+        const entry = {
+            type: event.event,
+            blockNumber: event.blockNumber,
+            txHash: event.transactionHash,
+            logIndex: event.logIndex,
+            timestamp: args.timestamp.toNumber()
+        };
+        if (record.events.some(e => e.txHash === entry.txHash && e.logIndex === entry.logIndex)) {
+            return;
+        }
+
+        switch (event.event) {
+            case 'OrderCreated':
+                Object.assign(record, {
+                    maker: args.maker,
+                    taker: args.taker,
+                    sellToken: args.sellToken,
+                    sellAmount: args.sellAmount.toString(),
+                    buyToken: args.buyToken,
+                    buyAmount: args.buyAmount.toString(),
+                    feeToken: args.feeToken,
+                    orderCreationFee: args.orderCreationFee.toString(),
+                    createdAt: entry.timestamp,
+                    createdTxHash: entry.txHash
+                });
+                record.status = record.status || 'Active';
+                break;
+            case 'OrderFilled':
+                // After partial fills the event only carries the final chunk, so keep the created amounts
+                Object.assign(record, {
+                    maker: args.maker,
+                    sellToken: args.sellToken,
+                    sellAmount: record.sellAmount ?? args.sellAmount.toString(),
+                    buyToken: args.buyToken,
+                    buyAmount: record.buyAmount ?? args.buyAmount.toString(),
+                    status: 'Filled',
+                    filledBy: args.taker,
+                    filledAt: entry.timestamp,
+                    fillTxHash: entry.txHash
+                });
+                this.addFill(record, args.taker, args.sellAmount, args.buyAmount, entry);
+                break;
+            case 'OrderPartiallyFilled':
+                Object.assign(record, {
+                    maker: args.maker,
+                    sellToken: args.sellToken,
+                    buyToken: args.buyToken,
+                    status: 'Partially Filled',
+                    filledAt: entry.timestamp
+                });
+                this.addFill(record, args.taker, args.sellAmountFilled, args.buyAmountPaid, entry);
+                break;
+            case 'OrderCanceled':
+                Object.assign(record, {
+                    status: 'Canceled',
+                    canceledAt: entry.timestamp,
+                    cancelTxHash: entry.txHash
+                });
+                break;
+            case 'OrderCleanedUp':
+                // Cleanup of an unfilled order returns the sell tokens to the maker
+                if (record.status === 'Active' || record.status === 'Partially Filled' || !record.status) {
+                    record.status = 'Expired';
+                }
+                record.cleanedUpAt = entry.timestamp;
+                record.cleanupTxHash = entry.txHash;
+                break;
+            case 'RetryOrder': {
+                const newOrderId = args.newOrderId.toNumber();
+                record.status = 'Retried';
+                record.retriedTo = newOrderId;
+                entry.newOrderId = newOrderId;
+                entry.tries = args.tries.toNumber();
+
+                // The contract re-lists what is left of the order under a new id
+                // without an OrderCreated event
+                const filled = this.sumFills(record);
+                const remaining = (amount, filledAmount) => amount === undefined
+                    ? undefined
+                    : ethers.BigNumber.from(amount).sub(filledAmount).toString();
+                const retried = this.getOrCreateRecord(newOrderId);
+                Object.assign(retried, {
+                    maker: record.maker ?? args.maker,
+                    taker: record.taker,
+                    sellToken: record.sellToken,
+                    sellAmount: remaining(record.sellAmount, filled.sellAmount),
+                    buyToken: record.buyToken,
+                    buyAmount: remaining(record.buyAmount, filled.buyAmount),
+                    feeToken: record.feeToken,
+                    orderCreationFee: record.orderCreationFee,
+                    createdAt: entry.timestamp,
+                    createdTxHash: entry.txHash,
+                    retriedFrom: orderId,
+                    tries: entry.tries
+                });
+                retried.status = retried.status || 'Active';
+                retried.events.push({ ...entry, type: 'RetryCreated', oldOrderId: orderId });
+                break;
+            }
+            case 'TransferError':
+                entry.tokenType = args.tokenType;
+                entry.reason = args.reason;
+                break;
+            case 'CleanupError':
+                entry.reason = args.reason;
+                break;
+        }
+
+        record.events.push(entry);
+    }
+
+    addFill(record, taker, sellAmount, buyAmount, entry) {
+        record.fills = record.fills || [];
+        record.fills.push({
+            taker,
+            sellAmount: sellAmount.toString(),
+            buyAmount: buyAmount.toString(),
+            timestamp: entry.timestamp,
+            txHash: entry.txHash
+        });
+    }
+
+    /**
+     * Total sell/buy amounts exchanged through fills, optionally only those by one taker
+     * @param {Object} record - History record
+     * @param {string} [taker] - Lowercase taker address
+     * @returns {{sellAmount: string, buyAmount: string}}
+     */
+    sumFills(record, taker = null) {
+        let sellAmount = ethers.BigNumber.from(0);
+        let buyAmount = ethers.BigNumber.from(0);
+        (record.fills || [])
+            .filter(fill => !taker || fill.taker.toLowerCase() === taker)
+            .forEach(fill => {
+                sellAmount = sellAmount.add(fill.sellAmount);
+                buyAmount = buyAmount.add(fill.buyAmount);
+            });
+        return { sellAmount: sellAmount.toString(), buyAmount: buyAmount.toString() };
+    }
+
+    async persist() {
+        if (!this.contractAddress) return;
+        await orderCacheStore.saveHistory(this.chainId, this.contractAddress, {
+            deploymentBlock: this.deploymentBlock,
+            lastScannedBlock: this.lastScannedBlock,
+            records: Array.from(this.records.values())
+        });
+    }
+
+    /**
+     * Get the lifecycle record for a single order
+     * @param {number} orderId - Order ID
+     * @returns {Object|undefined} History record
+     */
+    getOrderRecord(orderId) {
+        return this.records.get(Number(orderId));
+    }
+
+    /**
+     * Follow RetryOrder links to every ID an order has been listed under
+     * @param {number} orderId - Any ID in the chain
+     * @returns {Array<number>} Order IDs, earliest first
+     */
+    getOrderLineage(orderId) {
+        const lineage = [Number(orderId)];
+        let record = this.getOrderRecord(orderId);
+        while (record?.retriedFrom !== undefined && !lineage.includes(record.retriedFrom)) {
+            lineage.unshift(record.retriedFrom);
+            record = this.getOrderRecord(record.retriedFrom);
+        }
+        record = this.getOrderRecord(orderId);
+        while (record?.retriedTo !== undefined && !lineage.includes(record.retriedTo)) {
+            lineage.push(record.retriedTo);
+            record = this.getOrderRecord(record.retriedTo);
+        }
+        return lineage;
+    }
+
+    /**
+     * Get every order an account took part in, as maker or as filler,
+     * from that account's point of view
+     * @param {string} account - Account address
+     * @returns {Array<Object>} History rows
+     */
+    getAccountHistory(account) {
+        if (!account) return [];
+        const accountLower = account.toLowerCase();
+        const rows = [];
+
+        for (const record of this.records.values()) {
+            if (!record.maker || !record.sellToken) continue;
+
+            const fills = record.fills || [];
+            const isMaker = record.maker.toLowerCase() === accountLower;
+            const isTaker = record.filledBy?.toLowerCase() === accountLower ||
+                fills.some(fill => fill.taker.toLowerCase() === accountLower);
+            if (!isMaker && !isTaker) continue;
+
+            // With fills, show what actually changed hands; the filler only sees their own fills
+            const traded = fills.length > 0
+                ? this.sumFills(record, isMaker ? null : accountLower)
+                : { sellAmount: record.sellAmount, buyAmount: record.buyAmount };
+            const lastEvent = record.events.filter(e => !ERROR_EVENTS.includes(e.type)).pop();
+            rows.push({
+                orderId: record.orderId,
+                role: isMaker ? 'Maker' : 'Taker',
+                status: record.status,
+                counterparty: isMaker
+                    ? (record.filledBy || fills[fills.length - 1]?.taker || record.taker)
+                    : record.maker,
+                // Sent/received from the account's side of the trade
+                sentToken: isMaker ? record.sellToken : record.buyToken,
+                sentAmount: isMaker ? traded.sellAmount : traded.buyAmount,
+                receivedToken: isMaker ? record.buyToken : record.sellToken,
+                receivedAmount: isMaker ? traded.buyAmount : traded.sellAmount,
+                timestamp: lastEvent?.timestamp ?? record.createdAt,
+                txHash: lastEvent?.txHash ?? record.createdTxHash,
+                record
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Every executed fill between two tokens, in either direction
+     * @param {string} tokenA - Token address
+     * @param {string} tokenB - Token address
+     * @returns {Array<Object>} Fills with the order's sellToken/buyToken, oldest first
+     */
+    getPairTrades(tokenA, tokenB) {
+        const pair = [tokenA.toLowerCase(), tokenB.toLowerCase()];
+        const trades = [];
+
+        for (const record of this.records.values()) {
+            const sellToken = record.sellToken?.toLowerCase();
+            const buyToken = record.buyToken?.toLowerCase();
+            if (!pair.includes(sellToken) || !pair.includes(buyToken) || sellToken === buyToken) continue;
+
+            // Records indexed before fills were tracked only know the final fill
+            const fills = record.fills?.length > 0
+                ? record.fills
+                : record.status === 'Filled'
+                    ? [{ sellAmount: record.sellAmount, buyAmount: record.buyAmount, timestamp: record.filledAt, txHash: record.fillTxHash }]
+                    : [];
+            fills.forEach(fill => trades.push({
+                orderId: record.orderId,
+                sellToken: record.sellToken,
+                buyToken: record.buyToken,
+                sellAmount: fill.sellAmount,
+                buyAmount: fill.buyAmount,
+                timestamp: fill.timestamp,
+                txHash: fill.txHash
+            }));
+        }
+
+        return trades.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * USD value of an order's sell side at the time it was filled (or created).
+     * Falls back to the current price, flagged as estimated, when no historical
+     * price is available for either token.
+     * @param {Object} record - History record
+     * @returns {Promise<{value: number, estimated: boolean}|null>}
+     */
+    async getUsdValue(record) {
+        if (typeof record.usdValue === 'number') {
+            return { value: record.usdValue, estimated: false };
+        }
+
+        const at = record.filledAt ?? record.createdAt;
+        const sides = [
+            [record.sellToken, record.sellAmount],
+            [record.buyToken, record.buyAmount]
+        ];
+
+        for (const [token, amount] of sides) {
+            const price = await this.getHistoricalPrice(token, at);
+            if (price) {
+                const tokenInfo = await window.webSocket.getTokenInfo(token);
+                record.usdValue = toNumber(getUsdValue(amount, tokenInfo.decimals, price), USD_DECIMALS);
+                return { value: record.usdValue, estimated: false };
+            }
+        }
+
+        for (const [token, amount] of sides) {
+            const price = window.pricingService?.getPrice(token);
+            if (price) {
+                const tokenInfo = await window.webSocket.getTokenInfo(token);
+                return {
+                    value: toNumber(getUsdValue(amount, tokenInfo.decimals, price), USD_DECIMALS),
+                    estimated: true
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Closest CoinGecko USD price to a timestamp
+     * @param {string} tokenAddress - Token address
+     * @param {number} timestamp - Unix seconds
+     * @returns {Promise<number|null>} Price or null if unavailable
+     */
+    async getHistoricalPrice(tokenAddress, timestamp) {
+        const series = await this.getPriceSeries(tokenAddress);
+        if (!series || series.length === 0 || !timestamp) return null;
+
+        const target = timestamp * 1000;
+        let low = 0;
+        let high = series.length - 1;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (series[mid][0] < target) low = mid + 1;
+            else high = mid;
+        }
+        const candidates = [series[low], series[low - 1]].filter(Boolean);
+        candidates.sort((a, b) => Math.abs(a[0] - target) - Math.abs(b[0] - target));
+        return candidates[0][1] || null;
+    }
+
+    getPriceSeries(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        if (!this.priceHistory.has(key)) {
+            this.priceHistory.set(key, this.fetchPriceSeries(key));
+        }
+        return this.priceHistory.get(key);
+    }
+
+    async fetchPriceSeries(tokenAddress) {
+        const platform = TOKEN_ICON_CONFIG.CHAIN_ID_MAP[String(this.chainId)];
+        if (!platform) return null;
+
+        const timestamps = Array.from(this.records.values())
+            .map(record => record.createdAt)
+            .filter(Boolean);
+        const from = Math.min(...timestamps, Math.floor(Date.now() / 1000)) - 24 * 60 * 60;
+        const to = Math.floor(Date.now() / 1000);
+
+        try {
+            const url = `${TOKEN_ICON_CONFIG.COINGECKO_API_BASE}/coins/${platform}/contract/${tokenAddress}/market_chart/range?vs_currency=usd&from=${from}&to=${to}`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                this.debug(`No price history for ${tokenAddress}: HTTP ${response.status}`);
+                return null;
+            }
+            const data = await response.json();
+            return Array.isArray(data.prices) ? data.prices : null;
+        } catch (error) {
+            this.debug(`Failed to fetch price history for ${tokenAddress}:`, error);
+            return null;
+        }
+    }
+}
+
+export const orderHistoryService = new OrderHistoryService();
@@ -0,0 +1,557 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig, ORDER_CACHE_CONFIG, PRICE_ORACLE_CONFIG, TOKEN_ICON_CONFIG } from '../config.js';
+import { createLogger } from './LogService.js';
+import { providerPool } from './ProviderPool.js';
+
+// localStorage key for user-entered prices, one entry per chain
+const MANUAL_PRICES_STORAGE_KEY = 'manual_token_prices';
+
+const V2_PAIR_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+const V3_POOL_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
+];
+const ERC20_ABI = [
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address) view returns (uint256)'
+];
+
+const Q96 = 2 ** 96;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {number[]} values - Non-empty list of numbers
+ * @returns {number} Median value
+ */
+export function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+/**
+ * Base class for PricingService price sources.
+ *
+ * A source resolves USD prices for lowercase token addresses and returns a Map
+ * of address -> { price, liquidity }. Sources run in PRICE_ORACLE_CONFIG.SOURCES
+ * order and receive the prices found by earlier sources in the same round.
+ * Live sources quote a market; static sources return fixed prices and on their
+ * own only yield low-confidence results. Reference sources only fill gaps left
+ * by the others unless a quote is marked override, and their prices are
+ * reported as estimated. Manual prices always override the other sources.
+ */
+export class PriceSource {
+    constructor(name, kind = 'live') {
+        this.name = name;
+        this.kind = kind;
+
+        const logger = createLogger('PRICING');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    /**
+     * @param {string[]} addresses - Lowercase token addresses
+     * @param {Object} context - { getPrice(address) } for prices already known this round
+     * @returns {Promise<Map<string, {price: number, liquidity: number}>>}
+     */
+    async fetchPrices(addresses, context) {
+        throw new Error(`${this.name} does not implement fetchPrices`);
+    }
+
+    /**
+     * Drop state tied to the previously selected network
+     */
+    reset() {}
+}
+
+/**
+ * DexScreener token search. Uses the most liquid pair per token and derives
+ * quote token prices from priceNative.
+ */
+export class DexScreenerSource extends PriceSource {
+    constructor(pricingService) {
+        super('dexscreener');
+        this.pricingService = pricingService;
+    }
+
+    async fetchPrices(addresses) {
+        const prices = new Map();
+
+        for (const batch of this.pricingService.createSmartBatches(addresses, PRICE_ORACLE_CONFIG.BATCH_SIZE)) {
+            try {
+                const data = await this.fetchPairs(batch);
+                if (data.pairs) {
+                    this.processTokenPairs(data.pairs, prices);
+                }
+                await wait(this.pricingService.rateLimitDelay);
+            } catch (error) {
+                this.error('Error fetching chunk prices:', error);
+            }
+        }
+
+        // For any tokens that didn't get prices, try individual requests
+        const missingTokens = addresses.filter(addr => !prices.has(addr));
+        if (missingTokens.length > 0) {
+            this.debug('Fetching missing token prices individually:', missingTokens);
+
+            for (const addr of missingTokens) {
+                try {
+                    const data = await this.fetchPairs([addr]);
+                    if (data.pairs && data.pairs.length > 0) {
+                        this.processTokenPairs(data.pairs, prices);
+                    }
+                    await wait(this.pricingService.rateLimitDelay);
+                } catch (error) {
+                    this.error('Error fetching individual token price:', { token: addr, error });
+                }
+            }
+        }
+
+        return prices;
+    }
+
+    async fetchPairs(addresses) {
+        const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${addresses.join(',')}`);
+        return response.json();
+    }
+
+    processTokenPairs(pairs, prices) {
+        // Sort pairs by liquidity
+        const sortedPairs = pairs.sort((a, b) =>
+            (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
+        );
+
+        for (const pair of sortedPairs) {
+            const baseAddr = pair.baseToken.address.toLowerCase();
+            const quoteAddr = pair.quoteToken.address.toLowerCase();
+            const priceUsd = parseFloat(pair.priceUsd);
+
+            if (!isNaN(priceUsd) && this.pricingService.validatePrice(priceUsd, baseAddr)) {
+                if (!prices.has(baseAddr)) {
+                    prices.set(baseAddr, {
+                        price: priceUsd,
+                        liquidity: pair.liquidity?.usd || 0
+                    });
+                }
+
+                // Calculate and set quote token price if we don't have it yet
+                if (!prices.has(quoteAddr)) {
+                    const basePrice = prices.get(baseAddr).price;
+                    const priceNative = parseFloat(pair.priceNative);
+                    if (!isNaN(priceNative) && priceNative > 0) {
+                        const quotePrice = basePrice / priceNative;
+                        if (this.pricingService.validatePrice(quotePrice, quoteAddr)) {
+                            prices.set(quoteAddr, {
+                                price: quotePrice,
+                                liquidity: pair.liquidity?.usd || 0
+                            });
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * CoinGecko simple/token_price for the selected network's platform
+ */
+export class CoinGeckoSource extends PriceSource {
+    constructor(pricingService) {
+        super('coingecko');
+        this.pricingService = pricingService;
+    }
+
+    async fetchPrices(addresses) {
+        const prices = new Map();
+        const chainId = parseInt(getNetworkConfig().chainId, 16);
+        const platform = TOKEN_ICON_CONFIG.CHAIN_ID_MAP[String(chainId)];
+        if (!platform) {
+            this.debug('No CoinGecko platform for chain', chainId);
+            return prices;
+        }
+
+        for (const batch of chunk(addresses, PRICE_ORACLE_CONFIG.BATCH_SIZE)) {
+            try {
+                const url = `${TOKEN_ICON_CONFIG.COINGECKO_API_BASE}/simple/token_price/${platform}` +
+                    `?contract_addresses=${batch.join(',')}&vs_currencies=usd`;
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`CoinGecko responded with ${response.status}`);
+                }
+                const data = await response.json();
+
+                for (const [address, quote] of Object.entries(data)) {
+                    const price = Number(quote?.usd);
+                    if (price > 0 && this.pricingService.validatePrice(price, address)) {
+                        prices.set(address.toLowerCase(), { price, liquidity: 0 });
+                    }
+                }
+                await wait(this.pricingService.rateLimitDelay);
+            } catch (error) {
+                this.error('Error fetching CoinGecko prices:', error);
+            }
+        }
+
+        return prices;
+    }
+}
+
+/**
+ * Spot prices read directly from Uniswap V2 pairs or V3 pools listed in the
+ * network's pricePools. Pool prices are in the quote token, so a pool is
+ * skipped until an earlier source has priced its quote token.
+ */
+export class OnChainPoolSource extends PriceSource {
+    constructor(pricingService) {
+        super('onchain');
+        this.pricingService = pricingService;
+        this.decimalsCache = new Map();
+    }
+
+    reset() {
+        this.decimalsCache.clear();
+    }
+
+    async fetchPrices(addresses, context) {
+        const prices = new Map();
+        const requested = new Set(addresses);
+        const pools = (getNetworkConfig().pricePools || [])
+            .filter(pool => requested.has(pool.token.toLowerCase()));
+
+        for (const pool of pools) {
+            const token = pool.token.toLowerCase();
+            const quoteToken = pool.quoteToken.toLowerCase();
+            const quotePrice = context.getPrice(quoteToken);
+            if (!(quotePrice > 0)) {
+                this.debug(`Skipping pool ${pool.pool}: no price for quote token ${quoteToken}`);
+                continue;
+            }
+
+            try {
+                const { priceInQuote, quoteReserve } = await providerPool.execute(provider =>
+                    this.readPool(provider, pool, token, quoteToken)
+                );
+                const price = priceInQuote * quotePrice;
+                if (price > 0 && this.pricingService.validatePrice(price, token)) {
+                    prices.set(token, { price, liquidity: quoteReserve * quotePrice * 2 });
+                }
+            } catch (error) {
+                this.error(`Error reading price pool ${pool.pool}:`, error);
+            }
+        }
+
+        return prices;
+    }
+
+    /**
+     * @returns {Promise<{priceInQuote: number, quoteReserve: number}>} Token price in
+     *   quote token units and the pool's quote token balance in decimal units
+     */
+    async readPool(provider, pool, token, quoteToken) {
+        const isV3 = pool.type === 'v3';
+        const contract = new ethers.Contract(pool.pool, isV3 ? V3_POOL_ABI : V2_PAIR_ABI, provider);
+        const [token0, token1] = (await Promise.all([contract.token0(), contract.token1()]))
+            .map(address => address.toLowerCase());
+        if (![token0, token1].includes(token) || ![token0, token1].includes(quoteToken)) {
+            throw new Error(`Pool ${pool.pool} does not pair ${token} with ${quoteToken}`);
+        }
+
+        const [decimals0, decimals1] = await Promise.all([
+            this.getDecimals(provider, token0),
+            this.getDecimals(provider, token1)
+        ]);
+
+        // Price of token0 in token1, in decimal units
+        let price0In1;
+        let quoteReserve;
+        if (isV3) {
+            const [slot0, quoteBalance] = await Promise.all([
+                contract.slot0(),
+                new ethers.Contract(quoteToken, ERC20_ABI, provider).balanceOf(pool.pool)
+            ]);
+            const sqrtPrice = Number(slot0.sqrtPriceX96.toString()) / Q96;
+            price0In1 = sqrtPrice * sqrtPrice * 10 ** (decimals0 - decimals1);
+            quoteReserve = Number(ethers.utils.formatUnits(quoteBalance, quoteToken === token0 ? decimals0 : decimals1));
+        } else {
+            const { reserve0, reserve1 } = await contract.getReserves();
+            const amount0 = Number(ethers.utils.formatUnits(reserve0, decimals0));
+            const amount1 = Number(ethers.utils.formatUnits(reserve1, decimals1));
+            price0In1 = amount0 > 0 ? amount1 / amount0 : 0;
+            quoteReserve = quoteToken === token0 ? amount0 : amount1;
+        }
+
+        if (!(price0In1 > 0)) {
+            throw new Error(`Pool ${pool.pool} has no price`);
+        }
+        return {
+            priceInQuote: token === token0 ? price0In1 : 1 / price0In1,
+            quoteReserve
+        };
+    }
+
+    async getDecimals(provider, address) {
+        if (!this.decimalsCache.has(address)) {
+            const decimals = await new ethers.Contract(address, ERC20_ABI, provider).decimals();
+            this.decimalsCache.set(address, Number(decimals));
+        }
+        return this.decimalsCache.get(address);
+    }
+}
+
+/**
+ * Prices entered by the user, stored per chain in localStorage
+ */
+export class StaticPriceSource extends PriceSource {
+    constructor() {
+        super('manual', 'static');
+    }
+
+    getChainKey() {
+        return String(parseInt(getNetworkConfig().chainId, 16));
+    }
+
+    readStore() {
+        try {
+            return JSON.parse(localStorage.getItem(MANUAL_PRICES_STORAGE_KEY)) || {};
+        } catch (error) {
+            this.warn('Discarding unreadable manual prices:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @returns {Object<string, number>} Manual prices for the selected network by lowercase address
+     */
+    getPrices() {
+        return this.readStore()[this.getChainKey()] || {};
+    }
+
+    setPrice(address, price) {
+        const store = this.readStore();
+        const chainKey = this.getChainKey();
+        store[chainKey] = { ...(store[chainKey] || {}), [address.toLowerCase()]: price };
+        localStorage.setItem(MANUAL_PRICES_STORAGE_KEY, JSON.stringify(store));
+    }
+
+    clearPrice(address) {
+        const store = this.readStore();
+        const chainKey = this.getChainKey();
+        if (!store[chainKey]) return;
+        delete store[chainKey][address.toLowerCase()];
+        localStorage.setItem(MANUAL_PRICES_STORAGE_KEY, JSON.stringify(store));
+    }
+
+    async fetchPrices(addresses) {
+        const manualPrices = this.getPrices();
+        const prices = new Map();
+        for (const address of addresses) {
+            const price = Number(manualPrices[address]);
+            if (price > 0) {
+                // The user set it to correct the other sources, so it wins
+                prices.set(address, { price, liquidity: 0, override: true });
+            }
+        }
+        return prices;
+    }
+}
+
+/**
+ * Admin-defined reference prices from the network's referencePrices config,
+ * for tokens such as Liberdus that have no DEX market. A token either has a
+ * fixed USD price or one derived from the median of its last N fills on this
+ * contract, valued through the counter token's price.
+ */
+export class ReferencePriceSource extends PriceSource {
+    constructor(pricingService) {
+        super('reference', 'reference');
+        this.pricingService = pricingService;
+        this.reset();
+    }
+
+    reset() {
+        this.fills = []; // newest first
+        this.contractAddress = null;
+        this.latestScannedBlock = null;
+        this.lastScanAt = 0;
+        this.scanPromise = null;
+    }
+
+    async fetchPrices(addresses, context) {
+        const prices = new Map();
+        const referencePrices = getNetworkConfig().referencePrices || {};
+        const configured = addresses.filter(address => referencePrices[address]);
+        if (configured.length === 0) return prices;
+
+        const fixedPrice = (address) => Number(referencePrices[address]?.usd) || undefined;
+
+        for (const address of configured) {
+            const usd = fixedPrice(address);
+            if (usd > 0) {
+                prices.set(address, { price: usd, liquidity: 0, override: !!referencePrices[address].override });
+            }
+        }
+
+        const derived = configured.filter(address => !prices.has(address) && referencePrices[address].fromFills > 0);
+        if (derived.length === 0) return prices;
+
+        // Price from the fills loaded so far rather than wait on log queries
+        this.loadFills(derived.map(address => [address, referencePrices[address].fromFills]));
+        if (this.latestScannedBlock === null) return prices;
+
+        const getCounterPrice = (address) => context.getPrice(address) ?? fixedPrice(address);
+        for (const address of derived) {
+            const price = await this.getFillPrice(address, referencePrices[address].fromFills, getCounterPrice);
+            if (price > 0) {
+                prices.set(address, { price, liquidity: 0, override: !!referencePrices[address].override });
+            }
+        }
+
+        return prices;
+    }
+
+    /**
+     * Median USD price of a token over its most recent fills
+     * @param {string} address - Lowercase token address
+     * @param {number} count - Number of fills to use
+     * @param {function(string): number|undefined} getCounterPrice - USD price of the other token in a fill
+     * @returns {Promise<number|null>}
+     */
+    async getFillPrice(address, count, getCounterPrice) {
+        const samples = [];
+        for (const fill of this.fills) {
+            if (samples.length >= count) break;
+
+            const isSell = fill.sellToken === address;
+            if (!isSell && fill.buyToken !== address) continue;
+            const counterToken = isSell ? fill.buyToken : fill.sellToken;
+            const counterPrice = getCounterPrice(counterToken);
+            if (!(counterPrice > 0)) continue;
+
+            const [tokenInfo, counterInfo] = await Promise.all([
+                window.webSocket.getTokenInfo(address),
+                window.webSocket.getTokenInfo(counterToken)
+            ]);
+            const tokenAmount = Number(ethers.utils.formatUnits(isSell ? fill.sellAmount : fill.buyAmount, tokenInfo.decimals));
+            const counterAmount = Number(ethers.utils.formatUnits(isSell ? fill.buyAmount : fill.sellAmount, counterInfo.decimals));
+            if (tokenAmount > 0) {
+                samples.push(counterAmount * counterPrice / tokenAmount);
+            }
+        }
+
+        if (samples.length === 0) {
+            this.debug(`No priced fills found for reference token ${address}`);
+            return null;
+        }
+        return median(samples);
+    }
+
+    /**
+     * Keep a newest-first list of fills from this contract's logs, scanned in
+     * the background. The first load walks back from the current block until
+     * every token has enough fills or the lookback window is exhausted; later
+     * loads only add blocks mined since. Prices are refreshed once a scan
+     * finds fills. Concurrent callers share one scan.
+     * @param {Array<[string, number]>} wanted - [token address, fills needed]
+     */
+    loadFills(wanted) {
+        if (this.scanPromise) return;
+        this.scanPromise = this.scanFills(wanted)
+            .catch(error => {
+                this.error('Error loading fills for reference prices:', error);
+                return false;
+            })
+            .finally(() => {
+                this.scanPromise = null;
+            });
+        this.scanPromise.then(hasNewFills => {
+            if (!hasNewFills) return;
+            // The refresh that started the scan may still be running
+            Promise.resolve(this.pricingService.refreshPromise)
+                .then(() => this.pricingService.refreshPrices());
+        });
+    }
+
+    /**
+     * @param {Array<[string, number]>} wanted - [token address, fills needed]
+     * @returns {Promise<boolean>} Whether fills were added
+     */
+    async scanFills(wanted) {
+        const webSocket = window.webSocket;
+        const contract = webSocket?.contract;
+        if (!contract) {
+            throw new Error('Contract not initialized');
+        }
+        if (this.contractAddress !== contract.address.toLowerCase()) {
+            this.reset();
+            this.contractAddress = contract.address.toLowerCase();
+        }
+        if (Date.now() - this.lastScanAt < PRICE_ORACLE_CONFIG.REFERENCE_FILL_MAX_AGE_MS) return false;
+        const contractAddress = this.contractAddress;
+
+        const iface = contract.interface;
+        const filter = {
+            address: contract.address,
+            topics: [[iface.getEventTopic('OrderFilled'), iface.getEventTopic('OrderPartiallyFilled')]]
+        };
+        const queryFills = async (fromBlock, toBlock) => {
+            const events = await webSocket.queueRequest(provider =>
+                contract.connect(provider).queryFilter(filter, fromBlock, toBlock)
+            );
+            return events
+                .map(event => ({
+                    sellToken: event.args.sellToken.toLowerCase(),
+                    buyToken: event.args.buyToken.toLowerCase(),
+                    sellAmount: (event.args.sellAmountFilled ?? event.args.sellAmount).toString(),
+                    buyAmount: (event.args.buyAmountPaid ?? event.args.buyAmount).toString(),
+                    blockNumber: event.blockNumber,
+                    logIndex: event.logIndex
+                }))
+                .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+        };
+
+        const currentBlock = await webSocket.queueRequest(provider => provider.getBlockNumber());
+        const chunkSize = ORDER_CACHE_CONFIG.LOG_CHUNK_SIZE;
+
+        const isFirstScan = this.latestScannedBlock === null;
+        const newFills = [];
+        if (!isFirstScan) {
+            for (let start = this.latestScannedBlock + 1; start <= currentBlock; start += chunkSize) {
+                newFills.unshift(...await queryFills(start, Math.min(start + chunkSize - 1, currentBlock)));
+            }
+        } else {
+            const hasEnough = () => wanted.every(([address, count]) =>
+                newFills.filter(fill => fill.sellToken === address || fill.buyToken === address).length >= count
+            );
+            const oldestBlock = Math.max(0, currentBlock - PRICE_ORACLE_CONFIG.REFERENCE_FILL_LOOKBACK_BLOCKS);
+            for (let end = currentBlock; end >= oldestBlock && !hasEnough(); end -= chunkSize) {
+                newFills.push(...await queryFills(Math.max(end - chunkSize + 1, oldestBlock), end));
+            }
+        }
+
+        // The network changed while the logs were loading
+        if (this.contractAddress !== contractAddress) return false;
+
+        this.fills = [...newFills, ...this.fills];
+        this.latestScannedBlock = currentBlock;
+        this.lastScanAt = Date.now();
+        this.debug(`Loaded ${this.fills.length} fills for reference prices up to block ${currentBlock}`);
+        return isFirstScan || newFills.length > 0;
+    }
+}
@@ -1,10 +1,22 @@
-import { getNetworkConfig, isDebugEnabled } from '../config.js';
+import { getNetworkConfig, isDebugEnabled, PRICE_ORACLE_CONFIG } from '../config.js';
 import { createLogger } from './LogService.js';
 import { contractService } from './ContractService.js';
+import {
+    CoinGeckoSource,
+    DexScreenerSource,
+    median,
+    OnChainPoolSource,
+    ReferencePriceSource,
+    StaticPriceSource
+} from './PriceSources.js';
+
+// Ranked so the weaker of two confidences can be picked
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
 
 export class PricingService {
     constructor() {
         this.prices = new Map();
+        this.priceDetails = new Map(); // address -> { price, confidence, sources, quotes, estimated }
         this.lastUpdate = null;
         this.updating = false;
         this.subscribers = new Set();
@@ -26,12 +38,42 @@ export class PricingService {
         this.warn = logger.warn.bind(logger);
 
         this.refreshPromise = null; // Track current refresh promise
+
+        this.manualSource = new StaticPriceSource();
+        const availableSources = {
+            dexscreener: new DexScreenerSource(this),
+            coingecko: new CoinGeckoSource(this),
+            onchain: new OnChainPoolSource(this),
+            reference: new ReferencePriceSource(this),
+            manual: this.manualSource
+        };
+        this.sources = PRICE_ORACLE_CONFIG.SOURCES
+            .map(name => availableSources[name])
+            .filter(Boolean);
     }
 
     async initialize() {
         await this.refreshPrices();
     }
 
+    /**
+     * Drop prices and allowed tokens from the previous network and pick up the
+     * selected network's config. Prices are refetched once the WebSocket service
+     * has connected to the new contract.
+     */
+    resetForNetwork() {
+        this.networkConfig = getNetworkConfig();
+        this.prices.clear();
+        this.priceDetails.clear();
+        this.allowedTokens.clear();
+        this.allowedTokensLastFetched = null;
+        this.pendingRequests.clear();
+        this.lastPriceFetch.clear();
+        this.lastUpdate = null;
+        this.sources.forEach(source => source.reset());
+        this.debug('Pricing state reset for network:', this.networkConfig.name);
+    }
+
     subscribe(callback) {
         this.subscribers.add(callback);
     }
@@ -44,6 +86,13 @@ export class PricingService {
         this.subscribers.forEach(callback => callback(event, data));
     }
 
+    /**
+     * Query every configured price source and aggregate their quotes per token.
+     *
+     * @param {string[]} tokenAddresses - Token addresses to price
+     * @returns {Promise<Map<string, Object>>} Map of address to aggregated price data
+     *   ({ price, liquidity, confidence, sources, quotes })
+     */
     async fetchTokenPrices(tokenAddresses) {
         this.debug('Fetching prices for tokens:', tokenAddresses);
         const prices = new Map();
@@ -54,52 +103,114 @@ export class PricingService {
             this.warn('No valid token addresses provided for price fetching');
             return prices;
         }
-        
-        // Use smart batching for mixed token lists
-        const chunks = this.createSmartBatches(validAddresses, 30);
 
-        for (const chunk of chunks) {
+        const quotesByToken = new Map();
+        // Later sources (on-chain pools, fills) price tokens relative to ones found
+        // earlier. Estimated prices are never used as a base for other prices.
+        const context = {
+            getPrice: (address) => {
+                const quote = quotesByToken.get(address)?.find(quote => quote.kind !== 'reference');
+                if (quote) return quote.price;
+                return this.priceDetails.get(address)?.estimated ? undefined : this.prices.get(address);
+            }
+        };
+
+        for (const source of this.sources) {
             try {
-                const addresses = chunk.join(',');
-                const url = `https://api.dexscreener.com/latest/dex/tokens/${addresses}`;
-                const response = await fetch(url);
-                const data = await response.json();
-                
-                if (data.pairs) {
-                    this.processTokenPairs(data.pairs, prices);
+                const sourcePrices = await source.fetchPrices(validAddresses, context);
+                for (const [address, data] of sourcePrices.entries()) {
+                    const quotes = quotesByToken.get(address) || [];
+                    quotes.push({ source: source.name, kind: source.kind, ...data });
+                    quotesByToken.set(address, quotes);
                 }
-                
-                await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+                this.debug(`Source ${source.name} priced ${sourcePrices.size} tokens`);
             } catch (error) {
-                this.error('Error fetching chunk prices:', error);
+                this.error(`Price source ${source.name} failed:`, error);
             }
         }
 
-        // For any tokens that didn't get prices, try individual requests
-        const missingTokens = validAddresses.filter(addr => !prices.has(addr.toLowerCase()));
-        if (missingTokens.length > 0) {
-            this.debug('Fetching missing token prices individually:', missingTokens);
-            
-            for (const addr of missingTokens) {
-                try {
-                    const url = `https://api.dexscreener.com/latest/dex/tokens/${addr}`;
-                    const response = await fetch(url);
-                    const data = await response.json();
-                    
-                    if (data.pairs && data.pairs.length > 0) {
-                        this.processTokenPairs(data.pairs, prices);
-                    }
-                    
-                    await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-                } catch (error) {
-                    this.error('Error fetching individual token price:', { token: addr, error });
-                }
-            }
+        for (const [address, quotes] of quotesByToken.entries()) {
+            prices.set(address, this.aggregateQuotes(address, quotes));
         }
 
         return prices;
     }
 
+    /**
+     * Combine quotes from several sources into one price. Quotes further than
+     * OUTLIER_THRESHOLD from the median are dropped and the median is taken
+     * again over the rest. Confidence is high when two or more live sources
+     * agree, medium for a single live source and low when only static prices
+     * remain or no quotes agree.
+     *
+     * Reference prices only stand in for tokens no other source could price,
+     * unless configured to override them, and are marked estimated. A manual
+     * price replaces every other quote with medium confidence.
+     *
+     * @param {string} address - Token address, for logging
+     * @param {Array<Object>} allQuotes - { source, kind, price, liquidity } in source order
+     * @returns {Object} { price, liquidity, confidence, sources, quotes, estimated }
+     */
+    aggregateQuotes(address, allQuotes) {
+        const manualQuote = allQuotes.find(quote => quote.kind === 'static' && quote.override);
+        if (manualQuote) {
+            return {
+                price: manualQuote.price,
+                liquidity: manualQuote.liquidity || 0,
+                confidence: 'medium',
+                sources: [manualQuote.source],
+                quotes: allQuotes,
+                estimated: false
+            };
+        }
+
+        const referenceQuotes = allQuotes.filter(quote => quote.kind === 'reference');
+        const marketQuotes = allQuotes.filter(quote => quote.kind !== 'reference');
+        const estimated = referenceQuotes.length > 0 &&
+            (marketQuotes.length === 0 || referenceQuotes.some(quote => quote.override));
+        const quotes = estimated ? referenceQuotes : marketQuotes;
+
+        const initialMedian = median(quotes.map(quote => quote.price));
+        let kept = quotes.filter(quote =>
+            Math.abs(quote.price - initialMedian) / initialMedian <= PRICE_ORACLE_CONFIG.OUTLIER_THRESHOLD
+        );
+        let confidence;
+
+        if (kept.length === 0) {
+            // Nothing agrees; fall back to the first source in priority order
+            kept = [quotes[0]];
+            confidence = 'low';
+        } else {
+            const liveCount = kept.filter(quote => quote.kind === 'live').length;
+            confidence = liveCount >= 2 ? 'high' : liveCount === 1 ? 'medium' : 'low';
+        }
+
+        if (kept.length < quotes.length) {
+            this.warn(`Dropped outlier prices for ${address}:`,
+                quotes.filter(quote => !kept.includes(quote)).map(({ source, price }) => ({ source, price })));
+        }
+
+        return {
+            price: median(kept.map(quote => quote.price)),
+            liquidity: Math.max(...kept.map(quote => quote.liquidity || 0)),
+            confidence,
+            sources: kept.map(quote => quote.source),
+            quotes: allQuotes,
+            estimated
+        };
+    }
+
+    storePrice(address, data) {
+        this.prices.set(address, data.price);
+        this.priceDetails.set(address, {
+            price: data.price,
+            confidence: data.confidence,
+            sources: data.sources,
+            quotes: data.quotes,
+            estimated: data.estimated
+        });
+    }
+
     // New method to fetch prices for specific token addresses
     /**
      * Fetches prices for specific token addresses with deduplication and caching.
@@ -120,51 +231,13 @@ export class PricingService {
         
         // Update internal price map with new prices
         for (const [address, data] of newPrices.entries()) {
-            this.prices.set(address, data.price);
+            this.storePrice(address, data);
             this.debug(`Updated price for ${address}: ${data.price}`);
         }
 
         return newPrices;
     }
 
-    processTokenPairs(pairs, prices) {
-        // Sort pairs by liquidity
-        const sortedPairs = pairs.sort((a, b) => 
-            (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
-        );
-
-        for (const pair of sortedPairs) {
-            const baseAddr = pair.baseToken.address.toLowerCase();
-            const quoteAddr = pair.quoteToken.address.toLowerCase();
-            const priceUsd = parseFloat(pair.priceUsd);
-            
-            // Enhanced price validation
-            if (!isNaN(priceUsd) && this.validatePrice(priceUsd, baseAddr)) {
-                if (!prices.has(baseAddr)) {
-                    prices.set(baseAddr, {
-                        price: priceUsd,
-                        liquidity: pair.liquidity?.usd || 0
-                    });
-                }
-                
-                // Calculate and set quote token price if we don't have it yet
-                if (!prices.has(quoteAddr)) {
-                    const basePrice = prices.get(baseAddr).price;
-                    const priceNative = parseFloat(pair.priceNative);
-                    if (!isNaN(priceNative) && priceNative > 0) {
-                        const quotePrice = basePrice / priceNative;
-                        if (this.validatePrice(quotePrice, quoteAddr)) {
-                            prices.set(quoteAddr, {
-                                price: quotePrice,
-                                liquidity: pair.liquidity?.usd || 0
-                            });
-                        }
-                    }
-                }
-            }
-        }
-    }
-
     async refreshPrices() {
         if (this.updating) {
             return this.refreshPromise;
@@ -192,9 +265,10 @@ export class PricingService {
                 
                 // Update internal price map
                 this.prices.clear();
+                this.priceDetails.clear();
                 for (const [address, data] of prices.entries()) {
-                    this.debug(`Setting price for ${address}:`, data.price);
-                    this.prices.set(address, data.price);
+                    this.debug(`Setting price for ${address}:`, data.price, data.sources, data.confidence);
+                    this.storePrice(address, data);
                 }
                 
                 if (window.webSocket) {
@@ -234,7 +308,71 @@ export class PricingService {
     }
 
     isPriceEstimated(tokenAddress) {
-        return !this.prices.has(tokenAddress.toLowerCase());
+        const address = tokenAddress.toLowerCase();
+        return !this.prices.has(address) || !!this.priceDetails.get(address)?.estimated;
+    }
+
+    /**
+     * @param {string} tokenAddress - Token address
+     * @returns {Object|null} { price, confidence, sources, quotes, estimated } for the current price
+     */
+    getPriceInfo(tokenAddress) {
+        return this.priceDetails.get(tokenAddress.toLowerCase()) || null;
+    }
+
+    /**
+     * Weakest confidence among the given tokens' prices, or null if any is unpriced
+     * @param {string[]} tokenAddresses - Token addresses
+     * @returns {'low'|'medium'|'high'|null}
+     */
+    getLowestConfidence(tokenAddresses) {
+        let lowest = null;
+        for (const address of tokenAddresses) {
+            const confidence = this.getPriceInfo(address)?.confidence;
+            if (!confidence) return null;
+            if (lowest === null || CONFIDENCE_LEVELS.indexOf(confidence) < CONFIDENCE_LEVELS.indexOf(lowest)) {
+                lowest = confidence;
+            }
+        }
+        return lowest;
+    }
+
+    /**
+     * Set a manual USD price for a token on the selected network. It is
+     * aggregated with the other sources on the next refresh.
+     * @param {string} tokenAddress - Token address
+     * @param {number} price - USD price
+     */
+    setManualPrice(tokenAddress, price) {
+        if (!this.validatePrice(price, tokenAddress) || price === 0) {
+            throw new Error('Manual price must be a positive number');
+        }
+        this.manualSource.setPrice(tokenAddress, price);
+        this.lastPriceFetch.delete(tokenAddress.toLowerCase());
+    }
+
+    clearManualPrice(tokenAddress) {
+        const address = tokenAddress.toLowerCase();
+        this.manualSource.clearPrice(address);
+        this.lastPriceFetch.delete(address);
+
+        // Fall back to the other sources' last quotes until the next refresh
+        const quotes = (this.priceDetails.get(address)?.quotes || [])
+            .filter(quote => quote.source !== this.manualSource.name);
+        if (quotes.length > 0) {
+            this.storePrice(address, this.aggregateQuotes(address, quotes));
+        } else {
+            this.prices.delete(address);
+            this.priceDetails.delete(address);
+        }
+    }
+
+    /**
+     * @param {string} tokenAddress - Token address
+     * @returns {number|undefined} Manual USD price set for the token, if any
+     */
+    getManualPrice(tokenAddress) {
+        return this.manualSource.getPrices()[tokenAddress.toLowerCase()];
     }
 
     getLastUpdateTime() {
@@ -307,6 +445,7 @@ export class PricingService {
         for (const [address, lastFetch] of this.lastPriceFetch.entries()) {
             if ((now - lastFetch) > this.priceCacheExpiry) {
                 this.prices.delete(address);
+                this.priceDetails.delete(address);
                 this.lastPriceFetch.delete(address);
                 clearedCount++;
             }
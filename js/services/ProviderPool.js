@@ -0,0 +1,304 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig, PROVIDER_POOL_CONFIG } from '../config.js';
+import { createLogger } from './LogService.js';
+import { findRevertData } from '../errors/ContractErrors.js';
+
+// Errors that point at the endpoint rather than the call itself: rate limits
+// (-32005, HTTP 429), timeouts and failed connections. Generic codes such as
+// -32000 also carry reverts and "missing trie node", which every node returns.
+const ENDPOINT_ERROR_CODES = [-32005, 429];
+const ENDPOINT_ERROR_MESSAGES = [
+    'rate limit',
+    'too many requests',
+    'timeout',
+    'timed out',
+    'failed to fetch',
+    'network error',
+    'missing response',
+    'connection refused',
+    'connection reset'
+];
+
+/**
+ * Pool of read-only HTTP RPC providers for the selected network.
+ *
+ * Each endpoint is scored from its observed latency, error rate and how far its
+ * block height lags the best endpoint. Reads go to the lowest-scoring endpoint
+ * and fail over to the next one on endpoint errors. Endpoints that fail
+ * repeatedly are circuit-broken for a cool-down period, then probed again.
+ */
+export class ProviderPool {
+    constructor() {
+        const logger = createLogger('PROVIDER_POOL');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+
+        this.endpoints = [];
+        this.chainId = null;
+        this.healthCheckTimer = null;
+        this.subscribers = new Set();
+    }
+
+    subscribe(callback) {
+        this.subscribers.add(callback);
+    }
+
+    unsubscribe(callback) {
+        this.subscribers.delete(callback);
+    }
+
+    notifySubscribers(event, data) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                this.error('Error in subscriber callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Build endpoints for the selected network if they are missing or belong
+     * to a previously selected network
+     */
+    ensureEndpoints() {
+        const config = getNetworkConfig();
+        const chainId = parseInt(config.chainId, 16);
+        if (this.chainId === chainId && this.endpoints.length > 0) return;
+
+        const urls = [...new Set([config.rpcUrl, ...(config.fallbackRpcUrls || [])].filter(Boolean))];
+        this.chainId = chainId;
+        this.endpoints = urls.map(url => ({
+            url,
+            provider: new ethers.providers.StaticJsonRpcProvider(url, chainId),
+            latencyMs: null,
+            errorRate: 0,
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            blockNumber: null,
+            lastError: null,
+            circuit: 'closed',
+            openUntil: 0,
+            cooldownMs: PROVIDER_POOL_CONFIG.COOLDOWN_MS
+        }));
+        this.debug('Provider pool built for chain', chainId, urls);
+
+        this.startHealthChecks();
+        this.notifySubscribers('poolUpdated', this.getState());
+    }
+
+    startHealthChecks() {
+        clearInterval(this.healthCheckTimer);
+        this.healthCheckTimer = setInterval(() => {
+            this.checkHealth().catch(error => this.error('Health check failed:', error));
+        }, PROVIDER_POOL_CONFIG.HEALTH_CHECK_INTERVAL_MS);
+        this.checkHealth().catch(error => this.error('Health check failed:', error));
+    }
+
+    stop() {
+        clearInterval(this.healthCheckTimer);
+        this.healthCheckTimer = null;
+    }
+
+    /**
+     * Probe every endpoint whose circuit allows traffic with eth_blockNumber
+     * to refresh latency and block height
+     */
+    async checkHealth() {
+        const now = Date.now();
+        await Promise.all(this.endpoints.map(async endpoint => {
+            if (endpoint.circuit === 'open' && now < endpoint.openUntil) return;
+            const start = Date.now();
+            try {
+                endpoint.blockNumber = await this.withTimeout(endpoint.provider.getBlockNumber());
+                this.recordSuccess(endpoint, Date.now() - start);
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+            }
+        }));
+        this.notifySubscribers('poolUpdated', this.getState());
+    }
+
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(
+                () => reject(new Error('RPC request timed out')),
+                PROVIDER_POOL_CONFIG.REQUEST_TIMEOUT_MS
+            );
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    getBestBlock() {
+        return this.endpoints.reduce((best, endpoint) => Math.max(best, endpoint.blockNumber ?? 0), 0);
+    }
+
+    getBlockLag(endpoint, bestBlock = this.getBestBlock()) {
+        return endpoint.blockNumber === null ? 0 : Math.max(0, bestBlock - endpoint.blockNumber);
+    }
+
+    /**
+     * Lower is better. Untested endpoints score as if they had the configured
+     * default latency so they still get tried.
+     */
+    getScore(endpoint, bestBlock = this.getBestBlock()) {
+        const latency = endpoint.latencyMs ?? PROVIDER_POOL_CONFIG.DEFAULT_LATENCY_MS;
+        return latency +
+            endpoint.errorRate * PROVIDER_POOL_CONFIG.ERROR_PENALTY_MS +
+            this.getBlockLag(endpoint, bestBlock) * PROVIDER_POOL_CONFIG.LAG_PENALTY_MS;
+    }
+
+    /**
+     * Pick the healthiest endpoint that has not been tried yet. Endpoints whose
+     * cool-down has expired move to half-open and may take one request.
+     * @param {Set<string>} exclude - Endpoint URLs already tried for this request
+     * @returns {Object|null} Endpoint state
+     */
+    selectEndpoint(exclude = new Set()) {
+        this.ensureEndpoints();
+        const now = Date.now();
+        const bestBlock = this.getBestBlock();
+
+        const candidates = this.endpoints.filter(endpoint => {
+            if (exclude.has(endpoint.url)) return false;
+            if (endpoint.circuit === 'open') {
+                if (now < endpoint.openUntil) return false;
+                endpoint.circuit = 'half-open';
+            }
+            return true;
+        });
+
+        // Prefer endpoints that are keeping up with the chain
+        const synced = candidates.filter(endpoint =>
+            this.getBlockLag(endpoint, bestBlock) <= PROVIDER_POOL_CONFIG.MAX_BLOCK_LAG
+        );
+        const pool = synced.length > 0 ? synced : candidates;
+        if (pool.length === 0) return null;
+
+        return pool.reduce((best, endpoint) =>
+            this.getScore(endpoint, bestBlock) < this.getScore(best, bestBlock) ? endpoint : best
+        );
+    }
+
+    /**
+     * Get the healthiest provider for direct use
+     * @returns {ethers.providers.JsonRpcProvider|null}
+     */
+    getProvider() {
+        return this.selectEndpoint()?.provider || null;
+    }
+
+    /**
+     * Run a read against the healthiest endpoint, failing over to the next
+     * healthiest on endpoint errors. Contract reverts and other call errors are
+     * rethrown without penalising the endpoint.
+     * @param {function(ethers.providers.Provider): Promise<*>} operation - Read to perform
+     * @returns {Promise<*>} Result of the operation
+     */
+    async execute(operation) {
+        const tried = new Set();
+        let lastError = null;
+
+        for (let attempt = 0; attempt < PROVIDER_POOL_CONFIG.MAX_ATTEMPTS; attempt++) {
+            const endpoint = this.selectEndpoint(tried);
+            if (!endpoint) break;
+            tried.add(endpoint.url);
+
+            const start = Date.now();
+            try {
+                const result = await this.withTimeout(operation(endpoint.provider));
+                this.recordSuccess(endpoint, Date.now() - start);
+                return result;
+            } catch (error) {
+                if (!this.isEndpointError(error)) {
+                    this.recordSuccess(endpoint, Date.now() - start);
+                    throw error;
+                }
+                this.recordFailure(endpoint, error);
+                lastError = error;
+                this.debug(`Endpoint ${endpoint.url} failed, trying next:`, error.message);
+            }
+        }
+
+        throw lastError || new Error('No healthy RPC endpoint available');
+    }
+
+    isEndpointError(error) {
+        // Reverts are answers about the call; retrying elsewhere gets the same one
+        if (error?.code === 'CALL_EXCEPTION' || findRevertData(error)) return false;
+
+        const code = error?.error?.code ?? error?.code;
+        if (ENDPOINT_ERROR_CODES.includes(code) || ENDPOINT_ERROR_CODES.includes(error?.status)) return true;
+        if (['NETWORK_ERROR', 'TIMEOUT'].includes(error?.code)) return true;
+        // Gateway failures of the endpoint itself, e.g. 502 while the node restarts
+        if (error?.code === 'SERVER_ERROR' && error?.status >= 500) return true;
+        const message = `${error?.message || ''} ${error?.error?.message || ''}`.toLowerCase();
+        return ENDPOINT_ERROR_MESSAGES.some(text => message.includes(text));
+    }
+
+    recordSuccess(endpoint, latencyMs) {
+        const alpha = PROVIDER_POOL_CONFIG.EWMA_ALPHA;
+        endpoint.requests++;
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : alpha * latencyMs + (1 - alpha) * endpoint.latencyMs;
+        endpoint.errorRate = (1 - alpha) * endpoint.errorRate;
+        endpoint.consecutiveFailures = 0;
+
+        if (endpoint.circuit !== 'closed') {
+            this.debug(`Circuit closed for ${endpoint.url}`);
+            endpoint.circuit = 'closed';
+            endpoint.cooldownMs = PROVIDER_POOL_CONFIG.COOLDOWN_MS;
+        }
+    }
+
+    recordFailure(endpoint, error) {
+        const alpha = PROVIDER_POOL_CONFIG.EWMA_ALPHA;
+        endpoint.requests++;
+        endpoint.failures++;
+        endpoint.errorRate = alpha + (1 - alpha) * endpoint.errorRate;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = error?.message || String(error);
+
+        const shouldOpen = endpoint.circuit === 'half-open' ||
+            endpoint.consecutiveFailures >= PROVIDER_POOL_CONFIG.FAILURE_THRESHOLD;
+        if (shouldOpen) {
+            // Back off longer each time a probe fails
+            if (endpoint.circuit === 'half-open') {
+                endpoint.cooldownMs = Math.min(endpoint.cooldownMs * 2, PROVIDER_POOL_CONFIG.MAX_COOLDOWN_MS);
+            }
+            endpoint.circuit = 'open';
+            endpoint.openUntil = Date.now() + endpoint.cooldownMs;
+            this.warn(`Circuit opened for ${endpoint.url} for ${endpoint.cooldownMs}ms:`, endpoint.lastError);
+            this.notifySubscribers('poolUpdated', this.getState());
+        }
+    }
+
+    /**
+     * Snapshot of endpoint health for display
+     * @returns {Array<Object>} One entry per endpoint, best first
+     */
+    getState() {
+        const bestBlock = this.getBestBlock();
+        return this.endpoints
+            .map(endpoint => ({
+                url: endpoint.url,
+                circuit: endpoint.circuit,
+                latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+                errorRate: endpoint.errorRate,
+                requests: endpoint.requests,
+                failures: endpoint.failures,
+                blockNumber: endpoint.blockNumber,
+                blockLag: this.getBlockLag(endpoint, bestBlock),
+                score: Math.round(this.getScore(endpoint, bestBlock)),
+                openUntil: endpoint.circuit === 'open' ? endpoint.openUntil : null,
+                lastError: endpoint.lastError
+            }))
+            .sort((a, b) => a.score - b.score);
+    }
+}
+
+export const providerPool = new ProviderPool();
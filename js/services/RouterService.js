@@ -0,0 +1,166 @@
+import { getNetworkConfig } from '../config.js';
+import { createLogger } from './LogService.js';
+
+// Path segment for the order details view: #/order/<id>?chain=<chainId>
+const ORDER_ROUTE = 'order';
+
+const getSelectedChainId = () => parseInt(getNetworkConfig().chainId, 16);
+
+/**
+ * Keeps the active tab, its view state and the open order in the URL hash so
+ * views can be linked, reloaded and navigated with back/forward:
+ *
+ *   #/view-orders?sell=0x..&buy=0x..&sort=best-deal&page=2
+ *   #/order/42?chain=137
+ *
+ * Order IDs repeat across networks, so order routes carry the chain ID.
+ * Tab changes add history entries; view state changes (filters, paging)
+ * update the current entry in place.
+ */
+export class RouterService {
+    constructor() {
+        this.subscribers = new Set();
+        this.currentHash = null;
+        this.handleHashChange = this.handleHashChange.bind(this);
+
+        const logger = createLogger('ROUTER');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    initialize() {
+        this.currentHash = window.location.hash;
+        window.removeEventListener('hashchange', this.handleHashChange);
+        window.addEventListener('hashchange', this.handleHashChange);
+    }
+
+    subscribe(callback) {
+        this.subscribers.add(callback);
+    }
+
+    unsubscribe(callback) {
+        this.subscribers.delete(callback);
+    }
+
+    notifySubscribers(event, data) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                this.debug('Error in router subscriber:', error);
+            }
+        });
+    }
+
+    /**
+     * @param {string} [hash] - URL hash, defaults to the current one
+     * @returns {{tab: string|null, orderId: number|null, params: Object}}
+     */
+    parse(hash = window.location.hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        const [section, id] = path.split('/');
+        const params = Object.fromEntries(new URLSearchParams(query));
+
+        if (section === ORDER_ROUTE) {
+            const orderId = Number(id);
+            return {
+                tab: null,
+                orderId: id && Number.isInteger(orderId) && orderId >= 0 ? orderId : null,
+                params
+            };
+        }
+        return { tab: section || null, orderId: null, params };
+    }
+
+    getRoute() {
+        return this.parse();
+    }
+
+    /**
+     * @param {Object} route - { tab, params } or { orderId }
+     * @returns {string} URL hash for the route
+     */
+    build({ tab = null, orderId = null, params = {} }) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        const path = orderId !== null ? `${ORDER_ROUTE}/${orderId}` : (tab || '');
+        return `#/${path}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * @param {Object} route - { tab, params } or { orderId }
+     * @returns {string} Absolute link to the route
+     */
+    getUrl(route) {
+        return `${window.location.origin}${window.location.pathname}${this.build(route)}`;
+    }
+
+    /**
+     * @param {number} orderId
+     * @returns {Object} Route to an order's details on the selected network
+     */
+    getOrderRoute(orderId) {
+        return { orderId, params: { chain: getSelectedChainId() } };
+    }
+
+    /**
+     * @param {number} orderId
+     * @returns {string} Absolute link to an order's details
+     */
+    getOrderUrl(orderId) {
+        return this.getUrl(this.getOrderRoute(orderId));
+    }
+
+    /**
+     * @param {Object} route - Parsed route
+     * @returns {boolean} Whether the route is for the selected network; routes
+     *     without a chain, such as links made before chains were added, are
+     */
+    isOnSelectedNetwork(route) {
+        return !route.params?.chain || Number(route.params.chain) === getSelectedChainId();
+    }
+
+    /**
+     * Point the URL at a route without triggering a route change
+     * @param {Object} route - { tab, params } or { orderId }
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Update the current history entry instead of adding one
+     */
+    navigate(route, { replace = false } = {}) {
+        const hash = this.build(route);
+        if (hash === window.location.hash) return;
+
+        this.currentHash = hash;
+        if (replace) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            history.pushState(history.state, '', hash);
+        }
+        this.debug(replace ? 'Replaced route:' : 'Pushed route:', hash);
+    }
+
+    /**
+     * Record a tab's view state, if that tab is the one in the URL
+     * @param {string} tab - Tab ID
+     * @param {Object} params - View state; empty values are dropped
+     */
+    updateParams(tab, params) {
+        const route = this.getRoute();
+        if (route.orderId !== null || route.tab !== tab) return;
+        this.navigate({ tab, params }, { replace: true });
+    }
+
+    // Back/forward, edited URLs and followed links
+    handleHashChange() {
+        if (window.location.hash === this.currentHash) return;
+        this.currentHash = window.location.hash;
+
+        const route = this.getRoute();
+        this.debug('Route changed:', route);
+        this.notifySubscribers('routeChanged', route);
+    }
+}
+
+export const routerService = new RouterService();
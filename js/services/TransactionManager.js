@@ -0,0 +1,513 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig, walletManager } from '../config.js';
+import { createLogger } from './LogService.js';
+import { providerPool } from './ProviderPool.js';
+import { gasService } from './GasService.js';
+
+// localStorage key; holds submitted transactions per chain + contract
+const TRANSACTIONS_STORAGE_KEY = 'submitted_transactions';
+
+const POLL_INTERVAL_MS = 4000;
+// A transaction no RPC endpoint has seen for this long, with its nonce unused, is dropped
+const DROPPED_AFTER_MS = 15 * 60 * 1000;
+// Settled transactions kept for display, per chain + contract
+const MAX_SETTLED_TRANSACTIONS = 50;
+// Blocks searched for a replacement sent from outside the app, e.g. a wallet speed-up
+const MAX_REPLACEMENT_SCAN_BLOCKS = 50;
+// Replacement fees must beat the pending transaction's; wallets require at least 10%
+const FEE_BUMP_PERCENT = 15;
+const CANCEL_GAS_LIMIT = 21000;
+
+export const TX_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',       // Mined but reverted
+    REPLACED: 'replaced',   // Another transaction with the same nonce was mined
+    CANCELED: 'canceled',   // A cancel transaction took its nonce
+    DROPPED: 'dropped'      // Left the mempool without being mined
+};
+
+// Lifecycle events emitted for each status a transaction reaches
+const STATUS_EVENTS = {
+    [TX_STATUS.CONFIRMED]: 'txConfirmed',
+    [TX_STATUS.FAILED]: 'txFailed',
+    [TX_STATUS.REPLACED]: 'txReplaced',
+    [TX_STATUS.CANCELED]: 'txCanceled',
+    [TX_STATUS.DROPPED]: 'txDropped'
+};
+
+const toStringOrNull = (value) => (value === undefined || value === null ? null : value.toString());
+
+/**
+ * Tracks every transaction the app submits until it is mined, replaced or
+ * dropped, including across page reloads, and sends speed-up and cancel
+ * replacements with the same nonce.
+ *
+ * Transactions with the same sender and nonce form a group: at most one of
+ * them is mined. A speed-up repeats the original call, so waiting on the
+ * original resolves with the speed-up's receipt.
+ *
+ * Events: txSubmitted, txConfirmed, txFailed, txReplaced, txCanceled and
+ * txDropped, each with the transaction record.
+ */
+export class TransactionManager {
+    constructor() {
+        this.transactions = new Map(); // hash -> record
+        this.waiters = new Map(); // hash -> [{ resolve, reject }]
+        this.subscribers = new Set();
+        this.pollTimer = null;
+        this.isPolling = false;
+        this.scope = null;
+
+        const logger = createLogger('TRANSACTIONS');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    /**
+     * Load the current network's transactions and resume tracking pending ones
+     */
+    initialize() {
+        const config = getNetworkConfig();
+        this.scope = `${parseInt(config.chainId, 16)}:${config.contractAddress.toLowerCase()}`;
+        this.transactions = new Map(
+            (this.readStore()[this.scope] || []).map(record => [record.hash, record])
+        );
+        const pending = this.getPendingTransactions();
+        if (pending.length > 0) {
+            this.debug(`Resuming ${pending.length} pending transactions`);
+            pending.forEach(record => this.notifySubscribers('txSubmitted', record));
+        }
+        this.schedulePoll();
+    }
+
+    resetForNetwork() {
+        this.stopPolling();
+        this.initialize();
+    }
+
+    subscribe(callback) {
+        this.subscribers.add(callback);
+    }
+
+    unsubscribe(callback) {
+        this.subscribers.delete(callback);
+    }
+
+    notifySubscribers(event, data) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                this.debug('Error in transaction subscriber:', error);
+            }
+        });
+    }
+
+    readStore() {
+        try {
+            return JSON.parse(localStorage.getItem(TRANSACTIONS_STORAGE_KEY)) || {};
+        } catch (error) {
+            this.warn(`Discarding unreadable ${TRANSACTIONS_STORAGE_KEY}:`, error);
+            return {};
+        }
+    }
+
+    persist() {
+        // Keep every pending transaction and the most recent settled ones
+        const records = Array.from(this.transactions.values())
+            .sort((a, b) => b.submittedAt - a.submittedAt);
+        const settled = records.filter(record => record.status !== TX_STATUS.PENDING);
+        settled.slice(MAX_SETTLED_TRANSACTIONS).forEach(record => this.transactions.delete(record.hash));
+
+        const store = this.readStore();
+        store[this.scope] = Array.from(this.transactions.values());
+        localStorage.setItem(TRANSACTIONS_STORAGE_KEY, JSON.stringify(store));
+    }
+
+    /**
+     * @returns {Object[]} Transactions not yet mined, replaced or dropped
+     */
+    getPendingTransactions() {
+        return Array.from(this.transactions.values()).filter(record => record.status === TX_STATUS.PENDING);
+    }
+
+    /**
+     * @param {string} hash
+     * @returns {Object|null} Transaction record
+     */
+    getTransaction(hash) {
+        return this.transactions.get(hash) || null;
+    }
+
+    /**
+     * @param {Object} record
+     * @returns {Object[]} Transactions sharing the record's sender and nonce
+     */
+    getGroup(record) {
+        return Array.from(this.transactions.values()).filter(other =>
+            other.from === record.from && other.nonce === record.nonce
+        );
+    }
+
+    /**
+     * @param {Object} record
+     * @returns {boolean} Whether a caller is waiting on the transaction or its replacements
+     */
+    hasWaiter(record) {
+        return this.getGroup(record).some(other => this.waiters.has(other.hash));
+    }
+
+    /**
+     * Submit a transaction and start tracking it
+     * @param {Function} sendTransaction - Sends the transaction, e.g. () => contract.fillOrder(id)
+     * @param {Object} details
+     * @param {string} details.type - Action, e.g. 'createOrder', 'fillOrder', 'approve'
+     * @param {string} details.description - Shown in notifications, e.g. 'Fill order #12'
+     * @param {number} [details.orderId] - Order the transaction acts on
+     * @returns {Promise<ethers.providers.TransactionResponse>} Submitted transaction
+     */
+    async send(sendTransaction, { type, description, orderId = null }) {
+        const tx = await sendTransaction();
+        const submittedBlock = await providerPool.execute(provider => provider.getBlockNumber())
+            .catch(() => null);
+        this.track(tx, { type, description, orderId, submittedBlock });
+        return tx;
+    }
+
+    track(tx, { type, description, orderId = null, submittedBlock = null, replaces = null }) {
+        const now = Date.now();
+        const record = {
+            hash: tx.hash,
+            type,
+            description,
+            orderId,
+            from: tx.from.toLowerCase(),
+            nonce: tx.nonce,
+            to: tx.to,
+            data: tx.data,
+            value: toStringOrNull(tx.value) || '0',
+            gasLimit: toStringOrNull(tx.gasLimit),
+            gasPrice: toStringOrNull(tx.gasPrice),
+            maxFeePerGas: toStringOrNull(tx.maxFeePerGas),
+            maxPriorityFeePerGas: toStringOrNull(tx.maxPriorityFeePerGas),
+            status: TX_STATUS.PENDING,
+            submittedAt: now,
+            submittedBlock,
+            lastSeenAt: now,
+            replaces,
+            replacedBy: null,
+            blockNumber: null
+        };
+        this.transactions.set(record.hash, record);
+        this.persist();
+        this.debug('Tracking transaction:', record);
+        this.notifySubscribers('txSubmitted', record);
+        this.schedulePoll();
+        return record;
+    }
+
+    /**
+     * Wait until a transaction, or a speed-up of it, is mined
+     * @param {string} hash - Hash returned when the transaction was sent
+     * @returns {Promise<ethers.providers.TransactionReceipt>} Receipt of the mined transaction
+     * @throws {Error} If it reverts, is canceled, replaced by a different call or dropped
+     */
+    wait(hash) {
+        const record = this.transactions.get(hash);
+        if (!record) {
+            return Promise.reject(new Error(`Unknown transaction ${hash}`));
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const waiters = this.waiters.get(hash) || [];
+            waiters.push({ resolve, reject });
+            this.waiters.set(hash, waiters);
+        });
+
+        if (record.status !== TX_STATUS.PENDING) {
+            this.settleSettledWaiters(record).catch(error => this.error('Error settling waiters:', error));
+        } else {
+            this.schedulePoll(0);
+        }
+        return promise;
+    }
+
+    schedulePoll(delay = POLL_INTERVAL_MS) {
+        if (this.getPendingTransactions().length === 0) {
+            this.stopPolling();
+            return;
+        }
+        if (this.pollTimer && delay !== 0) return;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.poll();
+        }, delay);
+    }
+
+    stopPolling() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    async poll() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+        try {
+            const groups = new Map();
+            this.getPendingTransactions().forEach(record => {
+                groups.set(`${record.from}:${record.nonce}`, this.getGroup(record));
+            });
+            for (const group of groups.values()) {
+                try {
+                    await this.checkGroup(group);
+                } catch (error) {
+                    this.debug('Transaction check failed, retrying next poll:', error);
+                }
+            }
+        } finally {
+            this.isPolling = false;
+            this.schedulePoll();
+        }
+    }
+
+    async checkGroup(group) {
+        const pending = group.filter(record => record.status === TX_STATUS.PENDING);
+
+        for (const record of pending) {
+            const receipt = await providerPool.execute(provider => provider.getTransactionReceipt(record.hash));
+            if (receipt?.blockNumber) {
+                this.settleGroup(group, record, receipt);
+                return;
+            }
+        }
+
+        const { from, nonce } = pending[0];
+        const minedNonce = await providerPool.execute(provider => provider.getTransactionCount(from, 'latest'));
+        if (minedNonce > nonce) {
+            // The nonce was used by a transaction we didn't send, e.g. a speed-up from the wallet
+            const replacement = await this.findReplacement(pending[0]);
+            if (replacement) {
+                this.settleGroup(this.getGroup(replacement.record), replacement.record, replacement.receipt);
+            } else {
+                this.updateStatus(pending, TX_STATUS.REPLACED);
+            }
+            return;
+        }
+
+        const now = Date.now();
+        for (const record of pending) {
+            const tx = await providerPool.execute(provider => provider.getTransaction(record.hash));
+            if (tx) {
+                record.lastSeenAt = now;
+            }
+        }
+        if (pending.every(record => now - record.lastSeenAt > DROPPED_AFTER_MS)) {
+            this.updateStatus(pending, TX_STATUS.DROPPED);
+        } else {
+            this.persist();
+        }
+    }
+
+    /**
+     * Find the mined transaction that took a record's nonce
+     * @param {Object} record - Pending record whose nonce was used
+     * @returns {Promise<{record: Object, receipt: Object}|null>} Tracked replacement and its receipt
+     */
+    async findReplacement(record) {
+        const latest = await providerPool.execute(provider => provider.getBlockNumber());
+        const start = record.submittedBlock ?? latest - MAX_REPLACEMENT_SCAN_BLOCKS;
+        const end = Math.min(latest, start + MAX_REPLACEMENT_SCAN_BLOCKS);
+
+        for (let blockNumber = start; blockNumber <= end; blockNumber++) {
+            const block = await providerPool.execute(provider => provider.getBlockWithTransactions(blockNumber));
+            const tx = block?.transactions.find(candidate =>
+                candidate.from.toLowerCase() === record.from && candidate.nonce === record.nonce
+            );
+            if (!tx) continue;
+
+            const isSameCall = tx.to?.toLowerCase() === record.to?.toLowerCase() && tx.data === record.data;
+            const replacement = this.track(tx, {
+                type: isSameCall ? record.type : 'unknown',
+                description: isSameCall ? record.description : `Replacement of ${record.description}`,
+                orderId: isSameCall ? record.orderId : null,
+                submittedBlock: blockNumber,
+                replaces: record.hash
+            });
+            const receipt = await providerPool.execute(provider => provider.getTransactionReceipt(tx.hash));
+            this.debug('Found replacement transaction:', { original: record.hash, replacement: tx.hash, isSameCall });
+            return { record: replacement, receipt };
+        }
+        return null;
+    }
+
+    /**
+     * Record that one transaction of a group was mined; the others can't be
+     * @param {Object[]} group
+     * @param {Object} mined - Record of the mined transaction
+     * @param {Object} receipt
+     */
+    settleGroup(group, mined, receipt) {
+        mined.blockNumber = receipt.blockNumber;
+        this.updateStatus([mined], receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED, false);
+
+        const others = group.filter(record => record !== mined && record.status === TX_STATUS.PENDING);
+        others.forEach(record => {
+            record.replacedBy = mined.hash;
+        });
+        this.updateStatus(others, mined.type === 'cancel' ? TX_STATUS.CANCELED : TX_STATUS.REPLACED, false);
+        this.persist();
+
+        group.forEach(record => this.settleWaiters(record, mined, receipt));
+    }
+
+    updateStatus(records, status, settle = true) {
+        records.forEach(record => {
+            record.status = status;
+            this.debug(`Transaction ${record.hash} ${status}`);
+            this.notifySubscribers(STATUS_EVENTS[status], record);
+        });
+        if (settle) {
+            this.persist();
+            records.forEach(record => this.settleWaiters(record, null, null));
+        }
+    }
+
+    /**
+     * Resolve or reject callers waiting on a record
+     * @param {Object} record
+     * @param {Object|null} mined - Record of the group's mined transaction, if any
+     * @param {Object|null} receipt - Receipt of the mined transaction
+     */
+    settleWaiters(record, mined, receipt) {
+        const waiters = this.waiters.get(record.hash);
+        if (!waiters) return;
+        this.waiters.delete(record.hash);
+
+        let error = null;
+        const isSameCall = mined && (mined === record ||
+            (mined.type !== 'cancel' && mined.to === record.to && mined.data === record.data));
+        if (!mined) {
+            error = new Error(record.status === TX_STATUS.DROPPED
+                ? 'Transaction was dropped before it was mined'
+                : 'Transaction was replaced by another transaction');
+        } else if (mined.type === 'cancel' && mined !== record) {
+            error = new Error('Transaction was canceled');
+        } else if (!isSameCall) {
+            error = new Error('Transaction was replaced by another transaction');
+        } else if (receipt.status !== 1) {
+            // Same shape as the error ethers throws for reverted transactions
+            error = new Error('Transaction failed on-chain');
+            error.code = ethers.errors.CALL_EXCEPTION;
+            error.receipt = receipt;
+        }
+
+        if (error) {
+            error.transactionHash = record.hash;
+            waiters.forEach(({ reject }) => reject(error));
+        } else {
+            waiters.forEach(({ resolve }) => resolve(receipt));
+        }
+    }
+
+    // wait() on a transaction that had already settled, e.g. after a reload
+    async settleSettledWaiters(record) {
+        const mined = this.getGroup(record).find(other =>
+            other.status === TX_STATUS.CONFIRMED || other.status === TX_STATUS.FAILED
+        );
+        const receipt = mined
+            ? await providerPool.execute(provider => provider.getTransactionReceipt(mined.hash))
+            : null;
+        this.settleWaiters(record, mined || null, receipt);
+    }
+
+    /**
+     * @param {Object} record - Pending record being replaced
+     * @returns {Promise<Object>} Fee fields beating the record's by FEE_BUMP_PERCENT,
+     *     and at least the fast preset so the replacement gets mined
+     */
+    async getReplacementFees(record) {
+        const { presets } = await gasService.getFeePresets();
+        const feeData = presets.fast;
+        const bump = (value) => ethers.BigNumber.from(value).mul(100 + FEE_BUMP_PERCENT).div(100);
+        const max = (a, b) => (b && b.gt(a) ? b : a);
+
+        if (record.maxFeePerGas) {
+            return {
+                maxFeePerGas: max(bump(record.maxFeePerGas), feeData.maxFeePerGas),
+                maxPriorityFeePerGas: max(bump(record.maxPriorityFeePerGas || 0), feeData.maxPriorityFeePerGas)
+            };
+        }
+        return { gasPrice: max(bump(record.gasPrice || 0), feeData.gasPrice) };
+    }
+
+    async getReplacementSigner(record) {
+        if (record.status !== TX_STATUS.PENDING) {
+            throw new Error('Transaction is no longer pending');
+        }
+        const signer = walletManager.getSigner();
+        if (!signer) {
+            throw new Error('Wallet not connected');
+        }
+        const address = (await signer.getAddress()).toLowerCase();
+        if (address !== record.from) {
+            throw new Error(`Switch your wallet to ${ethers.utils.getAddress(record.from)} to replace this transaction`);
+        }
+        return signer;
+    }
+
+    /**
+     * Resend a pending transaction with higher fees
+     * @param {string} hash
+     * @returns {Promise<Object>} Record of the replacement
+     */
+    async speedUp(hash) {
+        const record = this.transactions.get(hash);
+        const signer = await this.getReplacementSigner(record);
+        const tx = await signer.sendTransaction({
+            to: record.to,
+            data: record.data,
+            value: record.value,
+            nonce: record.nonce,
+            gasLimit: record.gasLimit || undefined,
+            ...(await this.getReplacementFees(record))
+        });
+        this.debug('Sent speed-up:', { original: hash, replacement: tx.hash });
+        return this.track(tx, {
+            type: record.type,
+            description: record.description,
+            orderId: record.orderId,
+            submittedBlock: record.submittedBlock,
+            replaces: hash
+        });
+    }
+
+    /**
+     * Replace a pending transaction with an empty transfer to self
+     * @param {string} hash
+     * @returns {Promise<Object>} Record of the cancel transaction
+     */
+    async cancel(hash) {
+        const record = this.transactions.get(hash);
+        const signer = await this.getReplacementSigner(record);
+        const tx = await signer.sendTransaction({
+            to: await signer.getAddress(),
+            value: 0,
+            nonce: record.nonce,
+            gasLimit: CANCEL_GAS_LIMIT,
+            ...(await this.getReplacementFees(record))
+        });
+        this.debug('Sent cancel:', { original: hash, replacement: tx.hash });
+        return this.track(tx, {
+            type: 'cancel',
+            description: `Cancel ${record.description}`,
+            orderId: record.orderId,
+            submittedBlock: record.submittedBlock,
+            replaces: hash
+        });
+    }
+}
+
+export const transactionManager = new TransactionManager();
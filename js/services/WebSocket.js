@@ -1,9 +1,22 @@
 import { ethers } from 'ethers';
-import { getNetworkConfig, ORDER_CONSTANTS } from '../config.js';
+import { getNetworkConfig, ORDER_CONSTANTS, ORDER_CACHE_CONFIG } from '../config.js';
 import { tryAggregate as multicallTryAggregate, isMulticallAvailable } from './MulticallService.js';
 import { erc20Abi } from '../abi/erc20.js';
 import { createLogger } from './LogService.js';
 import { tokenIconService } from './TokenIconService.js';
+import { orderCacheStore } from './OrderCacheStore.js';
+import { providerPool } from './ProviderPool.js';
+import { getDealRatio } from '../utils/fixedPoint.js';
+
+// Contract events that update the order cache, mapped to their handler methods
+const ORDER_EVENT_HANDLERS = {
+    OrderCreated: 'handleOrderCreated',
+    OrderFilled: 'handleOrderFilled',
+    OrderPartiallyFilled: 'handleOrderPartiallyFilled',
+    OrderCanceled: 'handleOrderCanceled',
+    OrderCleanedUp: 'handleOrderCleanedUp',
+    RetryOrder: 'handleRetryOrder'
+};
 
 export class WebSocketService {
     constructor() {
@@ -17,6 +30,7 @@ export class WebSocketService {
         this.contractAddress = null;
         this.contractABI = null;
         this.contract = null;
+        this.chainId = null;
         
         // Add rate limiting properties
         this.requestQueue = [];
@@ -40,6 +54,17 @@ export class WebSocketService {
         this.warn = logger.warn.bind(logger);
         
         this.tokenCache = new Map();  // Add token cache
+
+        // Persistent cache sync state (block and order range covered by orderCache)
+        this.lastSyncedBlock = null;
+        this.syncedNextOrderId = null;
+        this.persistTimeout = null;
+
+        // Event backfill state for events missed while disconnected
+        this.lastProcessedBlock = null;
+        this.processedEventKeys = new Set(); // `${txHash}-${logIndex}`
+        this.maxProcessedEventKeys = 5000;
+        this.backfillOverlapBlocks = 5; // Re-scan a few blocks before the last processed one
     }
 
     async queueRequest(callback) {
@@ -59,7 +84,8 @@ export class WebSocketService {
         try {
             this.activeRequests++;
             this.debug(`Making request (active: ${this.activeRequests})`);
-            const result = await callback();
+            // Reads are routed to the healthiest HTTP endpoint in the provider pool
+            const result = await providerPool.execute(provider => callback(provider));
             this.lastRequestTime = Date.now();
             return result;
         } catch (error) {
@@ -113,6 +139,7 @@ export class WebSocketService {
                 this.debug('Initializing contract...');
                 this.contractAddress = config.contractAddress;
                 this.contractABI = config.contractABI;
+                this.chainId = parseInt(config.chainId, 16);
 
                 if (!this.contractABI) {
                     throw new Error('Contract ABI not found in network config');
@@ -139,11 +166,14 @@ export class WebSocketService {
                 
                 // Subscribe to pricing service after everything else is ready
                 if (window.pricingService) {
-                    this.debug('Subscribing to pricing service...');
-                    window.pricingService.subscribe(() => {
-                        this.debug('Price update received, updating all deals...');
-                        this.updateAllDeals();
-                    });
+                    if (!this.pricingListener) {
+                        this.debug('Subscribing to pricing service...');
+                        this.pricingListener = () => {
+                            this.debug('Price update received, updating all deals...');
+                            this.updateAllDeals();
+                        };
+                        window.pricingService.subscribe(this.pricingListener);
+                    }
                     // Trigger initial allowed token price fetch after contract is ready
                     try {
                         await window.pricingService.getAllowedTokens();
@@ -209,12 +239,11 @@ export class WebSocketService {
             // Listen for new blocks to ensure connection is alive (throttled logging)
             this.provider.on("block", async (blockNumber) => {
                 try {
+                    this.lastProcessedBlock = Math.max(this.lastProcessedBlock ?? 0, blockNumber);
                     const now = Date.now();
                     if (now - this.lastBlockLogTime >= 5000) { // log at most every 5s
                         this.lastBlockLogTime = now;
-                        await this.queueRequest(async () => {
-                            this.debug('New block received:', blockNumber);
-                        });
+                        this.debug('New block received:', blockNumber);
                     }
                 } catch (error) {
                     this.debug('Error processing block event:', error);
@@ -238,109 +267,236 @@ export class WebSocketService {
                 }
             };
 
-            contract.on("OrderCreated", async (...args) => {
-                try {
-                    if (!args || args.length < 9) {
-                        this.debug('Invalid OrderCreated event args:', args);
-                        return;
-                    }
-                    const [orderId, maker, taker, sellToken, sellAmount, buyToken, buyAmount, timestamp, fee, event] = args;
-                    
-                    let orderData = {
-                        id: orderId.toNumber(),
-                        maker,
-                        taker,
-                        sellToken,
-                        sellAmount,
-                        buyToken,
-                        buyAmount,
-                        timings: {
-                            createdAt: timestamp.toNumber(),
-                            expiresAt: timestamp.toNumber() + this.orderExpiry.toNumber(),
-                            graceEndsAt: timestamp.toNumber() + this.orderExpiry.toNumber() + this.gracePeriod.toNumber()
-                        },
-                        status: 'Active',
-                        orderCreationFee: fee,
-                        tries: 0
-                    };
-
-                    // Calculate and add deal metrics
-                    orderData = await this.calculateDealMetrics(orderData);
-                    
-                    // Add to cache
-                    this.orderCache.set(orderId.toNumber(), orderData);
-                    
-                    // Debug logging
-                    this.debug('New order added to cache:', {
-                        id: orderData.id,
-                        maker: orderData.maker,
-                        status: orderData.status,
-                        timestamp: orderData.timings?.createdAt || 0
-                    });
-                    
-                    // Notify subscribers
-                    this.notifySubscribers("OrderCreated", orderData);
-                    
-                    // Force UI update
-                    this.notifySubscribers("ordersUpdated", Array.from(this.orderCache.values()));
-                } catch (error) {
-                    this.debug('Error in OrderCreated handler:', error);
-                    console.error('Failed to process OrderCreated event:', error);
-                }
-            });
+            // Replace any listeners from a previous sync so handlers are attached once
+            for (const eventName of Object.keys(ORDER_EVENT_HANDLERS)) {
+                contract.removeAllListeners(eventName);
+                contract.on(eventName, (...args) => this.dispatchOrderEvent(eventName, args));
+            }
+            
+            this.debug('Event listeners setup complete');
+        } catch (error) {
+            this.debug('Error setting up event listeners:', error);
+        }
+    }
 
-            contract.on("OrderFilled", (...args) => {
-                const [orderId] = args;
-                const orderIdNum = orderId.toNumber();
-                const order = this.orderCache.get(orderIdNum);
-                if (order) {
-                    order.status = 'Filled';
-                    this.orderCache.set(orderIdNum, order);
-                    this.debug('Cache updated for filled order:', order);
-                    this.notifySubscribers("OrderFilled", order);
-                }
-            });
+    /**
+     * Run a contract event through its handler, skipping events already processed
+     * (live and backfilled events overlap around a reconnect)
+     * @param {string} eventName - Contract event name
+     * @param {Array} args - Event arguments, with the ethers Event object last
+     * @returns {Promise<boolean>} False if the event was a duplicate
+     */
+    async dispatchOrderEvent(eventName, args) {
+        const event = args[args.length - 1];
+        if (!this.markEventProcessed(event)) {
+            this.debug('Skipping already processed event:', eventName, event?.transactionHash);
+            return false;
+        }
+        try {
+            await this[ORDER_EVENT_HANDLERS[eventName]](...args);
+        } catch (error) {
+            this.error(`Failed to process ${eventName} event:`, error);
+        }
+        return true;
+    }
 
-            contract.on("OrderCanceled", (orderId, maker, timestamp, event) => {
-                const orderIdNum = orderId.toNumber();
-                const order = this.orderCache.get(orderIdNum);
-                if (order) {
-                    order.status = 'Canceled';
-                    this.orderCache.set(orderIdNum, order);
-                    this.debug('Updated order to Canceled:', orderIdNum);
-                    this.notifySubscribers("OrderCanceled", order);
-                }
-            });
+    /**
+     * Record an event as processed by txHash + logIndex and advance lastProcessedBlock
+     * @param {Object} event - ethers Event object
+     * @returns {boolean} False if the event was already processed
+     */
+    markEventProcessed(event) {
+        if (!event?.transactionHash) return true;
 
-            contract.on("OrderCleanedUp", (orderId) => {
-                const orderIdNum = orderId.toNumber();
-                if (this.orderCache.has(orderIdNum)) {
-                    this.orderCache.delete(orderIdNum);
-                    this.debug('Removed cleaned up order:', orderIdNum);
-                    this.notifySubscribers("OrderCleanedUp", { id: orderIdNum });
-                }
-            });
-            
-            contract.on("RetryOrder", (oldOrderId, newOrderId, maker, tries, timestamp) => {
-                const oldOrderIdNum = oldOrderId.toNumber();
-                const newOrderIdNum = newOrderId.toNumber();
-                
-                const order = this.orderCache.get(oldOrderIdNum);
-                if (order) {
-                    order.id = newOrderIdNum;
-                    order.tries = tries.toNumber();
-                    order.timestamp = timestamp.toNumber();
-                    
-                    this.orderCache.delete(oldOrderIdNum);
-                    this.orderCache.set(newOrderIdNum, order);
-                    this.debug('Updated retried order:', {oldId: oldOrderIdNum, newId: newOrderIdNum, tries: tries.toString()});
-                    this.notifySubscribers("RetryOrder", order);
+        const key = `${event.transactionHash}-${event.logIndex}`;
+        if (this.processedEventKeys.has(key)) return false;
+
+        this.processedEventKeys.add(key);
+        if (this.processedEventKeys.size > this.maxProcessedEventKeys) {
+            // Sets keep insertion order, so the first key is the oldest
+            this.processedEventKeys.delete(this.processedEventKeys.values().next().value);
+        }
+        if (typeof event.blockNumber === 'number') {
+            this.lastProcessedBlock = Math.max(this.lastProcessedBlock ?? 0, event.blockNumber);
+        }
+        return true;
+    }
+
+    /**
+     * Replay events emitted while the WebSocket was offline, from the last processed
+     * block forward in bounded chunks, through the same handlers as live events.
+     */
+    async backfillMissedEvents() {
+        if (!this.contract || this.lastProcessedBlock === null) {
+            this.debug('No processed block recorded, skipping event backfill');
+            return;
+        }
+
+        const currentBlock = await this.provider.getBlockNumber();
+        const fromBlock = Math.max(this.lastProcessedBlock - this.backfillOverlapBlocks, 0);
+
+        if (currentBlock - fromBlock > ORDER_CACHE_CONFIG.MAX_INCREMENTAL_BLOCKS) {
+            this.debug('Missed block range too large for backfill, resyncing orders instead');
+            await this.syncAllOrders();
+            return;
+        }
+
+        const iface = this.contract.interface;
+        const filter = {
+            address: this.contract.address,
+            topics: [Object.keys(ORDER_EVENT_HANDLERS).map(eventName => iface.getEventTopic(eventName))]
+        };
+
+        this.debug(`Backfilling events from block ${fromBlock} to ${currentBlock}`);
+        const chunkSize = ORDER_CACHE_CONFIG.LOG_CHUNK_SIZE;
+        let processed = 0;
+        for (let start = fromBlock; start <= currentBlock; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, currentBlock);
+            const events = await this.queueRequest(provider => this.contract.connect(provider).queryFilter(filter, start, end));
+            for (const event of events) {
+                if (!ORDER_EVENT_HANDLERS[event.event]) continue;
+                if (await this.dispatchOrderEvent(event.event, [...event.args, event])) {
+                    processed++;
                 }
-            });
+            }
+        }
+
+        this.lastProcessedBlock = Math.max(this.lastProcessedBlock, currentBlock);
+        this.debug(`Backfill complete: ${processed} missed events processed`);
+
+        if (processed > 0) {
+            this.notifySubscribers("ordersUpdated", Array.from(this.orderCache.values()));
+        }
+    }
+
+    async handleOrderCreated(...args) {
+        if (!args || args.length < 9) {
+            this.debug('Invalid OrderCreated event args:', args);
+            return;
+        }
+        const [orderId, maker, taker, sellToken, sellAmount, buyToken, buyAmount, timestamp, fee, event] = args;
+        
+        let orderData = {
+            id: orderId.toNumber(),
+            maker,
+            taker,
+            sellToken,
+            sellAmount,
+            buyToken,
+            buyAmount,
+            timings: {
+                createdAt: timestamp.toNumber(),
+                expiresAt: timestamp.toNumber() + this.orderExpiry.toNumber(),
+                graceEndsAt: timestamp.toNumber() + this.orderExpiry.toNumber() + this.gracePeriod.toNumber()
+            },
+            status: 'Active',
+            orderCreationFee: fee,
+            tries: 0
+        };
+
+        // Calculate and add deal metrics
+        orderData = await this.calculateDealMetrics(orderData);
+        
+        // Add to cache
+        this.orderCache.set(orderId.toNumber(), orderData);
+        this.schedulePersist();
+        
+        // Debug logging
+        this.debug('New order added to cache:', {
+            id: orderData.id,
+            maker: orderData.maker,
+            status: orderData.status,
+            timestamp: orderData.timings?.createdAt || 0
+        });
+        
+        // Notify subscribers
+        this.notifySubscribers("OrderCreated", orderData);
+        
+        // Force UI update
+        this.notifySubscribers("ordersUpdated", Array.from(this.orderCache.values()));
+    }
+
+    handleOrderFilled(...args) {
+        const [orderId] = args;
+        const orderIdNum = orderId.toNumber();
+        const order = this.orderCache.get(orderIdNum);
+        if (order) {
+            order.status = 'Filled';
+            this.orderCache.set(orderIdNum, order);
+            this.debug('Cache updated for filled order:', order);
+            this.schedulePersist();
+            this.notifySubscribers("OrderFilled", order);
+        }
+    }
+
+    async handleOrderPartiallyFilled(...args) {
+        const [orderId, , , , sellAmountFilled, , buyAmountPaid, remainingSellAmount, remainingBuyAmount] = args;
+        const orderIdNum = orderId.toNumber();
+        const order = this.orderCache.get(orderIdNum);
+        if (!order) return;
+
+        const updated = await this.calculateDealMetrics(
+            this.applyPartialFill(order, sellAmountFilled, buyAmountPaid, remainingSellAmount, remainingBuyAmount)
+        );
+        this.orderCache.set(orderIdNum, updated);
+        this.debug('Cache updated for partially filled order:', {
+            id: orderIdNum,
+            remainingSellAmount: remainingSellAmount.toString(),
+            remainingBuyAmount: remainingBuyAmount.toString()
+        });
+        this.schedulePersist();
+        this.notifySubscribers("OrderPartiallyFilled", updated);
+        this.notifySubscribers("ordersUpdated", Array.from(this.orderCache.values()));
+    }
+
+    // The contract shrinks the order in place, so the cache mirrors the remaining amounts
+    applyPartialFill(order, sellAmountFilled, buyAmountPaid, remainingSellAmount, remainingBuyAmount) {
+        return {
+            ...order,
+            sellAmount: remainingSellAmount,
+            buyAmount: remainingBuyAmount,
+            filledSellAmount: ethers.BigNumber.from(order.filledSellAmount || 0).add(sellAmountFilled),
+            filledBuyAmount: ethers.BigNumber.from(order.filledBuyAmount || 0).add(buyAmountPaid)
+        };
+    }
+
+    handleOrderCanceled(orderId, maker, timestamp, event) {
+        const orderIdNum = orderId.toNumber();
+        const order = this.orderCache.get(orderIdNum);
+        if (order) {
+            order.status = 'Canceled';
+            this.orderCache.set(orderIdNum, order);
+            this.debug('Updated order to Canceled:', orderIdNum);
+            this.schedulePersist();
+            this.notifySubscribers("OrderCanceled", order);
+        }
+    }
+
+    handleOrderCleanedUp(orderId) {
+        const orderIdNum = orderId.toNumber();
+        if (this.orderCache.has(orderIdNum)) {
+            this.orderCache.delete(orderIdNum);
+            this.debug('Removed cleaned up order:', orderIdNum);
+            this.schedulePersist();
+            this.notifySubscribers("OrderCleanedUp", { id: orderIdNum });
+        }
+    }
+
+    handleRetryOrder(oldOrderId, newOrderId, maker, tries, timestamp) {
+        const oldOrderIdNum = oldOrderId.toNumber();
+        const newOrderIdNum = newOrderId.toNumber();
+        
+        const order = this.orderCache.get(oldOrderIdNum);
+        if (order) {
+            order.id = newOrderIdNum;
+            order.tries = tries.toNumber();
+            order.timestamp = timestamp.toNumber();
             
-            this.debug('Event listeners setup complete');
-        } catch (error) {
-            this.debug('Error setting up event listeners:', error);
+            this.orderCache.delete(oldOrderIdNum);
+            this.orderCache.set(newOrderIdNum, order);
+            this.debug('Updated retried order:', {oldId: oldOrderIdNum, newId: newOrderIdNum, tries: tries.toString()});
+            this.schedulePersist();
+            this.notifySubscribers("RetryOrder", order);
         }
     }
 
@@ -486,19 +642,21 @@ export class WebSocketService {
 
     /**
      * High-level helper: fetch orders in batches using multicall with fallback.
+     * Fetches ids in [fromOrderId, totalOrders).
      * Returns an array of decoded orders (without timing expansion).
      */
-    async fetchOrdersBatched(totalOrders, batchSize = 50) {
+    async fetchOrdersBatched(totalOrders, batchSize = 50, fromOrderId = 0) {
         const all = [];
         if (!this.contract) {
             throw new Error('Contract not initialized. Call initialize() first.');
         }
-        const totalBatches = Math.ceil(totalOrders / batchSize);
-        this.debug(`Batched order fetch: ${totalOrders} orders in ${totalBatches} batches of ${batchSize}`);
+        const rangeSize = Math.max(totalOrders - fromOrderId, 0);
+        const totalBatches = Math.ceil(rangeSize / batchSize);
+        this.debug(`Batched order fetch: ${rangeSize} orders (from ${fromOrderId}) in ${totalBatches} batches of ${batchSize}`);
         let fetchedSoFar = 0;
 
         for (let batch = 0; batch < totalBatches; batch++) {
-            const startIndex = batch * batchSize;
+            const startIndex = fromOrderId + batch * batchSize;
             const endIndex = Math.min(startIndex + batchSize, totalOrders);
             this.debug(`Fetching batch ${batch + 1}/${totalBatches} (orders ${startIndex}-${endIndex - 1})`);
             let batchOrders = await this.fetchOrdersViaMulticall(startIndex, endIndex);
@@ -511,7 +669,7 @@ export class WebSocketService {
             try {
                 this.notifySubscribers('orderSyncProgress', {
                     fetched: fetchedSoFar,
-                    total: totalOrders,
+                    total: rangeSize,
                     batch: batch + 1,
                     totalBatches
                 });
@@ -538,15 +696,19 @@ export class WebSocketService {
             
             // Remove contract event listeners
             if (this.contract) {
-                this.contract.removeAllListeners("OrderCreated");
-                this.contract.removeAllListeners("OrderFilled");
-                this.contract.removeAllListeners("OrderCanceled");
-                this.contract.removeAllListeners("OrderCleanedUp");
-                this.contract.removeAllListeners("RetryOrder");
+                Object.keys(ORDER_EVENT_HANDLERS).forEach(eventName => {
+                    this.contract.removeAllListeners(eventName);
+                });
             }
             
             // Clear cache
             this.orderCache.clear();
+            this.lastSyncedBlock = null;
+            this.syncedNextOrderId = null;
+            clearTimeout(this.persistTimeout);
+            this.persistTimeout = null;
+            this.lastProcessedBlock = null;
+            this.processedEventKeys.clear();
             
             this.debug('WebSocket service cleanup complete');
         } catch (error) {
@@ -554,7 +716,46 @@ export class WebSocketService {
         }
     }
 
-        async syncAllOrders() {
+    /**
+     * Tear down the current connection and reconnect to the selected network's
+     * WebSocket endpoints and contract. The previous network's persisted order
+     * snapshot is left untouched; the new network resumes from its own.
+     * @returns {Promise<boolean>} True once the new network's orders are synced
+     */
+    async switchNetwork() {
+        this.debug('Switching network to:', getNetworkConfig().name);
+
+        if (this.persistTimeout) {
+            await this.persistOrderCache();
+        }
+        this.cleanup();
+        this.tokenCache.clear();
+
+        if (this.provider) {
+            try {
+                this.provider.removeAllListeners();
+                this.provider._websocket?.close();
+            } catch (error) {
+                this.debug('Error closing previous provider:', error);
+            }
+        }
+
+        this.isInitialized = false;
+        this.initializationPromise = null;
+        this.provider = null;
+        this.contract = null;
+        this.orderExpiry = null;
+        this.gracePeriod = null;
+
+        const initialized = await this.initialize();
+        if (!this.isInitialized) {
+            return !!initialized;
+        }
+        await this.syncAllOrders();
+        return true;
+    }
+
+    async syncAllOrders() {
         this.debug('Starting order sync with existing contract...');
         
         if (!this.contract) {
@@ -571,54 +772,244 @@ export class WebSocketService {
                 this.debug('nextOrderId call failed, using default value:', error);
             }
 
-            // Clear existing cache before sync
-            this.orderCache.clear();
+            // Everything below firstOrderId has been deleted by cleanup
+            let firstOrderId = 0;
+            try {
+                firstOrderId = await this.contract.firstOrderId();
+                this.debug('firstOrderId result:', firstOrderId.toString());
+            } catch (error) {
+                this.debug('firstOrderId call failed, using default value:', error);
+            }
 
-            // Use optimized batched fetch (multicall with fallback)
-            const fetchedOrders = await this.fetchOrdersBatched(Number(nextOrderId), 50);
-
-            // Enrich with timings and populate cache
-            for (const o of fetchedOrders) {
-                const orderData = {
-                    ...o,
-                    timings: {
-                        createdAt: o.timestamp,
-                        expiresAt: o.timestamp + (this.orderExpiry ? this.orderExpiry.toNumber() : ORDER_CONSTANTS.DEFAULT_ORDER_EXPIRY_SECS),
-                        graceEndsAt: o.timestamp +
-                            (this.orderExpiry ? this.orderExpiry.toNumber() : ORDER_CONSTANTS.DEFAULT_ORDER_EXPIRY_SECS) +
-                            (this.gracePeriod ? this.gracePeriod.toNumber() : ORDER_CONSTANTS.DEFAULT_GRACE_PERIOD_SECS)
-                    }
-                };
-                // Calculate deal metrics for the order
-                try {
-                    const enrichedOrderData = await this.calculateDealMetrics(orderData);
-                    this.orderCache.set(o.id, enrichedOrderData);
-                    this.debug('Added order to cache with deal metrics:', enrichedOrderData);
-                } catch (error) {
-                    this.debug('Failed to calculate deal metrics for order', o.id, ':', error);
-                    // Still add the order without deal metrics as fallback
-                    this.orderCache.set(o.id, orderData);
-                    this.debug('Added order to cache without deal metrics:', orderData);
-                }
+            const currentBlock = await this.provider.getBlockNumber();
+
+            const resumed = await this.resumeFromSnapshot(Number(firstOrderId), Number(nextOrderId), currentBlock);
+            if (!resumed) {
+                // Clear existing cache before sync
+                this.orderCache.clear();
+
+                // Use optimized batched fetch (multicall with fallback)
+                const fetchedOrders = await this.fetchOrdersBatched(Number(nextOrderId), 50, Number(firstOrderId));
+                await this.addFetchedOrders(fetchedOrders);
             }
 
+            this.lastSyncedBlock = currentBlock;
+            this.syncedNextOrderId = Number(nextOrderId);
+            this.lastProcessedBlock = Math.max(this.lastProcessedBlock ?? 0, currentBlock);
+
             // Validate and summarize order cache
             try {
                 this.validateOrderCache();
             } catch (_) {}
 
-            this.debug('Order sync complete. Cache size:', this.orderCache.size);
+            this.debug('Order sync complete. Cache size:', this.orderCache.size, resumed ? '(incremental)' : '(full)');
             this.notifySubscribers('orderSyncComplete', Object.fromEntries(this.orderCache));
+            await this.persistOrderCache();
             this.debug('Setting up event listeners...');
             await this.setupEventListeners(this.contract);
 
         } catch (error) {
             this.debug('Order sync failed:', error);
             this.orderCache.clear();
+            this.lastSyncedBlock = null;
+            this.syncedNextOrderId = null;
             this.notifySubscribers('orderSyncComplete', {});
         }
     }
 
+    /**
+     * Enrich freshly fetched orders with timings and deal metrics and add them to the cache
+     * @param {Array} fetchedOrders - Orders as returned by fetchOrdersBatched
+     */
+    async addFetchedOrders(fetchedOrders) {
+        for (const o of fetchedOrders) {
+            const orderData = {
+                ...o,
+                timings: {
+                    createdAt: o.timestamp,
+                    expiresAt: o.timestamp + (this.orderExpiry ? this.orderExpiry.toNumber() : ORDER_CONSTANTS.DEFAULT_ORDER_EXPIRY_SECS),
+                    graceEndsAt: o.timestamp +
+                        (this.orderExpiry ? this.orderExpiry.toNumber() : ORDER_CONSTANTS.DEFAULT_ORDER_EXPIRY_SECS) +
+                        (this.gracePeriod ? this.gracePeriod.toNumber() : ORDER_CONSTANTS.DEFAULT_GRACE_PERIOD_SECS)
+                }
+            };
+            // Calculate deal metrics for the order
+            try {
+                const enrichedOrderData = await this.calculateDealMetrics(orderData);
+                this.orderCache.set(o.id, enrichedOrderData);
+                this.debug('Added order to cache with deal metrics:', enrichedOrderData);
+            } catch (error) {
+                this.debug('Failed to calculate deal metrics for order', o.id, ':', error);
+                // Still add the order without deal metrics as fallback
+                this.orderCache.set(o.id, orderData);
+                this.debug('Added order to cache without deal metrics:', orderData);
+            }
+        }
+    }
+
+    /**
+     * Bring the order cache up to date from the last synced state instead of re-reading
+     * every order. The base state is the in-memory cache when this session has already
+     * synced, otherwise the IndexedDB snapshot for this chain + contract.
+     * @param {number} firstOrderId - Current firstOrderId from the contract
+     * @param {number} nextOrderId - Current nextOrderId from the contract
+     * @param {number} currentBlock - Block the sync is anchored to
+     * @returns {Promise<boolean>} False if a full sync is required
+     */
+    async resumeFromSnapshot(firstOrderId, nextOrderId, currentBlock) {
+        let fromBlock = this.lastSyncedBlock;
+        let fromOrderId = this.syncedNextOrderId;
+
+        if (fromBlock === null || fromOrderId === null) {
+            const snapshot = await orderCacheStore.load(this.getChainId(), this.contract.address);
+            if (!snapshot) {
+                return false;
+            }
+            this.orderCache.clear();
+            snapshot.orders.forEach(order => this.orderCache.set(order.id, order));
+            snapshot.tokens.forEach(token => {
+                if (!this.tokenCache.has(token.address)) {
+                    this.tokenCache.set(token.address, token);
+                }
+            });
+            fromBlock = snapshot.lastSyncedBlock;
+            fromOrderId = snapshot.nextOrderId;
+        }
+
+        // A snapshot ahead of the chain means the chain was reset; a very old one is cheaper to rebuild
+        if (fromBlock > currentBlock ||
+            fromOrderId > nextOrderId ||
+            currentBlock - fromBlock > ORDER_CACHE_CONFIG.MAX_INCREMENTAL_BLOCKS) {
+            this.debug('Cached state not resumable, running full sync:', {
+                fromBlock,
+                currentBlock,
+                fromOrderId,
+                nextOrderId
+            });
+            return false;
+        }
+
+        try {
+            this.debug(`Incremental sync: blocks ${fromBlock + 1}-${currentBlock}, orders ${fromOrderId}-${nextOrderId - 1}`);
+
+            // Apply fills, cancels and cleanups that happened since the cached state
+            await this.replayOrderEvents(fromBlock + 1, currentBlock);
+
+            for (const orderId of this.orderCache.keys()) {
+                if (orderId < firstOrderId) {
+                    this.orderCache.delete(orderId);
+                }
+            }
+
+            // Orders created since the cached state (including retried orders)
+            const newOrders = await this.fetchOrdersBatched(nextOrderId, 50, Math.max(fromOrderId, firstOrderId));
+            await this.addFetchedOrders(newOrders);
+
+            // Restored orders are stored without deal metrics
+            for (const [orderId, order] of this.orderCache.entries()) {
+                if (!order.dealMetrics) {
+                    try {
+                        this.orderCache.set(orderId, await this.calculateDealMetrics(order));
+                    } catch (error) {
+                        this.debug('Failed to calculate deal metrics for order', orderId, ':', error);
+                    }
+                }
+            }
+
+            return true;
+        } catch (error) {
+            this.warn('Incremental sync failed, falling back to full sync:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replay status-changing events from past logs onto the order cache
+     * @param {number} fromBlock - First block to query (inclusive)
+     * @param {number} toBlock - Last block to query (inclusive)
+     */
+    async replayOrderEvents(fromBlock, toBlock) {
+        if (fromBlock > toBlock) return;
+
+        const iface = this.contract.interface;
+        const filter = {
+            address: this.contract.address,
+            topics: [[
+                iface.getEventTopic('OrderFilled'),
+                iface.getEventTopic('OrderPartiallyFilled'),
+                iface.getEventTopic('OrderCanceled'),
+                iface.getEventTopic('OrderCleanedUp'),
+                iface.getEventTopic('RetryOrder')
+            ]]
+        };
+
+        const chunkSize = ORDER_CACHE_CONFIG.LOG_CHUNK_SIZE;
+        for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, toBlock);
+            const events = await this.queueRequest(provider => this.contract.connect(provider).queryFilter(filter, start, end));
+            this.debug(`Replaying ${events.length} events from blocks ${start}-${end}`);
+            events.forEach(event => this.applyPastOrderEvent(event));
+        }
+    }
+
+    applyPastOrderEvent(event) {
+        const orderId = event.args?.orderId?.toNumber();
+        switch (event.event) {
+            case 'OrderFilled':
+            case 'OrderCanceled': {
+                const order = this.orderCache.get(orderId);
+                if (order) {
+                    order.status = event.event === 'OrderFilled' ? 'Filled' : 'Canceled';
+                }
+                break;
+            }
+            case 'OrderPartiallyFilled': {
+                const order = this.orderCache.get(orderId);
+                if (order) {
+                    const { sellAmountFilled, buyAmountPaid, remainingSellAmount, remainingBuyAmount } = event.args;
+                    this.orderCache.set(orderId, this.applyPartialFill(
+                        order, sellAmountFilled, buyAmountPaid, remainingSellAmount, remainingBuyAmount
+                    ));
+                }
+                break;
+            }
+            case 'OrderCleanedUp':
+                this.orderCache.delete(orderId);
+                break;
+            case 'RetryOrder':
+                // The new order id is past the cached range and gets fetched with the gap
+                this.orderCache.delete(event.args.oldOrderId.toNumber());
+                break;
+            default:
+                this.debug('Ignoring unexpected event during replay:', event.event);
+        }
+    }
+
+    // Chain of the connected contract, which can lag the selected network during a switch
+    getChainId() {
+        return this.chainId ?? parseInt(getNetworkConfig().chainId, 16);
+    }
+
+    // Debounced snapshot write after live cache updates
+    schedulePersist() {
+        if (this.lastSyncedBlock === null) return;
+        clearTimeout(this.persistTimeout);
+        this.persistTimeout = setTimeout(() => this.persistOrderCache(), ORDER_CACHE_CONFIG.PERSIST_DEBOUNCE_MS);
+    }
+
+    async persistOrderCache() {
+        this.persistTimeout = null;
+        if (!this.contract || this.lastSyncedBlock === null || this.syncedNextOrderId === null) {
+            return;
+        }
+        await orderCacheStore.save(this.getChainId(), this.contract.address, {
+            orders: Array.from(this.orderCache.values()),
+            tokens: Array.from(this.tokenCache.values()).filter(token => !token.isFallback),
+            lastSyncedBlock: this.lastSyncedBlock,
+            nextOrderId: this.syncedNextOrderId
+        });
+    }
+
     // Basic validation and summary for testing/diagnostics
     validateOrderCache() {
         const orders = Array.from(this.orderCache.values());
@@ -726,6 +1117,7 @@ export class WebSocketService {
         orderIds.forEach(orderId => {
             this.orderCache.delete(orderId);
         });
+        this.schedulePersist();
         
         // Notify subscribers of the update
         this.notifySubscribers('ordersUpdated', this.getOrders());
@@ -784,13 +1176,26 @@ export class WebSocketService {
             this.debug('Missing price data, skipping deal calculation for order:', orderData.id);
             return orderData;
         }
-        const buyValue = Number(orderData.buyAmount) * buyTokenUsdPrice;
-        const sellValue = Number(orderData.sellAmount) * sellTokenUsdPrice;
-        const deal = buyValue / sellValue;
+        const deal = getDealRatio({
+            sellAmount: orderData.sellAmount,
+            sellDecimals: sellTokenInfo.decimals,
+            sellPrice: sellTokenUsdPrice,
+            buyAmount: orderData.buyAmount,
+            buyDecimals: buyTokenInfo.decimals,
+            buyPrice: buyTokenUsdPrice
+        });
+        if (deal === null) {
+            this.debug('Sell side has no USD value, skipping deal calculation for order:', orderData.id);
+            return orderData;
+        }
+        // Null when a price came from the PRICING_DEFAULT_TO_ONE fallback
+        const priceConfidence = window.pricingService.getLowestConfidence([orderData.buyToken, orderData.sellToken]);
         return {
             ...orderData,
             dealMetrics: {
-                deal
+                deal,
+                priceConfidence,
+                lowConfidence: priceConfidence !== 'high' && priceConfidence !== 'medium'
             }
         };
     }
@@ -877,8 +1282,8 @@ export class WebSocketService {
 
             // 2. Fetch from contract using queueRequest
             this.debug('Fetching token info from contract:', normalizedAddress);
-            return await this.queueRequest(async () => {
-                const contract = new ethers.Contract(tokenAddress, erc20Abi, this.provider);
+            return await this.queueRequest(async (provider) => {
+                const contract = new ethers.Contract(tokenAddress, erc20Abi, provider);
                 const [symbol, decimals, name] = await Promise.all([
                     contract.symbol(),
                     contract.decimals(),
@@ -888,8 +1293,7 @@ export class WebSocketService {
                 // Get icon URL for the token
                 let iconUrl = null;
                 try {
-                    const chainId = 137; // Polygon - TODO: might want to get this dynamically
-                    iconUrl = await tokenIconService.getIconUrl(tokenAddress, chainId);
+                    iconUrl = await tokenIconService.getIconUrl(tokenAddress, this.getChainId());
                 } catch (err) {
                     this.debug(`Failed to get icon for token ${tokenAddress}:`, err);
                 }
@@ -916,7 +1320,8 @@ export class WebSocketService {
                 address: tokenAddress.toLowerCase(),
                 symbol: `${tokenAddress.slice(0, 4)}...${tokenAddress.slice(-4)}`,
                 decimals: 18,
-                name: 'Unknown Token'
+                name: 'Unknown Token',
+                isFallback: true
             };
             this.tokenCache.set(tokenAddress.toLowerCase(), fallback);
             return fallback;
@@ -1015,6 +1420,13 @@ export class WebSocketService {
 
             // Reinitialize
             await this.initialize();
+
+            // Re-attach live listeners first, then replay anything missed while offline.
+            // Overlapping events are deduplicated by txHash + logIndex.
+            if (this.contract && this.lastProcessedBlock !== null) {
+                await this.setupEventListeners(this.contract);
+                await this.backfillMissedEvents();
+            }
             
             this.debug('WebSocket reconnection successful');
         } catch (error) {
@@ -0,0 +1,145 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig } from '../config.js';
+import { createLogger } from '../services/LogService.js';
+import { providerPool } from '../services/ProviderPool.js';
+import { tryAggregate as multicallTryAggregate } from '../services/MulticallService.js';
+
+// Initialize logger
+const logger = createLogger('ALLOWANCES');
+const debug = logger.debug.bind(logger);
+const warn = logger.warn.bind(logger);
+
+// localStorage key; holds policies per chain + contract, keyed by token
+const APPROVAL_POLICY_STORAGE_KEY = 'approval_policies';
+
+export const APPROVAL_POLICIES = {
+    exact: 'Exact amount',
+    buffer: 'Exact plus buffer',
+    unlimited: 'Unlimited'
+};
+export const DEFAULT_APPROVAL_POLICY = Object.freeze({ policy: 'exact', bufferPercent: 10 });
+export const MAX_BUFFER_PERCENT = 1000;
+
+// Allowances at or above this are shown as unlimited; some tokens count
+// MaxUint256 allowances down as they are spent
+export const UNLIMITED_ALLOWANCE_THRESHOLD = ethers.constants.MaxUint256.div(2);
+
+const ALLOWANCE_ABI = ['function allowance(address owner, address spender) view returns (uint256)'];
+
+/**
+ * Read the allowances an owner has granted a spender, in one multicall where
+ * the network has one
+ * @param {string[]} tokenAddresses
+ * @param {string} owner
+ * @param {string} spender
+ * @returns {Promise<Map<string, ethers.BigNumber|null>>} Lowercase token -> allowance, null if unreadable
+ */
+export async function getTokenAllowances(tokenAddresses, owner, spender) {
+    const iface = new ethers.utils.Interface(ALLOWANCE_ABI);
+    const callData = iface.encodeFunctionData('allowance', [owner, spender]);
+    const allowances = new Map();
+
+    const results = await multicallTryAggregate(tokenAddresses.map(target => ({ target, callData })));
+    if (results) {
+        tokenAddresses.forEach((token, i) => {
+            let allowance = null;
+            try {
+                if (results[i]?.success) {
+                    allowance = iface.decodeFunctionResult('allowance', results[i].returnData)[0];
+                }
+            } catch (error) {
+                debug(`Undecodable allowance for ${token}:`, error);
+            }
+            allowances.set(token.toLowerCase(), allowance);
+        });
+        return allowances;
+    }
+
+    // Fallback: one call per token
+    for (const token of tokenAddresses) {
+        try {
+            const allowance = await providerPool.execute(provider =>
+                new ethers.Contract(token, ALLOWANCE_ABI, provider).allowance(owner, spender)
+            );
+            allowances.set(token.toLowerCase(), allowance);
+        } catch (error) {
+            warn(`Failed to read allowance for ${token}:`, error);
+            allowances.set(token.toLowerCase(), null);
+        }
+    }
+    return allowances;
+}
+
+const getScope = () => {
+    const config = getNetworkConfig();
+    return `${parseInt(config.chainId, 16)}:${config.contractAddress.toLowerCase()}`;
+};
+
+const readStore = () => {
+    try {
+        return JSON.parse(localStorage.getItem(APPROVAL_POLICY_STORAGE_KEY)) || {};
+    } catch (error) {
+        warn(`Discarding unreadable ${APPROVAL_POLICY_STORAGE_KEY}:`, error);
+        return {};
+    }
+};
+
+const writeStore = (store) => {
+    localStorage.setItem(APPROVAL_POLICY_STORAGE_KEY, JSON.stringify(store));
+};
+
+/**
+ * @param {string} tokenAddress
+ * @returns {{policy: 'exact'|'buffer'|'unlimited', bufferPercent: number}} Policy for new approvals of the token
+ */
+export function getApprovalPolicy(tokenAddress) {
+    const stored = readStore()[getScope()]?.[tokenAddress.toLowerCase()];
+    return stored && APPROVAL_POLICIES[stored.policy]
+        ? { ...DEFAULT_APPROVAL_POLICY, ...stored }
+        : { ...DEFAULT_APPROVAL_POLICY };
+}
+
+/**
+ * @param {string} tokenAddress
+ * @param {'exact'|'buffer'|'unlimited'} policy
+ * @param {number} [bufferPercent] - Extra allowance for the buffer policy
+ * @throws {Error} If the policy or buffer is invalid
+ */
+export function setApprovalPolicy(tokenAddress, policy, bufferPercent = DEFAULT_APPROVAL_POLICY.bufferPercent) {
+    if (!APPROVAL_POLICIES[policy]) {
+        throw new Error(`Unknown approval policy: ${policy}`);
+    }
+    if (!Number.isInteger(bufferPercent) || bufferPercent < 1 || bufferPercent > MAX_BUFFER_PERCENT) {
+        throw new Error(`Use a buffer between 1% and ${MAX_BUFFER_PERCENT}%`);
+    }
+
+    const store = readStore();
+    const scope = getScope();
+    const policies = store[scope] || {};
+    const address = tokenAddress.toLowerCase();
+    if (policy === DEFAULT_APPROVAL_POLICY.policy) {
+        delete policies[address];
+    } else {
+        policies[address] = { policy, bufferPercent };
+    }
+    store[scope] = policies;
+    writeStore(store);
+    debug('Approval policy updated:', { token: address, policy, bufferPercent });
+}
+
+/**
+ * Allowance to approve for a token under its policy
+ * @param {string} tokenAddress
+ * @param {ethers.BigNumber} requiredAmount - Amount the transaction needs
+ * @returns {ethers.BigNumber}
+ */
+export function getApprovalAmount(tokenAddress, requiredAmount) {
+    const { policy, bufferPercent } = getApprovalPolicy(tokenAddress);
+    if (policy === 'unlimited') {
+        return ethers.constants.MaxUint256;
+    }
+    if (policy === 'buffer') {
+        return ethers.BigNumber.from(requiredAmount).mul(100 + bufferPercent).div(100);
+    }
+    return ethers.BigNumber.from(requiredAmount);
+}
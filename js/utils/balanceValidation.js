@@ -2,6 +2,7 @@ import { ethers } from 'ethers';
 import { contractService } from '../services/ContractService.js';
 import { getTokenBalanceInfo as getTokenBalanceInfoFromTokens } from './contractTokens.js';
 import { createLogger } from '../services/LogService.js';
+import { formatAmount, isPositiveAmount, parseAmount } from './fixedPoint.js';
 
 // Initialize logger
 const logger = createLogger('BALANCE_VALIDATION');
@@ -25,7 +26,7 @@ export async function validateSellBalance(tokenAddress, sellAmount, decimals = 1
             throw new Error('Invalid token address');
         }
         
-        if (!sellAmount || isNaN(sellAmount) || parseFloat(sellAmount) <= 0) {
+        if (!isPositiveAmount(sellAmount, decimals)) {
             throw new Error('Invalid sell amount');
         }
         
@@ -45,14 +46,17 @@ export async function validateSellBalance(tokenAddress, sellAmount, decimals = 1
         const info = await getTokenBalanceInfoFromTokens(tokenAddress);
         const tokenDecimals = info.decimals ?? 18;
         const symbol = info.symbol ?? 'N/A';
-        const rawBalance = ethers.utils.parseUnits(info.balance ?? '0', tokenDecimals);
+        const rawBalance = parseAmount(info.balance ?? '0', tokenDecimals) ?? ethers.BigNumber.from(0);
 
         // Convert sell amount to wei for comparison
-        const sellAmountWei = ethers.utils.parseUnits(sellAmount, tokenDecimals);
+        const sellAmountWei = parseAmount(sellAmount, tokenDecimals);
+        if (!sellAmountWei) {
+            throw new Error(`Sell amount has more than ${tokenDecimals} decimal places`);
+        }
         
         // Format values for display
-        const formattedBalance = ethers.utils.formatUnits(rawBalance, tokenDecimals);
-        const formattedRequired = ethers.utils.formatUnits(sellAmountWei, tokenDecimals);
+        const formattedBalance = formatAmount(rawBalance, tokenDecimals);
+        const formattedRequired = formatAmount(sellAmountWei, tokenDecimals);
 
         const hasSufficientBalance = rawBalance.gte(sellAmountWei);
 
@@ -0,0 +1,46 @@
+import { ethers } from 'ethers';
+import { abi as CONTRACT_ABI } from '../abi/OTCSwap.js';
+import { createLogger } from '../services/LogService.js';
+
+// Initialize logger
+const logger = createLogger('CONTRACT_FEATURES');
+const warn = logger.warn.bind(logger);
+
+const contractInterface = new ethers.utils.Interface(CONTRACT_ABI);
+const contractCode = new Map(); // chainId:contract -> Promise<string|null>
+
+/**
+ * Whether the deployed contract has a function from the current ABI.
+ * Older deployments lack later entry points, so look for the function
+ * selector in the contract's bytecode.
+ * @param {ethers.providers.Provider} provider
+ * @param {string} contractAddress
+ * @param {string} functionName - Function name in the OTCSwap ABI
+ * @returns {Promise<boolean>}
+ */
+export async function contractHasFunction(provider, contractAddress, functionName) {
+    const { chainId } = await provider.getNetwork();
+    const key = `${chainId}:${contractAddress.toLowerCase()}`;
+    if (!contractCode.has(key)) {
+        contractCode.set(key, provider.getCode(contractAddress)
+            .then(code => code.toLowerCase())
+            .catch(error => {
+                warn('Could not read contract code:', error);
+                contractCode.delete(key);
+                return null;
+            }));
+    }
+
+    const code = await contractCode.get(key);
+    return !!code && code.includes(contractInterface.getSighash(functionName).slice(2));
+}
+
+/**
+ * Whether the deployed contract can fill part of an order
+ * @param {ethers.providers.Provider} provider
+ * @param {string} contractAddress
+ * @returns {Promise<boolean>}
+ */
+export function contractSupportsPartialFill(provider, contractAddress) {
+    return contractHasFunction(provider, contractAddress, 'fillOrderPartial');
+}
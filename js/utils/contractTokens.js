@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import { getNetworkConfig } from '../config.js';
 import { contractService } from '../services/ContractService.js';
+import { providerPool } from '../services/ProviderPool.js';
 import { createLogger } from '../services/LogService.js';
 import { tokenIconService } from '../services/TokenIconService.js';
 import { tryAggregate as multicallTryAggregate } from '../services/MulticallService.js';
@@ -256,7 +257,19 @@ async function getTokenMetadata(tokenAddress) {
             return knownToken;
         }
 
-        const provider = contractService.getProvider();
+        // Per-call fallback when multicall is unavailable or undecodable
+        const readMetadataDirect = () => providerPool.execute(provider => {
+            const tokenContract = new ethers.Contract(tokenAddress, [
+                'function symbol() view returns (string)',
+                'function name() view returns (string)',
+                'function decimals() view returns (uint8)'
+            ], provider);
+            return Promise.all([
+                tokenContract.symbol(),
+                tokenContract.name(),
+                tokenContract.decimals()
+            ]);
+        });
 
         // Prepare multicall for symbol, name, decimals
         const iface = new ethers.utils.Interface([
@@ -279,28 +292,10 @@ async function getTokenMetadata(tokenAddress) {
                 name = iface.decodeFunctionResult('name', mcResult[1].returnData)[0];
                 decimals = iface.decodeFunctionResult('decimals', mcResult[2].returnData)[0];
             } catch (_) {
-                const tokenContract = new ethers.Contract(tokenAddress, [
-                    'function symbol() view returns (string)',
-                    'function name() view returns (string)',
-                    'function decimals() view returns (uint8)'
-                ], provider);
-                [symbol, name, decimals] = await Promise.all([
-                    tokenContract.symbol(),
-                    tokenContract.name(),
-                    tokenContract.decimals()
-                ]);
+                [symbol, name, decimals] = await readMetadataDirect();
             }
         } else {
-            const tokenContract = new ethers.Contract(tokenAddress, [
-                'function symbol() view returns (string)',
-                'function name() view returns (string)',
-                'function decimals() view returns (uint8)'
-            ], provider);
-            [symbol, name, decimals] = await Promise.all([
-            tokenContract.symbol(),
-            tokenContract.name(),
-            tokenContract.decimals()
-        ]);
+            [symbol, name, decimals] = await readMetadataDirect();
         }
 
         const metadata = {
@@ -361,7 +356,17 @@ async function getUserTokenBalance(tokenAddress) {
             return cached.value;
         }
         
-        const provider = contractService.getProvider();
+        // Per-call fallback when multicall is unavailable or undecodable
+        const readBalanceDirect = () => providerPool.execute(provider => {
+            const tokenContract = new ethers.Contract(tokenAddress, [
+                'function balanceOf(address) view returns (uint256)',
+                'function decimals() view returns (uint8)'
+            ], provider);
+            return Promise.all([
+                tokenContract.balanceOf(userAddress),
+                tokenContract.decimals()
+            ]);
+        });
 
         // First, try multicall for decimals and balanceOf
         const iface = new ethers.utils.Interface([
@@ -379,24 +384,10 @@ async function getUserTokenBalance(tokenAddress) {
                 rawBalance = iface.decodeFunctionResult('balanceOf', mcResult[0].returnData)[0];
                 decimals = iface.decodeFunctionResult('decimals', mcResult[1].returnData)[0];
             } catch (_) {
-                const tokenContract = new ethers.Contract(tokenAddress, [
-                    'function balanceOf(address) view returns (uint256)',
-                    'function decimals() view returns (uint8)'
-                ], provider);
-                [rawBalance, decimals] = await Promise.all([
-                    tokenContract.balanceOf(userAddress),
-                    tokenContract.decimals()
-                ]);
+                [rawBalance, decimals] = await readBalanceDirect();
             }
         } else {
-            const tokenContract = new ethers.Contract(tokenAddress, [
-                'function balanceOf(address) view returns (uint256)',
-                'function decimals() view returns (uint8)'
-            ], provider);
-            [rawBalance, decimals] = await Promise.all([
-            tokenContract.balanceOf(userAddress),
-            tokenContract.decimals()
-        ]);
+            [rawBalance, decimals] = await readBalanceDirect();
         }
 
         const balance = ethers.utils.formatUnits(rawBalance, decimals);
@@ -0,0 +1,89 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig } from '../config.js';
+import { routerService } from '../services/RouterService.js';
+
+// Tab that opens deal links
+const DEAL_TAB = 'create-order';
+
+// Plain decimal amounts in token units, e.g. 1500 or 0.25
+const AMOUNT_PATTERN = /^(?:\d+\.?\d*|\.\d+)$/;
+// Decimal chain ids, e.g. 137
+const CHAIN_ID_PATTERN = /^[1-9]\d*$/;
+
+/**
+ * @param {Object} params - Route params
+ * @returns {boolean} Whether the params describe a deal
+ */
+export function isDealLink(params = {}) {
+    return Boolean(params.sell || params.buy);
+}
+
+/**
+ * Link that opens CreateOrder prefilled with the agreed terms
+ * @param {Object} deal
+ * @param {string} deal.sellToken - Address of the token the maker sells
+ * @param {string} deal.sellAmount - Sell amount in token units
+ * @param {string} deal.buyToken - Address of the token the maker buys
+ * @param {string} deal.buyAmount - Buy amount in token units
+ * @param {string} [deal.taker] - Counterparty address; omitted for public orders
+ * @returns {string} Absolute deal link
+ */
+export function getDealUrl({ sellToken, sellAmount, buyToken, buyAmount, taker }) {
+    const isPublic = !taker || taker === ethers.constants.AddressZero;
+    return routerService.getUrl({
+        tab: DEAL_TAB,
+        params: {
+            chain: parseInt(getNetworkConfig().chainId, 16),
+            sell: ethers.utils.getAddress(sellToken),
+            sellAmount,
+            buy: ethers.utils.getAddress(buyToken),
+            buyAmount,
+            taker: isPublic ? null : ethers.utils.getAddress(taker)
+        }
+    });
+}
+
+/**
+ * Read the terms from a deal link. Invalid values are left out and reported,
+ * so the form can still be prefilled with the rest. A link for another chain
+ * sets wrongChain: its addresses mean nothing on the selected network.
+ * @param {Object} params - Route params of a deal link
+ * @returns {{deal: Object, problems: Array<string>, wrongChain: boolean}} Terms, what was
+ *     wrong with the link and whether deal.chainId differs from the selected network
+ */
+export function parseDealParams(params) {
+    const deal = {};
+    const problems = [];
+
+    const readAddress = (key, field, label) => {
+        if (!params[key]) return;
+        if (ethers.utils.isAddress(params[key])) {
+            deal[field] = ethers.utils.getAddress(params[key]);
+        } else {
+            problems.push(`The ${label} address in the link is not valid`);
+        }
+    };
+    const readAmount = (key, label) => {
+        if (!params[key]) return;
+        if (AMOUNT_PATTERN.test(params[key])) {
+            deal[key] = params[key];
+        } else {
+            problems.push(`The ${label} amount in the link is not a number`);
+        }
+    };
+
+    readAddress('sell', 'sellToken', 'sell token');
+    readAddress('buy', 'buyToken', 'buy token');
+    readAddress('taker', 'taker', 'taker');
+    readAmount('sellAmount', 'sell');
+    readAmount('buyAmount', 'buy');
+
+    if (params.chain && !CHAIN_ID_PATTERN.test(params.chain)) {
+        problems.push('The chain in the link is not valid');
+    } else if (params.chain) {
+        deal.chainId = Number(params.chain);
+    }
+    const wrongChain = deal.chainId !== undefined && deal.chainId !== parseInt(getNetworkConfig().chainId, 16);
+
+    return { deal, problems, wrongChain };
+}
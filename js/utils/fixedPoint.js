@@ -0,0 +1,168 @@
+import { ethers } from 'ethers';
+
+// USD prices and values are carried as BigNumbers with this many decimals
+export const USD_DECIMALS = 18;
+
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Parse a decimal string (e.g. user input) into token base units.
+ * Unlike ethers.utils.parseUnits this never throws: input that is not a plain
+ * non-negative decimal, or that has more fractional digits than the token
+ * supports, returns null.
+ * @param {string|number} value - Decimal amount
+ * @param {number} decimals - Token decimals
+ * @returns {ethers.BigNumber|null} Amount in base units
+ */
+export function parseAmount(value, decimals) {
+    const text = String(value ?? '').trim();
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match || text === '' || text === '.') return null;
+
+    const fraction = match[2] || '';
+    if (fraction.length > decimals) return null;
+    return ethers.utils.parseUnits(`${match[1] || '0'}.${fraction || '0'}`, decimals);
+}
+
+/**
+ * @param {string|number} value - Decimal amount
+ * @param {number} decimals - Token decimals
+ * @returns {boolean} True if the value parses to an amount greater than zero
+ */
+export function isPositiveAmount(value, decimals) {
+    return parseAmount(value, decimals)?.gt(0) ?? false;
+}
+
+/**
+ * Convert a floating point USD price into a USD_DECIMALS fixed-point value
+ * @param {number} price - USD price
+ * @returns {ethers.BigNumber}
+ */
+export function toFixedPrice(price) {
+    // Keep the 15 significant digits a double holds exactly; toFixed would carry
+    // its binary error into the value (0.1 -> 0.100000000000000006)
+    const [mantissa, exponent] = Number(price).toExponential(14).split('e');
+    const digits = ethers.BigNumber.from(mantissa.replace('.', ''));
+    const shift = USD_DECIMALS - 14 + Number(exponent);
+    const scale = ethers.BigNumber.from(10).pow(Math.abs(shift));
+    return shift >= 0 ? digits.mul(scale) : digits.div(scale);
+}
+
+/**
+ * USD value of a token amount
+ * @param {ethers.BigNumber|string} amount - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @param {number} usdPrice - USD price of one whole token
+ * @returns {ethers.BigNumber} USD value with USD_DECIMALS decimals
+ */
+export function getUsdValue(amount, decimals, usdPrice) {
+    return ethers.BigNumber.from(amount)
+        .mul(toFixedPrice(usdPrice))
+        .div(ethers.BigNumber.from(10).pow(decimals));
+}
+
+/**
+ * Token amount worth a USD value; the inverse of getUsdValue
+ * @param {ethers.BigNumber|string} usdValue - USD value with USD_DECIMALS decimals
+ * @param {number} decimals - Token decimals
+ * @param {number} usdPrice - USD price of one whole token
+ * @returns {ethers.BigNumber} Amount in base units, rounded down
+ */
+export function getAmountForUsdValue(usdValue, decimals, usdPrice) {
+    return ethers.BigNumber.from(usdValue)
+        .mul(ethers.BigNumber.from(10).pow(decimals))
+        .div(toFixedPrice(usdPrice));
+}
+
+/**
+ * Convert an amount of one token into another at a fixed-point rate
+ * @param {ethers.BigNumber|string} amount - Amount in base units of the source token
+ * @param {number} fromDecimals - Source token decimals
+ * @param {ethers.BigNumber} rate - Whole target tokens per whole source token, with USD_DECIMALS decimals
+ * @param {number} toDecimals - Target token decimals
+ * @returns {ethers.BigNumber} Amount in base units of the target token, rounded down
+ */
+export function convertAmount(amount, fromDecimals, rate, toDecimals) {
+    return ethers.BigNumber.from(amount)
+        .mul(rate)
+        .mul(ethers.BigNumber.from(10).pow(toDecimals))
+        .div(ethers.BigNumber.from(10).pow(fromDecimals + USD_DECIMALS));
+}
+
+/**
+ * Ratio of two fixed-point values with the same decimals
+ * @param {ethers.BigNumber} numerator
+ * @param {ethers.BigNumber} denominator
+ * @returns {number|null} Ratio, or null when the denominator is zero
+ */
+export function ratio(numerator, denominator) {
+    if (ethers.BigNumber.from(denominator).isZero()) return null;
+    const scaled = ethers.BigNumber.from(numerator)
+        .mul(ethers.BigNumber.from(10).pow(USD_DECIMALS))
+        .div(denominator);
+    return Number(ethers.utils.formatUnits(scaled, USD_DECIMALS));
+}
+
+/**
+ * Deal ratio of an order from the maker's side: USD value of what the maker
+ * asks for over the USD value of what they sell
+ * @param {Object} amounts - { sellAmount, sellDecimals, sellPrice, buyAmount, buyDecimals, buyPrice }
+ * @returns {number|null} Deal ratio, or null if the sell side has no value
+ */
+export function getDealRatio({ sellAmount, sellDecimals, sellPrice, buyAmount, buyDecimals, buyPrice }) {
+    return ratio(
+        getUsdValue(buyAmount, buyDecimals, buyPrice),
+        getUsdValue(sellAmount, sellDecimals, sellPrice)
+    );
+}
+
+/**
+ * Format a fixed-point value with exactly `digits` fractional digits, rounding half up
+ * @param {ethers.BigNumber|string} value - Fixed-point value
+ * @param {number} decimals - Decimals of the value
+ * @param {number} digits - Fractional digits to show
+ * @returns {string}
+ */
+export function formatFixed(value, decimals, digits) {
+    let amount = ethers.BigNumber.from(value);
+    if (digits < decimals) {
+        const unit = ethers.BigNumber.from(10).pow(decimals - digits);
+        amount = amount.add(unit.div(2)).div(unit).mul(unit);
+    }
+    const [whole, fraction = ''] = ethers.utils.formatUnits(amount, decimals).split('.');
+    if (digits === 0) return whole;
+    return `${whole}.${fraction.padEnd(digits, '0').slice(0, digits)}`;
+}
+
+/**
+ * Format a token amount for display, trimmed to at most `maxDigits` fractional digits
+ * @param {ethers.BigNumber|string} amount - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @param {number} [maxDigits] - Fractional digits to keep (rounded half up)
+ * @returns {string}
+ */
+export function formatAmount(amount, decimals, maxDigits = decimals) {
+    const text = formatFixed(amount, decimals, Math.min(maxDigits, decimals));
+    return text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+}
+
+/**
+ * Format a USD value the way order tables show them: whole dollars from
+ * $100, cents from $1 and four decimals below that
+ * @param {ethers.BigNumber} value - USD value with USD_DECIMALS decimals
+ * @returns {string}
+ */
+export function formatUsdValue(value) {
+    const one = ethers.BigNumber.from(10).pow(USD_DECIMALS);
+    const digits = value.gte(one.mul(100)) ? 0 : value.gte(one) ? 2 : 4;
+    return `$${formatFixed(value, USD_DECIMALS, digits)}`;
+}
+
+/**
+ * @param {ethers.BigNumber|string} amount - Fixed-point value
+ * @param {number} decimals - Decimals of the value
+ * @returns {number} Approximate value for charts and sorting
+ */
+export function toNumber(amount, decimals) {
+    return Number(ethers.utils.formatUnits(amount, decimals));
+}
@@ -0,0 +1,81 @@
+import { getNetworkConfig } from '../config.js';
+import { createLogger } from '../services/LogService.js';
+
+// Initialize logger
+const logger = createLogger('ORDER_AMENDMENT');
+const debug = logger.debug.bind(logger);
+const warn = logger.warn.bind(logger);
+
+// localStorage keys; both hold one entry per chain + contract
+const AMENDMENT_LINKS_STORAGE_KEY = 'order_amendment_links';
+const PENDING_AMENDMENT_STORAGE_KEY = 'pending_order_amendment';
+
+const getScope = () => {
+    const config = getNetworkConfig();
+    return `${parseInt(config.chainId, 16)}:${config.contractAddress.toLowerCase()}`;
+};
+
+const readStore = (key) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+        warn(`Discarding unreadable ${key}:`, error);
+        return {};
+    }
+};
+
+const writeStore = (key, store) => {
+    localStorage.setItem(key, JSON.stringify(store));
+};
+
+/**
+ * Remember that an order was replaced through cancel-and-replace
+ * @param {number} oldOrderId - Canceled order
+ * @param {number} newOrderId - Replacement order
+ */
+export function recordAmendment(oldOrderId, newOrderId) {
+    const store = readStore(AMENDMENT_LINKS_STORAGE_KEY);
+    const scope = getScope();
+    store[scope] = { ...(store[scope] || {}), [oldOrderId]: newOrderId };
+    writeStore(AMENDMENT_LINKS_STORAGE_KEY, store);
+    debug(`Recorded amendment ${oldOrderId} -> ${newOrderId}`);
+}
+
+/**
+ * Look up the orders linked to an order by amendments
+ * @param {number} orderId - Order ID
+ * @returns {{replaces: number|null, replacedBy: number|null}}
+ */
+export function getAmendmentLinks(orderId) {
+    const links = readStore(AMENDMENT_LINKS_STORAGE_KEY)[getScope()] || {};
+    const id = Number(orderId);
+    const replaces = Object.keys(links).find(oldOrderId => Number(links[oldOrderId]) === id);
+    return {
+        replaces: replaces !== undefined ? Number(replaces) : null,
+        replacedBy: links[id] !== undefined ? Number(links[id]) : null
+    };
+}
+
+/**
+ * Persist an amendment whose cancel step has completed, so the replacement
+ * can still be created after a failure or page reload
+ * @param {Object} amendment - Old order ID and the replacement order's form values
+ */
+export function savePendingAmendment(amendment) {
+    const store = readStore(PENDING_AMENDMENT_STORAGE_KEY);
+    store[getScope()] = amendment;
+    writeStore(PENDING_AMENDMENT_STORAGE_KEY, store);
+}
+
+/**
+ * @returns {Object|null} Amendment waiting for its replacement order, if any
+ */
+export function loadPendingAmendment() {
+    return readStore(PENDING_AMENDMENT_STORAGE_KEY)[getScope()] || null;
+}
+
+export function clearPendingAmendment() {
+    const store = readStore(PENDING_AMENDMENT_STORAGE_KEY);
+    delete store[getScope()];
+    writeStore(PENDING_AMENDMENT_STORAGE_KEY, store);
+}
@@ -0,0 +1,244 @@
+import { ethers } from 'ethers';
+import { toNumber } from './fixedPoint.js';
+
+// Prices within this many significant digits share a depth level
+const PRICE_LEVEL_SIGNIFICANT_DIGITS = 6;
+
+/**
+ * Buy amount a taker pays for part of an order. Mirrors OTCSwap._fillOrder,
+ * which rounds up so the maker never receives less than the order's rate.
+ * @param {Object} order - Order with sellAmount and buyAmount in base units
+ * @param {ethers.BigNumber|string} sellAmountToFill - Sell token amount to take, in base units
+ * @returns {ethers.BigNumber} Buy token amount the taker pays
+ */
+export function getProRataBuyAmount(order, sellAmountToFill) {
+    const sellAmount = ethers.BigNumber.from(order.sellAmount);
+    const buyAmount = ethers.BigNumber.from(order.buyAmount);
+    const fillAmount = ethers.BigNumber.from(sellAmountToFill);
+
+    if (fillAmount.eq(sellAmount)) {
+        return buyAmount;
+    }
+    return fillAmount.mul(buyAmount).add(sellAmount).sub(1).div(sellAmount);
+}
+
+/**
+ * Check a partial fill amount against the same rules the contract enforces
+ * @param {Object} order - Order with sellAmount and buyAmount in base units
+ * @param {ethers.BigNumber|string} sellAmountToFill - Sell token amount to take, in base units
+ * @returns {string|null} Reason the amount is rejected, or null if it is valid
+ */
+export function validatePartialFill(order, sellAmountToFill) {
+    const sellAmount = ethers.BigNumber.from(order.sellAmount);
+    const fillAmount = ethers.BigNumber.from(sellAmountToFill);
+
+    if (fillAmount.lte(0)) {
+        return 'Enter an amount greater than zero';
+    }
+    if (fillAmount.gt(sellAmount)) {
+        return 'Amount exceeds the remaining order size';
+    }
+    if (fillAmount.lt(sellAmount) &&
+        ethers.BigNumber.from(order.buyAmount).sub(getProRataBuyAmount(order, fillAmount)).isZero()) {
+        return 'Amount would leave an unfillable remainder';
+    }
+    return null;
+}
+
+/**
+ * Aggregate active orders for a token pair into price levels.
+ *
+ * Asks are orders selling the base token for the quote token, bids are orders
+ * selling the quote token for the base token. Prices are quote per base in
+ * decimal units. Levels are ordered best-first for a taker: cheapest asks and
+ * highest bids.
+ * @param {Array<Object>} orders - Active orders from the WebSocket order cache
+ * @param {Object} pair - { baseToken, quoteToken, baseDecimals, quoteDecimals }
+ * @returns {{asks: Array<Object>, bids: Array<Object>}} Depth levels per side
+ */
+export function buildDepthLevels(orders, { baseToken, quoteToken, baseDecimals, quoteDecimals }) {
+    const base = baseToken.toLowerCase();
+    const quote = quoteToken.toLowerCase();
+    const asks = new Map();
+    const bids = new Map();
+
+    for (const order of orders) {
+        const sellToken = order.sellToken?.toLowerCase();
+        const buyToken = order.buyToken?.toLowerCase();
+        let levels;
+        let baseAmount;
+        let quoteAmount;
+
+        if (sellToken === base && buyToken === quote) {
+            levels = asks;
+            baseAmount = Number(ethers.utils.formatUnits(order.sellAmount, baseDecimals));
+            quoteAmount = Number(ethers.utils.formatUnits(order.buyAmount, quoteDecimals));
+        } else if (sellToken === quote && buyToken === base) {
+            levels = bids;
+            baseAmount = Number(ethers.utils.formatUnits(order.buyAmount, baseDecimals));
+            quoteAmount = Number(ethers.utils.formatUnits(order.sellAmount, quoteDecimals));
+        } else {
+            continue;
+        }
+        if (!(baseAmount > 0)) continue;
+
+        const price = Number((quoteAmount / baseAmount).toPrecision(PRICE_LEVEL_SIGNIFICANT_DIGITS));
+        const level = levels.get(price) || {
+            price,
+            baseAmount: 0,
+            quoteAmount: 0,
+            orderCount: 0,
+            dealWeight: 0,
+            dealSum: 0
+        };
+        level.baseAmount += baseAmount;
+        level.quoteAmount += quoteAmount;
+        level.orderCount++;
+
+        // dealMetrics.deal is from the maker's side; takers see the inverse
+        if (order.dealMetrics?.deal > 0) {
+            level.dealSum += (1 / order.dealMetrics.deal) * baseAmount;
+            level.dealWeight += baseAmount;
+        }
+        levels.set(price, level);
+    }
+
+    const finalize = (levels, compare) => {
+        let cumulativeBase = 0;
+        let cumulativeQuote = 0;
+        return Array.from(levels.values())
+            .sort(compare)
+            .map(({ dealSum, dealWeight, ...level }) => {
+                cumulativeBase += level.baseAmount;
+                cumulativeQuote += level.quoteAmount;
+                return {
+                    ...level,
+                    cumulativeBase,
+                    cumulativeQuote,
+                    averageDeal: dealWeight > 0 ? dealSum / dealWeight : null
+                };
+            });
+    };
+
+    return {
+        asks: finalize(asks, (a, b) => a.price - b.price),
+        bids: finalize(bids, (a, b) => b.price - a.price)
+    };
+}
+
+/**
+ * Turn executed fills for a token pair into price points. Prices are quote per
+ * base in decimal units, like buildDepthLevels. A fill of an ask (an order
+ * selling the base token) is a taker buy, a fill of a bid is a taker sell.
+ * @param {Array<Object>} trades - Fills from OrderHistoryService.getPairTrades
+ * @param {Object} pair - { baseToken, quoteToken, baseDecimals, quoteDecimals }
+ * @returns {Array<Object>} { timestamp, price, baseAmount, quoteAmount, side, orderId, txHash }, oldest first
+ */
+export function buildTradeSeries(trades, { baseToken, quoteToken, baseDecimals, quoteDecimals }) {
+    const base = baseToken.toLowerCase();
+    const quote = quoteToken.toLowerCase();
+    const points = [];
+
+    for (const trade of trades) {
+        const sellToken = trade.sellToken?.toLowerCase();
+        const buyToken = trade.buyToken?.toLowerCase();
+        const isAsk = sellToken === base && buyToken === quote;
+        if (!isAsk && !(sellToken === quote && buyToken === base)) continue;
+
+        const baseAmount = toNumber(isAsk ? trade.sellAmount : trade.buyAmount, baseDecimals);
+        const quoteAmount = toNumber(isAsk ? trade.buyAmount : trade.sellAmount, quoteDecimals);
+        if (!(baseAmount > 0) || !trade.timestamp) continue;
+
+        points.push({
+            timestamp: trade.timestamp,
+            price: quoteAmount / baseAmount,
+            baseAmount,
+            quoteAmount,
+            side: isAsk ? 'buy' : 'sell',
+            orderId: trade.orderId,
+            txHash: trade.txHash
+        });
+    }
+
+    return points.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Pick the cheapest orders that add up to a target amount. Orders are ranked
+ * by what the taker pays per unit received (buyAmount / sellAmount) and taken
+ * whole; the last one is filled partially when it is larger than what remains.
+ * Without partial fills, orders larger than what remains are passed over.
+ * @param {Array<Object>} orders - Fillable orders that all sell the same token for the same token
+ * @param {ethers.BigNumber|string} targetAmount - Target in base units
+ * @param {'receive'|'pay'} targetSide - Whether the target is the amount received
+ *   (orders' sell token) or the amount paid (orders' buy token)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPartial=true] - Whether the contract can fill part of an order
+ * @returns {{fills: Array<Object>, totalSellAmount: ethers.BigNumber, totalBuyAmount: ethers.BigNumber, complete: boolean}}
+ */
+export function planBestExecution(orders, targetAmount, targetSide = 'receive', { allowPartial = true } = {}) {
+    const ranked = [...orders].sort((a, b) => {
+        // a.buy / a.sell vs b.buy / b.sell without losing precision
+        const left = ethers.BigNumber.from(a.buyAmount).mul(b.sellAmount);
+        const right = ethers.BigNumber.from(b.buyAmount).mul(a.sellAmount);
+        if (left.eq(right)) return a.id - b.id;
+        return left.lt(right) ? -1 : 1;
+    });
+
+    const fills = [];
+    let remaining = ethers.BigNumber.from(targetAmount);
+    let totalSellAmount = ethers.BigNumber.from(0);
+    let totalBuyAmount = ethers.BigNumber.from(0);
+
+    for (const order of ranked) {
+        if (remaining.lte(0)) break;
+
+        const sellAmount = ethers.BigNumber.from(order.sellAmount);
+        const buyAmount = ethers.BigNumber.from(order.buyAmount);
+        const capacity = targetSide === 'receive' ? sellAmount : buyAmount;
+
+        let sellAmountToFill = sellAmount;
+        if (remaining.lt(capacity)) {
+            if (!allowPartial) continue;
+            sellAmountToFill = targetSide === 'receive'
+                ? remaining
+                : remaining.mul(sellAmount).div(buyAmount);
+            if (validatePartialFill(order, sellAmountToFill)) continue;
+        }
+
+        const buyAmountToPay = getProRataBuyAmount(order, sellAmountToFill);
+        fills.push({
+            order,
+            sellAmountToFill,
+            buyAmountToPay,
+            partial: sellAmountToFill.lt(sellAmount)
+        });
+        totalSellAmount = totalSellAmount.add(sellAmountToFill);
+        totalBuyAmount = totalBuyAmount.add(buyAmountToPay);
+        remaining = remaining.sub(targetSide === 'receive' ? sellAmountToFill : buyAmountToPay);
+    }
+
+    return {
+        fills,
+        totalSellAmount,
+        totalBuyAmount,
+        // Paying an exact amount can leave rounding dust after the partial fill
+        complete: remaining.lte(0) || fills.some(fill => fill.partial)
+    };
+}
+
+/**
+ * Whether a re-planned route is worse for the taker than the one they
+ * confirmed: it pays more in total, or more per unit received
+ * @param {Object} plan - From planBestExecution
+ * @param {Object} confirmedPlan - From planBestExecution, as shown to the user
+ * @returns {boolean}
+ */
+export function exceedsConfirmedPlan(plan, confirmedPlan) {
+    if (plan.totalBuyAmount.gt(confirmedPlan.totalBuyAmount)) {
+        return true;
+    }
+    // plan.buy / plan.sell > confirmed.buy / confirmed.sell without losing precision
+    return plan.totalBuyAmount.mul(confirmedPlan.totalSellAmount)
+        .gt(confirmedPlan.totalBuyAmount.mul(plan.totalSellAmount));
+}
@@ -0,0 +1,151 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig } from '../config.js';
+import { createLogger } from '../services/LogService.js';
+import { addressBookService } from '../services/AddressBookService.js';
+import { formatUsdValue, getUsdValue } from './fixedPoint.js';
+
+// Initialize logger
+const logger = createLogger('ORDER_EXPORT');
+const debug = logger.debug.bind(logger);
+
+// Column order for CSV output; JSON rows use the same keys
+const EXPORT_COLUMNS = [
+    'orderId',
+    'status',
+    'maker',
+    'makerLabel',
+    'taker',
+    'takerLabel',
+    'sellTokenSymbol',
+    'sellToken',
+    'sellAmountRaw',
+    'sellAmount',
+    'sellTokenUsdPrice',
+    'sellValueUsd',
+    'buyTokenSymbol',
+    'buyToken',
+    'buyAmountRaw',
+    'buyAmount',
+    'buyTokenUsdPrice',
+    'buyValueUsd',
+    'deal',
+    'createdAt',
+    'expiresAt',
+    'graceEndsAt',
+    'tries',
+    'makerExplorerUrl',
+    'sellTokenExplorerUrl',
+    'buyTokenExplorerUrl'
+];
+
+const toIsoTime = (seconds) => (
+    typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : ''
+);
+
+/**
+ * Build flat export rows for a set of orders. Amounts are exported both raw
+ * (base units) and formatted with the token's decimals; USD values use the
+ * current PricingService prices, formatted as in the order tables, and are
+ * left empty when no price is known.
+ * @param {Array<Object>} orders - Orders from the WebSocket order cache
+ * @returns {Promise<Array<Object>>} Export rows keyed by EXPORT_COLUMNS
+ */
+export async function buildOrderExportRows(orders) {
+    const explorer = getNetworkConfig()?.explorer;
+    const explorerLink = (address) => (
+        explorer && address ? `${explorer}/address/${ethers.utils.getAddress(address)}` : ''
+    );
+
+    const usdValue = (amount, decimals, price) => (
+        price !== undefined ? formatUsdValue(getUsdValue(amount, decimals, price)) : ''
+    );
+
+    const rows = [];
+    for (const order of orders) {
+        const sellTokenInfo = await window.webSocket.getTokenInfo(order.sellToken);
+        const buyTokenInfo = await window.webSocket.getTokenInfo(order.buyToken);
+        const sellAmount = ethers.utils.formatUnits(order.sellAmount, sellTokenInfo.decimals);
+        const buyAmount = ethers.utils.formatUnits(order.buyAmount, buyTokenInfo.decimals);
+        const sellPrice = window.pricingService?.getPrice(order.sellToken);
+        const buyPrice = window.pricingService?.getPrice(order.buyToken);
+
+        rows.push({
+            orderId: order.id,
+            status: window.webSocket.getOrderStatus(order),
+            maker: order.maker,
+            makerLabel: addressBookService.getLabel(order.maker) ?? '',
+            taker: order.taker,
+            takerLabel: addressBookService.getLabel(order.taker) ?? '',
+            sellTokenSymbol: sellTokenInfo.symbol,
+            sellToken: order.sellToken,
+            sellAmountRaw: order.sellAmount.toString(),
+            sellAmount,
+            sellTokenUsdPrice: sellPrice ?? '',
+            sellValueUsd: usdValue(order.sellAmount, sellTokenInfo.decimals, sellPrice),
+            buyTokenSymbol: buyTokenInfo.symbol,
+            buyToken: order.buyToken,
+            buyAmountRaw: order.buyAmount.toString(),
+            buyAmount,
+            buyTokenUsdPrice: buyPrice ?? '',
+            buyValueUsd: usdValue(order.buyAmount, buyTokenInfo.decimals, buyPrice),
+            deal: order.dealMetrics?.deal ?? '',
+            createdAt: toIsoTime(order.timings?.createdAt),
+            expiresAt: toIsoTime(order.timings?.expiresAt),
+            graceEndsAt: toIsoTime(order.timings?.graceEndsAt),
+            tries: order.tries ?? 0,
+            makerExplorerUrl: explorerLink(order.maker),
+            sellTokenExplorerUrl: explorerLink(order.sellToken),
+            buyTokenExplorerUrl: explorerLink(order.buyToken)
+        });
+    }
+    return rows;
+}
+
+/**
+ * Serialize export rows as RFC 4180 CSV
+ * @param {Array<Object>} rows - Rows from buildOrderExportRows
+ * @returns {string} CSV text with a header line
+ */
+export function toCsv(rows) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        // Token symbols and address labels are free text; keep spreadsheets
+        // from running text that looks like a formula
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            return `"'${text.replace(/"/g, '""')}"`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [EXPORT_COLUMNS.join(',')];
+    rows.forEach(row => {
+        lines.push(EXPORT_COLUMNS.map(column => escape(row[column])).join(','));
+    });
+    return lines.join('\r\n');
+}
+
+/**
+ * Export orders and trigger a browser download
+ * @param {Array<Object>} orders - Orders to export, in display order
+ * @param {'csv'|'json'} format - Output format
+ * @param {string} filenamePrefix - Prefix for the downloaded file name
+ */
+export async function downloadOrders(orders, format, filenamePrefix = 'orders') {
+    const rows = await buildOrderExportRows(orders);
+    const content = format === 'json' ? JSON.stringify(rows, null, 2) : toCsv(rows);
+    const mimeType = format === 'json' ? 'application/json' : 'text/csv';
+
+    const chainId = parseInt(getNetworkConfig()?.chainId, 16);
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `${filenamePrefix}-${chainId}-${date}.${format}`;
+
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    debug('Exported orders:', { count: rows.length, format, filename });
+}
@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+import { getNetworkConfig, walletManager } from '../config.js';
+import { createLogger } from '../services/LogService.js';
+import { convertAmount, toFixedPrice, toNumber, USD_DECIMALS } from './fixedPoint.js';
+
+// Initialize logger
+const logger = createLogger('ORDER_LADDERS');
+const warn = logger.warn.bind(logger);
+
+// localStorage key; holds one ladder per chain + contract + maker account
+const PENDING_LADDER_STORAGE_KEY = 'pending_order_ladder';
+
+export const LADDER_MAX_TRANCHES = 20;
+export const LADDER_SHAPES = ['linear', 'geometric'];
+
+/**
+ * Split a sell amount into equally sized orders at stepped prices
+ * @param {Object} params
+ * @param {ethers.BigNumber} params.totalSellAmount - Total sell amount in base units
+ * @param {number} params.tranches - Number of orders
+ * @param {ethers.BigNumber} params.startPrice - Buy per sell price of the first order, USD_DECIMALS fixed-point
+ * @param {ethers.BigNumber} params.endPrice - Buy per sell price of the last order, USD_DECIMALS fixed-point
+ * @param {'linear'|'geometric'} params.shape - Equal price steps or equal price ratios
+ * @param {number} params.sellDecimals - Sell token decimals
+ * @param {number} params.buyDecimals - Buy token decimals
+ * @returns {Array<{sellAmount: ethers.BigNumber, buyAmount: ethers.BigNumber, price: ethers.BigNumber}>}
+ * @throws {Error} If the parameters can't produce valid orders
+ */
+export function buildLadder({ totalSellAmount, tranches, startPrice, endPrice, shape, sellDecimals, buyDecimals }) {
+    if (!Number.isInteger(tranches) || tranches < 2 || tranches > LADDER_MAX_TRANCHES) {
+        throw new Error(`Use between 2 and ${LADDER_MAX_TRANCHES} tranches`);
+    }
+    if (!LADDER_SHAPES.includes(shape)) {
+        throw new Error(`Unknown distribution: ${shape}`);
+    }
+    if (!startPrice?.gt(0) || !endPrice?.gt(0)) {
+        throw new Error('Enter start and end prices greater than zero');
+    }
+
+    const trancheSellAmount = totalSellAmount.div(tranches);
+    if (trancheSellAmount.isZero()) {
+        throw new Error('Total size is too small for this many tranches');
+    }
+
+    // Geometric ladders step by a constant ratio, which needs floating point
+    const startNumber = toNumber(startPrice, USD_DECIMALS);
+    const stepRatio = Math.pow(toNumber(endPrice, USD_DECIMALS) / startNumber, 1 / (tranches - 1));
+
+    return Array.from({ length: tranches }, (_, i) => {
+        const isLast = i === tranches - 1;
+        let price;
+        if (isLast) {
+            price = endPrice;
+        } else if (shape === 'linear') {
+            price = startPrice.add(endPrice.sub(startPrice).mul(i).div(tranches - 1));
+        } else {
+            price = toFixedPrice(startNumber * Math.pow(stepRatio, i));
+        }
+
+        // The last order takes the rounding remainder so the total is exact
+        const sellAmount = isLast
+            ? totalSellAmount.sub(trancheSellAmount.mul(tranches - 1))
+            : trancheSellAmount;
+        const buyAmount = convertAmount(sellAmount, sellDecimals, price, buyDecimals);
+        if (buyAmount.isZero()) {
+            throw new Error(`Tranche ${i + 1} would ask for nothing at this price`);
+        }
+        return { sellAmount, buyAmount, price };
+    });
+}
+
+/**
+ * @param {Array<{sellAmount: ethers.BigNumber|string}>} tranches
+ * @returns {ethers.BigNumber} Combined sell amount
+ */
+export function getLadderSellTotal(tranches) {
+    return tranches.reduce((sum, tranche) => sum.add(tranche.sellAmount), ethers.BigNumber.from(0));
+}
+
+// Tranches are signed by the maker, so another account must not resume them
+const getScope = () => {
+    const config = getNetworkConfig();
+    const account = walletManager.getAccount()?.toLowerCase() || 'none';
+    return `${parseInt(config.chainId, 16)}:${config.contractAddress.toLowerCase()}:${account}`;
+};
+
+const readStore = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_LADDER_STORAGE_KEY)) || {};
+    } catch (error) {
+        warn(`Discarding unreadable ${PENDING_LADDER_STORAGE_KEY}:`, error);
+        return {};
+    }
+};
+
+const writeStore = (store) => {
+    localStorage.setItem(PENDING_LADDER_STORAGE_KEY, JSON.stringify(store));
+};
+
+/**
+ * Persist a ladder that is being submitted, so it can be resumed after a
+ * failed order or a page reload. Amounts are stored as base unit strings.
+ * @param {Object} ladder - Tokens, taker and tranches with their status
+ */
+export function savePendingLadder(ladder) {
+    const store = readStore();
+    store[getScope()] = ladder;
+    writeStore(store);
+}
+
+/**
+ * @returns {Object|null} Ladder with orders still to create, if any
+ */
+export function loadPendingLadder() {
+    return readStore()[getScope()] || null;
+}
+
+export function clearPendingLadder() {
+    const store = readStore();
+    delete store[getScope()];
+    writeStore(store);
+}
@@ -0,0 +1,139 @@
+import { ethers } from 'ethers';
+import { createLogger } from '../services/LogService.js';
+import { contractHasFunction } from './contractFeatures.js';
+
+// Initialize logger
+const logger = createLogger('PERMIT');
+const debug = logger.debug.bind(logger);
+const warn = logger.warn.bind(logger);
+
+// How long a signed permit stays usable
+const PERMIT_VALIDITY_SECS = 20 * 60;
+
+const PERMIT_TOKEN_ABI = [
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function nonces(address owner) view returns (uint256)',
+    'function name() view returns (string)',
+    'function version() view returns (string)'
+];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// Passed for tokens that are approved some other way; the contract skips it
+export const EMPTY_PERMIT = Object.freeze({
+    value: 0,
+    deadline: 0,
+    v: 0,
+    r: ethers.constants.HashZero,
+    s: ethers.constants.HashZero
+});
+
+const tokenDomains = new Map(); // chainId:token -> Promise<Object|null>
+
+// A call the token rejects, as opposed to an RPC failure worth retrying
+const isCallException = (error) => error?.code === ethers.errors.CALL_EXCEPTION;
+
+/**
+ * Whether the deployed contract has the permit entry points; older
+ * deployments only take approvals
+ * @param {ethers.providers.Provider} provider
+ * @param {string} contractAddress
+ * @returns {Promise<boolean>}
+ */
+export function contractSupportsPermit(provider, contractAddress) {
+    return contractHasFunction(provider, contractAddress, 'createOrderWithPermit');
+}
+
+/**
+ * EIP-712 domain of a token's EIP-2612 permit. Tokens count as supporting
+ * permits when they expose DOMAIN_SEPARATOR and nonces, and the separator
+ * matches the domain built from name(), version() and the chain; otherwise
+ * a signature could not be verified and the token falls back to approve.
+ * @param {string} tokenAddress
+ * @param {string} owner - Account that will sign
+ * @param {ethers.providers.Provider} provider
+ * @returns {Promise<Object|null>} Domain, or null if the token has no usable permit
+ */
+export async function getPermitDomain(tokenAddress, owner, provider) {
+    const { chainId } = await provider.getNetwork();
+    const key = `${chainId}:${tokenAddress.toLowerCase()}`;
+    if (!tokenDomains.has(key)) {
+        tokenDomains.set(key, detectPermitDomain(tokenAddress, owner, provider, chainId)
+            .catch(error => {
+                warn('Could not check permit support:', error);
+                tokenDomains.delete(key);
+                return null;
+            }));
+    }
+    return tokenDomains.get(key);
+}
+
+async function detectPermitDomain(tokenAddress, owner, provider, chainId) {
+    const token = new ethers.Contract(tokenAddress, PERMIT_TOKEN_ABI, provider);
+    try {
+        const [separator, name] = await Promise.all([
+            token.DOMAIN_SEPARATOR(),
+            token.name(),
+            token.nonces(owner)
+        ]);
+        // version() is optional; OpenZeppelin tokens without it use "1"
+        const version = await token.version().catch(error => {
+            if (isCallException(error)) return '1';
+            throw error;
+        });
+        const domain = {
+            name,
+            version,
+            chainId,
+            verifyingContract: ethers.utils.getAddress(tokenAddress)
+        };
+
+        if (ethers.utils._TypedDataEncoder.hashDomain(domain) !== separator) {
+            debug(`Permit domain mismatch for ${tokenAddress}, using approvals`);
+            return null;
+        }
+        debug(`Token ${tokenAddress} supports permit:`, domain);
+        return domain;
+    } catch (error) {
+        if (!isCallException(error)) throw error;
+        debug(`Token ${tokenAddress} does not support permit`);
+        return null;
+    }
+}
+
+/**
+ * Sign an EIP-2612 permit letting `spender` pull `value` of a token
+ * @param {Object} params
+ * @param {ethers.Signer} params.signer - Token owner
+ * @param {Object} params.domain - Domain from getPermitDomain
+ * @param {string} params.spender - Contract that will use the permit
+ * @param {ethers.BigNumber} params.value - Allowance to grant, in base units
+ * @returns {Promise<{value: ethers.BigNumber, deadline: number, v: number, r: string, s: string}>}
+ *     Permit in the contract's PermitSignature layout
+ * @throws {Error} If the wallet rejects or can't sign typed data
+ */
+export async function signPermit({ signer, domain, spender, value }) {
+    const owner = await signer.getAddress();
+    const token = new ethers.Contract(domain.verifyingContract, PERMIT_TOKEN_ABI, signer.provider);
+    const nonce = await token.nonces(owner);
+    const deadline = Math.floor(Date.now() / 1000) + PERMIT_VALIDITY_SECS;
+
+    const signature = await signer._signTypedData(domain, PERMIT_TYPES, {
+        owner,
+        spender,
+        value,
+        nonce,
+        deadline
+    });
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    debug('Signed permit:', { token: domain.verifyingContract, value: value.toString(), deadline });
+    return { value, deadline, v, r, s };
+}
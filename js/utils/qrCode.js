@@ -0,0 +1,22 @@
+import { createLogger } from '../services/LogService.js';
+
+// Initialize logger
+const logger = createLogger('QR_CODE');
+const warn = logger.warn.bind(logger);
+
+/**
+ * Render text as a QR code image. The encoder is loaded on first use so
+ * the rest of the app doesn't depend on it.
+ * @param {string} text - Text to encode, e.g. a link
+ * @param {number} [size=192] - Image width and height in pixels
+ * @returns {Promise<string|null>} PNG data URL, or null if the encoder could not be loaded
+ */
+export async function getQrCodeDataUrl(text, size = 192) {
+    try {
+        const { default: QRCode } = await import('qrcode');
+        return await QRCode.toDataURL(text, { width: size, margin: 1, errorCorrectionLevel: 'M' });
+    } catch (error) {
+        warn('QR code unavailable:', error);
+        return null;
+    }
+}
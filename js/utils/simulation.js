@@ -0,0 +1,32 @@
+import { createLogger } from '../services/LogService.js';
+import { toContractError } from '../errors/ContractErrors.js';
+
+// Initialize logger
+const logger = createLogger('SIMULATION');
+const debug = logger.debug.bind(logger);
+const warn = logger.warn.bind(logger);
+
+/**
+ * Run a state-changing call with callStatic against the latest block before
+ * it is signed, so reverts surface as ContractErrors instead of raw RPC
+ * errors from the wallet or a mined failure.
+ * @param {ethers.Contract} contract - Contract connected to the sender's signer
+ * @param {string} method - Function to simulate
+ * @param {Array} [args] - Function arguments, without overrides
+ * @param {Object} [details] - Call context kept on the ContractError for fix actions
+ * @throws {ContractError} If the call would revert with a known or decodable reason
+ */
+export async function simulateTransaction(contract, method, args = [], details = {}) {
+    try {
+        await contract.callStatic[method](...args, { blockTag: 'latest' });
+        debug(`Simulated ${method}`);
+    } catch (error) {
+        const contractError = toContractError(error, { method, ...details });
+        if (contractError) {
+            debug(`Simulation of ${method} reverted:`, contractError.details.reason);
+            throw contractError;
+        }
+        // No revert reason, e.g. an RPC hiccup; gas estimation and the wallet still check the call
+        warn(`Simulation of ${method} was inconclusive:`, error);
+    }
+}
@@ -1,3 +1,7 @@
+import { addressBookService } from '../services/AddressBookService.js';
+import { ContractError } from '../errors/ContractErrors.js';
+import { getToast } from '../components/Toast.js';
+
 export function setVisibility(element, isVisible) {
     if (!element) return;
     element.classList.toggle('is-hidden', !isVisible);
@@ -29,6 +33,19 @@ export function handleTransactionError(error, component, action = 'transaction')
         // Silently handle user rejection - no error toast needed
         component.debug(`User rejected ${action}`);
         return true; // Indicates user rejection was handled
+    } else if (error instanceof ContractError) {
+        // Reverts caught by simulation carry a friendly message and maybe a fix
+        component.error(`${action} failed:`, {
+            code: error.code,
+            reason: error.details.reason,
+            details: error.details
+        });
+        const toast = component.showError(error.message);
+        const fix = error.details.fix && component.getContractErrorFix?.(error);
+        if (toast && fix) {
+            getToast().addAction(toast, error.details.fix.label, fix);
+        }
+        return false;
     } else {
         // Extract the most meaningful error message
         let errorMessage = error.message || 'Unknown error occurred';
@@ -62,10 +79,11 @@ export function handleTransactionError(error, component, action = 'transaction')
 }
 
 /**
- * Formats an Ethereum address to show first 6 and last 4 characters
+ * Formats an Ethereum address as its address book label, or the first 6 and
+ * last 4 characters. Labels are HTML-escaped.
  * @param {string} address - The full Ethereum address
  * @param {string} fallbackText - Text to show if address is null/undefined
- * @returns {string} Formatted address or fallback text
+ * @returns {string} Label, formatted address or fallback text
  */
 export function formatAddress(address, fallbackText = 'Open to anyone') {
     if (!address) return fallbackText;
@@ -75,10 +93,24 @@ export function formatAddress(address, fallbackText = 'Open to anyone') {
         console.warn('Invalid Ethereum address format:', address);
         return fallbackText;
     }
+
+    const label = addressBookService.getLabel(address);
+    if (label) return escapeHtml(label);
     
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
 }
 
+/**
+ * Warning marker for an address one character off from a saved contact
+ * @param {string} address - The full Ethereum address
+ * @returns {string} HTML for the marker, empty if the address looks fine
+ */
+export function renderLookalikeWarning(address) {
+    const contact = addressBookService.findLookalike(address);
+    if (!contact) return '';
+    return `<span class="address-lookalike-warning" title="Not in your address book, but one character off from ${escapeHtml(contact.label)} (${contact.address})">⚠</span>`;
+}
+
 /**
  * Gets the counterparty address for an order based on user's role
  * @param {Object} order - The order object
@@ -162,6 +194,20 @@ export function isZeroAddress(address) {
     return address.toLowerCase() === '0x0000000000000000000000000000000000000000';
 }
 
+/**
+ * Escape text from untrusted sources (e.g. revert reasons) for use in innerHTML
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-safe text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Test function specifically for taker orders debugging
  * This can be called from browser console for testing
@@ -201,7 +247,7 @@ export function generateStatusCellHTML(orderStatus, counterpartyAddress, isZeroA
             <div class="counterparty-address clickable" 
                  data-tooltip="Click to copy: ${counterpartyAddress}" 
                  data-address="${counterpartyAddress}">
-                ${formattedAddress}
+                ${formattedAddress}${renderLookalikeWarning(counterpartyAddress)}
             </div>
         ` : ''}
     `;
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PricingService } from '../js/services/PricingService.js';
+
+const TOKEN = '0x0000000000000000000000000000000000000001';
+
+const live = (source, price, liquidity = 0) => ({ source, kind: 'live', price, liquidity });
+const manual = (price) => ({ source: 'manual', kind: 'static', price, liquidity: 0, override: true });
+const reference = (price, override = false) => ({ source: 'reference', kind: 'reference', price, liquidity: 0, override });
+
+describe('PricingService.aggregateQuotes', () => {
+    const pricing = new PricingService();
+
+    it('takes the median with high confidence when live sources agree', () => {
+        const result = pricing.aggregateQuotes(TOKEN, [
+            live('dexscreener', 1.0, 500),
+            live('coingecko', 1.1),
+            live('onchain', 1.05, 900)
+        ]);
+        assert.equal(result.price, 1.05);
+        assert.equal(result.confidence, 'high');
+        assert.equal(result.liquidity, 900);
+        assert.deepEqual(result.sources, ['dexscreener', 'coingecko', 'onchain']);
+        assert.equal(result.estimated, false);
+    });
+
+    it('drops outliers before taking the median again', () => {
+        const result = pricing.aggregateQuotes(TOKEN, [
+            live('dexscreener', 2.0),
+            live('coingecko', 2.1),
+            live('onchain', 9.0)
+        ]);
+        assert.equal(result.price, 2.05);
+        assert.deepEqual(result.sources, ['dexscreener', 'coingecko']);
+        assert.equal(result.quotes.length, 3);
+    });
+
+    it('rates a single live source medium', () => {
+        const result = pricing.aggregateQuotes(TOKEN, [live('coingecko', 3)]);
+        assert.equal(result.price, 3);
+        assert.equal(result.confidence, 'medium');
+    });
+
+    it('falls back to the first source with low confidence when nothing agrees', () => {
+        const result = pricing.aggregateQuotes(TOKEN, [live('dexscreener', 1), live('coingecko', 10)]);
+        assert.equal(result.price, 1);
+        assert.equal(result.confidence, 'low');
+        assert.deepEqual(result.sources, ['dexscreener']);
+    });
+
+    it('lets a manual price replace every other quote', () => {
+        const result = pricing.aggregateQuotes(TOKEN, [
+            live('dexscreener', 1),
+            live('coingecko', 1),
+            manual(5)
+        ]);
+        assert.equal(result.price, 5);
+        assert.equal(result.confidence, 'medium');
+        assert.deepEqual(result.sources, ['manual']);
+        assert.equal(result.estimated, false);
+    });
+
+    it('uses reference prices only for tokens the market does not price', () => {
+        const withMarket = pricing.aggregateQuotes(TOKEN, [live('coingecko', 2), reference(4)]);
+        assert.equal(withMarket.price, 2);
+        assert.equal(withMarket.estimated, false);
+
+        const referenceOnly = pricing.aggregateQuotes(TOKEN, [reference(4)]);
+        assert.equal(referenceOnly.price, 4);
+        assert.equal(referenceOnly.confidence, 'low');
+        assert.equal(referenceOnly.estimated, true);
+    });
+
+    it('lets an overriding reference price replace market quotes', () => {
+        const result = pricing.aggregateQuotes(TOKEN, [live('coingecko', 2), reference(4, true)]);
+        assert.equal(result.price, 4);
+        assert.equal(result.estimated, true);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+    CONTRACT_ERRORS,
+    ContractError,
+    decodeRevertReason,
+    toContractError
+} from '../js/errors/ContractErrors.js';
+
+const coder = ethers.utils.defaultAbiCoder;
+const errorString = (reason) => `0x08c379a0${coder.encode(['string'], [reason]).slice(2)}`;
+const panic = (code) => `0x4e487b71${coder.encode(['uint256'], [code]).slice(2)}`;
+
+describe('decodeRevertReason', () => {
+    it('decodes Error(string) revert data at any nesting depth', () => {
+        const data = errorString('Order has expired');
+        assert.equal(decodeRevertReason({ data }), 'Order has expired');
+        assert.equal(decodeRevertReason({ error: { data: { data } } }), 'Order has expired');
+        assert.equal(decodeRevertReason({ error: { error: { data } } }), 'Order has expired');
+    });
+
+    it('decodes panics and known custom errors', () => {
+        assert.equal(decodeRevertReason({ data: panic(0x11) }), 'Panic(0x11)');
+
+        const custom = new ethers.utils.Interface(['error SafeERC20FailedOperation(address token)']);
+        const data = custom.encodeErrorResult('SafeERC20FailedOperation', [ethers.constants.AddressZero]);
+        assert.equal(decodeRevertReason({ data }), 'SafeERC20FailedOperation');
+    });
+
+    it('reads the reason of a call exception', () => {
+        const error = { code: 'CALL_EXCEPTION', reason: 'execution reverted: Contract is disabled' };
+        assert.equal(decodeRevertReason(error), 'Contract is disabled');
+        assert.equal(decodeRevertReason({ code: 'CALL_EXCEPTION', reason: 'missing revert data in call exception' }), null);
+    });
+
+    it('falls back to revert strings in wallet messages', () => {
+        const error = { message: 'Internal JSON-RPC error', error: { message: 'execution reverted: Invalid fill amount' } };
+        assert.equal(decodeRevertReason(error), 'Invalid fill amount');
+    });
+
+    it('returns null for errors that are not reverts', () => {
+        assert.equal(decodeRevertReason({ code: 'NETWORK_ERROR', reason: 'could not detect network' }), null);
+        assert.equal(decodeRevertReason({ code: 4001, message: 'User rejected the request.' }), null);
+        assert.equal(decodeRevertReason(null), null);
+    });
+});
+
+describe('toContractError', () => {
+    it('maps known revert strings to their error and fix', () => {
+        const error = toContractError({ data: errorString('Order does not exist') }, { orderId: 7 });
+        assert.ok(error instanceof ContractError);
+        assert.equal(error.code, CONTRACT_ERRORS.INVALID_ORDER.code);
+        assert.equal(error.message, CONTRACT_ERRORS.INVALID_ORDER.message);
+        assert.equal(error.details.orderId, 7);
+        assert.equal(error.details.reason, 'Order does not exist');
+        assert.deepEqual(error.details.fix, CONTRACT_ERRORS.INVALID_ORDER.fix);
+    });
+
+    it('matches revert strings that end in a detail by prefix', () => {
+        const error = toContractError({ data: errorString('Sell token transfer failed: paused') });
+        assert.equal(error.code, CONTRACT_ERRORS.TOKEN_TRANSFER_FAILED.code);
+    });
+
+    it('keeps unknown reasons in a generic revert', () => {
+        const error = toContractError({ data: errorString('Something new') });
+        assert.equal(error.code, CONTRACT_ERRORS.CONTRACT_REVERT.code);
+        assert.equal(error.message, `${CONTRACT_ERRORS.CONTRACT_REVERT.message}: Something new`);
+        assert.equal(error.details.fix, null);
+    });
+
+    it('passes ContractErrors through and ignores non-reverts', () => {
+        const existing = new ContractError('Already mapped', 'UNAUTHORIZED');
+        assert.equal(toContractError(existing), existing);
+        assert.equal(toContractError({ code: 'TIMEOUT' }), null);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNetworkConfig } from '../js/config.js';
+import { isDealLink, parseDealParams } from '../js/utils/dealLinks.js';
+
+const SELL = '0x1111111111111111111111111111111111111111';
+const BUY = '0x2222222222222222222222222222222222222222';
+const TAKER = '0x3333333333333333333333333333333333333333';
+const selectedChain = String(parseInt(getNetworkConfig().chainId, 16));
+
+describe('isDealLink', () => {
+    it('needs a token to prefill', () => {
+        assert.equal(isDealLink({ sell: SELL }), true);
+        assert.equal(isDealLink({ buy: BUY }), true);
+        assert.equal(isDealLink({ page: '2' }), false);
+        assert.equal(isDealLink(), false);
+    });
+});
+
+describe('parseDealParams', () => {
+    it('reads every term of a valid link', () => {
+        const { deal, problems, wrongChain } = parseDealParams({
+            chain: selectedChain,
+            sell: SELL,
+            sellAmount: '1500',
+            buy: BUY.toUpperCase().replace('0X', '0x'),
+            buyAmount: '.25',
+            taker: TAKER
+        });
+        assert.deepEqual(problems, []);
+        assert.equal(wrongChain, false);
+        assert.deepEqual(deal, {
+            sellToken: SELL,
+            buyToken: BUY,
+            taker: TAKER,
+            sellAmount: '1500',
+            buyAmount: '.25',
+            chainId: Number(selectedChain)
+        });
+    });
+
+    it('leaves out and reports invalid values', () => {
+        const { deal, problems } = parseDealParams({
+            sell: '0x1234',
+            sellAmount: '1e6',
+            buy: BUY,
+            buyAmount: '-5'
+        });
+        assert.deepEqual(deal, { buyToken: BUY });
+        assert.deepEqual(problems, [
+            'The sell token address in the link is not valid',
+            'The sell amount in the link is not a number',
+            'The buy amount in the link is not a number'
+        ]);
+    });
+
+    it('flags links made on another chain', () => {
+        const otherChain = String(Number(selectedChain) + 1);
+        const { deal, wrongChain } = parseDealParams({ chain: otherChain, sell: SELL });
+        assert.equal(wrongChain, true);
+        assert.equal(deal.chainId, Number(otherChain));
+    });
+
+    it('rejects chain ids that are not decimal numbers', () => {
+        const { deal, problems, wrongChain } = parseDealParams({ chain: '0x89', sell: SELL });
+        assert.deepEqual(problems, ['The chain in the link is not valid']);
+        assert.equal(deal.chainId, undefined);
+        assert.equal(wrongChain, false);
+    });
+
+    it('treats links without a chain as made on the selected network', () => {
+        const { wrongChain } = parseDealParams({ sell: SELL, buy: BUY });
+        assert.equal(wrongChain, false);
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+    USD_DECIMALS,
+    convertAmount,
+    formatAmount,
+    formatFixed,
+    formatUsdValue,
+    getAmountForUsdValue,
+    getDealRatio,
+    getUsdValue,
+    isPositiveAmount,
+    parseAmount,
+    ratio
+} from '../js/utils/fixedPoint.js';
+
+const usd = (value) => ethers.utils.parseUnits(value, USD_DECIMALS);
+
+describe('parseAmount', () => {
+    it('parses decimal strings into base units', () => {
+        assert.equal(parseAmount('1.5', 6).toString(), '1500000');
+        assert.equal(parseAmount('.25', 2).toString(), '25');
+        assert.equal(parseAmount('7.', 0).toString(), '7');
+        assert.equal(parseAmount(' 3 ', 18).toString(), '3000000000000000000');
+    });
+
+    it('returns null for input that is not a plain decimal', () => {
+        for (const value of ['', '.', '-1', '1e3', '1,000', 'abc', null, undefined]) {
+            assert.equal(parseAmount(value, 18), null, `for ${value}`);
+        }
+    });
+
+    it('returns null for more fractional digits than the token has', () => {
+        assert.equal(parseAmount('0.1234567', 6), null);
+        assert.equal(parseAmount('1.5', 0), null);
+    });
+});
+
+describe('isPositiveAmount', () => {
+    it('accepts only amounts above zero', () => {
+        assert.equal(isPositiveAmount('0.000001', 6), true);
+        assert.equal(isPositiveAmount('0', 6), false);
+        assert.equal(isPositiveAmount('0.0000001', 6), false);
+        assert.equal(isPositiveAmount('nope', 6), false);
+    });
+});
+
+describe('USD values', () => {
+    it('values an amount at a price without float rounding', () => {
+        // 0.1 + 0.2 style errors would show up in the last digits
+        assert.equal(getUsdValue('3000000', 6, 0.1).toString(), usd('0.3').toString());
+        assert.equal(getUsdValue(ethers.utils.parseUnits('2', 18), 18, 1234.5).toString(), usd('2469').toString());
+    });
+
+    it('inverts getUsdValue, rounding down', () => {
+        assert.equal(getAmountForUsdValue(usd('0.3'), 6, 0.1).toString(), '3000000');
+        assert.equal(getAmountForUsdValue(usd('1'), 0, 3).toString(), '0');
+    });
+
+    it('formats by magnitude like the order tables', () => {
+        assert.equal(formatUsdValue(usd('1234.5')), '$1235');
+        assert.equal(formatUsdValue(usd('12.345')), '$12.35');
+        assert.equal(formatUsdValue(usd('0.123456')), '$0.1235');
+    });
+});
+
+describe('convertAmount', () => {
+    it('converts between tokens with different decimals', () => {
+        // 2 tokens with 18 decimals at 1.5 per token into a 6-decimal token
+        const amount = convertAmount(ethers.utils.parseUnits('2', 18), 18, usd('1.5'), 6);
+        assert.equal(amount.toString(), '3000000');
+    });
+});
+
+describe('ratio and getDealRatio', () => {
+    it('returns null when the denominator is zero', () => {
+        assert.equal(ratio(usd('1'), 0), null);
+    });
+
+    it('compares what the maker asks for with what they sell', () => {
+        const dealRatio = getDealRatio({
+            sellAmount: ethers.utils.parseUnits('100', 18),
+            sellDecimals: 18,
+            sellPrice: 2,
+            buyAmount: '220000000',
+            buyDecimals: 6,
+            buyPrice: 1
+        });
+        assert.equal(dealRatio, 1.1);
+    });
+});
+
+describe('formatFixed and formatAmount', () => {
+    it('rounds half up to the requested digits', () => {
+        assert.equal(formatFixed('12345', 4, 2), '1.23');
+        assert.equal(formatFixed('12350', 4, 2), '1.24');
+        assert.equal(formatFixed('19999', 4, 0), '2');
+        assert.equal(formatFixed('5', 0, 2), '5.00');
+    });
+
+    it('trims trailing zeros from token amounts', () => {
+        assert.equal(formatAmount('1500000', 6), '1.5');
+        assert.equal(formatAmount('2000000', 6), '2');
+        assert.equal(formatAmount('1234567', 6, 2), '1.23');
+    });
+});
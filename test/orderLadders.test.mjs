@@ -0,0 +1,85 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { walletManager } from '../js/config.js';
+import { USD_DECIMALS } from '../js/utils/fixedPoint.js';
+import {
+    buildLadder,
+    clearPendingLadder,
+    getLadderSellTotal,
+    loadPendingLadder,
+    savePendingLadder
+} from '../js/utils/orderLadders.js';
+
+const units = (value, decimals = 18) => ethers.utils.parseUnits(value, decimals);
+const price = (value) => units(value, USD_DECIMALS);
+
+const ladder = (overrides = {}) => buildLadder({
+    totalSellAmount: units('100'),
+    tranches: 4,
+    startPrice: price('1'),
+    endPrice: price('2.5'),
+    shape: 'linear',
+    sellDecimals: 18,
+    buyDecimals: 6,
+    ...overrides
+});
+
+describe('buildLadder', () => {
+    it('steps prices evenly between start and end', () => {
+        const tranches = ladder();
+        assert.deepEqual(tranches.map(t => ethers.utils.formatUnits(t.price, USD_DECIMALS)), ['1.0', '1.5', '2.0', '2.5']);
+        assert.deepEqual(tranches.map(t => t.sellAmount.toString()), Array(4).fill(units('25').toString()));
+        assert.deepEqual(tranches.map(t => ethers.utils.formatUnits(t.buyAmount, 6)), ['25.0', '37.5', '50.0', '62.5']);
+    });
+
+    it('steps geometric ladders by a constant ratio', () => {
+        const tranches = ladder({ tranches: 3, startPrice: price('1'), endPrice: price('4'), shape: 'geometric' });
+        assert.deepEqual(tranches.map(t => ethers.utils.formatUnits(t.price, USD_DECIMALS)), ['1.0', '2.0', '4.0']);
+    });
+
+    it('gives the rounding remainder to the last tranche', () => {
+        const tranches = ladder({ totalSellAmount: ethers.BigNumber.from(10), tranches: 3, sellDecimals: 0, buyDecimals: 0 });
+        assert.deepEqual(tranches.map(t => t.sellAmount.toNumber()), [3, 3, 4]);
+        assert.equal(getLadderSellTotal(tranches).toNumber(), 10);
+    });
+
+    it('ends exactly at the end price', () => {
+        const tranches = ladder({ tranches: 7, startPrice: price('0.3'), endPrice: price('0.1'), shape: 'geometric' });
+        assert.equal(tranches[6].price.toString(), price('0.1').toString());
+    });
+
+    it('rejects parameters that cannot make valid orders', () => {
+        assert.throws(() => ladder({ tranches: 1 }), /between 2 and/);
+        assert.throws(() => ladder({ tranches: 21 }), /between 2 and/);
+        assert.throws(() => ladder({ shape: 'random' }), /Unknown distribution/);
+        assert.throws(() => ladder({ startPrice: price('0') }), /greater than zero/);
+        assert.throws(() => ladder({ totalSellAmount: ethers.BigNumber.from(3) }), /too small/);
+        assert.throws(
+            () => ladder({ totalSellAmount: ethers.BigNumber.from(4), sellDecimals: 18, buyDecimals: 0 }),
+            /would ask for nothing/
+        );
+    });
+});
+
+describe('pending ladders', () => {
+    const account = walletManager.account;
+
+    afterEach(() => {
+        walletManager.account = account;
+        localStorage.clear();
+    });
+
+    it('keeps one ladder per maker account', () => {
+        walletManager.account = '0x1111111111111111111111111111111111111111';
+        savePendingLadder({ maker: walletManager.account, tranches: [] });
+
+        walletManager.account = '0x2222222222222222222222222222222222222222';
+        assert.equal(loadPendingLadder(), null);
+
+        walletManager.account = '0x1111111111111111111111111111111111111111';
+        assert.equal(loadPendingLadder().maker, walletManager.account);
+        clearPendingLadder();
+        assert.equal(loadPendingLadder(), null);
+    });
+});
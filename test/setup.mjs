@@ -0,0 +1,25 @@
+// The app runs in the browser; give its modules the globals they read at import time
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+globalThis.window = globalThis;
+globalThis.localStorage = new MemoryStorage();